@@ -0,0 +1,302 @@
+import { parseArgs } from 'node:util';
+import { COLOR_MODES } from '../message/ColorScheme.js';
+import { OUTPUT_FORMATS } from '../message/handlers/ConsoleOutputHandler.js';
+
+/**
+ * Subcommands understood by the slagg binary
+ */
+export const COMMANDS = {
+  run: {
+    usage: 'slagg [run] [options]',
+    description: 'Stream messages from the configured channels (default)',
+  },
+  validate: {
+    usage: 'slagg validate [options]',
+    description: 'Validate the configuration file and exit',
+  },
+  channels: {
+    usage: 'slagg channels [options]',
+    description: 'List configured channels and whether they are accessible',
+  },
+  post: {
+    usage: 'slagg post --channel <id|#name> [--team <name>] [text...]',
+    description: 'Post a message to a channel (reads stdin when no text is given)',
+    acceptsText: true,
+  },
+  history: {
+    usage: 'slagg history --channel <id|#name> [--team <name>] [--limit <n>]',
+    description: 'Print recent messages from a channel',
+  },
+  routes: {
+    usage:
+      'slagg routes test [--team <name>] [--channel <name>] [--user <name>] [--thread] [text...]',
+    description: 'Show which handlers a sample message would reach',
+    actions: ['test'],
+    acceptsText: true,
+  },
+};
+
+export const DEFAULT_COMMAND = 'run';
+
+/**
+ * Option definitions in node:util parseArgs format, with help text
+ */
+const OPTIONS = {
+  config: {
+    type: 'string',
+    short: 'c',
+    valueName: '<path>',
+    description: 'Path to the configuration file (default: .env.json)',
+  },
+  team: {
+    type: 'string',
+    short: 't',
+    multiple: true,
+    valueName: '<name>',
+    description: 'Limit to the given team (repeatable or comma-separated)',
+  },
+  channel: {
+    type: 'string',
+    multiple: true,
+    valueName: '<id|#name>',
+    description: 'Limit to the given channel ID or name (repeatable or comma-separated)',
+  },
+  user: {
+    type: 'string',
+    short: 'u',
+    valueName: '<name>',
+    description: 'User of the sample message for routes test',
+  },
+  thread: {
+    type: 'boolean',
+    description: 'Make the sample message for routes test a thread reply',
+  },
+  limit: {
+    type: 'string',
+    short: 'n',
+    valueName: '<n>',
+    description: 'Number of messages for the history command (default: 20)',
+  },
+  format: {
+    type: 'string',
+    valueName: '<format>',
+    description: 'Output format: text or jsonl (default: handlers.console.format or text)',
+  },
+  color: {
+    type: 'string',
+    valueName: '<when>',
+    description: 'Colorize output: auto, always or never (default: auto)',
+  },
+  'since-last-run': {
+    type: 'boolean',
+    description: 'Start with the messages missed since the previous run stopped',
+  },
+  quiet: {
+    type: 'boolean',
+    short: 'q',
+    description: 'Suppress informational logs on stderr',
+  },
+  help: {
+    type: 'boolean',
+    short: 'h',
+    description: 'Show help and exit',
+  },
+  version: {
+    type: 'boolean',
+    short: 'V',
+    description: 'Show version and exit',
+  },
+};
+
+/**
+ * ArgumentParser turns process arguments into a command and normalized options
+ */
+export class ArgumentParser {
+  /**
+   * Parse command-line arguments
+   * @param {string[]} argv - Arguments without the node executable and script path
+   * @returns {Object} Parsed result with command (null when omitted), action (for commands with
+   *   actions such as "routes test", otherwise null), options and positionals
+   * @throws {Error} If the arguments are invalid
+   */
+  parse(argv) {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: this._getParseArgsOptions(),
+      allowPositionals: true,
+      strict: true,
+    });
+
+    let command = null;
+    const remaining = [...positionals];
+    if (remaining.length > 0) {
+      if (!COMMANDS[remaining[0]]) {
+        throw new Error(`Unknown command: ${remaining[0]}`);
+      }
+      command = remaining.shift();
+    }
+
+    let action = null;
+    const actions = COMMANDS[command]?.actions;
+    if (actions) {
+      action = remaining.shift();
+      if (!actions.includes(action)) {
+        const problem = action
+          ? `Unknown action for ${command}: ${action}`
+          : `Missing action for ${command}`;
+        throw new Error(`${problem}. Expected one of: ${actions.join(', ')}`);
+      }
+    }
+
+    if (remaining.length > 0 && !COMMANDS[command]?.acceptsText) {
+      throw new Error(`Unexpected argument for ${command}: ${remaining[0]}`);
+    }
+
+    return {
+      command,
+      action,
+      options: {
+        configPath: values.config,
+        teams: this._splitList(values.team),
+        channels: this._splitList(values.channel),
+        user: values.user,
+        thread: Boolean(values.thread),
+        limit: this._parseLimit(values.limit),
+        format: this._parseFormat(values.format),
+        color: this._parseColor(values.color),
+        sinceLastRun: Boolean(values['since-last-run']),
+        quiet: Boolean(values.quiet),
+        help: Boolean(values.help),
+        version: Boolean(values.version),
+      },
+      positionals: remaining,
+    };
+  }
+
+  /**
+   * Build help text for the whole program or a single command
+   * @param {string} [command] - Command to describe, or undefined for general help
+   * @returns {string} Help text
+   */
+  getHelpText(command) {
+    const lines = [];
+
+    if (command && COMMANDS[command]) {
+      lines.push(`Usage: ${COMMANDS[command].usage}`, '', COMMANDS[command].description, '');
+    } else {
+      lines.push('Usage: slagg [command] [options]', '', 'Commands:');
+      for (const [name, definition] of Object.entries(COMMANDS)) {
+        lines.push(`  ${name.padEnd(10)}${definition.description}`);
+      }
+      lines.push('');
+    }
+
+    lines.push('Options:');
+    for (const [name, definition] of Object.entries(OPTIONS)) {
+      const shortFlag = definition.short ? `-${definition.short}, ` : '    ';
+      const flag = `${shortFlag}--${name}${definition.valueName ? ` ${definition.valueName}` : ''}`;
+      lines.push(`  ${flag.padEnd(26)}${definition.description}`);
+    }
+
+    lines.push(
+      '',
+      'Exit codes:',
+      '  0  success',
+      '  1  runtime error (connection or Slack API failure)',
+      '  2  invalid command-line usage',
+      '  3  invalid or missing configuration'
+    );
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Strip help-only fields from the option table for parseArgs
+   * @private
+   * @returns {Object} Options in node:util parseArgs format
+   */
+  _getParseArgsOptions() {
+    const options = {};
+    for (const [name, { type, short, multiple }] of Object.entries(OPTIONS)) {
+      options[name] = { type };
+      if (short) {
+        options[name].short = short;
+      }
+      if (multiple) {
+        options[name].multiple = true;
+      }
+    }
+    return options;
+  }
+
+  /**
+   * Flatten repeated and comma-separated values into a single list
+   * @private
+   * @param {string[]|undefined} values - Raw option values
+   * @returns {string[]} List of non-empty values
+   */
+  _splitList(values) {
+    if (!values) {
+      return [];
+    }
+    return values
+      .flatMap((value) => value.split(','))
+      .map((value) => value.trim())
+      .filter((value) => value.length > 0);
+  }
+
+  /**
+   * Parse the --limit option
+   * @private
+   * @param {string|undefined} value - Raw option value
+   * @returns {number|undefined} Parsed limit
+   * @throws {Error} If the value is not a positive integer
+   */
+  _parseLimit(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+    if (!/^\d+$/.test(value) || Number.parseInt(value, 10) === 0) {
+      throw new Error(`Invalid --limit value: ${value}. Expected a positive integer`);
+    }
+    return Number.parseInt(value, 10);
+  }
+
+  /**
+   * Parse the --format option
+   * @private
+   * @param {string|undefined} value - Raw option value
+   * @returns {string|undefined} Output format
+   * @throws {Error} If the format is not supported
+   */
+  _parseFormat(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+    if (!OUTPUT_FORMATS.includes(value)) {
+      throw new Error(
+        `Invalid --format value: ${value}. Expected one of: ${OUTPUT_FORMATS.join(', ')}`
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Parse the --color option
+   * @private
+   * @param {string|undefined} value - Raw option value
+   * @returns {string|undefined} Color mode
+   * @throws {Error} If the mode is not supported
+   */
+  _parseColor(value) {
+    if (value === undefined) {
+      return undefined;
+    }
+    if (!COLOR_MODES.includes(value)) {
+      throw new Error(
+        `Invalid --color value: ${value}. Expected one of: ${COLOR_MODES.join(', ')}`
+      );
+    }
+    return value;
+  }
+}
@@ -0,0 +1,488 @@
+import { readFileSync } from 'node:fs';
+import { BUILTIN_HANDLERS, ConfigurationManager } from '../config/ConfigurationManager.js';
+import { MessageFilter } from '../message/MessageFilter.js';
+import { MessageRouter } from '../message/MessageRouter.js';
+import { ConsoleOutputHandler } from '../message/handlers/ConsoleOutputHandler.js';
+import { ChannelSelector } from '../team/ChannelSelector.js';
+import { SlackClient } from '../team/SlackClient.js';
+import { logger } from '../utils/Logger.js';
+import { ArgumentParser, DEFAULT_COMMAND } from './ArgumentParser.js';
+
+/**
+ * Process exit codes returned by the CLI
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE_ERROR: 2,
+  CONFIG_ERROR: 3,
+};
+
+const DEFAULT_HISTORY_LIMIT = 20;
+
+/**
+ * CommandLineInterface dispatches slagg subcommands
+ * Sits in front of SlaggApp and maps command outcomes to exit codes
+ */
+export class CommandLineInterface {
+  /**
+   * @param {Object} options - CLI dependencies
+   * @param {Function} options.createApp - Factory creating a SlaggApp from parsed options
+   * @param {Object} [options.output] - Writable stream for command output (default: stdout)
+   * @param {Object} [options.input] - Readable stream for message text (default: stdin)
+   */
+  constructor({ createApp, output = process.stdout, input = process.stdin } = {}) {
+    if (typeof createApp !== 'function') {
+      throw new Error('createApp must be a function');
+    }
+
+    this.createApp = createApp;
+    this.output = output;
+    this.input = input;
+    this.parser = new ArgumentParser();
+  }
+
+  /**
+   * Run the CLI with the given arguments
+   * @param {string[]} argv - Arguments without the node executable and script path
+   * @returns {Promise<number|null>} Exit code, or null when the process should keep running
+   */
+  async run(argv) {
+    let parsed;
+    try {
+      parsed = this.parser.parse(argv);
+    } catch (error) {
+      logger.error(`${error.message}. Run "slagg --help" for usage.`);
+      return EXIT_CODES.USAGE_ERROR;
+    }
+
+    const { options, positionals } = parsed;
+    const command = parsed.command || DEFAULT_COMMAND;
+
+    if (options.help) {
+      this._write(this.parser.getHelpText(parsed.command));
+      return EXIT_CODES.SUCCESS;
+    }
+
+    if (options.version) {
+      this._write(this._getVersion());
+      return EXIT_CODES.SUCCESS;
+    }
+
+    logger.setQuiet(options.quiet);
+
+    try {
+      switch (command) {
+        case 'validate':
+          return this.validateCommand(options);
+        case 'channels':
+          return await this.channelsCommand(options);
+        case 'post':
+          return await this.postCommand(options, positionals);
+        case 'history':
+          return await this.historyCommand(options);
+        case 'routes':
+          return this.routesCommand(options, positionals);
+        default:
+          return await this.runCommand(options);
+      }
+    } catch (error) {
+      logger.error(`Command ${command} failed: ${error.message}`);
+      return EXIT_CODES.FAILURE;
+    }
+  }
+
+  /**
+   * Start streaming messages
+   * @param {Object} options - Parsed options
+   * @returns {Promise<number|null>} Exit code on configuration error, otherwise null
+   */
+  async runCommand(options) {
+    const app = this.createApp(options);
+
+    try {
+      app.loadConfiguration();
+    } catch (error) {
+      // Configuration errors are logged by ConfigurationManager
+      return EXIT_CODES.CONFIG_ERROR;
+    }
+
+    await app.start();
+    return null;
+  }
+
+  /**
+   * Validate the configuration file and print a summary
+   * @param {Object} options - Parsed options
+   * @returns {number} Exit code
+   */
+  validateCommand(options) {
+    const teamConfigs = this._loadTeamConfigs(options);
+    if (!teamConfigs) {
+      return EXIT_CODES.CONFIG_ERROR;
+    }
+
+    for (const [teamName, teamConfig] of Object.entries(teamConfigs)) {
+      this._write(`${teamName}: ${teamConfig.channels.length} channel(s)`);
+    }
+    this._write('Configuration OK');
+    return EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * List configured channels with their names and accessibility
+   * @param {Object} options - Parsed options
+   * @returns {Promise<number>} Exit code
+   */
+  async channelsCommand(options) {
+    const teamConfigs = this._loadTeamConfigs(options);
+    if (!teamConfigs) {
+      return EXIT_CODES.CONFIG_ERROR;
+    }
+
+    let hasSkippedChannels = false;
+
+    for (const [teamName, teamConfig] of Object.entries(teamConfigs)) {
+      const client = this._createClient(teamName, teamConfig, teamConfig.channels, {
+        channelFilter: teamConfig.channelFilter,
+      });
+
+      try {
+        await client.subscribeToChannels();
+      } catch (error) {
+        // Every channel was skipped; they are reported below
+      }
+
+      for (const channelId of client.getChannelIds()) {
+        if (client.channelNames.has(channelId)) {
+          // DMs and group DMs are labelled with @names already
+          const label = client.channelNames.get(channelId);
+          const isDirect = ['im', 'mpim'].includes(client.channelTypes.get(channelId));
+          this._write(`${teamName}\t${channelId}\t${isDirect ? label : `#${label}`}`);
+        }
+      }
+      for (const { channelId, reason } of client.getSkippedChannels()) {
+        this._write(`${teamName}\t${channelId}\t(skipped: ${reason})`);
+        hasSkippedChannels = true;
+      }
+    }
+
+    return hasSkippedChannels ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * Post a message to a single channel
+   * @param {Object} options - Parsed options
+   * @param {string[]} positionals - Message text words
+   * @returns {Promise<number>} Exit code
+   */
+  async postCommand(options, positionals) {
+    const teamConfigs = this._loadTeamConfigs({ ...options, channels: [] });
+    if (!teamConfigs) {
+      return EXIT_CODES.CONFIG_ERROR;
+    }
+
+    const target = this._resolveTarget(teamConfigs, options);
+    if (!target) {
+      return EXIT_CODES.USAGE_ERROR;
+    }
+
+    const text = positionals.length > 0 ? positionals.join(' ') : await this._readInput();
+    if (!text) {
+      logger.error('No message text given. Pass text as arguments or on stdin.');
+      return EXIT_CODES.USAGE_ERROR;
+    }
+
+    const client = this._createTargetClient(target);
+    if (target.needsLookup) {
+      // Resolves the channel name or wildcard to the conversation ID
+      await client.subscribeToChannels();
+    }
+    const ts = await client.postMessage(this._getTargetChannelId(target, client), text);
+    this._write(ts);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * Print recent messages from a single channel
+   * @param {Object} options - Parsed options
+   * @returns {Promise<number>} Exit code
+   */
+  async historyCommand(options) {
+    const teamConfigs = this._loadTeamConfigs({ ...options, channels: [] });
+    if (!teamConfigs) {
+      return EXIT_CODES.CONFIG_ERROR;
+    }
+
+    const target = this._resolveTarget(teamConfigs, options);
+    if (!target) {
+      return EXIT_CODES.USAGE_ERROR;
+    }
+
+    const client = this._createTargetClient(target);
+    // Resolves the channel name and fails early if the channel is not accessible
+    await client.subscribeToChannels();
+
+    const messages = await client.fetchHistory(
+      this._getTargetChannelId(target, client),
+      options.limit || DEFAULT_HISTORY_LIMIT
+    );
+    const formatter = new ConsoleOutputHandler(true, {
+      format: options.format,
+      color: options.color,
+    });
+    for (const message of messages) {
+      this._write(formatter.formatForOutput(message));
+    }
+    return EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * Show how filters and routing rules would treat a sample message, without connecting to Slack
+   * @param {Object} options - Parsed options describing the sample message
+   * @param {string[]} positionals - Message text words
+   * @returns {number} Exit code
+   */
+  routesCommand(options, positionals) {
+    const configManager = this._loadConfigManager(options);
+    if (!configManager) {
+      return EXIT_CODES.CONFIG_ERROR;
+    }
+
+    const { config } = configManager;
+    const message = this._buildSampleMessage(config, options, positionals);
+    this._write(`Message: ${message.team}/${message.channel}/${message.user} > ${message.text}`);
+
+    if (config.filters && !new MessageFilter(config.filters).matches(message)) {
+      this._write('Dropped by filters');
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const router = config.routing ? new MessageRouter(config.routing) : null;
+    const route = router?.route(message);
+    if (!route) {
+      this._write('Route: no routing configured (all handlers)');
+    } else {
+      this._write(`Route: ${route.isDefault ? 'default' : route.rules.join(', ')}`);
+    }
+
+    const handlerConfigs = configManager.getHandlerConfigs();
+    for (const key of configManager.getHandlerKeys()) {
+      const handlerConfig = handlerConfigs[key] || {};
+      // Notification and speech are off unless enabled; console and plugins are on unless disabled
+      const isEnabled =
+        handlerConfig.enabled ?? (key === 'console' || !BUILTIN_HANDLERS.includes(key));
+      let status = 'delivered';
+      if (route && !router.reaches(route, key)) {
+        status = 'skipped (not routed)';
+      } else if (!isEnabled) {
+        status = 'skipped (disabled)';
+      } else if (
+        handlerConfig.filter &&
+        !new MessageFilter(handlerConfig.filter).matches(message)
+      ) {
+        status = 'skipped (handler filter)';
+      }
+      this._write(`  ${key.padEnd(14)}${status}`);
+    }
+
+    return EXIT_CODES.SUCCESS;
+  }
+
+  /**
+   * Load and validate the configuration file
+   * @private
+   * @param {Object} options - Parsed options
+   * @returns {ConfigurationManager|null} Manager with the loaded configuration, or null on
+   *   configuration error
+   */
+  _loadConfigManager(options) {
+    const configManager = new ConfigurationManager(options.configPath);
+
+    try {
+      configManager.loadConfig();
+      return configManager;
+    } catch (error) {
+      // Configuration errors are logged by ConfigurationManager
+      return null;
+    }
+  }
+
+  /**
+   * Load configuration and apply the team and channel selection
+   * @private
+   * @param {Object} options - Parsed options
+   * @returns {Object|null} Selected team configurations, or null on configuration error
+   */
+  _loadTeamConfigs(options) {
+    const configManager = this._loadConfigManager(options);
+    if (!configManager) {
+      return null;
+    }
+
+    try {
+      return configManager.filterTeamConfigs(configManager.getValidTeamConfigs(), options);
+    } catch (error) {
+      // Configuration errors are logged by ConfigurationManager
+      return null;
+    }
+  }
+
+  /**
+   * Build the sample message for routes test from the command-line options
+   * Channel and user are used both as name and as ID, so rules on either match
+   * @private
+   * @param {Object} config - Loaded configuration
+   * @param {Object} options - Parsed options
+   * @param {string[]} positionals - Message text words
+   * @returns {Object} Message object shaped like those from SlackClient
+   */
+  _buildSampleMessage(config, options, positionals) {
+    const channel = (options.channels[0] || 'general').replace(/^#/, '');
+    const user = (options.user || 'user').replace(/^@/, '');
+    const ts = (Date.now() / 1000).toFixed(6);
+
+    return {
+      kind: 'message',
+      team: options.teams[0] || Object.keys(config.teams)[0],
+      teamId: null,
+      channel,
+      channelId: channel,
+      user,
+      userId: user,
+      text: positionals.join(' '),
+      timestamp: ts,
+      formattedTime: new Date(Number.parseFloat(ts) * 1000),
+      threadTs: options.thread ? ts : null,
+      isThreadReply: options.thread,
+      parentSnippet: null,
+      mentions: { users: {}, channels: {} },
+      files: [],
+    };
+  }
+
+  /**
+   * Resolve the single team and channel targeted by post and history
+   * @private
+   * @param {Object} teamConfigs - Team configurations selected by --team
+   * @param {Object} options - Parsed options
+   * @returns {Object|null} Target with teamName, teamConfig, the channel as given, the channel
+   *   entries and filter selecting it, and whether they have to be looked up; null on usage error
+   */
+  _resolveTarget(teamConfigs, options) {
+    if (options.channels.length !== 1) {
+      logger.error('Exactly one --channel is required');
+      return null;
+    }
+
+    const [channel] = options.channels;
+    let teamNames = Object.keys(teamConfigs);
+
+    // Prefer the team whose channels select the channel when --team is omitted
+    if (teamNames.length > 1) {
+      teamNames = teamNames.filter((teamName) =>
+        new ChannelSelector(teamConfigs[teamName].channels).canSelect(channel)
+      );
+    }
+
+    if (teamNames.length !== 1) {
+      logger.error(`Cannot determine the team for channel ${channel}; specify --team`);
+      return null;
+    }
+
+    const teamConfig = teamConfigs[teamNames[0]];
+    // Channels the team does not select are used as given
+    const narrowed = new ChannelSelector(teamConfig.channels).narrow([channel]) || {
+      entries: [channel],
+      only: null,
+    };
+    return {
+      teamName: teamNames[0],
+      teamConfig,
+      channel,
+      channels: narrowed.entries,
+      channelFilter: narrowed.only,
+      needsLookup: new ChannelSelector(narrowed.entries).needsLookup(),
+    };
+  }
+
+  /**
+   * Get the conversation ID of the channel targeted by post and history
+   * @private
+   * @param {Object} target - Target from _resolveTarget
+   * @param {SlackClient} client - Client from _createTargetClient, following the channel if it
+   *   had to be looked up
+   * @returns {string} Conversation ID
+   */
+  _getTargetChannelId(target, client) {
+    return target.needsLookup ? client.getChannelIds()[0] : target.channel;
+  }
+
+  /**
+   * Create a SlackClient following only the channel targeted by post and history
+   * @private
+   * @param {Object} target - Target from _resolveTarget
+   * @returns {SlackClient} Client with an initialized Web API client
+   */
+  _createTargetClient(target) {
+    return this._createClient(target.teamName, target.teamConfig, target.channels, {
+      channelFilter: target.channelFilter,
+    });
+  }
+
+  /**
+   * Create a SlackClient that only uses the Web API
+   * @private
+   * @param {string} teamName - Name of the team
+   * @param {Object} teamConfig - Team configuration
+   * @param {string[]} channelIds - Channels the client works with
+   * @param {Object} [options] - Client options
+   * @param {string[]} [options.channelFilter] - Only follow these conversation IDs and names
+   * @returns {SlackClient} Client with an initialized Web API client
+   */
+  _createClient(teamName, teamConfig, channelIds, { channelFilter = null } = {}) {
+    const client = new SlackClient(teamConfig.appToken, teamConfig.botToken, teamName, channelIds, {
+      channelFilter,
+    });
+    client.initializeWebClient();
+    return client;
+  }
+
+  /**
+   * Read message text from the input stream unless it is a terminal
+   * @private
+   * @returns {Promise<string>} Trimmed input text
+   */
+  async _readInput() {
+    if (!this.input || this.input.isTTY) {
+      return '';
+    }
+
+    const chunks = [];
+    for await (const chunk of this.input) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString('utf8').trim();
+  }
+
+  /**
+   * Read the package version
+   * @private
+   * @returns {string} Version string
+   */
+  _getVersion() {
+    const packageJson = JSON.parse(
+      readFileSync(new URL('../../package.json', import.meta.url), 'utf8')
+    );
+    return packageJson.version;
+  }
+
+  /**
+   * Write a line of command output
+   * @private
+   * @param {string} line - Line to write
+   */
+  _write(line) {
+    this.output.write(`${line}\n`);
+  }
+}
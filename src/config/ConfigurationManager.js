@@ -1,6 +1,22 @@
 import { readFileSync } from 'node:fs';
+import { COLOR_MODES, ColorScheme } from '../message/ColorScheme.js';
+import { OVERFLOW_POLICIES } from '../message/HandlerQueue.js';
+import { MessageFilter } from '../message/MessageFilter.js';
+import { ALL_HANDLERS, MessageRouter } from '../message/MessageRouter.js';
+import { OutputTemplate } from '../message/OutputTemplate.js';
+import { ConsoleOutputHandler, OUTPUT_FORMATS } from '../message/handlers/ConsoleOutputHandler.js';
+import { SPEECH_OVERFLOW_POLICIES } from '../message/handlers/SpeechHandler.js';
+import { CONVERSATION_ID_PATTERN, ChannelSelector } from '../team/ChannelSelector.js';
+import { BOT_ID_PATTERN, MAX_BACKFILL_MESSAGES } from '../team/SlackLimits.js';
+import { DateFormatter } from '../utils/DateFormatter.js';
+import { parseDuration } from '../utils/Duration.js';
 import { logger } from '../utils/Logger.js';
 
+/**
+ * Configuration keys of the handlers built into slagg
+ */
+export const BUILTIN_HANDLERS = ['console', 'notification', 'speech'];
+
 /**
  * Configuration Manager for Slack Aggregator CLI
  * Handles loading and validation of .env.json configuration file
@@ -67,6 +83,355 @@ export class ConfigurationManager {
     if (this.config.handlers && typeof this.config.handlers !== 'object') {
       throw new Error('Configuration "handlers" must be an object');
     }
+
+    if (this.config.handlers) {
+      this.validateHandlerConfigs(this.config.handlers);
+    }
+
+    // Validate global filters (optional)
+    if (this.config.filters !== undefined) {
+      this.validateFilter('Configuration "filters"', this.config.filters);
+    }
+
+    // Validate shutdown settings (optional)
+    if (this.config.shutdown !== undefined) {
+      this.validateShutdownConfig(this.config.shutdown);
+    }
+
+    // Validate routing rules (optional)
+    if (this.config.routing !== undefined) {
+      this.validateRouting(this.config.routing);
+    }
+
+    // Validate ordering settings (optional)
+    if (this.config.ordering !== undefined) {
+      this.validateOrderingConfig(this.config.ordering);
+    }
+
+    // Validate state file settings (optional)
+    if (this.config.state !== undefined) {
+      this.validateStateConfig(this.config.state);
+    }
+  }
+
+  /**
+   * Validate ordering settings
+   * @param {Object} ordering - The ordering section of the configuration
+   * @throws {Error} If the settings are invalid
+   */
+  validateOrderingConfig(ordering) {
+    if (!ordering || typeof ordering !== 'object' || Array.isArray(ordering)) {
+      throw new Error('Configuration "ordering" must be an object');
+    }
+
+    const { windowMs } = ordering;
+    if (windowMs !== undefined && (!Number.isInteger(windowMs) || windowMs < 0)) {
+      throw new Error(
+        'Configuration "ordering.windowMs" must be a non-negative integer (milliseconds)'
+      );
+    }
+  }
+
+  /**
+   * Validate state file settings
+   * @param {Object} state - The state section of the configuration
+   * @throws {Error} If the settings are invalid
+   */
+  validateStateConfig(state) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+      throw new Error('Configuration "state" must be an object');
+    }
+
+    if (state.path !== undefined && (typeof state.path !== 'string' || state.path.trim() === '')) {
+      throw new Error('Configuration "state.path" must be a non-empty string');
+    }
+
+    if (state.enabled !== undefined && typeof state.enabled !== 'boolean') {
+      throw new Error('Configuration "state.enabled" must be a boolean');
+    }
+  }
+
+  /**
+   * Validate shutdown settings
+   * @param {Object} shutdown - The shutdown section of the configuration
+   * @throws {Error} If the settings are invalid
+   */
+  validateShutdownConfig(shutdown) {
+    if (!shutdown || typeof shutdown !== 'object' || Array.isArray(shutdown)) {
+      throw new Error('Configuration "shutdown" must be an object');
+    }
+
+    const { drainTimeoutMs } = shutdown;
+    if (drainTimeoutMs !== undefined && (!Number.isInteger(drainTimeoutMs) || drainTimeoutMs < 0)) {
+      throw new Error(
+        'Configuration "shutdown.drainTimeoutMs" must be a non-negative integer (milliseconds)'
+      );
+    }
+  }
+
+  /**
+   * Validate routing rules and the handlers they refer to
+   * @param {Object} routing - The routing section of the configuration
+   * @throws {Error} If the routing is invalid or refers to an unknown handler
+   */
+  validateRouting(routing) {
+    let router;
+    try {
+      router = new MessageRouter(routing);
+    } catch (error) {
+      throw new Error(`Configuration "routing" is invalid: ${error.message}`);
+    }
+
+    const knownHandlers = this.getHandlerKeys();
+    for (const target of router.getTargets()) {
+      if (target !== ALL_HANDLERS && !knownHandlers.includes(target)) {
+        throw new Error(
+          `Configuration "routing" refers to unknown handler "${target}". Known handlers: ${knownHandlers.join(', ')}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Get the configuration keys of all handlers, built-in and configured
+   * @returns {string[]} Handler keys
+   */
+  getHandlerKeys() {
+    const configuredHandlers = Object.keys(this.config?.handlers || {});
+    return [...new Set([...BUILTIN_HANDLERS, ...configuredHandlers])];
+  }
+
+  /**
+   * Validate a filter definition by building it
+   * @param {string} label - Where the filter is configured, for error messages
+   * @param {Object} filter - Filter definition with include and/or exclude criteria
+   * @throws {Error} If the filter is invalid
+   */
+  validateFilter(label, filter) {
+    try {
+      new MessageFilter(filter);
+    } catch (error) {
+      throw new Error(`${label} is invalid: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate handler configurations
+   * @param {Object} handlers - The handlers section of the configuration
+   * @throws {Error} If a handler configuration is invalid
+   */
+  validateHandlerConfigs(handlers) {
+    for (const [handlerName, handlerConfig] of Object.entries(handlers)) {
+      if (!handlerConfig || typeof handlerConfig !== 'object' || Array.isArray(handlerConfig)) {
+        throw new Error(`Handler "${handlerName}" must be an object`);
+      }
+
+      if (BUILTIN_HANDLERS.includes(handlerName)) {
+        if (handlerConfig.module !== undefined) {
+          throw new Error(`Handler "${handlerName}" is built in and cannot have a "module"`);
+        }
+      } else if (typeof handlerConfig.module !== 'string' || handlerConfig.module.length === 0) {
+        throw new Error(`Handler "${handlerName}" needs a "module" path or package name`);
+      }
+
+      for (const setting of ['timeoutMs', 'failureThreshold', 'resetTimeoutMs', 'queueSize']) {
+        const value = handlerConfig[setting];
+        if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+          throw new Error(
+            `Handler "${handlerName}" has invalid ${setting}. Expected a positive integer`
+          );
+        }
+      }
+
+      if (
+        handlerConfig.queueOverflow !== undefined &&
+        !OVERFLOW_POLICIES.includes(handlerConfig.queueOverflow)
+      ) {
+        throw new Error(
+          `Handler "${handlerName}" has invalid queueOverflow "${handlerConfig.queueOverflow}". Expected one of: ${OVERFLOW_POLICIES.join(', ')}`
+        );
+      }
+
+      if (handlerConfig.filter !== undefined) {
+        this.validateFilter(`Handler "${handlerName}" filter`, handlerConfig.filter);
+      }
+    }
+
+    const consoleConfig = handlers.console || {};
+    if (consoleConfig.format !== undefined && !OUTPUT_FORMATS.includes(consoleConfig.format)) {
+      throw new Error(
+        `Handler "console" has invalid format "${consoleConfig.format}". Expected one of: ${OUTPUT_FORMATS.join(', ')}`
+      );
+    }
+
+    if (consoleConfig.template !== undefined) {
+      try {
+        new OutputTemplate(consoleConfig.template);
+      } catch (error) {
+        throw new Error(`Handler "console" has invalid template: ${error.message}`);
+      }
+    }
+
+    if (consoleConfig.color !== undefined && !COLOR_MODES.includes(consoleConfig.color)) {
+      throw new Error(
+        `Handler "console" has invalid color "${consoleConfig.color}". Expected one of: ${COLOR_MODES.join(', ')}`
+      );
+    }
+
+    if (consoleConfig.colors !== undefined) {
+      this.validateColorOverrides(consoleConfig.colors);
+    }
+
+    if (
+      consoleConfig.highlight !== undefined &&
+      (!Array.isArray(consoleConfig.highlight) ||
+        !consoleConfig.highlight.every((keyword) => typeof keyword === 'string'))
+    ) {
+      throw new Error('Handler "console" has invalid highlight. Expected an array of strings');
+    }
+
+    if (
+      consoleConfig.timestamp !== undefined &&
+      typeof consoleConfig.timestamp !== 'boolean' &&
+      (typeof consoleConfig.timestamp !== 'string' || consoleConfig.timestamp.length === 0)
+    ) {
+      throw new Error(
+        'Handler "console" has invalid timestamp. Expected a boolean, a format string or "relative"'
+      );
+    }
+
+    if (consoleConfig.timeZone !== undefined) {
+      try {
+        new DateFormatter({
+          timeZone: ConsoleOutputHandler.resolveTimeZone(String(consoleConfig.timeZone)),
+        });
+      } catch (error) {
+        throw new Error(
+          `Handler "console" has invalid timeZone "${consoleConfig.timeZone}". Expected "local", "UTC" or an IANA time zone`
+        );
+      }
+    }
+
+    if (
+      consoleConfig.daySeparators !== undefined &&
+      typeof consoleConfig.daySeparators !== 'boolean'
+    ) {
+      throw new Error('Handler "console" has invalid daySeparators. Expected a boolean');
+    }
+
+    if (handlers.notification) {
+      this.validateNotificationConfig(handlers.notification);
+    }
+
+    if (handlers.speech) {
+      this.validateSpeechConfig(handlers.speech);
+    }
+  }
+
+  /**
+   * Validate text-to-speech settings
+   * @param {Object} speechConfig - The handlers.speech section
+   * @throws {Error} If a setting is invalid
+   */
+  validateSpeechConfig(speechConfig) {
+    const { command, args, voice, voices, maxQueueSize, overflow } = speechConfig;
+
+    if (command !== undefined && (typeof command !== 'string' || command.length === 0)) {
+      throw new Error('Handler "speech" has invalid command. Expected a command name');
+    }
+
+    if (
+      args !== undefined &&
+      (!Array.isArray(args) || !args.every((argument) => typeof argument === 'string'))
+    ) {
+      throw new Error('Handler "speech" has invalid args. Expected an array of strings');
+    }
+
+    if (voice !== undefined && typeof voice !== 'string') {
+      throw new Error('Handler "speech" has invalid voice. Expected a voice name');
+    }
+
+    if (
+      voices !== undefined &&
+      (!voices ||
+        typeof voices !== 'object' ||
+        Array.isArray(voices) ||
+        !Object.values(voices).every((name) => typeof name === 'string'))
+    ) {
+      throw new Error(
+        'Handler "speech" has invalid voices. Expected an object mapping "team" or "team/channel" to a voice name'
+      );
+    }
+
+    if (maxQueueSize !== undefined && (!Number.isInteger(maxQueueSize) || maxQueueSize < 1)) {
+      throw new Error('Handler "speech" has invalid maxQueueSize. Expected a positive integer');
+    }
+
+    if (overflow !== undefined && !SPEECH_OVERFLOW_POLICIES.includes(overflow)) {
+      throw new Error(
+        `Handler "speech" has invalid overflow "${overflow}". Expected one of: ${SPEECH_OVERFLOW_POLICIES.join(', ')}`
+      );
+    }
+  }
+
+  /**
+   * Validate desktop notification settings
+   * @param {Object} notificationConfig - The handlers.notification section
+   * @throws {Error} If a setting is invalid
+   */
+  validateNotificationConfig(notificationConfig) {
+    const { command, args, title, body, throttleMs } = notificationConfig;
+
+    if (command !== undefined && (typeof command !== 'string' || command.length === 0)) {
+      throw new Error('Handler "notification" has invalid command. Expected a command name');
+    }
+
+    if (
+      args !== undefined &&
+      (!Array.isArray(args) || !args.every((argument) => typeof argument === 'string'))
+    ) {
+      throw new Error('Handler "notification" has invalid args. Expected an array of strings');
+    }
+
+    for (const [setting, value] of Object.entries({ title, body })) {
+      if (value !== undefined && typeof value !== 'string') {
+        throw new Error(
+          `Handler "notification" has invalid ${setting}. Expected a template string`
+        );
+      }
+    }
+
+    if (throttleMs !== undefined && (!Number.isInteger(throttleMs) || throttleMs < 0)) {
+      throw new Error(
+        'Handler "notification" has invalid throttleMs. Expected a non-negative integer (milliseconds)'
+      );
+    }
+  }
+
+  /**
+   * Validate console color overrides
+   * @param {Object} colors - The handlers.console.colors section
+   * @throws {Error} If an override is not a supported color
+   */
+  validateColorOverrides(colors) {
+    if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+      throw new Error('Handler "console" has invalid colors. Expected an object');
+    }
+
+    for (const [section, overrides] of Object.entries(colors)) {
+      if (!['teams', 'channels', 'users'].includes(section)) {
+        throw new Error(
+          `Handler "console" has unknown colors section "${section}". Expected teams, channels or users`
+        );
+      }
+      for (const [name, color] of Object.entries(overrides || {})) {
+        if (!ColorScheme.isValidColor(color)) {
+          throw new Error(
+            `Handler "console" has invalid color "${color}" for ${section} "${name}". Expected a color name or #rrggbb`
+          );
+        }
+      }
+    }
   }
 
   /**
@@ -122,14 +487,99 @@ export class ConfigurationManager {
       throw new Error(errorMessage);
     }
 
-    // Validate channel ID format
+    // Validate channel entries: IDs, names, wildcards and exclusions
     for (const channelId of teamConfig.channels) {
-      if (!this.isValidChannelId(channelId)) {
-        const errorMessage = `Team "${teamName}" has invalid channel ID: ${channelId}. Expected format: C followed by 10 characters`;
+      if (!ChannelSelector.isValidEntry(channelId)) {
+        const errorMessage = `Team "${teamName}" has invalid channel ID: ${channelId}. Expected a conversation ID (C, G or D followed by at least 8 letters or digits), a channel name such as "#general" or "#team-*", "*" for every conversation the bot is in, or one of these prefixed with "!" to exclude it`;
         logger.error(`Configuration error: ${errorMessage}`);
         throw new Error(errorMessage);
       }
     }
+
+    if (teamConfig.channels.every((channelId) => channelId.startsWith('!'))) {
+      const errorMessage = `Team "${teamName}" only excludes channels. Add channel IDs, names or "*" to follow`;
+      logger.error(`Configuration error: ${errorMessage}`);
+      throw new Error(errorMessage);
+    }
+
+    // Validate thread reply visibility (optional)
+    if (
+      teamConfig.threadReplies !== undefined &&
+      !this.isValidPerChannelBoolean(teamConfig.threadReplies)
+    ) {
+      const errorMessage = `Team "${teamName}" has invalid threadReplies setting. Expected a boolean or an object mapping channel IDs to booleans`;
+      logger.error(`Configuration error: ${errorMessage}`);
+      throw new Error(errorMessage);
+    }
+
+    // Validate startup history (optional)
+    if (teamConfig.backfill !== undefined && !this.isValidBackfillSetting(teamConfig.backfill)) {
+      const errorMessage = `Team "${teamName}" has invalid backfill setting. Expected a number of messages (up to ${MAX_BACKFILL_MESSAGES}), a duration such as "2h", or an object mapping channel IDs to either`;
+      logger.error(`Configuration error: ${errorMessage}`);
+      throw new Error(errorMessage);
+    }
+
+    // Validate bot message visibility (optional)
+    if (teamConfig.bots !== undefined && !this.isValidPerChannelBoolean(teamConfig.bots)) {
+      const errorMessage = `Team "${teamName}" has invalid bots setting. Expected a boolean or an object mapping channel IDs to booleans`;
+      logger.error(`Configuration error: ${errorMessage}`);
+      throw new Error(errorMessage);
+    }
+
+    if (teamConfig.botIds !== undefined && !this.isValidBotIdsSetting(teamConfig.botIds)) {
+      const errorMessage = `Team "${teamName}" has invalid botIds setting. Expected an object with "allow" and/or "deny" arrays of bot IDs (B followed by at least 8 letters or digits)`;
+      logger.error(`Configuration error: ${errorMessage}`);
+      throw new Error(errorMessage);
+    }
+  }
+
+  /**
+   * Validate the bots shown or hidden where bot messages are included
+   * @param {*} setting - Object with optional "allow" and "deny" arrays of bot IDs
+   * @returns {boolean} True if the setting is valid
+   */
+  isValidBotIdsSetting(setting) {
+    if (!setting || typeof setting !== 'object' || Array.isArray(setting)) {
+      return false;
+    }
+    return Object.entries(setting).every(
+      ([key, botIds]) =>
+        ['allow', 'deny'].includes(key) &&
+        Array.isArray(botIds) &&
+        botIds.every((botId) => typeof botId === 'string' && BOT_ID_PATTERN.test(botId))
+    );
+  }
+
+  /**
+   * Validate startup history setting
+   * @param {*} setting - Number of messages, duration string, or object mapping channel IDs
+   *   (or "default") to either
+   * @returns {boolean} True if the setting is valid
+   */
+  isValidBackfillSetting(setting) {
+    const isValidValue = (value) =>
+      (Number.isInteger(value) && value >= 0 && value <= MAX_BACKFILL_MESSAGES) ||
+      parseDuration(value) !== null;
+
+    if (setting && typeof setting === 'object' && !Array.isArray(setting)) {
+      return Object.values(setting).every(isValidValue);
+    }
+    return isValidValue(setting);
+  }
+
+  /**
+   * Validate a switch set for all channels or per channel, such as threadReplies and bots
+   * @param {*} setting - Boolean, or object mapping channel IDs (or "default") to booleans
+   * @returns {boolean} True if the setting is valid
+   */
+  isValidPerChannelBoolean(setting) {
+    if (typeof setting === 'boolean') {
+      return true;
+    }
+    if (!setting || typeof setting !== 'object' || Array.isArray(setting)) {
+      return false;
+    }
+    return Object.values(setting).every((value) => typeof value === 'boolean');
   }
 
   /**
@@ -158,8 +608,8 @@ export class ConfigurationManager {
    * @returns {boolean} True if channel ID format is valid
    */
   isValidChannelId(channelId) {
-    // Slack channel ID format: C followed by 10 alphanumeric characters
-    return /^C[A-Z0-9]{10}$/.test(channelId);
+    // Channels, private channels, DMs and group DMs; the conversation type is checked on connect
+    return typeof channelId === 'string' && CONVERSATION_ID_PATTERN.test(channelId);
   }
 
   /**
@@ -268,6 +718,63 @@ export class ConfigurationManager {
     return validTeams;
   }
 
+  /**
+   * Narrow team configurations down to the requested teams and channels
+   * @param {Object} teamConfigs - Team configurations to filter
+   * @param {Object} [selection] - Selection criteria
+   * @param {string[]} [selection.teams] - Team names to keep (all teams when empty)
+   * @param {string[]} [selection.channels] - Conversation IDs and channel names to keep (all
+   *   channels when empty). Those selected through names or wildcards are passed on as
+   *   channelFilter, restricting what the team's entries match.
+   * @returns {Object} Object containing only the selected team configurations
+   * @throws {Error} If a requested team or channel is not configured
+   */
+  filterTeamConfigs(teamConfigs, { teams = [], channels = [] } = {}) {
+    for (const teamName of teams) {
+      if (!teamConfigs[teamName]) {
+        const errorMessage = `Team "${teamName}" not found in configuration`;
+        logger.error(errorMessage);
+        throw new Error(errorMessage);
+      }
+    }
+
+    const selectedTeams = {};
+    const matchedChannels = new Set();
+
+    for (const [teamName, teamConfig] of Object.entries(teamConfigs)) {
+      if (teams.length > 0 && !teams.includes(teamName)) {
+        continue;
+      }
+
+      if (channels.length === 0) {
+        selectedTeams[teamName] = teamConfig;
+        continue;
+      }
+
+      const selector = new ChannelSelector(teamConfig.channels);
+      const narrowed = selector.narrow(channels);
+      if (narrowed) {
+        selectedTeams[teamName] = { ...teamConfig, channels: narrowed.entries };
+        if (narrowed.only) {
+          selectedTeams[teamName].channelFilter = narrowed.only;
+        }
+        for (const channel of channels.filter((target) => selector.canSelect(target))) {
+          matchedChannels.add(channel);
+        }
+      }
+    }
+
+    for (const channelId of channels) {
+      if (!matchedChannels.has(channelId)) {
+        const errorMessage = `Channel ${channelId} is not configured for the selected team(s)`;
+        logger.error(errorMessage);
+        throw new Error(errorMessage);
+      }
+    }
+
+    return selectedTeams;
+  }
+
   /**
    * Check if configuration file exists
    * @returns {boolean} True if configuration file exists
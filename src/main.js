@@ -1,8 +1,18 @@
 #!/usr/bin/env node
 
-import { ConfigurationManager } from './config/ConfigurationManager.js';
+import { realpathSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { CommandLineInterface } from './cli/CommandLineInterface.js';
+import { BUILTIN_HANDLERS, ConfigurationManager } from './config/ConfigurationManager.js';
+import { HandlerLoader } from './message/HandlerLoader.js';
+import { MessageFilter } from './message/MessageFilter.js';
 import { MessageProcessor } from './message/MessageProcessor.js';
+import { MessageRouter } from './message/MessageRouter.js';
 import { ConsoleOutputHandler } from './message/handlers/ConsoleOutputHandler.js';
+import { NotificationHandler } from './message/handlers/NotificationHandler.js';
+import { SpeechHandler } from './message/handlers/SpeechHandler.js';
+import { DEFAULT_STATE_FILE, StateStore } from './state/StateStore.js';
 import { TeamManager } from './team/TeamManager.js';
 import { logger } from './utils/Logger.js';
 
@@ -11,30 +21,57 @@ import { logger } from './utils/Logger.js';
  * Main entry point for the Slack Aggregator CLI tool
  */
 class SlaggApp {
-  constructor() {
-    this.configManager = new ConfigurationManager();
+  /**
+   * @param {Object} [options] - Parsed command-line options
+   * @param {string} [options.configPath] - Path to the configuration file
+   * @param {string[]} [options.teams] - Team names to connect (all teams when empty)
+   * @param {string[]} [options.channels] - Channel IDs to monitor (all channels when empty)
+   * @param {string} [options.format] - Console output format, overriding handlers.console.format
+   * @param {string} [options.color] - Color mode, overriding handlers.console.color
+   * @param {boolean} [options.sinceLastRun] - Start with the messages missed since the last run
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.configManager = new ConfigurationManager(options.configPath);
     this.teamManager = new TeamManager();
     this.messageProcessor = new MessageProcessor();
+    this.config = null;
+    this.teamConfigs = null;
+    this.speechHandler = null;
+    this.stateStore = null;
     this.isShuttingDown = false;
   }
 
+  /**
+   * Load configuration and select the teams and channels to monitor
+   * @returns {Object} Selected team configurations
+   * @throws {Error} If the configuration is invalid
+   */
+  loadConfiguration() {
+    this.config = this.configManager.loadConfig();
+    this.teamConfigs = this.configManager.filterTeamConfigs(
+      this.configManager.getValidTeamConfigs(),
+      this.options
+    );
+    return this.teamConfigs;
+  }
+
   /**
    * Initialize the application
    * @returns {Promise<void>}
    */
   async initialize() {
     try {
-      // Load configuration
-      const config = this.configManager.loadConfig();
-
-      // Get valid team configurations
-      const teamConfigs = this.configManager.getValidTeamConfigs();
+      // Load configuration unless the CLI has already loaded it
+      const teamConfigs = this.teamConfigs || this.loadConfiguration();
+      const config = this.config;
 
       // Initialize message processor with handlers
-      this.setupMessageHandlers(config);
+      await this.setupMessageHandlers(config);
+      await this.messageProcessor.startHandlers();
 
-      // Initialize team manager
-      await this.teamManager.initialize(teamConfigs);
+      // Initialize team manager, with the state kept from the previous run
+      await this.teamManager.initialize(teamConfigs, this.setupState(config));
       this.teamManager.setMessageProcessor(this.messageProcessor);
 
       // Display startup status
@@ -52,27 +89,162 @@ class SlaggApp {
   async start() {
     try {
       await this.initialize();
-      await this.teamManager.connectAllTeams();
 
-      // Setup graceful shutdown handlers
+      // Setup graceful shutdown handlers, so a signal while connecting also stops the handlers
       this.setupShutdownHandlers();
+      await this.teamManager.connectAllTeams();
     } catch (error) {
       logger.error(`Failed to start application: ${error.message}`);
+      // Let started handlers release their resources, such as running speech processes
+      await this.messageProcessor.stopHandlers({
+        timeoutMs: this.config?.shutdown?.drainTimeoutMs,
+      });
       process.exit(1);
     }
   }
 
   /**
    * Setup message handlers based on configuration
+   * Built-in handlers are created directly; other handlers entries are loaded from their module
    * @param {Object} config - Application configuration
+   * @returns {Promise<void>}
+   * @throws {Error} If a handler plugin cannot be loaded
    */
-  setupMessageHandlers(config) {
+  async setupMessageHandlers(config) {
     const handlerConfigs = config.handlers || {};
 
+    // Global filter, evaluated before any handler
+    if (config.filters) {
+      this.messageProcessor.setFilter(new MessageFilter(config.filters));
+    }
+
     // Setup console output handler (default enabled)
     const consoleConfig = handlerConfigs.console || { enabled: true };
-    const consoleHandler = new ConsoleOutputHandler(consoleConfig.enabled);
+    const consoleHandler = new ConsoleOutputHandler(consoleConfig.enabled, {
+      format: this.options.format || consoleConfig.format,
+      template: consoleConfig.template,
+      color: this.options.color || consoleConfig.color,
+      colors: consoleConfig.colors,
+      highlight: consoleConfig.highlight,
+      timestamp: consoleConfig.timestamp,
+      timeZone: consoleConfig.timeZone,
+      daySeparators: consoleConfig.daySeparators,
+    });
     this.messageProcessor.registerHandler(consoleHandler);
+
+    // Setup desktop notification handler (default disabled)
+    const notificationConfig = handlerConfigs.notification || { enabled: false };
+    const notificationHandler = new NotificationHandler(
+      notificationConfig.enabled,
+      notificationConfig
+    );
+    this.messageProcessor.registerHandler(notificationHandler);
+
+    // Setup text-to-speech handler (default disabled)
+    const speechConfig = handlerConfigs.speech || { enabled: false };
+    this.speechHandler = new SpeechHandler(
+      speechConfig.enabled,
+      speechConfig.command,
+      speechConfig
+    );
+    this.messageProcessor.registerHandler(this.speechHandler);
+
+    // Handlers by configuration key, as referenced by handler filters and routing rules
+    const handlersByKey = {
+      console: consoleHandler,
+      notification: notificationHandler,
+      speech: this.speechHandler,
+    };
+
+    // Setup handler plugins (loaded from their module, skipped when disabled)
+    const loader = new HandlerLoader({
+      baseDir: dirname(resolve(this.configManager.configPath)),
+    });
+    for (const [key, pluginConfig] of Object.entries(handlerConfigs)) {
+      if (BUILTIN_HANDLERS.includes(key) || pluginConfig.enabled === false) {
+        continue;
+      }
+      handlersByKey[key] = await this.setupPluginHandler(loader, key, pluginConfig);
+    }
+
+    // Per-handler delivery policies and filters (filters run after the global filter)
+    for (const [key, handler] of Object.entries(handlersByKey)) {
+      const handlerConfig = handlerConfigs[key] || {};
+      this.messageProcessor.setHandlerPolicy(handler.getName(), {
+        timeoutMs: handlerConfig.timeoutMs,
+        failureThreshold: handlerConfig.failureThreshold,
+        resetTimeoutMs: handlerConfig.resetTimeoutMs,
+        queueSize: handlerConfig.queueSize,
+        queueOverflow: handlerConfig.queueOverflow,
+      });
+      if (handlerConfig.filter) {
+        this.messageProcessor.setHandlerFilter(
+          handler.getName(),
+          new MessageFilter(handlerConfig.filter)
+        );
+      }
+    }
+
+    // Routing rules choosing handlers per message
+    if (config.routing) {
+      const aliases = Object.fromEntries(
+        Object.entries(handlersByKey).map(([key, handler]) => [key, handler.getName()])
+      );
+      this.messageProcessor.setRouter(new MessageRouter(config.routing, { aliases }));
+    }
+
+    // Reorder window putting live messages from all teams in timestamp order
+    if (config.ordering?.windowMs) {
+      this.messageProcessor.setReorderWindow(config.ordering.windowMs);
+    }
+  }
+
+  /**
+   * Open the state file keeping last-seen positions and names between runs
+   * The file lives next to the configuration file unless state.path says otherwise.
+   * @param {Object} config - Application configuration
+   * @returns {{stateStore: StateStore|null, sinceLastRun: boolean}} Team manager options
+   * @throws {Error} If --since-last-run is used while the state file is disabled
+   */
+  setupState(config) {
+    const sinceLastRun = Boolean(this.options.sinceLastRun);
+
+    if (config.state?.enabled === false) {
+      if (sinceLastRun) {
+        throw new Error(
+          '--since-last-run needs the state file, which is disabled in the configuration'
+        );
+      }
+      return { stateStore: null, sinceLastRun };
+    }
+
+    const filePath = resolve(
+      dirname(resolve(this.configManager.configPath)),
+      config.state?.path ?? DEFAULT_STATE_FILE
+    );
+    this.stateStore = new StateStore(filePath).load();
+    return { stateStore: this.stateStore, sinceLastRun };
+  }
+
+  /**
+   * Load a handler plugin and register it
+   * @param {HandlerLoader} loader - Loader for handler modules
+   * @param {string} key - Key of the handler in the handlers section
+   * @param {Object} pluginConfig - Configuration block of the handler
+   * @returns {Promise<MessageHandler>} The registered handler
+   * @throws {Error} If the plugin cannot be loaded or has a conflicting name
+   */
+  async setupPluginHandler(loader, key, pluginConfig) {
+    const handler = await loader.load(key, pluginConfig);
+
+    const handlerName = handler.getName();
+    if (this.messageProcessor.getHandler(handlerName)) {
+      throw new Error(`Handler "${key}" uses the name "${handlerName}", which is already taken`);
+    }
+
+    this.messageProcessor.registerHandler(handler);
+    logger.info(`Loaded handler "${key}" from ${pluginConfig.module}`);
+    return handler;
   }
 
   /**
@@ -104,7 +276,13 @@ class SlaggApp {
       logger.info(`Received ${signal}, shutting down gracefully...`);
 
       try {
+        // Stop receiving first, then let handlers finish what they have; handlers that do not
+        // finish in time are still stopped, briefly, before exiting
         await this.teamManager.shutdown();
+        await this.messageProcessor.stopHandlers({
+          timeoutMs: this.config?.shutdown?.drainTimeoutMs,
+        });
+        this.stateStore?.flush();
         process.exit(0);
       } catch (error) {
         logger.error(`Error during shutdown: ${error.message}`);
@@ -121,12 +299,36 @@ class SlaggApp {
  * Main function to run the application
  */
 async function main() {
-  const app = new SlaggApp();
-  await app.start();
+  const cli = new CommandLineInterface({
+    createApp: (options) => new SlaggApp(options),
+  });
+  const exitCode = await cli.run(process.argv.slice(2));
+
+  // The run command keeps streaming until a shutdown signal arrives
+  if (exitCode !== null) {
+    // Let pending stdout writes flush before exiting
+    process.stdout.write('', () => process.exit(exitCode));
+  }
+}
+
+/**
+ * Check whether this file was started as the program, directly or through a symlink such as
+ * the one npm installs for the slagg command
+ * @returns {boolean} True if this file is the entry point
+ */
+function isEntryPoint() {
+  if (!process.argv[1]) {
+    return false;
+  }
+  try {
+    return realpathSync(fileURLToPath(import.meta.url)) === realpathSync(process.argv[1]);
+  } catch (error) {
+    return false;
+  }
 }
 
 // Run the application if this file is executed directly
-if (import.meta.url === `file://${process.argv[1]}`) {
+if (isEntryPoint()) {
   main().catch((error) => {
     logger.error(`Application failed: ${error.message}`);
     process.exit(1);
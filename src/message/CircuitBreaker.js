@@ -0,0 +1,101 @@
+/**
+ * Circuit states
+ * - closed: calls go through
+ * - open: calls are rejected until the reset timeout has passed
+ * - half-open: a single trial call goes through to decide whether to close again
+ */
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open',
+};
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 30000;
+
+/**
+ * CircuitBreaker stops calling something after consecutive failures and retries it later
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} [options] - Breaker options
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+   * @param {number} [options.resetTimeoutMs=30000] - Time the circuit stays open before a trial
+   * @param {Function} [options.now=Date.now] - Clock, replaceable in tests
+   */
+  constructor({
+    failureThreshold = DEFAULT_FAILURE_THRESHOLD,
+    resetTimeoutMs = DEFAULT_RESET_TIMEOUT_MS,
+    now = Date.now,
+  } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.now = now;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.isTrialRunning = false;
+  }
+
+  /**
+   * Ask whether a call may go through, moving an expired open circuit to half-open
+   * In half-open state only one trial call is allowed until its outcome is recorded
+   * @returns {boolean} True if the call may go through
+   */
+  tryAcquire() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (this.now() - this.openedAt < this.resetTimeoutMs) {
+        return false;
+      }
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.isTrialRunning) {
+        return false;
+      }
+      this.isTrialRunning = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful call
+   * @returns {boolean} True if this success closed a half-open circuit
+   */
+  recordSuccess() {
+    const wasHalfOpen = this.state === CIRCUIT_STATES.HALF_OPEN;
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.isTrialRunning = false;
+    return wasHalfOpen;
+  }
+
+  /**
+   * Record a failed call
+   * @returns {boolean} True if this failure opened the circuit
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.isTrialRunning = false;
+
+    const shouldOpen =
+      this.state === CIRCUIT_STATES.HALF_OPEN ||
+      (this.state === CIRCUIT_STATES.CLOSED && this.consecutiveFailures >= this.failureThreshold);
+    if (shouldOpen) {
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = this.now();
+    }
+    return shouldOpen;
+  }
+
+  /**
+   * Get the time at which an open circuit allows a trial call
+   * @returns {number|null} Time in milliseconds, or null unless the circuit is open
+   */
+  getRetryAt() {
+    return this.state === CIRCUIT_STATES.OPEN ? this.openedAt + this.resetTimeoutMs : null;
+  }
+}
@@ -0,0 +1,190 @@
+import { Chalk } from 'chalk';
+
+/**
+ * Values accepted by --color and handlers.console.color
+ */
+export const COLOR_MODES = ['auto', 'always', 'never'];
+
+/**
+ * Colors used for hashed team, channel and user names
+ * Black, white and gray are left out so names stay readable on dark and light terminals
+ */
+export const PALETTE = [
+  'red',
+  'green',
+  'yellow',
+  'blue',
+  'magenta',
+  'cyan',
+  'redBright',
+  'greenBright',
+  'yellowBright',
+  'blueBright',
+  'magentaBright',
+  'cyanBright',
+];
+
+// Color names accepted in overrides, in addition to #rrggbb hex colors
+const NAMED_COLORS = [...PALETTE, 'black', 'white', 'gray', 'blackBright', 'whiteBright'];
+
+/**
+ * ColorScheme decides the colors of console output
+ * Team, channel and user names get a stable color derived from their name unless overridden,
+ * and configured keywords are highlighted in message text
+ */
+export class ColorScheme {
+  /**
+   * @param {Object} [options] - Color options
+   * @param {boolean} [options.enabled=false] - Whether to emit colors at all
+   * @param {Object} [options.teams] - Color overrides keyed by team name
+   * @param {Object} [options.channels] - Color overrides keyed by channel name
+   * @param {Object} [options.users] - Color overrides keyed by user name
+   * @param {string[]} [options.keywords] - Keywords to highlight in message text (case-insensitive)
+   */
+  constructor({ enabled = false, teams = {}, channels = {}, users = {}, keywords = [] } = {}) {
+    this.enabled = enabled;
+    this.chalk = new Chalk({ level: enabled ? 1 : 0 });
+    this.overrides = { teams, channels, users };
+    this.keywordPattern = this._buildKeywordPattern(keywords);
+  }
+
+  /**
+   * Decide whether output should be colored
+   * NO_COLOR and FORCE_COLOR only apply in auto mode, where a terminal is required otherwise
+   * @param {string} [mode='auto'] - 'auto', 'always' or 'never'
+   * @param {Object} [context] - Environment to inspect
+   * @param {Object} [context.env] - Environment variables (default: process.env)
+   * @param {Object} [context.stream] - Output stream (default: process.stdout)
+   * @returns {boolean} True if colors should be used
+   */
+  static isColorEnabled(mode = 'auto', { env = process.env, stream = process.stdout } = {}) {
+    if (mode === 'always') {
+      return true;
+    }
+    if (mode === 'never') {
+      return false;
+    }
+
+    // https://no-color.org: any non-empty value disables color
+    if (env.NO_COLOR) {
+      return false;
+    }
+    if (env.FORCE_COLOR !== undefined) {
+      return !['0', 'false'].includes(env.FORCE_COLOR);
+    }
+    return Boolean(stream?.isTTY);
+  }
+
+  /**
+   * Check whether a color name or hex color can be used in overrides
+   * @param {string} color - Color name such as "cyan" or hex color such as "#ff8800"
+   * @returns {boolean} True if the color is supported
+   */
+  static isValidColor(color) {
+    return (
+      typeof color === 'string' && (NAMED_COLORS.includes(color) || /^#[0-9a-f]{6}$/i.test(color))
+    );
+  }
+
+  /**
+   * Color a team name
+   * @param {string} team - Team name
+   * @returns {string} Colored team name
+   */
+  team(team) {
+    return this._colorize(team, this.overrides.teams[team] || this._hashColor(team));
+  }
+
+  /**
+   * Color a channel name, hashed together with its team so equal names in different teams differ
+   * @param {string} team - Team name
+   * @param {string} channel - Channel name
+   * @returns {string} Colored channel name
+   */
+  channel(team, channel) {
+    return this._colorize(
+      channel,
+      this.overrides.channels[channel] || this._hashColor(`${team}/${channel}`)
+    );
+  }
+
+  /**
+   * Color a user name
+   * @param {string} user - User name
+   * @returns {string} Colored user name
+   */
+  user(user) {
+    return this._colorize(user, this.overrides.users[user] || this._hashColor(user));
+  }
+
+  /**
+   * De-emphasize secondary text such as timestamps and separators
+   * @param {string} text - Text to dim
+   * @returns {string} Gray text, or the text unchanged when colors are disabled
+   */
+  muted(text) {
+    return this.enabled ? this.chalk.gray(text) : text;
+  }
+
+  /**
+   * Highlight configured keywords in message text
+   * @param {string} text - Message text
+   * @returns {string} Text with keywords highlighted
+   */
+  highlight(text) {
+    if (!this.enabled || !this.keywordPattern) {
+      return text;
+    }
+    return text.replace(this.keywordPattern, (keyword) => this.chalk.bgYellow.black(keyword));
+  }
+
+  /**
+   * Apply a color to a value
+   * @private
+   * @param {string} value - Text to color
+   * @param {string} color - Color name or hex color
+   * @returns {string} Colored text, or the value unchanged when colors are disabled
+   */
+  _colorize(value, color) {
+    if (!this.enabled || typeof value !== 'string' || value.length === 0) {
+      return value;
+    }
+    if (color.startsWith('#')) {
+      return this.chalk.hex(color)(value);
+    }
+    return this.chalk[color](value);
+  }
+
+  /**
+   * Pick a palette color from a name, stable across runs
+   * @private
+   * @param {string} name - Name to hash
+   * @returns {string} Palette color name
+   */
+  _hashColor(name) {
+    // FNV-1a
+    let hash = 0x811c9dc5;
+    for (const character of String(name)) {
+      hash ^= character.codePointAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return PALETTE[hash % PALETTE.length];
+  }
+
+  /**
+   * Build a single case-insensitive pattern matching any keyword as a whole word
+   * @private
+   * @param {string[]} keywords - Keywords to highlight
+   * @returns {RegExp|null} Pattern, or null when there are no keywords
+   */
+  _buildKeywordPattern(keywords) {
+    const escaped = keywords
+      .filter((keyword) => typeof keyword === 'string' && keyword.length > 0)
+      .map((keyword) => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    if (escaped.length === 0) {
+      return null;
+    }
+    return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${escaped.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+  }
+}
@@ -0,0 +1,208 @@
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { dirname, isAbsolute, join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+// Methods a handler class must implement, as checked by MessageProcessor#registerHandler
+const HANDLER_METHODS = ['handle', 'getName', 'isEnabled'];
+
+// Package export conditions import() matches, see resolveSpecifier
+const IMPORT_CONDITIONS = ['import', 'node', 'default'];
+
+/**
+ * HandlerLoader loads handler plugins configured with a "module" in the handlers section, e.g.
+ * { "archive": { "module": "./handlers/archive.js", "enabled": true, "path": "archive.log" } }
+ *
+ * The module is a file path (relative to the configuration file) or a package name installed
+ * next to the configuration file, and must export a handler class, as its default export or as a
+ * named export. The class does not have to extend MessageHandler, but must implement handle(),
+ * getName() and isEnabled(). It is constructed with its configuration block.
+ */
+export class HandlerLoader {
+  /**
+   * @param {Object} [options] - Loader options
+   * @param {string} [options.baseDir=process.cwd()] - Directory relative module paths start from
+   * @param {Function} [options.importModule] - Module importer (default: dynamic import())
+   */
+  constructor({ baseDir = process.cwd(), importModule = (specifier) => import(specifier) } = {}) {
+    this.baseDir = baseDir;
+    this.importModule = importModule;
+  }
+
+  /**
+   * Load a handler plugin and create its instance
+   * @param {string} key - Key of the handler in the handlers section
+   * @param {Object} config - Configuration block of the handler, including module
+   * @returns {Promise<MessageHandler>} Handler instance
+   * @throws {Error} If the module cannot be imported or does not export a handler class
+   */
+  async load(key, config) {
+    const specifier = this.resolveSpecifier(config.module);
+
+    let exports;
+    try {
+      exports = await this.importModule(specifier);
+    } catch (error) {
+      throw new Error(
+        `Handler "${key}" could not load module "${config.module}": ${error.message}`
+      );
+    }
+
+    const HandlerClass = this._findHandlerClass(exports);
+    if (!HandlerClass) {
+      throw new Error(
+        `Handler "${key}" module "${config.module}" must export a class implementing handle, getName and isEnabled`
+      );
+    }
+
+    return new HandlerClass(config);
+  }
+
+  /**
+   * Turn a module path or package name into an import() specifier
+   * Package names are resolved from the base directory, as import() would resolve them from
+   * slagg's own location. Packages with "exports" are resolved with the conditions of import(),
+   * so packages exporting only an "import" entry are found too; others are resolved like
+   * require() does.
+   * @param {string} module - Module path or package name from the configuration
+   * @returns {string} File URL, or the package name unchanged if it cannot be resolved from the
+   *   base directory
+   */
+  resolveSpecifier(module) {
+    if (module.startsWith('.') || isAbsolute(module)) {
+      return pathToFileURL(resolve(this.baseDir, module)).href;
+    }
+
+    const exportedPath = this._resolvePackageExports(module);
+    if (exportedPath) {
+      return pathToFileURL(exportedPath).href;
+    }
+
+    try {
+      const require = createRequire(pathToFileURL(join(this.baseDir, 'noop.js')));
+      return pathToFileURL(require.resolve(module)).href;
+    } catch (error) {
+      // Left to import(), which reports packages that cannot be found
+      return module;
+    }
+  }
+
+  /**
+   * Resolve a package name through the "exports" of the nearest installed package of that name
+   * @private
+   * @param {string} module - Package name, optionally followed by a subpath
+   * @returns {string|null} File path, or null if the package is not installed, has no "exports"
+   *   or does not export the subpath for import()
+   */
+  _resolvePackageExports(module) {
+    const parts = module.split('/');
+    const nameLength = module.startsWith('@') ? 2 : 1;
+    const packageName = parts.slice(0, nameLength).join('/');
+    const subpath = ['.', ...parts.slice(nameLength)].join('/');
+
+    for (let dir = resolve(this.baseDir); ; dir = dirname(dir)) {
+      const packageDir = join(dir, 'node_modules', packageName);
+      let manifest;
+      try {
+        manifest = JSON.parse(readFileSync(join(packageDir, 'package.json'), 'utf8'));
+      } catch (error) {
+        if (dir === dirname(dir)) {
+          return null;
+        }
+        continue;
+      }
+
+      if (manifest.exports === undefined || manifest.exports === null) {
+        return null;
+      }
+      const { target, match } = this._getSubpathExport(manifest.exports, subpath);
+      const path = this._resolveExportTarget(target);
+      return path ? join(packageDir, path.replaceAll('*', match)) : null;
+    }
+  }
+
+  /**
+   * Find the export of a subpath in a package's "exports", including "*" patterns
+   * @private
+   * @param {string|Object|Array} exports - The "exports" field
+   * @param {string} subpath - Subpath such as "." or "./feature"
+   * @returns {{target: *, match: string}} Export target, undefined if the subpath is not
+   *   exported, and the part of the subpath matching "*" in a pattern
+   */
+  _getSubpathExport(exports, subpath) {
+    const isSubpathMap =
+      typeof exports === 'object' &&
+      !Array.isArray(exports) &&
+      Object.keys(exports).some((key) => key.startsWith('.'));
+    if (!isSubpathMap) {
+      return { target: subpath === '.' ? exports : undefined, match: '' };
+    }
+
+    if (exports[subpath] !== undefined) {
+      return { target: exports[subpath], match: '' };
+    }
+    for (const [key, target] of Object.entries(exports)) {
+      const [prefix, suffix, ...rest] = key.split('*');
+      if (
+        suffix !== undefined &&
+        rest.length === 0 &&
+        subpath.length >= key.length - 1 &&
+        subpath.startsWith(prefix) &&
+        subpath.endsWith(suffix)
+      ) {
+        return { target, match: subpath.slice(prefix.length, subpath.length - suffix.length) };
+      }
+    }
+    return { target: undefined, match: '' };
+  }
+
+  /**
+   * Pick the file of an export target matching the conditions of import()
+   * Conditions are tried in the order the package lists them, as Node.js does.
+   * @private
+   * @param {string|Object|Array|null|undefined} target - Export target
+   * @returns {string|null} Path relative to the package directory, or null if nothing matches
+   */
+  _resolveExportTarget(target) {
+    if (typeof target === 'string') {
+      return target;
+    }
+    if (Array.isArray(target)) {
+      for (const candidate of target) {
+        const path = this._resolveExportTarget(candidate);
+        if (path) {
+          return path;
+        }
+      }
+      return null;
+    }
+    if (target && typeof target === 'object') {
+      for (const [condition, candidate] of Object.entries(target)) {
+        if (IMPORT_CONDITIONS.includes(condition)) {
+          const path = this._resolveExportTarget(candidate);
+          if (path) {
+            return path;
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Pick the handler class from a module's exports, preferring the default export
+   * @private
+   * @param {Object} exports - Module namespace
+   * @returns {Function|null} Handler class, or null if there is none
+   */
+  _findHandlerClass(exports) {
+    const candidates = [exports.default, ...Object.values(exports)];
+    return (
+      candidates.find(
+        (candidate) =>
+          typeof candidate === 'function' &&
+          HANDLER_METHODS.every((method) => typeof candidate.prototype?.[method] === 'function')
+      ) || null
+    );
+  }
+}
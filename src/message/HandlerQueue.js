@@ -0,0 +1,219 @@
+import { logger } from '../utils/Logger.js';
+
+/**
+ * What a full queue does with a new message
+ * - drop-oldest: discard the oldest waiting message to make room
+ * - drop-newest: discard the new message
+ * - block: make the producer wait until there is room
+ * - summarize: like drop-oldest, but report the number of skipped messages once the queue
+ *   has caught up instead of warning when it fills
+ */
+export const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'block', 'summarize'];
+
+/**
+ * Default number of messages that may wait for a handler
+ */
+export const DEFAULT_QUEUE_SIZE = 100;
+
+/**
+ * HandlerQueue is the bounded in-memory queue of a single handler, with a worker delivering
+ * one message at a time in arrival order
+ */
+export class HandlerQueue {
+  /**
+   * @param {string} name - Handler name, used in log messages
+   * @param {Function} deliver - Async function delivering one message
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.maxSize=100] - Maximum number of waiting messages
+   * @param {string} [options.overflow='drop-oldest'] - Overflow policy (see OVERFLOW_POLICIES)
+   */
+  constructor(name, deliver, { maxSize = DEFAULT_QUEUE_SIZE, overflow = 'drop-oldest' } = {}) {
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new Error(
+        `Overflow policy "${overflow}" is invalid. Expected one of: ${OVERFLOW_POLICIES.join(', ')}`
+      );
+    }
+
+    this.name = name;
+    this.deliver = deliver;
+    this.maxSize = maxSize;
+    this.overflow = overflow;
+    this.items = []; // Waiting entries, oldest first
+    this.blocked = []; // Entries of producers waiting for room, with the 'block' policy
+    this.isRunning = false;
+    this.idleWaiters = [];
+    this.isOverflowing = false; // Whether messages were dropped since the queue last emptied
+    this.droppedInBurst = 0;
+    this.stats = { enqueued: 0, processed: 0, dropped: 0, maxDepth: 0 };
+  }
+
+  /**
+   * Add a message to the queue, applying the overflow policy when it is full
+   * @param {Object} message - The message
+   * @returns {Promise<{done: Promise<boolean>}>} Resolves once the message has been accepted or
+   *   dropped; done resolves to true after delivery, or false if the message was dropped
+   */
+  push(message) {
+    const entry = this._createEntry(message);
+    this.stats.enqueued++;
+
+    if (this.items.length < this.maxSize && this.blocked.length === 0) {
+      this._append(entry);
+      return Promise.resolve(entry);
+    }
+
+    switch (this.overflow) {
+      case 'block':
+        return new Promise((resolve) => this.blocked.push({ entry, resolve }));
+      case 'drop-newest':
+        this._drop(entry);
+        return Promise.resolve(entry);
+      default:
+        this._drop(this.items.shift());
+        this._append(entry);
+        return Promise.resolve(entry);
+    }
+  }
+
+  /**
+   * Get the number of waiting messages, not counting the one being delivered
+   * @returns {number} Queue depth
+   */
+  getDepth() {
+    return this.items.length + this.blocked.length;
+  }
+
+  /**
+   * Get queue metrics
+   * @returns {{depth: number, maxDepth: number, capacity: number, overflow: string,
+   *   enqueued: number, processed: number, dropped: number}} Metrics
+   */
+  getStats() {
+    return {
+      depth: this.getDepth(),
+      maxDepth: this.stats.maxDepth,
+      capacity: this.maxSize,
+      overflow: this.overflow,
+      enqueued: this.stats.enqueued,
+      processed: this.stats.processed,
+      dropped: this.stats.dropped,
+    };
+  }
+
+  /**
+   * Wait until every accepted message has been delivered
+   * @returns {Promise<void>}
+   */
+  onIdle() {
+    if (!this.isRunning && this.getDepth() === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Deliver waiting messages one at a time until the queue is empty
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _run() {
+    this.isRunning = true;
+
+    while (this.items.length > 0) {
+      const entry = this.items.shift();
+      this._admitBlocked();
+      try {
+        await this.deliver(entry.message);
+      } catch (error) {
+        logger.error(`Handler ${this.name} failed: ${error?.message ?? error}`);
+      }
+      this.stats.processed++;
+      entry.resolve(true);
+    }
+
+    this.isRunning = false;
+    this._endBurst();
+    for (const resolve of this.idleWaiters.splice(0)) {
+      resolve();
+    }
+  }
+
+  /**
+   * Create a queue entry tracking the delivery of a message
+   * @private
+   * @param {Object} message - The message
+   * @returns {{message: Object, done: Promise<boolean>, resolve: Function}} Entry
+   */
+  _createEntry(message) {
+    let resolve;
+    const done = new Promise((resolveDone) => {
+      resolve = resolveDone;
+    });
+    return { message, done, resolve };
+  }
+
+  /**
+   * Append an entry and start the worker if it is not running
+   * @private
+   * @param {Object} entry - Queue entry
+   */
+  _append(entry) {
+    this.items.push(entry);
+    this.stats.maxDepth = Math.max(this.stats.maxDepth, this.getDepth());
+
+    if (!this.isRunning) {
+      this._run();
+    }
+  }
+
+  /**
+   * Move the first blocked producer's message into the freed slot, keeping arrival order
+   * @private
+   */
+  _admitBlocked() {
+    const waiting = this.blocked.shift();
+    if (waiting) {
+      this.items.push(waiting.entry);
+      waiting.resolve(waiting.entry);
+    }
+  }
+
+  /**
+   * Discard an entry, warning when the queue starts overflowing
+   * @private
+   * @param {Object} entry - Queue entry
+   */
+  _drop(entry) {
+    this.stats.dropped++;
+    this.droppedInBurst++;
+    entry.resolve(false);
+
+    if (!this.isOverflowing) {
+      this.isOverflowing = true;
+      if (this.overflow !== 'summarize') {
+        const which = this.overflow === 'drop-newest' ? 'newest' : 'oldest';
+        logger.warn(
+          `Handler ${this.name} queue is full (${this.maxSize} messages); dropping ${which} messages`
+        );
+      }
+    }
+  }
+
+  /**
+   * Report dropped messages once the queue has caught up
+   * @private
+   */
+  _endBurst() {
+    if (!this.isOverflowing) {
+      return;
+    }
+
+    if (this.overflow === 'summarize') {
+      logger.warn(
+        `Handler ${this.name} skipped ${this.droppedInBurst} message(s) while its queue was full`
+      );
+    }
+    this.isOverflowing = false;
+    this.droppedInBurst = 0;
+  }
+}
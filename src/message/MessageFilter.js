@@ -0,0 +1,60 @@
+import { MessagePredicate } from './MessagePredicate.js';
+
+/**
+ * MessageFilter decides which messages pass, from include and exclude criteria such as
+ * { "include": { "channels": ["#incidents"] }, "exclude": { "users": "@deploy-bot" } }
+ *
+ * A message passes when it matches every include criterion and none of the exclude criteria.
+ * See MessagePredicate for the available criteria.
+ */
+export class MessageFilter {
+  /**
+   * @param {Object} config - Filter configuration
+   * @param {Object} [config.include] - Criteria a message must all match
+   * @param {Object} [config.exclude] - Criteria of which none may match
+   * @throws {Error} If the configuration is invalid
+   */
+  constructor(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Filter must be an object with include and/or exclude criteria');
+    }
+
+    for (const key of Object.keys(config)) {
+      if (key !== 'include' && key !== 'exclude') {
+        throw new Error(`Unknown filter key "${key}". Expected include and/or exclude`);
+      }
+    }
+
+    this.include = config.include ? this._createPredicate('include', config.include, 'all') : null;
+    this.exclude = config.exclude ? this._createPredicate('exclude', config.exclude, 'any') : null;
+  }
+
+  /**
+   * Check whether a message passes the filter
+   * @param {Object} message - The message object
+   * @returns {boolean} True if the message passes
+   */
+  matches(message) {
+    if (this.include && !this.include.matches(message)) {
+      return false;
+    }
+    return !this.exclude?.matches(message);
+  }
+
+  /**
+   * Create a predicate, prefixing errors with the section they came from
+   * @private
+   * @param {string} section - 'include' or 'exclude'
+   * @param {Object} criteria - Criteria of the section
+   * @param {string} mode - Predicate mode
+   * @returns {MessagePredicate} Predicate
+   * @throws {Error} If the criteria are invalid
+   */
+  _createPredicate(section, criteria, mode) {
+    try {
+      return new MessagePredicate(criteria, { mode });
+    } catch (error) {
+      throw new Error(`Invalid ${section} filter: ${error.message}`);
+    }
+  }
+}
@@ -6,13 +6,26 @@ export class MessageHandler {
   /**
    * Handle a message - must be implemented by subclasses
    * @param {Object} message - The message object to handle
+   * @param {string} message.kind - Event kind: 'message', 'edit', 'delete', or 'system' for
+   *   changes to followed channels such as the bot being removed (user and userId are null)
    * @param {string} message.team - Team name
+   * @param {string|null} message.teamId - Slack workspace ID, if known
    * @param {string} message.channel - Channel name
    * @param {string} message.channelId - Channel ID
    * @param {string} message.user - User name
-   * @param {string} message.text - Message text
-   * @param {string} message.timestamp - Slack timestamp
+   * @param {string|null} message.userId - Slack user ID, if known
+   * @param {string|null} message.botId - Slack bot ID for messages from bots and apps
+   * @param {string} message.text - Message text (new text for edits, empty for deletions)
+   * @param {string} message.timestamp - Slack timestamp of the original message
    * @param {Date} message.formattedTime - JavaScript Date object
+   * @param {string|null} message.threadTs - Timestamp of the thread parent, if in a thread
+   * @param {boolean} message.isThreadReply - True if the message is a reply inside a thread
+   * @param {string|null} message.parentSnippet - First words of the thread parent for replies
+   * @param {Object[]} message.files - Attached files with id, name, mimetype and url
+   * @param {string} [message.previousText] - Text before the edit or deletion (edit/delete only)
+   * @param {string} [message.eventTs] - Slack timestamp of the edit or deletion (edit/delete only)
+   * @param {boolean} [message.historical] - True for messages fetched from history on startup
+   * @param {boolean} [message.recovered] - True for messages missed during a connection outage
    * @returns {Promise<void>}
    */
   async handle(message) {
@@ -34,4 +47,29 @@ export class MessageHandler {
   isEnabled() {
     throw new Error('isEnabled method must be implemented by subclass');
   }
+
+  /**
+   * Prepare the handler before the first message, e.g. open files or connections
+   * Optional; the default calls init() when a subclass defines it, as handler plugins may
+   * @returns {Promise<void>}
+   */
+  async start() {
+    await this.init?.();
+  }
+
+  /**
+   * Write out anything buffered; called on shutdown before stop()
+   * Optional; the default does nothing
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+
+  /**
+   * Release resources on shutdown
+   * Optional; the default calls close() when a subclass defines it, as handler plugins may
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    await this.close?.();
+  }
 }
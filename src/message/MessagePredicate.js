@@ -0,0 +1,153 @@
+// Slack wraps links as <https://...>; plain URLs are matched as well for robustness
+const LINK_PATTERN = /<(?:https?|mailto):[^>]+>|https?:\/\/\S+/i;
+
+const THREAD_VALUES = ['replies', 'top-level'];
+
+/**
+ * Criteria understood by MessagePredicate
+ */
+export const CRITERIA = ['teams', 'channels', 'users', 'text', 'thread', 'hasLink', 'hasFile'];
+
+/**
+ * MessagePredicate tests messages against declarative criteria from the configuration
+ *
+ * - teams: team names
+ * - channels: channel names (with or without "#") or channel IDs
+ * - users: user names (with or without "@") or user IDs
+ * - text: regular expression(s) tested case-insensitively against the message text
+ * - thread: "replies" or "top-level"
+ * - hasLink / hasFile: whether the message contains a link / file
+ *
+ * List values match when any entry matches. In 'all' mode every given criterion must match,
+ * in 'any' mode one is enough.
+ */
+export class MessagePredicate {
+  /**
+   * @param {Object} criteria - Criteria keyed by name
+   * @param {Object} [options] - Predicate options
+   * @param {string} [options.mode='all'] - 'all' or 'any'
+   * @throws {Error} If the criteria are invalid
+   */
+  constructor(criteria, { mode = 'all' } = {}) {
+    if (!criteria || typeof criteria !== 'object' || Array.isArray(criteria)) {
+      throw new Error('Criteria must be an object');
+    }
+
+    this.mode = mode;
+    this.tests = Object.entries(criteria).map(([name, value]) => this._createTest(name, value));
+  }
+
+  /**
+   * Check whether a message matches
+   * @param {Object} message - The message object
+   * @returns {boolean} True if the message matches; with no criteria, true in 'all' mode
+   *   and false in 'any' mode
+   */
+  matches(message) {
+    if (this.mode === 'any') {
+      return this.tests.some((test) => test(message));
+    }
+    return this.tests.every((test) => test(message));
+  }
+
+  /**
+   * Build the test function for one criterion
+   * @private
+   * @param {string} name - Criterion name
+   * @param {*} value - Criterion value from the configuration
+   * @returns {Function} Function taking a message and returning a boolean
+   * @throws {Error} If the criterion is unknown or its value is invalid
+   */
+  _createTest(name, value) {
+    switch (name) {
+      case 'teams': {
+        const teams = this._toList(name, value);
+        return (message) => teams.includes(message.team);
+      }
+      case 'channels': {
+        const channels = this._toList(name, value).map((channel) => channel.replace(/^#/, ''));
+        return (message) =>
+          channels.includes(message.channel) || channels.includes(message.channelId);
+      }
+      case 'users': {
+        const users = this._toList(name, value).map((user) => user.replace(/^@/, ''));
+        return (message) => users.includes(message.user) || users.includes(message.userId);
+      }
+      case 'text': {
+        const patterns = this._toList(name, value).map((pattern) => this._compile(pattern));
+        return (message) => {
+          const text = this._getText(message);
+          return patterns.some((pattern) => pattern.test(text));
+        };
+      }
+      case 'thread': {
+        if (!THREAD_VALUES.includes(value)) {
+          throw new Error(`Criterion "thread" must be one of: ${THREAD_VALUES.join(', ')}`);
+        }
+        return (message) => Boolean(message.isThreadReply) === (value === 'replies');
+      }
+      case 'hasLink':
+        this._assertBoolean(name, value);
+        return (message) => LINK_PATTERN.test(this._getText(message)) === value;
+      case 'hasFile':
+        this._assertBoolean(name, value);
+        return (message) => Boolean(message.files?.length) === value;
+      default:
+        throw new Error(`Unknown criterion "${name}". Available criteria: ${CRITERIA.join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the text a message is matched on; deletions are matched on the deleted text
+   * @private
+   * @param {Object} message - The message object
+   * @returns {string} Message text
+   */
+  _getText(message) {
+    return (message.kind === 'delete' ? message.previousText : message.text) || '';
+  }
+
+  /**
+   * Normalize a string or list of strings
+   * @private
+   * @param {string} name - Criterion name
+   * @param {string|string[]} value - Criterion value
+   * @returns {string[]} List of values
+   * @throws {Error} If the value is not a non-empty string or list of strings
+   */
+  _toList(name, value) {
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length === 0 || !list.every((item) => typeof item === 'string' && item.length > 0)) {
+      throw new Error(`Criterion "${name}" must be a string or a non-empty array of strings`);
+    }
+    return list;
+  }
+
+  /**
+   * Compile a case-insensitive text pattern
+   * @private
+   * @param {string} pattern - Regular expression source
+   * @returns {RegExp} Compiled pattern
+   * @throws {Error} If the pattern is not a valid regular expression
+   */
+  _compile(pattern) {
+    try {
+      return new RegExp(pattern, 'iu');
+    } catch (error) {
+      throw new Error(`Criterion "text" has an invalid pattern: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensure a criterion value is a boolean
+   * @private
+   * @param {string} name - Criterion name
+   * @param {*} value - Criterion value
+   * @throws {Error} If the value is not a boolean
+   */
+  _assertBoolean(name, value) {
+    if (typeof value !== 'boolean') {
+      throw new Error(`Criterion "${name}" must be true or false`);
+    }
+  }
+}
@@ -1,10 +1,57 @@
+import { logger } from '../utils/Logger.js';
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { DEFAULT_QUEUE_SIZE, HandlerQueue } from './HandlerQueue.js';
+import { ReorderBuffer } from './ReorderBuffer.js';
+
+/**
+ * Default time allowed for handlers to finish deliveries, flush and stop on shutdown
+ */
+export const DEFAULT_DRAIN_TIMEOUT_MS = 5000;
+
+/**
+ * Time handlers get to stop() when draining timed out, before shutdown carries on without them
+ */
+export const FORCED_STOP_TIMEOUT_MS = 1000;
+
+/**
+ * Default time a handler may take for a single message before it counts as failed
+ */
+export const DEFAULT_HANDLER_TIMEOUT_MS = 10000;
+
 /**
  * MessageProcessor handles message processing and handler management
  * Manages registration of message handlers and processes messages through them
+ * Each handler has a timeout and a circuit breaker, so a hung or failing handler is skipped
+ * for a while instead of stalling or flooding the pipeline
+ * Each handler also has its own bounded queue and worker, so a slow handler neither holds up the
+ * others nor the caller, and every handler sees messages in arrival order
  */
 export class MessageProcessor {
-  constructor() {
+  /**
+   * @param {Object} [options] - Default delivery policy for all handlers
+   * @param {number} [options.timeoutMs=10000] - Time a handler may take per message
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that pause a handler
+   * @param {number} [options.resetTimeoutMs=30000] - Pause before a paused handler is retried
+   * @param {number} [options.queueSize=100] - Messages that may wait for a handler
+   * @param {string} [options.queueOverflow='drop-oldest'] - What a full queue does: 'drop-oldest',
+   *   'drop-newest', 'block' or 'summarize'
+   */
+  constructor(options = {}) {
     this.handlers = new Map();
+    this.defaultPolicy = {
+      timeoutMs: DEFAULT_HANDLER_TIMEOUT_MS,
+      queueSize: DEFAULT_QUEUE_SIZE,
+      queueOverflow: 'drop-oldest',
+      ...this._definedEntries(options),
+    };
+    this.handlerHealth = new Map(); // Queue, circuit breaker and counters per handler name
+    this.filter = null; // Global MessageFilter evaluated before any handler
+    this.handlerFilters = new Map(); // MessageFilter per handler name
+    this.router = null; // MessageRouter choosing handlers per message
+    this.startedHandlers = []; // Handlers whose start() hook has run, in start order
+    this.reorderBuffer = null; // Holds live messages to put them in timestamp order
+    this.pendingReleases = Promise.resolve(); // Settles once released messages are queued
+    this.completionCallback = null; // Called with each message once the handlers are done with it
   }
 
   /**
@@ -55,21 +102,190 @@ export class MessageProcessor {
   }
 
   /**
-   * Process a single message through all enabled handlers
-   * @param {Object} message - The message to process
+   * Set the filter every message must pass before reaching any handler
+   * @param {MessageFilter|null} filter - The filter, or null to let all messages through
    */
-  async processMessage(message) {
-    const enabledHandlers = Array.from(this.handlers.values()).filter((handler) =>
-      handler.isEnabled()
+  setFilter(filter) {
+    this.filter = filter;
+  }
+
+  /**
+   * Set a filter that applies to a single handler, after the global filter
+   * @param {string} handlerName - The name of the handler
+   * @param {MessageFilter|null} filter - The filter, or null to remove it
+   */
+  setHandlerFilter(handlerName, filter) {
+    if (filter) {
+      this.handlerFilters.set(handlerName, filter);
+    } else {
+      this.handlerFilters.delete(handlerName);
+    }
+  }
+
+  /**
+   * Set the delivery policy of a single handler, resetting its queue and circuit breaker
+   * Call this before messages are processed; messages already queued are still delivered
+   * @param {string} handlerName - The name of the handler
+   * @param {Object} policy - Policy overriding the defaults
+   * @param {number} [policy.timeoutMs] - Time the handler may take per message
+   * @param {number} [policy.failureThreshold] - Consecutive failures that pause the handler
+   * @param {number} [policy.resetTimeoutMs] - Pause before the handler is retried
+   * @param {number} [policy.queueSize] - Messages that may wait for the handler
+   * @param {string} [policy.queueOverflow] - What the queue does when it is full
+   */
+  setHandlerPolicy(handlerName, policy) {
+    this.handlerHealth.set(
+      handlerName,
+      this._createHealth(handlerName, { ...this.defaultPolicy, ...this._definedEntries(policy) })
     );
+  }
 
-    const promises = enabledHandlers.map((handler) =>
-      handler.handle(message).catch((error) => {
-        console.error(`Error in handler ${handler.getName()}:`, error);
-      })
+  /**
+   * Get the delivery status of a handler
+   * @param {string} handlerName - The name of the handler
+   * @returns {Object|undefined} Status with name, enabled, state ('closed', 'open' or
+   *   'half-open'), consecutiveFailures, retryAt, delivered, failed, timedOut, skipped, lastError,
+   *   lastErrorAt and queue (see HandlerQueue#getStats), or undefined if the handler is not
+   *   registered
+   */
+  getHandlerStatus(handlerName) {
+    const handler = this.handlers.get(handlerName);
+    if (!handler) {
+      return undefined;
+    }
+
+    const { queue, breaker, stats } = this._getHealth(handlerName);
+    return {
+      name: handlerName,
+      enabled: handler.isEnabled(),
+      state: breaker.state,
+      consecutiveFailures: breaker.consecutiveFailures,
+      retryAt: breaker.getRetryAt(),
+      ...stats,
+      queue: queue.getStats(),
+    };
+  }
+
+  /**
+   * Get the delivery status of every registered handler
+   * @returns {Object[]} Statuses as returned by getHandlerStatus
+   */
+  getHandlerStatuses() {
+    return Array.from(this.handlers.keys()).map((handlerName) =>
+      this.getHandlerStatus(handlerName)
     );
+  }
+
+  /**
+   * Set the router that decides which handlers receive each message
+   * @param {MessageRouter|null} router - The router, or null to send messages to every handler
+   */
+  setRouter(router) {
+    this.router = router;
+  }
+
+  /**
+   * Set a callback called with each queued message once every handler it was queued for has
+   * delivered or dropped it, or right away if no handler receives it
+   * @param {Function|null} callback - Callback receiving the message, or null to remove it
+   */
+  setCompletionCallback(callback) {
+    this.completionCallback = callback;
+  }
+
+  /**
+   * Hold live messages for a short window and pass them on in timestamp order, so messages from
+   * different teams are handled chronologically. Messages already held are released first.
+   * @param {number} windowMs - Time a message may be held, or 0 to pass messages on immediately
+   */
+  setReorderWindow(windowMs) {
+    this.reorderBuffer?.flush();
+    this.reorderBuffer =
+      windowMs > 0 ? new ReorderBuffer((message) => this._release(message), { windowMs }) : null;
+  }
+
+  /**
+   * Process a single message through the enabled handlers it is routed to and whose filters it
+   * passes, waiting until every handler has received it
+   * @param {Object} message - The message to process
+   */
+  async processMessage(message) {
+    const entries = await this._enqueue(message);
+    await Promise.all(entries.map((entry) => entry.done));
+  }
+
+  /**
+   * Queue a live message for the enabled handlers it is routed to and whose filters it passes,
+   * without waiting for delivery. Only waits for room in queues using the 'block' policy.
+   * With a reorder window the message is held first and queued once it is due; then it waits
+   * until the messages released so far have room instead.
+   * @param {Object} message - The message to queue
+   * @returns {Promise<void>}
+   */
+  async enqueueMessage(message) {
+    if (this.reorderBuffer) {
+      this.reorderBuffer.push(message);
+      await this.pendingReleases;
+      return;
+    }
+    await this._enqueue(message);
+  }
+
+  /**
+   * Run the start() hook of every enabled handler, in registration order
+   * If a handler fails to start, the handlers started before it are stopped again.
+   * @returns {Promise<void>}
+   * @throws {Error} If a handler fails to start
+   */
+  async startHandlers() {
+    for (const handler of this.handlers.values()) {
+      if (!handler.isEnabled() || this.startedHandlers.includes(handler)) {
+        continue;
+      }
 
-    await Promise.all(promises);
+      try {
+        // Plugins not extending MessageHandler may only have the older init()
+        await (handler.start ? handler.start() : handler.init?.());
+      } catch (error) {
+        await this.stopHandlers();
+        throw new Error(`Handler ${handler.getName()} failed to start: ${error.message}`);
+      }
+      this.startedHandlers.push(handler);
+    }
+  }
+
+  /**
+   * Drain the handlers on shutdown: release messages held for reordering, wait for queued
+   * deliveries, then flush() and stop() every started handler. Failures are logged so one
+   * handler cannot keep the others from stopping. If draining times out, handlers not stopped
+   * yet are still stopped, without flushing, within FORCED_STOP_TIMEOUT_MS.
+   * @param {Object} [options] - Drain options
+   * @param {number} [options.timeoutMs=5000] - Time allowed before giving up on the drain
+   * @returns {Promise<boolean>} True if draining finished within the timeout
+   */
+  async stopHandlers({ timeoutMs = DEFAULT_DRAIN_TIMEOUT_MS } = {}) {
+    const handlers = this.startedHandlers;
+    this.startedHandlers = [];
+    this.reorderBuffer?.flush();
+    const stoppedHandlers = new Set();
+
+    const drain = (async () => {
+      await this.pendingReleases;
+      await Promise.all(Array.from(this.handlerHealth.values()).map(({ queue }) => queue.onIdle()));
+      await Promise.all(handlers.map((handler) => this._flushAndStop(handler, stoppedHandlers)));
+    })();
+
+    const drained = await this._settlesWithin(drain, timeoutMs);
+    if (!drained) {
+      logger.warn(`Handlers did not finish draining within ${timeoutMs}ms`);
+      const stopping = Promise.all(
+        handlers.map((handler) => this._stopHandler(handler, stoppedHandlers))
+      );
+      if (!(await this._settlesWithin(stopping, FORCED_STOP_TIMEOUT_MS))) {
+        logger.warn(`Handlers did not stop within ${FORCED_STOP_TIMEOUT_MS}ms`);
+      }
+    }
+    return drained;
   }
 
   /**
@@ -88,6 +304,23 @@ export class MessageProcessor {
     }
   }
 
+  /**
+   * Queue a batch of messages, such as backfilled history, in timestamp order without waiting
+   * for delivery. Only waits for room in queues using the 'block' policy. The batch is in order
+   * already, so it skips the reorder window.
+   * @param {Object[]} messages - Array of messages to queue
+   * @returns {Promise<void>}
+   */
+  async enqueueMessages(messages) {
+    if (!Array.isArray(messages)) {
+      throw new Error('Messages must be an array');
+    }
+
+    for (const message of this.sortByTimestamp(messages)) {
+      await this._enqueue(message);
+    }
+  }
+
   /**
    * Sort messages by timestamp
    * @param {Object[]} messages - Array of messages to sort
@@ -129,4 +362,242 @@ export class MessageProcessor {
   clearHandlers() {
     this.handlers.clear();
   }
+
+  /**
+   * Queue a message released by the reorder buffer, keeping track of it until it has room
+   * @private
+   * @param {Object} message - The message
+   */
+  _release(message) {
+    const queued = this._enqueue(message).catch((error) => {
+      logger.error(`Error queueing message: ${error.message}`);
+    });
+    this.pendingReleases = Promise.all([this.pendingReleases, queued]);
+  }
+
+  /**
+   * Push a message onto the queue of every handler that should receive it
+   * Pushing happens synchronously, so each queue keeps the arrival order
+   * @private
+   * @param {Object} message - The message
+   * @returns {Promise<Object[]>} Queue entries, whose done promises settle on delivery
+   */
+  _enqueue(message) {
+    const queued = Promise.all(
+      this._getRecipients(message).map((handler) =>
+        this._getHealth(handler.getName()).queue.push(message)
+      )
+    );
+
+    if (this.completionCallback) {
+      queued
+        .then((entries) => Promise.all(entries.map((entry) => entry.done)))
+        .then(() => this.completionCallback(message))
+        .catch((error) => {
+          logger.error(`Error completing message: ${error.message}`);
+        });
+    }
+    return queued;
+  }
+
+  /**
+   * Get the enabled handlers a message is routed to and whose filters it passes
+   * @private
+   * @param {Object} message - The message
+   * @returns {MessageHandler[]} Handlers, none if the global filter rejects the message
+   */
+  _getRecipients(message) {
+    if (this.filter && !this.filter.matches(message)) {
+      return [];
+    }
+
+    const route = this.router?.route(message);
+    return Array.from(this.handlers.values()).filter(
+      (handler) =>
+        handler.isEnabled() &&
+        (!route || this.router.reaches(route, handler.getName())) &&
+        this._passesHandlerFilter(handler, message)
+    );
+  }
+
+  /**
+   * Deliver a message to one handler, guarded by its timeout and circuit breaker
+   * Never rejects: failures are counted and logged
+   * @private
+   * @param {MessageHandler} handler - The handler
+   * @param {Object} message - The message
+   * @returns {Promise<void>}
+   */
+  async _deliver(handler, message) {
+    const handlerName = handler.getName();
+    const { policy, breaker, stats } = this._getHealth(handlerName);
+
+    if (!breaker.tryAcquire()) {
+      stats.skipped++;
+      return;
+    }
+
+    const timeoutError = new Error(`Timed out after ${policy.timeoutMs}ms`);
+    let timer;
+    const timeout = new Promise((_resolve, reject) => {
+      timer = setTimeout(() => reject(timeoutError), policy.timeoutMs);
+      timer.unref?.();
+    });
+
+    try {
+      await Promise.race([Promise.resolve().then(() => handler.handle(message)), timeout]);
+      stats.delivered++;
+      if (breaker.recordSuccess()) {
+        logger.info(`Handler ${handlerName} recovered`);
+      }
+    } catch (error) {
+      stats.failed++;
+      if (error === timeoutError) {
+        stats.timedOut++;
+      }
+      stats.lastError = error?.message ?? String(error);
+      stats.lastErrorAt = Date.now();
+      logger.error(`Handler ${handlerName} failed: ${stats.lastError}`);
+
+      if (breaker.recordFailure()) {
+        const seconds = Math.ceil(policy.resetTimeoutMs / 1000);
+        logger.warn(
+          `Handler ${handlerName} paused after ${breaker.consecutiveFailures} consecutive failure(s); retrying in ${seconds}s`
+        );
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Get the queue, circuit breaker and counters of a handler, creating them with the default
+   * policy
+   * @private
+   * @param {string} handlerName - The name of the handler
+   * @returns {{policy: Object, queue: HandlerQueue, breaker: CircuitBreaker, stats: Object}}
+   *   Handler health
+   */
+  _getHealth(handlerName) {
+    if (!this.handlerHealth.has(handlerName)) {
+      this.handlerHealth.set(handlerName, this._createHealth(handlerName, this.defaultPolicy));
+    }
+    return this.handlerHealth.get(handlerName);
+  }
+
+  /**
+   * Create a fresh queue and health tracking for a policy
+   * @private
+   * @param {string} handlerName - The name of the handler
+   * @param {Object} policy - Delivery policy
+   * @returns {{policy: Object, queue: HandlerQueue, breaker: CircuitBreaker, stats: Object}}
+   *   Handler health
+   */
+  _createHealth(handlerName, policy) {
+    const breaker = new CircuitBreaker({
+      failureThreshold: policy.failureThreshold,
+      resetTimeoutMs: policy.resetTimeoutMs,
+    });
+    const queue = new HandlerQueue(
+      handlerName,
+      async (message) => {
+        const handler = this.handlers.get(handlerName);
+        if (handler) {
+          await this._deliver(handler, message);
+        }
+      },
+      { maxSize: policy.queueSize, overflow: policy.queueOverflow }
+    );
+    return {
+      policy: { ...policy, resetTimeoutMs: breaker.resetTimeoutMs },
+      queue,
+      breaker,
+      stats: {
+        delivered: 0,
+        failed: 0,
+        timedOut: 0,
+        skipped: 0,
+        lastError: null,
+        lastErrorAt: null,
+      },
+    };
+  }
+
+  /**
+   * Drop undefined values so they do not override defaults
+   * @private
+   * @param {Object} values - Values that may be undefined
+   * @returns {Object} Values without undefined entries
+   */
+  _definedEntries(values) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+  }
+
+  /**
+   * Flush and stop a single handler, logging failures
+   * @private
+   * @param {MessageHandler} handler - The handler
+   * @param {Set<MessageHandler>} stoppedHandlers - Handlers already stopped, see _stopHandler
+   * @returns {Promise<void>}
+   */
+  async _flushAndStop(handler, stoppedHandlers) {
+    try {
+      await handler.flush?.();
+    } catch (error) {
+      logger.error(`Error flushing handler ${handler.getName()}: ${error.message}`);
+    }
+
+    await this._stopHandler(handler, stoppedHandlers);
+  }
+
+  /**
+   * Stop a single handler unless that was done already, logging failures
+   * @private
+   * @param {MessageHandler} handler - The handler
+   * @param {Set<MessageHandler>} stoppedHandlers - Handlers already stopped; the handler is added
+   * @returns {Promise<void>}
+   */
+  async _stopHandler(handler, stoppedHandlers) {
+    if (stoppedHandlers.has(handler)) {
+      return;
+    }
+    stoppedHandlers.add(handler);
+
+    try {
+      await (handler.stop ? handler.stop() : handler.close?.());
+    } catch (error) {
+      logger.error(`Error stopping handler ${handler.getName()}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Wait for a promise, but no longer than the given time
+   * @private
+   * @param {Promise} promise - Promise to wait for
+   * @param {number} timeoutMs - Longest time to wait
+   * @returns {Promise<boolean>} True if the promise settled in time
+   */
+  async _settlesWithin(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), timeoutMs);
+      timer.unref?.();
+    });
+
+    const settled = await Promise.race([promise.then(() => true), timeout]);
+    clearTimeout(timer);
+    return settled;
+  }
+
+  /**
+   * Check a message against the filter of a handler, if it has one
+   * @private
+   * @param {MessageHandler} handler - The handler
+   * @param {Object} message - The message
+   * @returns {boolean} True if the handler should receive the message
+   */
+  _passesHandlerFilter(handler, message) {
+    const filter = this.handlerFilters.get(handler.getName());
+    return !filter || filter.matches(message);
+  }
 }
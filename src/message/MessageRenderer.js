@@ -0,0 +1,168 @@
+import { Chalk } from 'chalk';
+
+// Code blocks and inline code spans, which are rendered without further formatting
+const CODE_PATTERN = /```([\s\S]*?)```|`([^`\n]+)`/g;
+
+// Slack entities such as <@U123>, <#C123|general>, <!here> and <https://x|label>
+const ENTITY_PATTERN = /<([^<>]+)>/g;
+
+// Characters allowed around *bold*, _italic_ and ~strike~ markers
+const BEFORE_MARKER = '(^|[\\s(\\[{"\'])';
+const AFTER_MARKER = '(?=$|[\\s.,!?;:)\\]}"\'])';
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * MessageRenderer converts Slack mrkdwn into readable text
+ * Shared by all handlers so that mentions, links and formatting look the same everywhere
+ */
+export class MessageRenderer {
+  /**
+   * @param {Object} [options] - Renderer options
+   * @param {boolean} [options.styled=false] - Use terminal styling instead of plain text
+   */
+  constructor({ styled = false } = {}) {
+    this.styled = styled;
+    this.chalk = new Chalk({ level: styled ? 1 : 0 });
+  }
+
+  /**
+   * Render Slack mrkdwn text
+   * @param {string} text - Raw message text from Slack
+   * @param {Object} [mentions] - Names resolved by SlackClient
+   * @param {Object} [mentions.users] - Map of user ID to display name
+   * @param {Object} [mentions.channels] - Map of channel ID to channel name
+   * @returns {string} Rendered text
+   */
+  render(text, mentions = {}) {
+    if (typeof text !== 'string') {
+      return '';
+    }
+
+    let rendered = '';
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(CODE_PATTERN)) {
+      rendered += this._renderInline(text.slice(lastIndex, match.index), mentions);
+      const code = this.decodeHtmlEntities(match[1] ?? match[2]);
+      rendered += this.styled ? this.chalk.cyan(code) : code;
+      lastIndex = match.index + match[0].length;
+    }
+
+    rendered += this._renderInline(text.slice(lastIndex), mentions);
+    return rendered;
+  }
+
+  /**
+   * Render a single Slack entity (the part between < and >)
+   * @param {string} entity - Entity content without angle brackets
+   * @param {Object} [mentions] - Names resolved by SlackClient
+   * @returns {string} Readable text for the entity
+   */
+  renderEntity(entity, mentions = {}) {
+    const separatorIndex = entity.indexOf('|');
+    const target = separatorIndex === -1 ? entity : entity.slice(0, separatorIndex);
+    const label = separatorIndex === -1 ? '' : entity.slice(separatorIndex + 1);
+
+    if (target.startsWith('@')) {
+      const userId = target.slice(1);
+      return `@${mentions.users?.[userId] || label || userId}`;
+    }
+
+    if (target.startsWith('#')) {
+      const channelId = target.slice(1);
+      return `#${mentions.channels?.[channelId] || label || channelId}`;
+    }
+
+    if (target.startsWith('!')) {
+      // Special mentions (<!here>), user groups (<!subteam^S123|@devs>) and dates
+      if (label) {
+        return label;
+      }
+      const [command] = target.slice(1).split('^');
+      return `@${command}`;
+    }
+
+    // Links: show the label and the URL, or just one when they match
+    const displayTarget = target.replace(/^mailto:/, '');
+    if (!label || label === target || label === displayTarget) {
+      return displayTarget;
+    }
+    return `${label} (${displayTarget})`;
+  }
+
+  /**
+   * Decode HTML entities escaped by Slack
+   * @param {string} text - Text with HTML entities
+   * @returns {string} Decoded text
+   */
+  decodeHtmlEntities(text) {
+    return text.replace(/&(#\d+|#x[0-9a-f]+|[a-z]+);/gi, (entity, name) => {
+      if (name.startsWith('#')) {
+        const isHex = name[1] === 'x' || name[1] === 'X';
+        const codePoint = Number.parseInt(name.slice(isHex ? 2 : 1), isHex ? 16 : 10);
+        // Entities that are not valid characters are left as they are
+        return MessageRenderer._isValidCodePoint(codePoint)
+          ? String.fromCodePoint(codePoint)
+          : entity;
+      }
+      return HTML_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+  }
+
+  /**
+   * Check whether a number is a Unicode code point that can stand for a character
+   * @private
+   * @param {number} codePoint - Code point
+   * @returns {boolean} True if in range and not a surrogate
+   */
+  static _isValidCodePoint(codePoint) {
+    return codePoint <= 0x10ffff && (codePoint < 0xd800 || codePoint > 0xdfff);
+  }
+
+  /**
+   * Render text outside of code spans
+   * @private
+   * @param {string} text - Text segment
+   * @param {Object} mentions - Names resolved by SlackClient
+   * @returns {string} Rendered segment
+   */
+  _renderInline(text, mentions) {
+    const withEntities = text.replace(ENTITY_PATTERN, (_match, entity) =>
+      this.renderEntity(entity, mentions)
+    );
+
+    const formatted = this._applyFormatting(withEntities);
+    return this.decodeHtmlEntities(formatted);
+  }
+
+  /**
+   * Convert *bold*, _italic_ and ~strike~ markers
+   * @private
+   * @param {string} text - Text segment
+   * @returns {string} Text with styling applied or markers removed
+   */
+  _applyFormatting(text) {
+    const styles = [
+      ['\\*', (value) => this.chalk.bold(value)],
+      ['_', (value) => this.chalk.italic(value)],
+      ['~', (value) => this.chalk.strikethrough(value)],
+    ];
+
+    let formatted = text;
+    for (const [marker, style] of styles) {
+      const pattern = new RegExp(
+        `${BEFORE_MARKER}${marker}([^\\s${marker}](?:[^${marker}\\n]*[^\\s${marker}])?)${marker}${AFTER_MARKER}`,
+        'g'
+      );
+      formatted = formatted.replace(pattern, (_match, before, value) => `${before}${style(value)}`);
+    }
+    return formatted;
+  }
+}
@@ -0,0 +1,164 @@
+import { MessagePredicate } from './MessagePredicate.js';
+
+/**
+ * Rule evaluation modes: 'first' stops at the first matching rule, 'all' combines every match
+ */
+export const ROUTING_MODES = ['first', 'all'];
+
+/**
+ * Route target that stands for every registered handler
+ */
+export const ALL_HANDLERS = '*';
+
+/**
+ * MessageRouter decides which handlers receive a message, from rules such as
+ * { "match": { "teams": "ops", "channels": "#alerts" }, "handlers": ["notification", "speech"] }
+ *
+ * Rules use the same criteria as filters (see MessagePredicate) and refer to handlers by their
+ * configuration key. Messages matching no rule take the default route, which reaches every
+ * handler unless configured otherwise. A route with no handlers drops the message.
+ */
+export class MessageRouter {
+  /**
+   * @param {Object} config - Routing configuration
+   * @param {string} [config.mode='first'] - 'first' or 'all'
+   * @param {Object[]} [config.rules] - Rules with match criteria, handlers and an optional name
+   * @param {string[]} [config.default] - Handlers for messages matching no rule (default: all)
+   * @param {Object} [options] - Router options
+   * @param {Object} [options.aliases] - Registered handler names keyed by configuration key
+   * @throws {Error} If the configuration is invalid
+   */
+  constructor(config, { aliases = {} } = {}) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('Routing must be an object');
+    }
+
+    for (const key of Object.keys(config)) {
+      if (!['mode', 'rules', 'default'].includes(key)) {
+        throw new Error(`Unknown routing key "${key}". Expected mode, rules and/or default`);
+      }
+    }
+
+    this.mode = config.mode ?? 'first';
+    if (!ROUTING_MODES.includes(this.mode)) {
+      throw new Error(
+        `Routing mode "${this.mode}" is invalid. Expected one of: ${ROUTING_MODES.join(', ')}`
+      );
+    }
+
+    const rules = config.rules ?? [];
+    if (!Array.isArray(rules)) {
+      throw new Error('Routing rules must be an array');
+    }
+
+    this.rules = rules.map((rule, index) => this._createRule(rule, index));
+    this.defaultHandlers = this._validateHandlers(
+      'Routing "default"',
+      config.default ?? [ALL_HANDLERS]
+    );
+    this.aliases = aliases;
+  }
+
+  /**
+   * Find the route of a message
+   * @param {Object} message - The message object
+   * @returns {{rules: string[], handlers: string[], isDefault: boolean}} Names of the matching
+   *   rules and the configuration keys of the handlers to reach ("*" for all handlers)
+   */
+  route(message) {
+    const matched = [];
+    for (const rule of this.rules) {
+      if (rule.predicate.matches(message)) {
+        matched.push(rule);
+        if (this.mode === 'first') {
+          break;
+        }
+      }
+    }
+
+    if (matched.length === 0) {
+      return { rules: [], handlers: [...this.defaultHandlers], isDefault: true };
+    }
+
+    const handlers = new Set(matched.flatMap((rule) => rule.handlers));
+    return { rules: matched.map((rule) => rule.name), handlers: [...handlers], isDefault: false };
+  }
+
+  /**
+   * Check whether a registered handler should receive a message
+   * @param {Object} route - Result of route()
+   * @param {string} handlerName - Registered handler name (MessageHandler#getName)
+   * @returns {boolean} True if the route reaches the handler
+   */
+  reaches(route, handlerName) {
+    return route.handlers.some(
+      (target) =>
+        target === ALL_HANDLERS || target === handlerName || this.aliases[target] === handlerName
+    );
+  }
+
+  /**
+   * List every handler key referenced by the rules and the default route
+   * @returns {string[]} Unique handler keys, including "*" if used
+   */
+  getTargets() {
+    const targets = [...this.rules.flatMap((rule) => rule.handlers), ...this.defaultHandlers];
+    return [...new Set(targets)];
+  }
+
+  /**
+   * Build a rule from its configuration
+   * @private
+   * @param {Object} rule - Rule configuration
+   * @param {number} index - Position of the rule, used for default names and errors
+   * @returns {{name: string, predicate: MessagePredicate, handlers: string[]}} Rule
+   * @throws {Error} If the rule is invalid
+   */
+  _createRule(rule, index) {
+    const label = `Routing rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`${label} must be an object`);
+    }
+
+    for (const key of Object.keys(rule)) {
+      if (!['name', 'match', 'handlers'].includes(key)) {
+        throw new Error(`${label} has unknown key "${key}". Expected name, match and handlers`);
+      }
+    }
+
+    if (rule.name !== undefined && (typeof rule.name !== 'string' || rule.name.length === 0)) {
+      throw new Error(`${label} has an invalid name. Expected a non-empty string`);
+    }
+
+    let predicate;
+    try {
+      predicate = new MessagePredicate(rule.match ?? {});
+    } catch (error) {
+      throw new Error(`${label} has an invalid match: ${error.message}`);
+    }
+
+    return {
+      name: rule.name || `rule ${index + 1}`,
+      predicate,
+      handlers: this._validateHandlers(`${label} "handlers"`, rule.handlers),
+    };
+  }
+
+  /**
+   * Ensure a route target list is an array of handler keys; an empty list drops the message
+   * @private
+   * @param {string} description - Where the list is configured, for error messages
+   * @param {*} handlers - Configured handler list
+   * @returns {string[]} Handler keys
+   * @throws {Error} If the list is invalid
+   */
+  _validateHandlers(description, handlers) {
+    if (
+      !Array.isArray(handlers) ||
+      !handlers.every((handler) => typeof handler === 'string' && handler.length > 0)
+    ) {
+      throw new Error(`${description} must be an array of handler names`);
+    }
+    return handlers;
+  }
+}
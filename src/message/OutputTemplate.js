@@ -0,0 +1,322 @@
+import { DateFormatter } from '../utils/DateFormatter.js';
+
+/**
+ * Fields available in output templates
+ * Boolean fields can only be used as conditions
+ */
+export const TEMPLATE_FIELDS = {
+  kind: 'string',
+  team: 'string',
+  teamId: 'string',
+  channel: 'string',
+  channelId: 'string',
+  user: 'string',
+  userId: 'string',
+  botId: 'string',
+  text: 'string',
+  ts: 'string',
+  time: 'date',
+  threadTs: 'string',
+  parent: 'string',
+  reply: 'boolean',
+  edited: 'boolean',
+  deleted: 'boolean',
+  system: 'boolean',
+  historical: 'boolean',
+  recovered: 'boolean',
+};
+
+const DEFAULT_TIME_FORMAT = 'YYYY-MM-DD HH:mm:ss';
+
+// Modifiers taking a positive integer width
+const MODIFIERS = ['pad', 'lpad', 'trunc'];
+
+// Terminal styling escapes, which take no space on screen
+// Built with String.fromCharCode to avoid control characters in regex literals
+const ANSI_SOURCE = `${String.fromCharCode(27)}\\[[0-9;]*m`;
+const ANSI_PATTERN = new RegExp(ANSI_SOURCE, 'g');
+const ANSI_AT_INDEX = new RegExp(ANSI_SOURCE, 'y');
+const ANSI_RESET = '\u001b[0m';
+
+/**
+ * OutputTemplate renders message lines from a user-defined template such as
+ * "{time:HH:mm} [{team}] #{channel} <{user|pad:12}> {text}"
+ *
+ * - {field} inserts a field, {time:FORMAT} formats the message time
+ * - {field|pad:N}, {field|lpad:N} and {field|trunc:N} pad or truncate to N characters
+ * - {?field:...} renders the segment only when the field is set, {!field:...} only when it is not
+ * - \{ and \} insert literal braces
+ *
+ * Templates are parsed once; invalid templates throw so typos fail at startup.
+ */
+export class OutputTemplate {
+  /**
+   * @param {string} template - Template string
+   * @param {Object} [options] - Template options
+   * @param {DateFormatter} [options.dateFormatter] - Formatter for {time:FORMAT}
+   * @throws {Error} If the template is invalid
+   */
+  constructor(template, { dateFormatter = new DateFormatter() } = {}) {
+    if (typeof template !== 'string' || template.length === 0) {
+      throw new Error('Template must be a non-empty string');
+    }
+
+    this.template = template;
+    this.dateFormatter = dateFormatter;
+    this.nodes = this._parse(template, 0, false).nodes;
+  }
+
+  /**
+   * Render the template
+   * @param {Object} values - Field values keyed by TEMPLATE_FIELDS names
+   * @returns {string} Rendered line
+   */
+  render(values) {
+    return this._renderNodes(this.nodes, values);
+  }
+
+  /**
+   * Render a list of parsed nodes
+   * @private
+   * @param {Object[]} nodes - Parsed nodes
+   * @param {Object} values - Field values
+   * @returns {string} Rendered text
+   */
+  _renderNodes(nodes, values) {
+    let output = '';
+
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        output += node.value;
+      } else if (node.type === 'condition') {
+        if (this._isSet(values[node.name]) !== node.negate) {
+          output += this._renderNodes(node.nodes, values);
+        }
+      } else {
+        output += this._renderField(node, values);
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Render a single field placeholder with its modifiers
+   * @private
+   * @param {Object} node - Parsed field node
+   * @param {Object} values - Field values
+   * @returns {string} Rendered field
+   */
+  _renderField(node, values) {
+    const value = values[node.name];
+    let text;
+
+    if (TEMPLATE_FIELDS[node.name] === 'date') {
+      text = this.dateFormatter.format(value, node.format || DEFAULT_TIME_FORMAT);
+    } else {
+      text = value === null || value === undefined ? '' : String(value);
+    }
+
+    for (const { name, width } of node.modifiers) {
+      const length = this._visibleLength(text);
+      if (name === 'trunc') {
+        text = this._truncate(text, width);
+      } else if (length < width) {
+        const padding = ' '.repeat(width - length);
+        text = name === 'pad' ? text + padding : padding + text;
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Check whether a value counts as set for conditional segments
+   * @private
+   * @param {*} value - Field value
+   * @returns {boolean} True for true, non-empty strings and valid dates
+   */
+  _isSet(value) {
+    if (value instanceof Date) {
+      return !Number.isNaN(value.getTime());
+    }
+    return value === true || (typeof value === 'string' && value.length > 0);
+  }
+
+  /**
+   * Count characters as displayed, ignoring styling escapes
+   * @private
+   * @param {string} text - Text that may contain styling
+   * @returns {number} Visible length
+   */
+  _visibleLength(text) {
+    return [...text.replace(ANSI_PATTERN, '')].length;
+  }
+
+  /**
+   * Truncate to a visible width, ending with an ellipsis and keeping styling escapes intact
+   * @private
+   * @param {string} text - Text that may contain styling
+   * @param {number} width - Maximum visible width
+   * @returns {string} Truncated text
+   */
+  _truncate(text, width) {
+    if (this._visibleLength(text) <= width) {
+      return text;
+    }
+
+    let output = '';
+    let visible = 0;
+    let hasStyling = false;
+    let index = 0;
+
+    while (index < text.length && visible < width - 1) {
+      ANSI_AT_INDEX.lastIndex = index;
+      const styleEscape = ANSI_AT_INDEX.exec(text);
+      if (styleEscape) {
+        output += styleEscape[0];
+        hasStyling = true;
+        index += styleEscape[0].length;
+        continue;
+      }
+
+      const character = String.fromCodePoint(text.codePointAt(index));
+      output += character;
+      visible++;
+      index += character.length;
+    }
+
+    return `${output}…${hasStyling ? ANSI_RESET : ''}`;
+  }
+
+  /**
+   * Parse template text until the end, or until the closing brace of a conditional segment
+   * @private
+   * @param {string} source - Template string
+   * @param {number} start - Index to start parsing at
+   * @param {boolean} nested - Whether parsing the body of a conditional segment
+   * @returns {{nodes: Object[], end: number}} Parsed nodes and the index after them
+   * @throws {Error} If the template is invalid
+   */
+  _parse(source, start, nested) {
+    const nodes = [];
+    let text = '';
+    let index = start;
+
+    const flushText = () => {
+      if (text) {
+        nodes.push({ type: 'text', value: text });
+        text = '';
+      }
+    };
+
+    while (index < source.length) {
+      const character = source[index];
+
+      if (character === '\\' && index + 1 < source.length) {
+        text += source[index + 1];
+        index += 2;
+        continue;
+      }
+
+      if (character === '}') {
+        if (!nested) {
+          throw new Error(`Unexpected "}" at position ${index}`);
+        }
+        flushText();
+        return { nodes, end: index + 1 };
+      }
+
+      if (character !== '{') {
+        text += character;
+        index++;
+        continue;
+      }
+
+      flushText();
+
+      if (source[index + 1] === '?' || source[index + 1] === '!') {
+        const separator = source.indexOf(':', index);
+        const name = separator === -1 ? '' : source.slice(index + 2, separator);
+        if (!/^\w+$/.test(name)) {
+          throw new Error(`Invalid conditional segment at position ${index}`);
+        }
+        this._validateFieldName(name);
+
+        const body = this._parse(source, separator + 1, true);
+        nodes.push({
+          type: 'condition',
+          name,
+          negate: source[index + 1] === '!',
+          nodes: body.nodes,
+        });
+        index = body.end;
+        continue;
+      }
+
+      const close = source.indexOf('}', index);
+      if (close === -1) {
+        throw new Error(`Unclosed placeholder at position ${index}`);
+      }
+      nodes.push(this._parseField(source.slice(index + 1, close)));
+      index = close + 1;
+    }
+
+    if (nested) {
+      throw new Error('Unclosed conditional segment');
+    }
+
+    flushText();
+    return { nodes, end: index };
+  }
+
+  /**
+   * Parse a field placeholder such as "time:HH:mm" or "user|pad:12"
+   * @private
+   * @param {string} placeholder - Placeholder content without braces
+   * @returns {Object} Parsed field node
+   * @throws {Error} If the placeholder is invalid
+   */
+  _parseField(placeholder) {
+    const [fieldPart, ...modifierParts] = placeholder.split('|');
+    const separator = fieldPart.indexOf(':');
+    const name = separator === -1 ? fieldPart : fieldPart.slice(0, separator);
+    const format = separator === -1 ? null : fieldPart.slice(separator + 1);
+
+    this._validateFieldName(name);
+
+    if (TEMPLATE_FIELDS[name] === 'boolean') {
+      throw new Error(`Field "${name}" can only be used in a condition such as {?${name}:...}`);
+    }
+    if (format !== null && TEMPLATE_FIELDS[name] !== 'date') {
+      throw new Error(`Field "${name}" does not accept a format`);
+    }
+
+    const modifiers = modifierParts.map((modifier) => {
+      const [modifierName, argument] = modifier.split(':');
+      if (!MODIFIERS.includes(modifierName)) {
+        throw new Error(`Unknown modifier "${modifierName}" in {${placeholder}}`);
+      }
+      if (!/^\d+$/.test(argument || '') || Number.parseInt(argument, 10) === 0) {
+        throw new Error(`Modifier "${modifierName}" in {${placeholder}} needs a positive width`);
+      }
+      return { name: modifierName, width: Number.parseInt(argument, 10) };
+    });
+
+    return { type: 'field', name, format, modifiers };
+  }
+
+  /**
+   * Ensure a field name is known
+   * @private
+   * @param {string} name - Field name
+   * @throws {Error} If the field is unknown
+   */
+  _validateFieldName(name) {
+    if (!Object.hasOwn(TEMPLATE_FIELDS, name)) {
+      throw new Error(
+        `Unknown field "${name}". Available fields: ${Object.keys(TEMPLATE_FIELDS).join(', ')}`
+      );
+    }
+  }
+}
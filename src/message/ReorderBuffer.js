@@ -0,0 +1,132 @@
+/**
+ * ReorderBuffer holds live messages for a short window and releases them sorted by their Slack
+ * timestamp, so messages from several teams come out in chronological order even when their
+ * connections deliver them out of order
+ *
+ * Each message is held for at most windowMs after it arrives. When a message is due, it is
+ * released together with every held message that is not newer. A message arriving after newer
+ * messages have already been released is released right away, as it can no longer be placed.
+ */
+export class ReorderBuffer {
+  /**
+   * @param {Function} release - Called with each message, in timestamp order
+   * @param {Object} options - Buffer options
+   * @param {number} options.windowMs - Time a message may be held
+   * @param {Function} [options.now=Date.now] - Clock, replaceable in tests
+   */
+  constructor(release, { windowMs, now = Date.now }) {
+    this.release = release;
+    this.windowMs = windowMs;
+    this.now = now;
+    this.held = []; // Held entries in arrival order
+    this.timer = null;
+    this.lastReleasedTs = null; // Timestamp of the newest released message
+    this.lateCount = 0; // Messages that arrived too late to be reordered
+  }
+
+  /**
+   * Hold a message until it is due
+   * @param {Object} message - The message
+   */
+  push(message) {
+    const ts = ReorderBuffer.getSortKey(message);
+
+    if (this.lastReleasedTs !== null && ts < this.lastReleasedTs) {
+      this.lateCount++;
+      this.release(message);
+      return;
+    }
+
+    this.held.push({ message, ts, dueAt: this.now() + this.windowMs });
+    this._schedule();
+  }
+
+  /**
+   * Release every held message immediately, in timestamp order
+   */
+  flush() {
+    this._clearTimer();
+    this._releaseUpTo(Number.POSITIVE_INFINITY);
+  }
+
+  /**
+   * Get the number of held messages
+   * @returns {number} Number of held messages
+   */
+  getSize() {
+    return this.held.length;
+  }
+
+  /**
+   * Get the timestamp a message is ordered by: the time of the event for edits and deletions,
+   * the time of the message otherwise
+   * @param {Object} message - The message
+   * @returns {number} Slack timestamp in seconds
+   */
+  static getSortKey(message) {
+    const ts = Number.parseFloat(message.eventTs ?? message.timestamp);
+    if (!Number.isNaN(ts)) {
+      return ts;
+    }
+    return message.formattedTime ? message.formattedTime.getTime() / 1000 : 0;
+  }
+
+  /**
+   * Release the messages that are due, then wait for the next one
+   * @private
+   */
+  _releaseDue() {
+    this.timer = null;
+    const now = this.now();
+    const due = this.held.filter((entry) => entry.dueAt <= now);
+    if (due.length > 0) {
+      this._releaseUpTo(Math.max(...due.map((entry) => entry.ts)));
+    }
+    this._schedule();
+  }
+
+  /**
+   * Release held messages that are not newer than a timestamp, oldest first
+   * Sorting is stable, so messages with the same timestamp keep their arrival order
+   * @private
+   * @param {number} cutoff - Newest timestamp to release
+   */
+  _releaseUpTo(cutoff) {
+    const released = this.held.filter((entry) => entry.ts <= cutoff);
+    if (released.length === 0) {
+      return;
+    }
+
+    this.held = this.held.filter((entry) => entry.ts > cutoff);
+    released.sort((a, b) => a.ts - b.ts);
+    for (const entry of released) {
+      this.lastReleasedTs = Math.max(this.lastReleasedTs ?? entry.ts, entry.ts);
+      this.release(entry.message);
+    }
+  }
+
+  /**
+   * Start a timer for the earliest due message, unless one is running
+   * @private
+   */
+  _schedule() {
+    if (this.timer || this.held.length === 0) {
+      return;
+    }
+
+    const nextDueAt = Math.min(...this.held.map((entry) => entry.dueAt));
+    this.timer = setTimeout(() => this._releaseDue(), Math.max(0, nextDueAt - this.now()));
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop the pending timer
+   * @private
+   */
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
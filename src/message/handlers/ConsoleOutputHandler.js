@@ -1,13 +1,79 @@
+import { DateFormatter } from '../../utils/DateFormatter.js';
+import { ColorScheme } from '../ColorScheme.js';
 import { MessageHandler } from '../MessageHandler.js';
+import { MessageRenderer } from '../MessageRenderer.js';
+import { OutputTemplate } from '../OutputTemplate.js';
+
+/**
+ * Output formats supported by the console handler
+ */
+export const OUTPUT_FORMATS = ['text', 'jsonl'];
+
+/**
+ * Version of the JSON Lines schema, bumped on incompatible changes
+ */
+export const JSONL_SCHEMA_VERSION = 1;
+
+/**
+ * Value of the timestamp option that prints relative times such as "2m ago"
+ */
+export const RELATIVE_TIMESTAMP = 'relative';
+
+const DEFAULT_TIMESTAMP_FORMAT = 'HH:mm:ss';
+const DAY_FORMAT = 'YYYY-MM-DD';
+const DAY_SEPARATOR_FORMAT = 'ddd YYYY-MM-DD';
 
 /**
  * Console output handler that formats and displays messages to STDOUT
  * Formats messages as: {team}/{channel}/{user} > message
+ * Thread replies as: {team}/{channel}/{user} ↳ [re: parent] > message
+ * Edits and deletions as: {team}/{channel}/{user} (edited) > message
+ * Changes to channels as: {team}/{channel} [bot removed from #channel]
+ * In jsonl format, each event is written as one JSON object per line instead
  */
 export class ConsoleOutputHandler extends MessageHandler {
-  constructor(enabled = true) {
+  /**
+   * @param {boolean} [enabled=true] - Whether the handler is enabled
+   * @param {Object} [options] - Output options
+   * @param {string} [options.format='text'] - Output format: 'text' or 'jsonl'
+   * @param {string} [options.template] - Line template for the text format (see OutputTemplate)
+   * @param {string} [options.color='auto'] - Color mode: 'auto', 'always' or 'never'
+   * @param {Object} [options.colors] - Color overrides with teams, channels and users maps
+   * @param {string[]} [options.highlight] - Keywords to highlight in message text
+   * @param {boolean|string} [options.timestamp] - Prefix lines with the message time: true for
+   *   HH:mm:ss, a DateFormatter pattern, or 'relative' for times such as "2m ago"
+   * @param {string} [options.timeZone='local'] - 'local', 'UTC' or an IANA time zone for
+   *   timestamps, day separators and {time} in templates
+   * @param {boolean} [options.daySeparators=false] - Print a separator line when the date changes
+   * @param {boolean} [options.styled] - Force colors and styling on or off, bypassing the color mode
+   *   (never used for jsonl)
+   */
+  constructor(enabled = true, options = {}) {
     super();
     this.enabled = enabled;
+    this.format = options.format || 'text';
+    if (!OUTPUT_FORMATS.includes(this.format)) {
+      throw new Error(`Unknown output format: ${this.format}`);
+    }
+    this.dateFormatter = new DateFormatter({
+      timeZone: ConsoleOutputHandler.resolveTimeZone(options.timeZone),
+    });
+    this.template = options.template
+      ? new OutputTemplate(options.template, { dateFormatter: this.dateFormatter })
+      : null;
+    this.timestampFormat =
+      options.timestamp === true ? DEFAULT_TIMESTAMP_FORMAT : options.timestamp || null;
+    this.daySeparators = this.format === 'text' && Boolean(options.daySeparators);
+    this.lastDay = null; // Date of the last printed message, for day separators
+
+    const styled =
+      this.format === 'text' && (options.styled ?? ColorScheme.isColorEnabled(options.color));
+    this.renderer = new MessageRenderer({ styled });
+    this.colors = new ColorScheme({
+      ...options.colors,
+      enabled: styled,
+      keywords: options.highlight,
+    });
   }
 
   /**
@@ -15,10 +81,24 @@ export class ConsoleOutputHandler extends MessageHandler {
    * @param {Object} message - The message object to handle
    */
   async handle(message) {
+    const daySeparator = this.formatDaySeparator(message);
+    if (daySeparator) {
+      console.log(daySeparator);
+    }
+
     const formattedMessage = this.formatForOutput(message);
     console.log(formattedMessage);
   }
 
+  /**
+   * Convert the timeZone option into a value for DateFormatter
+   * @param {string} [timeZone] - 'local', 'UTC' or an IANA time zone
+   * @returns {string|undefined} IANA time zone, or undefined for local time
+   */
+  static resolveTimeZone(timeZone) {
+    return !timeZone || timeZone === 'local' ? undefined : timeZone;
+  }
+
   /**
    * Get the name of this handler
    * @returns {string} Handler name
@@ -41,9 +121,163 @@ export class ConsoleOutputHandler extends MessageHandler {
    * @returns {string} Formatted message string
    */
   formatForOutput(message) {
-    const sanitizedText = this.sanitizeText(message.text);
-    const textWithoutNewlines = this.replaceNewlines(sanitizedText);
-    return `${message.team}/${message.channel}/${message.user} > ${textWithoutNewlines}`;
+    if (this.format === 'jsonl') {
+      return JSON.stringify(this.toJsonRecord(message));
+    }
+
+    // Deletions have no current text, so show what was deleted
+    const text = message.kind === 'delete' ? message.previousText : message.text;
+    const sanitizedText = this.sanitizeText(text);
+    const renderedText = this.renderer.render(sanitizedText, message.mentions);
+    const textWithoutNewlines = this.colors.highlight(this.replaceNewlines(renderedText));
+
+    const timestamp = this.formatTimestamp(message);
+
+    if (this.template) {
+      return `${timestamp}${this.template.render(this._getTemplateValues(message, textWithoutNewlines))}`;
+    }
+
+    const team = this.colors.team(message.team);
+    const channel = this.colors.channel(message.team, message.channel);
+    if (message.kind === 'system') {
+      return `${timestamp}${team}/${channel} ${this.colors.muted(`[${textWithoutNewlines}]`)}`;
+    }
+
+    const user = this.colors.user(message.user);
+    const threadMarker = this.formatThreadMarker(message);
+    const changeMarker = this.formatChangeMarker(message);
+    return `${timestamp}${team}/${channel}/${user}${threadMarker}${changeMarker} > ${textWithoutNewlines}`;
+  }
+
+  /**
+   * Format the timestamp prefix of a line
+   * @param {Object} message - The message object
+   * @returns {string} Prefix such as "[12:34:56] ", or empty string when timestamps are off
+   */
+  formatTimestamp(message) {
+    if (!this.timestampFormat) {
+      return '';
+    }
+
+    const time = this._getMessageTime(message);
+    const formatted =
+      this.timestampFormat === RELATIVE_TIMESTAMP
+        ? this.formatRelativeTime(time)
+        : this.dateFormatter.format(time, this.timestampFormat);
+    return formatted ? `${this.colors.muted(`[${formatted}]`)} ` : '';
+  }
+
+  /**
+   * Format a time relative to now
+   * @param {Date} time - Time to describe
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {string} Relative time such as "just now", "45s ago", "2m ago", "3h ago" or "5d ago"
+   */
+  formatRelativeTime(time, now = Date.now()) {
+    if (Number.isNaN(time.getTime())) {
+      return '';
+    }
+
+    const seconds = Math.floor((now - time.getTime()) / 1000);
+    if (seconds < 5) {
+      return 'just now';
+    }
+    if (seconds < 60) {
+      return `${seconds}s ago`;
+    }
+    if (seconds < 3600) {
+      return `${Math.floor(seconds / 60)}m ago`;
+    }
+    if (seconds < 86400) {
+      return `${Math.floor(seconds / 3600)}h ago`;
+    }
+    return `${Math.floor(seconds / 86400)}d ago`;
+  }
+
+  /**
+   * Get the separator line to print before a message whose date differs from the previous one
+   * Remembers the date of the message, so call it once per printed message
+   * @param {Object} message - The message object
+   * @returns {string|null} Separator line, or null when no separator is needed
+   */
+  formatDaySeparator(message) {
+    if (!this.daySeparators) {
+      return null;
+    }
+
+    const time = this._getMessageTime(message);
+    const day = this.dateFormatter.format(time, DAY_FORMAT);
+    if (!day) {
+      return null;
+    }
+
+    const isNewDay = this.lastDay !== null && day !== this.lastDay;
+    this.lastDay = day;
+    if (!isNewDay) {
+      return null;
+    }
+    return this.colors.muted(`── ${this.dateFormatter.format(time, DAY_SEPARATOR_FORMAT)} ──`);
+  }
+
+  /**
+   * Convert a message into a JSON Lines record
+   * Every field is always present (null when unknown) so consumers can rely on the schema
+   * @param {Object} message - The message object
+   * @returns {Object} Record with the documented jsonl schema
+   */
+  toJsonRecord(message) {
+    const isChange = message.kind === 'edit' || message.kind === 'delete';
+    return {
+      schema: JSONL_SCHEMA_VERSION,
+      kind: message.kind || 'message',
+      team: message.team,
+      teamId: message.teamId ?? null,
+      channel: message.channel,
+      channelId: message.channelId ?? null,
+      user: message.user,
+      userId: message.userId ?? null,
+      botId: message.botId ?? null,
+      ts: message.timestamp,
+      time: this._toIsoTime(message),
+      threadTs: message.threadTs ?? null,
+      isThreadReply: Boolean(message.isThreadReply),
+      parentSnippet: message.parentSnippet ?? null,
+      text: this.renderer.render(this.sanitizeText(message.text), message.mentions),
+      rawText: message.text ?? '',
+      previousText: isChange ? (message.previousText ?? '') : null,
+      eventTs: isChange ? (message.eventTs ?? null) : null,
+      historical: Boolean(message.historical),
+      recovered: Boolean(message.recovered),
+    };
+  }
+
+  /**
+   * Format the marker shown for edit and delete events
+   * @param {Object} message - The message object
+   * @returns {string} " (edited)", " (deleted)", or empty string for new messages
+   */
+  formatChangeMarker(message) {
+    if (message.kind === 'edit') {
+      return ' (edited)';
+    }
+    if (message.kind === 'delete') {
+      return ' (deleted)';
+    }
+    return '';
+  }
+
+  /**
+   * Format the marker shown between the sender and the text of thread replies
+   * @param {Object} message - The message object
+   * @returns {string} Marker such as " ↳ [re: parent text]", or empty string for top-level messages
+   */
+  formatThreadMarker(message) {
+    if (!message.isThreadReply) {
+      return '';
+    }
+
+    const parentSnippet = this.replaceNewlines(this.sanitizeText(message.parentSnippet));
+    return parentSnippet ? ` ↳ [re: ${parentSnippet}]` : ' ↳';
   }
 
   /**
@@ -77,4 +311,56 @@ export class ConsoleOutputHandler extends MessageHandler {
 
     return text.replace(/\r?\n/g, ' ').replace(/\s+/g, ' ').trim();
   }
+
+  /**
+   * Get the ISO 8601 time of a message
+   * @private
+   * @param {Object} message - The message object
+   * @returns {string|null} ISO time, or null if the timestamp is not usable
+   */
+  _toIsoTime(message) {
+    const time = this._getMessageTime(message);
+    return Number.isNaN(time.getTime()) ? null : time.toISOString();
+  }
+
+  /**
+   * Get the time of a message, falling back to its Slack timestamp
+   * @private
+   * @param {Object} message - The message object
+   * @returns {Date} Message time (an invalid Date if unknown)
+   */
+  _getMessageTime(message) {
+    return message.formattedTime || new Date(Number.parseFloat(message.timestamp) * 1000);
+  }
+
+  /**
+   * Collect the values available to output templates
+   * @private
+   * @param {Object} message - The message object
+   * @param {string} text - Rendered single-line text
+   * @returns {Object} Values keyed by template field name
+   */
+  _getTemplateValues(message, text) {
+    return {
+      kind: message.kind || 'message',
+      team: this.colors.team(message.team),
+      teamId: message.teamId,
+      channel: this.colors.channel(message.team, message.channel),
+      channelId: message.channelId,
+      user: message.user ? this.colors.user(message.user) : '',
+      userId: message.userId,
+      botId: message.botId,
+      text,
+      ts: message.timestamp,
+      time: this._getMessageTime(message),
+      threadTs: message.threadTs,
+      parent: this.replaceNewlines(this.sanitizeText(message.parentSnippet)),
+      reply: Boolean(message.isThreadReply),
+      edited: message.kind === 'edit',
+      deleted: message.kind === 'delete',
+      system: message.kind === 'system',
+      historical: Boolean(message.historical),
+      recovered: Boolean(message.recovered),
+    };
+  }
 }
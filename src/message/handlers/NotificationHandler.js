@@ -1,17 +1,53 @@
+import { execFile } from 'node:child_process';
+import { logger } from '../../utils/Logger.js';
 import { MessageHandler } from '../MessageHandler.js';
+import { MessageRenderer } from '../MessageRenderer.js';
+
+// Notification commands used when none is configured, by platform
+const DEFAULT_BACKENDS = {
+  linux: { command: 'notify-send', args: ['{title}', '{body}'] },
+  darwin: { command: 'terminal-notifier', args: ['-title', '{title}', '-message', '{body}'] },
+};
+
+const DEFAULT_ARGS = ['{title}', '{body}'];
+const DEFAULT_TITLE_TEMPLATE = '{team}/{channel}';
+const DEFAULT_BODY_TEMPLATE = '{user}: {text}';
+const DEFAULT_THROTTLE_MS = 5000;
+const COMMAND_TIMEOUT_MS = 10000;
 
 /**
- * Notification handler skeleton for future notification functionality
- * This is a placeholder implementation that can be extended with actual notification features
+ * Notification handler that shows desktop notifications through an external command
+ * Notifications are throttled per channel, and bursts are coalesced into a single summary
  */
 export class NotificationHandler extends MessageHandler {
-  constructor(enabled = false) {
+  /**
+   * @param {boolean} [enabled=false] - Whether the handler is enabled
+   * @param {Object} [options] - Notification options from handlers.notification
+   * @param {string} [options.command] - Command to run (default: notify-send on Linux,
+   *   terminal-notifier on macOS)
+   * @param {string[]} [options.args] - Command arguments, with {title} and {body} placeholders
+   * @param {string} [options.title] - Title template, e.g. "{team}/{channel}"
+   * @param {string} [options.body] - Body template, e.g. "{user}: {text}"
+   * @param {number} [options.throttleMs=5000] - Minimum interval between notifications per channel
+   */
+  constructor(enabled = false, options = {}) {
     super();
     this.enabled = enabled;
+
+    const backend = DEFAULT_BACKENDS[process.platform] || {};
+    this.command = options.command || backend.command || null;
+    this.args = options.args || (options.command ? DEFAULT_ARGS : backend.args) || DEFAULT_ARGS;
+    this.titleTemplate = options.title || DEFAULT_TITLE_TEMPLATE;
+    this.bodyTemplate = options.body || DEFAULT_BODY_TEMPLATE;
+    this.throttleMs = options.throttleMs ?? DEFAULT_THROTTLE_MS;
+    this.renderer = new MessageRenderer();
+    this.throttleStates = new Map(); // Throttle state per team/channel
+    this.hasWarnedMissingCommand = false;
   }
 
   /**
-   * Handle a message by sending a notification (placeholder implementation)
+   * Handle a message by sending a desktop notification
+   * Messages arriving within the throttle window of their channel are coalesced
    * @param {Object} message - The message object to handle
    */
   async handle(message) {
@@ -19,15 +55,34 @@ export class NotificationHandler extends MessageHandler {
       return;
     }
 
-    // Placeholder for future notification implementation
-    // This could be extended to:
-    // - Send desktop notifications
-    // - Send email notifications
-    // - Send push notifications
-    // - Integrate with notification services (Slack, Discord, etc.)
+    // Edits, deletions and backfilled history are not worth interrupting anyone for
+    if ((message.kind && message.kind !== 'message') || message.historical) {
+      return;
+    }
+
+    const key = `${message.team}/${message.channel}`;
+    const state = this._getThrottleState(key);
+    const elapsed = Date.now() - state.lastSentAt;
+
+    if (!state.timer && elapsed >= this.throttleMs) {
+      state.lastSentAt = Date.now();
+      await this._sendNotification(message);
+      return;
+    }
 
-    // For now, this is a no-op placeholder
-    await this._sendNotification(message);
+    // Hold the message until the throttle window ends
+    state.pending.push(message);
+    if (!state.timer) {
+      // Nothing awaits the timer, so failures are logged here instead of rejecting unhandled
+      state.timer = setTimeout(
+        () =>
+          this._flushPending(key).catch((error) =>
+            logger.warn(`Held notifications for ${key} failed: ${error.message}`)
+          ),
+        this.throttleMs - elapsed
+      );
+      state.timer.unref?.();
+    }
   }
 
   /**
@@ -55,29 +110,141 @@ export class NotificationHandler extends MessageHandler {
   }
 
   /**
-   * Private method to send notification (placeholder)
-   * This method can be extended in the future to implement actual notification logic
+   * Send held-back notifications now instead of waiting for their throttle windows
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    for (const [key, state] of this.throttleStates) {
+      if (state.timer) {
+        clearTimeout(state.timer);
+        await this._flushPending(key);
+      }
+    }
+  }
+
+  /**
+   * Cancel throttle timers, dropping anything still held back
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    for (const state of this.throttleStates.values()) {
+      clearTimeout(state.timer);
+      state.timer = null;
+      state.pending = [];
+    }
+  }
+
+  /**
+   * Send a notification for a single message
    * @param {Object} message - The message object
    * @private
    */
   async _sendNotification(message) {
-    // Placeholder implementation
-    // Future implementations could:
-    // - Format the message for notification display
-    // - Use system notification APIs
-    // - Send to external notification services
-    // - Apply filtering rules for which messages to notify about
-    // For now, this is intentionally empty as a placeholder
+    const { title, body } = this._formatNotification(message);
+    await this._notify(title, body);
+  }
+
+  /**
+   * Send a summary notification for a coalesced burst
+   * @param {string} key - The team/channel the messages belong to
+   * @param {number} count - Number of messages in the burst
+   * @private
+   */
+  async _sendSummary(key, count) {
+    await this._notify(key, `${count} new messages in ${key}`);
+  }
+
+  /**
+   * Send whatever is pending for a channel once its throttle window ends
+   * @param {string} key - The team/channel key
+   * @private
+   */
+  async _flushPending(key) {
+    const state = this._getThrottleState(key);
+    const pending = state.pending;
+    state.pending = [];
+    state.timer = null;
+    state.lastSentAt = Date.now();
+
+    if (pending.length === 1) {
+      await this._sendNotification(pending[0]);
+    } else if (pending.length > 1) {
+      await this._sendSummary(key, pending.length);
+    }
+  }
+
+  /**
+   * Get or create the throttle state for a channel
+   * @param {string} key - The team/channel key
+   * @returns {Object} State with lastSentAt, pending messages and timer
+   * @private
+   */
+  _getThrottleState(key) {
+    if (!this.throttleStates.has(key)) {
+      this.throttleStates.set(key, { lastSentAt: 0, pending: [], timer: null });
+    }
+    return this.throttleStates.get(key);
   }
 
   /**
-   * Format message for notification display (placeholder)
+   * Format message for notification display using the title and body templates
    * @param {Object} message - The message object
-   * @returns {string} Formatted notification text
+   * @returns {{title: string, body: string}} Notification title and body
    * @private
    */
   _formatNotification(message) {
-    // Placeholder for future notification formatting
-    return `${message.team}/${message.channel}: ${message.user} - ${message.text}`;
+    const values = {
+      team: message.team,
+      channel: message.channel,
+      user: message.user,
+      text: this.renderer.render(message.text, message.mentions),
+    };
+
+    return {
+      title: this._fillTemplate(this.titleTemplate, values),
+      body: this._fillTemplate(this.bodyTemplate, values),
+    };
+  }
+
+  /**
+   * Replace {name} placeholders in a template
+   * @param {string} template - Template string
+   * @param {Object} values - Placeholder values
+   * @returns {string} Filled template
+   * @private
+   */
+  _fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+  }
+
+  /**
+   * Run the notification command
+   * Failures are logged and never propagate to the message pipeline
+   * @param {string} title - Notification title
+   * @param {string} body - Notification body
+   * @private
+   */
+  async _notify(title, body) {
+    if (!this.command) {
+      if (!this.hasWarnedMissingCommand) {
+        logger.warn(
+          `No notification command configured for platform ${process.platform}; set handlers.notification.command`
+        );
+        this.hasWarnedMissingCommand = true;
+      }
+      return;
+    }
+
+    const args = this.args.map((arg) => this._fillTemplate(arg, { title, body }));
+
+    try {
+      await new Promise((resolve, reject) => {
+        execFile(this.command, args, { timeout: COMMAND_TIMEOUT_MS }, (error) =>
+          error ? reject(error) : resolve()
+        );
+      });
+    } catch (error) {
+      logger.warn(`Notification command "${this.command}" failed: ${error.message}`);
+    }
   }
 }
@@ -1,35 +1,98 @@
+import { spawn } from 'node:child_process';
+import { constants } from 'node:fs';
+import { access } from 'node:fs/promises';
+import { basename, delimiter, isAbsolute, join } from 'node:path';
+import { logger } from '../../utils/Logger.js';
 import { MessageHandler } from '../MessageHandler.js';
+import { MessageRenderer } from '../MessageRenderer.js';
+
+// How well-known TTS commands select a voice, and extra arguments they need
+const COMMAND_PRESETS = {
+  say: { voiceFlag: '-v', args: [] },
+  espeak: { voiceFlag: '-v', args: [] },
+  'espeak-ng': { voiceFlag: '-v', args: [] },
+  // spd-say returns immediately unless told to wait, which would overlap messages
+  'spd-say': { voiceFlag: '-y', args: ['--wait'] },
+};
+
+// Text-to-speech commands used when none is configured, by platform
+const DEFAULT_COMMANDS = { darwin: 'say', linux: 'spd-say' };
+
+export const SPEECH_OVERFLOW_POLICIES = ['summarize', 'drop'];
+const DEFAULT_MAX_QUEUE_SIZE = 5;
 
 /**
- * Speech handler skeleton for future text-to-speech functionality
- * This is a placeholder implementation that can be extended with actual speech features
+ * Speech handler that reads messages aloud through a text-to-speech command
+ * Messages are spoken one at a time from a bounded queue so speech never overlaps
  */
 export class SpeechHandler extends MessageHandler {
-  constructor(enabled = false, command = 'say') {
+  /**
+   * @param {boolean} [enabled=false] - Whether the handler is enabled
+   * @param {string} [command] - Text-to-speech command (say, espeak, spd-say or custom;
+   *   default: say on macOS, spd-say on Linux)
+   * @param {Object} [options] - Speech options from handlers.speech
+   * @param {string[]} [options.args] - Custom command arguments, with {text} and {voice}
+   *   placeholders (default: voice flag of known commands followed by the text)
+   * @param {string} [options.voice] - Default voice
+   * @param {Object} [options.voices] - Voices keyed by "team" or "team/channel"
+   *   (channel name or ID)
+   * @param {number} [options.maxQueueSize=5] - Maximum number of messages waiting to be spoken
+   * @param {string} [options.overflow='summarize'] - What to do when the queue is full:
+   *   'summarize' drops the oldest message and announces how many were skipped,
+   *   'drop' drops it silently
+   */
+  constructor(enabled = false, command = null, options = {}) {
     super();
     this.enabled = enabled;
-    this.command = command; // Command to use for text-to-speech (e.g., 'say' on macOS)
+    this.command = command || SpeechHandler.getDefaultCommand(); // Command to use for text-to-speech
+    this.args = options.args || null;
+    this.voice = options.voice || null;
+    this.voices = options.voices || {};
+    this.maxQueueSize = options.maxQueueSize ?? DEFAULT_MAX_QUEUE_SIZE;
+    this.overflow = SPEECH_OVERFLOW_POLICIES.includes(options.overflow)
+      ? options.overflow
+      : 'summarize';
+    this.renderer = new MessageRenderer();
+
+    this.queue = [];
+    this.skippedCount = 0;
+    this.processing = null; // Promise of the running queue loop
+    this.currentProcess = null;
+    this.isStopped = false;
+    this.isAvailable = null; // Cached result of _isSpeechAvailable
   }
 
   /**
-   * Handle a message by converting it to speech (placeholder implementation)
+   * Get the text-to-speech command used when none is configured
+   * @param {string} [platform=process.platform] - Platform to get the command for
+   * @returns {string} Command name
+   */
+  static getDefaultCommand(platform = process.platform) {
+    return DEFAULT_COMMANDS[platform] || 'say';
+  }
+
+  /**
+   * Handle a message by queueing it for speech
+   * Returns as soon as the message is queued so other handlers are not held up
    * @param {Object} message - The message object to handle
    */
   async handle(message) {
-    if (!this.isEnabled()) {
+    if (!this.isEnabled() || this.isStopped) {
+      return;
+    }
+
+    // Reading out edits, deletions and backfilled history would only be confusing
+    if ((message.kind && message.kind !== 'message') || message.historical) {
       return;
     }
 
-    // Placeholder for future speech implementation
-    // This could be extended to:
-    // - Use system text-to-speech APIs
-    // - Integrate with cloud TTS services (Google, AWS, Azure)
-    // - Support different voices and languages
-    // - Apply speech filtering rules
-    // - Queue speech requests to avoid overlapping
+    this._enqueue({ text: this._formatForSpeech(message), voice: this._getVoice(message) });
 
-    // For now, this is a no-op placeholder
-    await this._speakMessage(message);
+    if (!this.processing) {
+      this.processing = this._processQueue().finally(() => {
+        this.processing = null;
+      });
+    }
   }
 
   /**
@@ -70,47 +133,169 @@ export class SpeechHandler extends MessageHandler {
    */
   setCommand(command) {
     this.command = command;
+    this.isAvailable = null;
+  }
+
+  /**
+   * Get the number of messages waiting to be spoken
+   * @returns {number} Queue length
+   */
+  getQueueSize() {
+    return this.queue.length;
+  }
+
+  /**
+   * Stop speaking: discard the queue and kill the message being spoken
+   * @returns {Promise<void>} Resolves once the queue loop has finished
+   */
+  async stop() {
+    this.isStopped = true;
+    this.queue = [];
+    this.skippedCount = 0;
+
+    if (this.currentProcess) {
+      this.currentProcess.kill();
+    }
+
+    await this.processing;
+  }
+
+  /**
+   * Add an utterance to the queue, making room according to the overflow policy
+   * @param {Object} utterance - Text and voice to speak
+   * @private
+   */
+  _enqueue(utterance) {
+    if (this.queue.length >= this.maxQueueSize) {
+      // Newer messages are more relevant than the backlog
+      this.queue.shift();
+      if (this.overflow === 'summarize') {
+        this.skippedCount++;
+      }
+    }
+    this.queue.push(utterance);
+  }
+
+  /**
+   * Speak queued messages one at a time until the queue is empty
+   * @private
+   */
+  async _processQueue() {
+    if (!(await this._isSpeechAvailable())) {
+      logger.warn(`Speech command "${this.command}" not found; speech output disabled`);
+      this.setEnabled(false);
+      this.queue = [];
+      return;
+    }
+
+    while (this.queue.length > 0 && !this.isStopped) {
+      const utterance = this.queue.shift();
+
+      if (this.skippedCount > 0) {
+        const count = this.skippedCount;
+        this.skippedCount = 0;
+        await this._speak(`Skipped ${count} ${count === 1 ? 'message' : 'messages'}.`, null);
+      }
+
+      await this._speakMessage(utterance);
+    }
+  }
+
+  /**
+   * Speak a queued message
+   * @param {Object} utterance - The queued utterance
+   * @param {string} utterance.text - Text to speak
+   * @param {string|null} utterance.voice - Voice to use
+   * @private
+   */
+  async _speakMessage({ text, voice }) {
+    if (this.isStopped) {
+      return;
+    }
+    await this._speak(text, voice);
+  }
+
+  /**
+   * Run the speech command and wait for it to finish
+   * Failures are logged and never stop the queue
+   * @param {string} text - Text to speak
+   * @param {string|null} voice - Voice to use
+   * @private
+   */
+  _speak(text, voice) {
+    return new Promise((resolve) => {
+      const child = spawn(this.command, this._buildArgs(text, voice), { stdio: 'ignore' });
+      this.currentProcess = child;
+
+      // 'close' is not guaranteed after 'error', so both settle the promise
+      child.once('error', (error) => {
+        this.currentProcess = null;
+        logger.warn(`Speech command "${this.command}" failed: ${error.message}`);
+        resolve();
+      });
+      child.once('close', (code) => {
+        this.currentProcess = null;
+        if (code !== 0 && code !== null && !this.isStopped) {
+          logger.warn(`Speech command "${this.command}" exited with code ${code}`);
+        }
+        resolve();
+      });
+    });
   }
 
   /**
-   * Private method to speak a message (placeholder)
-   * This method can be extended in the future to implement actual speech synthesis
+   * Build the command arguments for an utterance
+   * @param {string} text - Text to speak
+   * @param {string|null} voice - Voice to use
+   * @returns {string[]} Command arguments
+   * @private
+   */
+  _buildArgs(text, voice) {
+    if (this.args) {
+      return this.args.map((arg) =>
+        arg.replace(/\{(text|voice)\}/g, (_match, name) => (name === 'text' ? text : voice || ''))
+      );
+    }
+
+    const preset = COMMAND_PRESETS[basename(this.command)] || { voiceFlag: null, args: [] };
+    const args = [...preset.args];
+    if (voice && preset.voiceFlag) {
+      args.push(preset.voiceFlag, voice);
+    }
+    args.push(text);
+    return args;
+  }
+
+  /**
+   * Pick the voice for a message: team/channel, then team, then the default voice
    * @param {Object} message - The message object
+   * @returns {string|null} Voice name or null for the command default
    * @private
    */
-  async _speakMessage(message) {
-    // Placeholder implementation
-    // Future implementations could:
-    // - Format the message for speech output
-    // - Use child_process to execute TTS commands
-    // - Integrate with Web Speech API (if running in browser context)
-    // - Use native TTS libraries
-    // - Apply voice modulation based on user/channel
-    // - Handle speech queuing and interruption
-    // For now, this is intentionally empty as a placeholder
+  _getVoice(message) {
+    return (
+      this.voices[`${message.team}/${message.channelId}`] ||
+      this.voices[`${message.team}/${message.channel}`] ||
+      this.voices[message.team] ||
+      this.voice
+    );
   }
 
   /**
-   * Format message for speech output (placeholder)
+   * Format message for speech output
    * @param {Object} message - The message object
    * @returns {string} Formatted speech text
    * @private
    */
   _formatForSpeech(message) {
-    // Placeholder for future speech formatting
-    // This could include:
-    // - Removing URLs and replacing with "link"
-    // - Expanding abbreviations
-    // - Handling mentions and channels
-    // - Cleaning up formatting characters
-    // - Adding pronunciation hints
-
-    const cleanText = this._cleanTextForSpeech(message.text);
+    const cleanText = this._cleanTextForSpeech(
+      this.renderer.render(message.text, message.mentions)
+    );
     return `Message from ${message.user} in ${message.channel}: ${cleanText}`;
   }
 
   /**
-   * Clean text for speech synthesis (placeholder)
+   * Clean text for speech synthesis
    * @param {string} text - The text to clean
    * @returns {string} Cleaned text suitable for speech
    * @private
@@ -120,15 +305,6 @@ export class SpeechHandler extends MessageHandler {
       return '';
     }
 
-    // Placeholder for text cleaning
-    // Future implementations could:
-    // - Remove or replace URLs
-    // - Handle emoji and special characters
-    // - Expand contractions
-    // - Remove excessive punctuation
-    // - Handle code blocks and formatting
-
-    // Basic cleaning for now
     return text
       .replace(/\r?\n/g, ' ') // Replace newlines with spaces
       .replace(/\s+/g, ' ') // Normalize whitespace
@@ -136,17 +312,35 @@ export class SpeechHandler extends MessageHandler {
   }
 
   /**
-   * Check if speech synthesis is available on the system (placeholder)
+   * Check if the speech command is an executable file, either as a path or on PATH
+   * The result is cached until the command changes
    * @returns {Promise<boolean>} True if speech synthesis is available
    * @private
    */
   async _isSpeechAvailable() {
-    // Placeholder for checking speech availability
-    // Future implementations could:
-    // - Check if TTS command exists
-    // - Verify system speech capabilities
-    // - Test cloud TTS service connectivity
+    if (this.isAvailable !== null) {
+      return this.isAvailable;
+    }
+
+    const candidates =
+      isAbsolute(this.command) || this.command.includes('/')
+        ? [this.command]
+        : (process.env.PATH || '')
+            .split(delimiter)
+            .filter(Boolean)
+            .map((dir) => join(dir, this.command));
+
+    this.isAvailable = false;
+    for (const candidate of candidates) {
+      try {
+        await access(candidate, constants.X_OK);
+        this.isAvailable = true;
+        break;
+      } catch (error) {
+        // Not executable here; try the next directory
+      }
+    }
 
-    return false; // Placeholder return
+    return this.isAvailable;
   }
 }
@@ -0,0 +1,214 @@
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { logger } from '../utils/Logger.js';
+
+/**
+ * File name of the state file, next to the configuration file unless configured otherwise
+ */
+export const DEFAULT_STATE_FILE = '.slagg-state.json';
+
+const STATE_VERSION = 1;
+const DEFAULT_SAVE_DELAY_MS = 1000;
+
+/**
+ * StateStore keeps what slagg needs to remember between runs in a small JSON file: the newest
+ * message seen per team and channel, and channel and user names
+ *
+ * Changes are written shortly after they happen, batched, and the file is replaced atomically
+ * so an interrupted write never leaves a truncated file behind. A missing or unreadable file
+ * starts an empty state.
+ */
+export class StateStore {
+  /**
+   * @param {string} filePath - Path of the state file
+   * @param {Object} [options] - Store options
+   * @param {number} [options.saveDelayMs=1000] - Time changes are batched before writing
+   */
+  constructor(filePath, { saveDelayMs = DEFAULT_SAVE_DELAY_MS } = {}) {
+    this.filePath = filePath;
+    this.saveDelayMs = saveDelayMs;
+    this.state = { version: STATE_VERSION, teams: {} };
+    this.isDirty = false;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Read the state file
+   * @returns {StateStore} This store, for chaining
+   */
+  load() {
+    let data;
+    try {
+      data = JSON.parse(readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read state file ${this.filePath}, starting fresh: ${error.message}`);
+      }
+      return this;
+    }
+
+    if (data?.version !== STATE_VERSION || !data.teams || typeof data.teams !== 'object') {
+      logger.warn(`State file ${this.filePath} has an unknown format, starting fresh`);
+      return this;
+    }
+
+    this.state = data;
+    return this;
+  }
+
+  /**
+   * Get the timestamp of the newest message seen in a channel
+   * @param {string} teamName - Team name
+   * @param {string} channelId - Channel ID
+   * @returns {string|null} Slack timestamp, or null if no message was seen
+   */
+  getLastSeen(teamName, channelId) {
+    return this._getChannel(teamName, channelId)?.lastSeenTs ?? null;
+  }
+
+  /**
+   * Record a message seen in a channel, keeping the newest timestamp
+   * @param {string} teamName - Team name
+   * @param {string} channelId - Channel ID
+   * @param {string} ts - Slack timestamp of the message
+   */
+  setLastSeen(teamName, channelId, ts) {
+    const channel = this._getChannel(teamName, channelId, true);
+    if (channel.lastSeenTs && Number.parseFloat(channel.lastSeenTs) >= Number.parseFloat(ts)) {
+      return;
+    }
+    channel.lastSeenTs = ts;
+    this._markDirty();
+  }
+
+  /**
+   * Get the cached name of a channel
+   * @param {string} teamName - Team name
+   * @param {string} channelId - Channel ID
+   * @returns {string|null} Channel name, or null if unknown
+   */
+  getChannelName(teamName, channelId) {
+    return this._getChannel(teamName, channelId)?.name ?? null;
+  }
+
+  /**
+   * Cache the name of a channel
+   * @param {string} teamName - Team name
+   * @param {string} channelId - Channel ID
+   * @param {string} name - Channel name
+   */
+  setChannelName(teamName, channelId, name) {
+    const channel = this._getChannel(teamName, channelId, true);
+    if (channel.name !== name) {
+      channel.name = name;
+      this._markDirty();
+    }
+  }
+
+  /**
+   * Get the cached display name of a user
+   * @param {string} teamName - Team name
+   * @param {string} userId - User ID
+   * @returns {string|null} User name, or null if unknown
+   */
+  getUserName(teamName, userId) {
+    return this._getTeam(teamName)?.users?.[userId] ?? null;
+  }
+
+  /**
+   * Cache the display name of a user
+   * @param {string} teamName - Team name
+   * @param {string} userId - User ID
+   * @param {string} name - User name
+   */
+  setUserName(teamName, userId, name) {
+    const team = this._getTeam(teamName, true);
+    if (team.users[userId] !== name) {
+      team.users[userId] = name;
+      this._markDirty();
+    }
+  }
+
+  /**
+   * Write the state file now, replacing it atomically
+   * Failures are logged, as losing the state only means missing the resume position
+   * @returns {boolean} True if the file was written
+   */
+  save() {
+    this._clearTimer();
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    try {
+      mkdirSync(dirname(this.filePath), { recursive: true });
+      writeFileSync(tempPath, `${JSON.stringify(this.state, null, 2)}\n`);
+      renameSync(tempPath, this.filePath);
+      this.isDirty = false;
+      return true;
+    } catch (error) {
+      logger.warn(`Could not write state file ${this.filePath}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Write pending changes, if any
+   * @returns {boolean} True if there was nothing to write or the file was written
+   */
+  flush() {
+    this._clearTimer();
+    return this.isDirty ? this.save() : true;
+  }
+
+  /**
+   * Get the state of a team
+   * @private
+   * @param {string} teamName - Team name
+   * @param {boolean} [create=false] - Create the entry if it does not exist
+   * @returns {Object|undefined} Team state with channels and users
+   */
+  _getTeam(teamName, create = false) {
+    const team = this.state.teams[teamName];
+    if (create && (!team?.channels || !team?.users)) {
+      this.state.teams[teamName] = { channels: {}, users: {}, ...team };
+    }
+    return this.state.teams[teamName];
+  }
+
+  /**
+   * Get the state of a channel
+   * @private
+   * @param {string} teamName - Team name
+   * @param {string} channelId - Channel ID
+   * @param {boolean} [create=false] - Create the entry if it does not exist
+   * @returns {Object|undefined} Channel state with lastSeenTs and name
+   */
+  _getChannel(teamName, channelId, create = false) {
+    const team = this._getTeam(teamName, create);
+    if (team && !team.channels[channelId] && create) {
+      team.channels[channelId] = {};
+    }
+    return team?.channels?.[channelId];
+  }
+
+  /**
+   * Remember that there are changes and schedule a write
+   * @private
+   */
+  _markDirty() {
+    this.isDirty = true;
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.save(), this.saveDelayMs);
+      this.saveTimer.unref?.();
+    }
+  }
+
+  /**
+   * Cancel a scheduled write
+   * @private
+   */
+  _clearTimer() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+  }
+}
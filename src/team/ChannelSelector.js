@@ -0,0 +1,182 @@
+// Conversation IDs: channels (C, or G for older private channels and group DMs) and DMs (D),
+// followed by at least eight letters or digits, as newer workspaces issue longer IDs
+export const CONVERSATION_ID_PATTERN = /^[CDG][A-Z0-9]{8,}$/;
+
+// Channel names after the #, where * stands for any characters
+const CHANNEL_NAME_PATTERN = /^#[^\s#!]+$/;
+
+/**
+ * ChannelSelector interprets the channels configured for a team: conversation IDs, channel
+ * names such as "#incidents", wildcards such as "#team-*", "*" for every conversation the bot is
+ * a member of, and exclusions prefixed with "!" ("!#random", "!C1234567890")
+ *
+ * IDs are followed as listed. Names and wildcards are matched against the conversations the bot
+ * is a member of, and exclusions only remove conversations matched that way. The selection can be
+ * restricted further to requested conversations, as given with --channel.
+ */
+export class ChannelSelector {
+  /**
+   * @param {string[]} entries - Configured channel entries
+   * @param {Object} [options] - Selector options
+   * @param {string[]} [options.only] - Only select these conversation IDs and channel names
+   */
+  constructor(entries, { only = null } = {}) {
+    this.entries = entries;
+    this.only = only;
+    this.onlyMatchers = only ? only.map((target) => ChannelSelector._createMatcher(target)) : null;
+    this.channelIds = []; // Conversation IDs listed as they are
+    this.includes = []; // Name and wildcard matchers
+    this.excludes = []; // Exclusion matchers
+
+    for (const entry of entries) {
+      if (typeof entry === 'string' && entry.startsWith('!')) {
+        this.excludes.push(ChannelSelector._createMatcher(entry.slice(1)));
+      } else if (entry === '*' || CHANNEL_NAME_PATTERN.test(entry)) {
+        this.includes.push(ChannelSelector._createMatcher(entry));
+      } else {
+        // Anything else is taken as an ID; malformed ones are reported when subscribing
+        this.channelIds.push(entry);
+      }
+    }
+  }
+
+  /**
+   * Check whether a configured channel entry is well formed
+   * @param {*} entry - Channel entry
+   * @returns {boolean} True for conversation IDs, channel names, wildcards and their exclusions
+   */
+  static isValidEntry(entry) {
+    if (typeof entry !== 'string') {
+      return false;
+    }
+    const target = entry.startsWith('!') ? entry.slice(1) : entry;
+    if (target === '*') {
+      // Excluding everything would leave nothing to follow
+      return target === entry;
+    }
+    return CONVERSATION_ID_PATTERN.test(target) || CHANNEL_NAME_PATTERN.test(target);
+  }
+
+  /**
+   * Get the conversation IDs listed as they are
+   * @returns {string[]} Conversation IDs
+   */
+  getChannelIds() {
+    return this.channelIds.filter((channelId) => !this.only || this.only.includes(channelId));
+  }
+
+  /**
+   * Get the name and wildcard entries
+   * @returns {string[]} Entries such as "#team-*" and "*"
+   */
+  getPatternEntries() {
+    return this.entries.filter((entry) => entry === '*' || CHANNEL_NAME_PATTERN.test(entry));
+  }
+
+  /**
+   * Check whether conversations have to be looked up to resolve names or wildcards
+   * @returns {boolean} True if there are name or wildcard entries
+   */
+  needsLookup() {
+    return this.includes.length > 0;
+  }
+
+  /**
+   * Check whether a conversation is matched by a name or wildcard entry and not excluded
+   * @param {Object} conversation - Conversation record with id and name
+   * @returns {boolean} True if the conversation is selected
+   */
+  matches(conversation) {
+    return (
+      this.includes.some((matcher) => matcher(conversation)) &&
+      !this.excludes.some((matcher) => matcher(conversation)) &&
+      (!this.onlyMatchers || this.onlyMatchers.some((matcher) => matcher(conversation)))
+    );
+  }
+
+  /**
+   * Check whether a conversation given by ID or name can be selected, without looking it up
+   * IDs that are not listed as they are may still turn out to be missed by the names and
+   * wildcards, or to be excluded by name.
+   * @param {string} target - Conversation ID or "#name"
+   * @returns {boolean} True if the entries list the conversation or may match it
+   */
+  canSelect(target) {
+    if (this.channelIds.includes(target)) {
+      return true;
+    }
+    const conversation = target.startsWith('#')
+      ? { name: target.slice(1).toLowerCase() }
+      : { id: target };
+    if (this.excludes.some((matcher) => matcher(conversation))) {
+      return false;
+    }
+    return target.startsWith('#')
+      ? this.includes.some((matcher) => matcher(conversation))
+      : this.includes.length > 0;
+  }
+
+  /**
+   * Narrow the entries down to requested conversations
+   * @param {string[]} targets - Conversation IDs and "#names", as given with --channel
+   * @returns {Object|null} The entries needed to select them, with the targets that can be
+   *   selected as only when names or wildcards are needed; null if none can be selected
+   */
+  narrow(targets) {
+    const selected = targets.filter((target) => this.canSelect(target));
+    if (selected.length === 0) {
+      return null;
+    }
+
+    // IDs listed as they are need no lookup; anything else is found through the patterns
+    const needsPatterns = selected.some((target) => !this.channelIds.includes(target));
+    const patternEntries = this.getPatternEntries();
+    return {
+      entries: this.entries.filter(
+        (entry) =>
+          selected.includes(entry) ||
+          (needsPatterns && (patternEntries.includes(entry) || entry.startsWith('!')))
+      ),
+      only: needsPatterns ? selected : null,
+    };
+  }
+
+  /**
+   * Get the channel names, without wildcards, that none of the given conversations matched
+   * When restricted to requested conversations, only the requested names are checked.
+   * @param {Object[]} conversations - Conversation records with id and name
+   * @returns {string[]} Names without the #
+   */
+  getUnmatchedNames(conversations) {
+    return (this.only || this.entries)
+      .filter((entry) => CHANNEL_NAME_PATTERN.test(entry) && !entry.includes('*'))
+      .map((entry) => entry.slice(1).toLowerCase())
+      .filter((name) => !conversations.some((conversation) => conversation.name === name));
+  }
+
+  /**
+   * Create a function matching conversations against an entry without the exclusion prefix
+   * DMs and group DMs have no channel name, so only "*" and their ID match them.
+   * @private
+   * @param {string} target - "*", "#name", "#pattern*" or a conversation ID
+   * @returns {Function} Function taking a conversation record and returning a boolean
+   */
+  static _createMatcher(target) {
+    if (target === '*') {
+      return () => true;
+    }
+    if (!target.startsWith('#')) {
+      return (conversation) => conversation.id === target;
+    }
+
+    const pattern = target
+      .slice(1)
+      .toLowerCase()
+      .split('*')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    const regex = new RegExp(`^${pattern}$`);
+    return (conversation) =>
+      !conversation.is_im && !conversation.is_mpim && regex.test(conversation.name || '');
+  }
+}
@@ -1,13 +1,80 @@
 import { SocketModeClient } from '@slack/socket-mode';
 import { WebClient } from '@slack/web-api';
+import { parseDuration } from '../utils/Duration.js';
 import { logger } from '../utils/Logger.js';
+import { CONVERSATION_ID_PATTERN, ChannelSelector } from './ChannelSelector.js';
+import { MAX_BACKFILL_MESSAGES } from './SlackLimits.js';
+import { UserDirectory } from './UserDirectory.js';
+
+// Message subtypes that are surfaced as edit and delete events
+const CHANGE_SUBTYPES = ['message_changed', 'message_deleted'];
+
+// Message subtypes that carry regular user content and are shown like plain messages
+const CONTENT_SUBTYPES = ['file_share'];
+
+// Subtype of messages posted by integrations and webhooks, shown when bots are included
+const BOT_MESSAGE_SUBTYPE = 'bot_message';
+
+// conversations.history page size
+const HISTORY_PAGE_SIZE = 200;
+
+// Most messages replayed per channel after a reconnect
+const MAX_RECOVERED_MESSAGES = 1000;
+
+// Conversation types listed when resolving channel names and wildcards, and the page size
+const MEMBER_CONVERSATION_TYPES = 'public_channel,private_channel,mpim,im';
+const CONVERSATION_PAGE_SIZE = 200;
+
+// Channel events that change which conversations are followed or what they are called; the
+// group_* events are sent instead of channel_* ones for older private channels
+const CHANNEL_EVENTS = [
+  'channel_created',
+  'member_joined_channel',
+  'channel_left',
+  'group_left',
+  'channel_rename',
+  'group_rename',
+  'channel_archive',
+  'group_archive',
+  'channel_unarchive',
+  'group_unarchive',
+];
+
+// User events that keep the user directory current
+const USER_EVENTS = ['user_change', 'team_join'];
+
+// How long to wait before looking up the bot's own identity again after auth.test failed
+const BOT_IDENTITY_RETRY_MS = 60 * 1000;
 
 /**
  * SlackClient handles Socket Mode API connection for a single team
  * Manages real-time message streaming and auto-reconnection
  */
 export class SlackClient {
-  constructor(appToken, botToken, teamName, channelIds) {
+  /**
+   * @param {string} appToken - App-Level token for Socket Mode
+   * @param {string} botToken - Bot token for Web API calls
+   * @param {string} teamName - Name of the team
+   * @param {string[]} channelIds - Channels to subscribe to: conversation IDs, names such as
+   *   "#general", wildcards such as "#team-*" or "*", and exclusions such as "!#random"
+   * @param {Object} [options] - Per-team options from configuration
+   * @param {string[]} [options.channelFilter] - Only follow these conversation IDs and channel
+   *   names among those the channels select, as requested with --channel
+   * @param {boolean|Object} [options.threadReplies=true] - Show thread replies, either for all
+   *   channels or per channel ID (with an optional "default" key)
+   * @param {number|string|Object} [options.backfill] - History shown on startup: a number of
+   *   messages or a duration such as "2h", either for all channels or per channel ID (with an
+   *   optional "default" key)
+   * @param {boolean|Object} [options.bots=false] - Show messages from bots and apps, either for
+   *   all channels or per channel ID (with an optional "default" key)
+   * @param {Object} [options.botIds] - Bots shown where bots are included
+   * @param {string[]} [options.botIds.allow] - Only show these bot IDs
+   * @param {string[]} [options.botIds.deny] - Never show these bot IDs
+   * @param {StateStore} [options.stateStore] - Store persisting last-seen positions and names
+   * @param {boolean} [options.sinceLastRun=false] - Backfill the messages sent since the
+   *   positions stored by the previous run, instead of the backfill setting
+   */
+  constructor(appToken, botToken, teamName, channelIds, options = {}) {
     if (!appToken || typeof appToken !== 'string') {
       throw new Error('App token is required and must be a string');
     }
@@ -24,7 +91,11 @@ export class SlackClient {
     this.appToken = appToken;
     this.botToken = botToken;
     this.teamName = teamName;
-    this.channelIds = channelIds;
+    this.channelSelector = new ChannelSelector(channelIds, { only: options.channelFilter });
+    this.channelIds = this.channelSelector.getChannelIds(); // Followed conversation IDs
+    this.matchedChannelIds = null; // Followed IDs that matched a name or wildcard
+    this.isRefreshingChannels = false;
+    this.isRefreshPending = false;
     this.socketModeClient = null;
     this.webClient = null;
     this.isConnected = false;
@@ -35,10 +106,30 @@ export class SlackClient {
     this.reconnectDelay = 1000; // Start with 1 second
     this.maxReconnectDelay = 30000; // Max 30 seconds
     this.messageCallback = null;
+    this.teamId = null; // Workspace ID, learned from Socket Mode envelopes
     this.channelNames = new Map(); // Cache channel names
+    this.channelTypes = new Map(); // Conversation type per channel, see getConversationType
+    this.botUserId = null; // User ID of the bot, looked up to leave it out of group DM labels
+    this.botId = null; // Bot ID of the bot, looked up to leave out its own messages
+    this.botIdentityLoaded = false; // Whether auth.test has answered
+    this.botIdentityRetryAt = 0; // When a failed auth.test may be tried again
+    this.botNames = new Map(); // Names of other bots by bot ID, as promises of bots.info lookups
     this.skippedChannels = []; // Track skipped channels with reasons
     this.processedMessages = new Set(); // Track processed message IDs to prevent duplicates
     this.connectionTime = null; // Track when we connected to filter out old messages
+    this.threadReplies = options.threadReplies ?? true;
+    this.backfill = options.backfill ?? null;
+    this.bots = options.bots ?? false;
+    this.botIds = options.botIds ?? {};
+    this.stateStore = options.stateStore ?? null;
+    this.sinceLastRun = options.sinceLastRun ?? false;
+    this.userDirectory = new UserDirectory(teamName, () => this.webClient, {
+      stateStore: this.stateStore,
+    });
+    this.threadParents = new Map(); // Cache parent message snippets by channel and thread_ts
+    this.lastSeenTs = new Map(); // Newest message ts seen per channel, to recover after outages
+    this.heldMessages = null; // Live messages held back while missed messages are recovered
+    this.disconnectedAt = null; // When Socket Mode lost the connection and began reconnecting
   }
 
   /**
@@ -63,6 +154,15 @@ export class SlackClient {
 
     this.isConnecting = true;
 
+    // A previous connection means this is a reconnect: messages sent during the outage are
+    // fetched afterwards, and live messages wait until they have been replayed
+    const previousConnectionTime = this.connectionTime;
+    if (previousConnectionTime) {
+      this.heldMessages = this.heldMessages || [];
+    }
+    // Recovering here covers an outage Socket Mode was still reconnecting from
+    this.disconnectedAt = null;
+
     try {
       // Initialize clients with explicit options
       this.socketModeClient = new SocketModeClient({
@@ -76,6 +176,10 @@ export class SlackClient {
       // Start the connection
       await this.socketModeClient.start();
 
+      // Load user names in the background, rather than looking up the author of every message;
+      // until they are loaded, users are looked up one by one
+      this.userDirectory.warm();
+
       // Subscribe to channels after connection
       await this.subscribeToChannels();
 
@@ -86,6 +190,10 @@ export class SlackClient {
       this.connectionTime = Date.now() / 1000; // Record connection time in Unix timestamp
 
       logger.info(`Connected to team: ${this.teamName} (${this.channelIds.length} channels)`);
+
+      if (previousConnectionTime) {
+        await this._recoverMissedMessages(previousConnectionTime);
+      }
     } catch (error) {
       this.isConnecting = false;
       this.isConnected = false;
@@ -101,11 +209,15 @@ export class SlackClient {
       // Attempt reconnection for non-auth errors
       this._scheduleReconnect();
       throw error;
+    } finally {
+      await this._releaseHeldMessages();
     }
   }
 
   /**
-   * Subscribe to specified channels
+   * Subscribe to the configured channels
+   * Conversation IDs are checked one by one; channel names and wildcards are resolved against
+   * the conversations the bot is a member of.
    * @returns {Promise<void>}
    */
   async subscribeToChannels() {
@@ -117,36 +229,19 @@ export class SlackClient {
     this.skippedChannels = []; // Reset skipped channels list
 
     // Fetch channel names for better message formatting
-    for (const channelId of this.channelIds) {
-      // First validate channel ID format
-      if (!this.isValidChannelIdFormat(channelId)) {
-        const errorReason = 'invalid channel ID format';
-        logger.warn(`Channel: ${channelId} skipped due to ${errorReason}`);
-        this.skippedChannels.push({ channelId, reason: errorReason });
-        continue;
+    for (const channelId of this.channelSelector.getChannelIds()) {
+      if (await this._subscribeToChannel(channelId)) {
+        validChannelIds.push(channelId);
       }
+    }
 
-      try {
-        const result = await this.webClient.conversations.info({
-          channel: channelId,
-        });
-
-        if (result.ok && result.channel) {
-          this.channelNames.set(channelId, result.channel.name);
+    this.matchedChannelIds = new Set();
+    if (this.channelSelector.needsLookup()) {
+      for (const channelId of await this._subscribeToMatchingChannels()) {
+        this.matchedChannelIds.add(channelId);
+        if (!validChannelIds.includes(channelId)) {
           validChannelIds.push(channelId);
-        } else {
-          const errorReason = this._getChannelErrorReason(result);
-          logger.warn(`Channel: ${channelId} skipped due to ${errorReason}`);
-          this.skippedChannels.push({ channelId, reason: errorReason });
         }
-      } catch (error) {
-        const errorReason = this._getChannelErrorReasonFromException(error);
-        logger.warn(`Channel: ${channelId} skipped due to ${errorReason} - ${error.message}`);
-        this.skippedChannels.push({
-          channelId,
-          reason: errorReason,
-          error: error.message,
-        });
       }
     }
 
@@ -167,6 +262,80 @@ export class SlackClient {
     this.channelIds = validChannelIds;
   }
 
+  /**
+   * Resolve channel names and wildcards again, following conversations that match now and
+   * leaving those that no longer do
+   * Called when channels are created or renamed and when the bot joins a channel. Refreshes
+   * requested while one is running are combined into a single follow-up.
+   * @returns {Promise<void>}
+   */
+  async refreshChannels() {
+    if (!this.channelSelector.needsLookup() || !this.webClient || !this.matchedChannelIds) {
+      return;
+    }
+    if (this.isRefreshingChannels) {
+      this.isRefreshPending = true;
+      return;
+    }
+
+    this.isRefreshingChannels = true;
+    try {
+      do {
+        this.isRefreshPending = false;
+        await this._refreshMatchingChannels();
+      } while (this.isRefreshPending);
+    } catch (error) {
+      logger.warn(`Team: ${this.teamName}, Could not refresh channels - ${error.message}`);
+    } finally {
+      this.isRefreshingChannels = false;
+    }
+  }
+
+  /**
+   * Handle events about channels: follow channels the bot joins, stop following channels it
+   * leaves or that are archived, and pick up new names
+   * Changes to followed channels are passed to the message callback as system events.
+   * @param {Object} event - The channel event from Slack
+   * @returns {Promise<void>}
+   */
+  async handleChannelEvent(event) {
+    try {
+      switch (event?.type) {
+        case 'member_joined_channel':
+          // Other members joining does not change what the bot may follow
+          if (event.user === (await this._getBotUserId())) {
+            await this._handleChannelAdded(event.channel, 'bot added to', event);
+          }
+          break;
+        case 'channel_left':
+        case 'group_left':
+          await this._handleChannelRemoved(event.channel, 'bot removed from', event);
+          break;
+        case 'channel_archive':
+        case 'group_archive':
+          await this._handleChannelRemoved(event.channel, 'archived', event);
+          break;
+        case 'channel_unarchive':
+        case 'group_unarchive':
+          await this._handleChannelAdded(event.channel, 'unarchived', event);
+          break;
+        case 'channel_rename':
+        case 'group_rename':
+          await this._handleChannelRenamed(event);
+          break;
+        case 'channel_created':
+          await this.refreshChannels();
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      logger.error(
+        `Team: ${this.teamName}, Error processing ${event.type} event: ${error.message}`
+      );
+    }
+  }
+
   /**
    * Handle incoming message events
    * @param {Object} event - The message event from Slack
@@ -186,81 +355,141 @@ export class SlackClient {
         return;
       }
 
-      // Skip bot messages and message subtypes we don't want
-      if (messageEvent.bot_id || messageEvent.subtype) {
+      // Edits and deletions arrive as message subtypes and become change events
+      if (CHANGE_SUBTYPES.includes(messageEvent.subtype)) {
+        await this._handleMessageChange(messageEvent);
         return;
       }
 
-      // Skip messages that are older than our connection time (historical messages)
-      const messageTimestamp = Number.parseFloat(messageEvent.ts);
-      if (this.connectionTime && messageTimestamp < this.connectionTime) {
+      // Skip excluded bot messages and message subtypes we don't want
+      if (await this._isIgnoredMessage(messageEvent)) {
         return;
       }
 
-      // Create a unique message ID to prevent duplicates
-      const messageId = `${messageEvent.channel}-${messageEvent.ts}-${
-        messageEvent.client_msg_id || ''
-      }`;
-
-      // Skip if we've already processed this message
-      if (this.processedMessages.has(messageId)) {
+      // Skip thread replies in channels configured to hide them
+      if (
+        this._isThreadReply(messageEvent) &&
+        !this.shouldShowThreadReplies(messageEvent.channel)
+      ) {
         return;
       }
 
-      // Mark this message as processed
-      this.processedMessages.add(messageId);
-
-      // Clean up old message IDs to prevent memory leak (keep last 1000)
-      if (this.processedMessages.size > 1000) {
-        const messagesToDelete = Array.from(this.processedMessages).slice(0, 500);
-        for (const id of messagesToDelete) {
-          this.processedMessages.delete(id);
-        }
+      // Skip messages that are older than our connection time (historical messages)
+      if (this._isBeforeConnection(messageEvent.ts)) {
+        return;
       }
 
-      // Get user information
-      let userName = 'Unknown User';
-      if (messageEvent.user && this.webClient) {
-        try {
-          const userResult = await this.webClient.users.info({
-            user: messageEvent.user,
-          });
-          if (userResult.ok && userResult.user) {
-            userName =
-              userResult.user.display_name ||
-              userResult.user.real_name ||
-              userResult.user.name ||
-              'Unknown User';
-          }
-        } catch (error) {
-          // If we can't get user info, use the user ID
-          userName = messageEvent.user;
-        }
+      // Skip if we've already processed this message
+      if (!this._markAsProcessed(this._getMessageId(messageEvent))) {
+        return;
       }
 
-      // Get channel name
-      const channelName = this.channelNames.get(messageEvent.channel) || messageEvent.channel;
+      this._recordSeen(messageEvent.channel, messageEvent.ts);
 
       // Create message object
-      const message = {
-        team: this.teamName,
-        channel: channelName,
-        channelId: messageEvent.channel,
-        user: userName,
-        text: messageEvent.text || '',
-        timestamp: messageEvent.ts,
-        formattedTime: new Date(Number.parseFloat(messageEvent.ts) * 1000),
-      };
-
-      // Call the message callback if set
-      if (this.messageCallback) {
-        await this.messageCallback(message);
-      }
+      const message = await this._buildMessage(messageEvent);
+
+      await this._emit(message);
     } catch (error) {
       logger.error(`Team: ${this.teamName}, Error processing message: ${error.message}`);
     }
   }
 
+  /**
+   * Initialize the Web API client without opening a Socket Mode connection
+   * Used by one-shot commands that only need the Web API
+   */
+  initializeWebClient() {
+    if (!this.webClient) {
+      this.webClient = new WebClient(this.botToken);
+    }
+  }
+
+  /**
+   * Post a message to a channel
+   * @param {string} channelId - Channel ID to post to
+   * @param {string} text - Message text
+   * @returns {Promise<string>} Slack timestamp of the posted message
+   * @throws {Error} If the web client is not initialized or the API call fails
+   */
+  async postMessage(channelId, text) {
+    if (!this.webClient) {
+      throw new Error('Web client not initialized');
+    }
+
+    const result = await this.webClient.chat.postMessage({ channel: channelId, text });
+    if (!result.ok) {
+      throw new Error(`Failed to post message: ${result.error}`);
+    }
+
+    return result.ts;
+  }
+
+  /**
+   * Fetch recent messages from a channel
+   * @param {string} channelId - Channel ID to read from
+   * @param {number} [limit=20] - Maximum number of messages to fetch
+   * @returns {Promise<Object[]>} Message objects in chronological order
+   * @throws {Error} If the web client is not initialized or the API call fails
+   */
+  async fetchHistory(channelId, limit = 20) {
+    if (!this.webClient) {
+      throw new Error('Web client not initialized');
+    }
+
+    const result = await this.webClient.conversations.history({ channel: channelId, limit });
+    if (!result.ok) {
+      throw new Error(`Failed to fetch history: ${result.error}`);
+    }
+
+    const messages = [];
+    // conversations.history returns newest first
+    for (const event of [...(result.messages || [])].reverse()) {
+      const messageEvent = { ...event, channel: channelId };
+      if (await this._isIgnoredMessage(messageEvent)) {
+        continue;
+      }
+      messages.push(await this._buildMessage(messageEvent));
+    }
+
+    return messages;
+  }
+
+  /**
+   * Fetch the history configured with the backfill option for every subscribed channel, or with
+   * sinceLastRun, the messages sent since the previous run stopped
+   * Only messages from before the connection are fetched, as newer ones arrive as live events.
+   * Channels whose history cannot be read are skipped with a warning.
+   * @returns {Promise<Object[]>} Message objects marked as historical, oldest first per channel
+   * @throws {Error} If the web client is not initialized
+   */
+  async fetchBackfill() {
+    if (!this.webClient) {
+      throw new Error('Web client not initialized');
+    }
+
+    const messages = [];
+    for (const channelId of this.channelIds) {
+      const range = this._getBackfillRange(channelId);
+      if (!range) {
+        continue;
+      }
+
+      try {
+        const { events } = await this._fetchHistoryRange(channelId, range);
+        messages.push(
+          ...(await this._buildHistoryMessages(channelId, events, { historical: true }))
+        );
+      } catch (error) {
+        logger.warn(
+          `Team: ${this.teamName}, Channel: ${channelId} backfill skipped - ${error.message}`
+        );
+      }
+    }
+
+    return messages;
+  }
+
   /**
    * Reconnect to Slack with exponential backoff
    * @returns {Promise<void>}
@@ -307,7 +536,9 @@ export class SlackClient {
     this.socketModeClient = null;
     this.webClient = null;
     this.channelNames.clear();
+    this.channelTypes.clear();
     this.processedMessages.clear();
+    this.threadParents.clear();
     this.connectionTime = null;
 
     logger.info(`Disconnected from team: ${this.teamName}`);
@@ -346,169 +577,1339 @@ export class SlackClient {
   }
 
   /**
-   * Set up event listeners for the Socket Mode client
-   * @private
+   * Check whether thread replies should be shown for a channel
+   * @param {string} channelId - Channel ID
+   * @returns {boolean} True if thread replies are shown
    */
-  _setupEventListeners() {
-    if (!this.socketModeClient) {
-      return;
+  shouldShowThreadReplies(channelId) {
+    if (typeof this.threadReplies === 'boolean') {
+      return this.threadReplies;
     }
+    return this.threadReplies[channelId] ?? this.threadReplies.default ?? true;
+  }
 
-    // Handle message events
-    this.socketModeClient.on('message', async (envelope) => {
-      // Socket Mode wraps events in an envelope
-      if (envelope.event && envelope.event.type === 'message') {
-        await this.handleMessage(envelope.event);
-      }
-    });
-
-    // Handle connection events
-    this.socketModeClient.on('connected', () => {
-      this.isConnected = true;
-      this.reconnectAttempts = 0;
-    });
-
-    this.socketModeClient.on('disconnected', () => {
-      this.isConnected = false;
-      if (!this.isConnecting) {
-        logger.warn(`Team: ${this.teamName}, Connection lost`);
-        this._scheduleReconnect();
-      }
-    });
-
-    // Handle errors
-    this.socketModeClient.on('error', (error) => {
-      logger.error(`Team: ${this.teamName}, Socket error: ${error.message}`);
-      this.isConnected = false;
-
-      // Check if this is an authentication error
-      if (this._isAuthenticationError(error)) {
-        this._invalidateTeam(error);
-        return;
-      }
+  /**
+   * Check whether messages from bots and apps should be shown for a channel
+   * @param {string} channelId - Channel ID
+   * @returns {boolean} True if bot messages are shown
+   */
+  shouldShowBots(channelId) {
+    if (typeof this.bots === 'boolean') {
+      return this.bots;
+    }
+    return this.bots[channelId] ?? this.bots.default ?? false;
+  }
 
-      if (!this.isConnecting) {
-        this._scheduleReconnect();
-      }
-    });
+  /**
+   * Get the backfill setting for a channel
+   * @param {string} channelId - Channel ID
+   * @returns {number|string|null} Number of messages, duration, or null for no backfill
+   */
+  getBackfillSetting(channelId) {
+    if (this.backfill && typeof this.backfill === 'object') {
+      return this.backfill[channelId] ?? this.backfill.default ?? null;
+    }
+    return this.backfill || null;
   }
 
   /**
-   * Schedule a reconnection attempt with exponential backoff
+   * Handle message_changed and message_deleted events
    * @private
+   * @param {Object} messageEvent - The Slack message event with a change subtype
+   * @returns {Promise<void>}
    */
-  _scheduleReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts || this.isInvalidated) {
-      if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-        logger.error(`Team: ${this.teamName}, Error: Max reconnection attempts reached`);
-      }
+  async _handleMessageChange(messageEvent) {
+    // The event ts is when the change happened, so edits of older messages are still reported
+    if (this._isBeforeConnection(messageEvent.ts)) {
       return;
     }
 
-    const delay = Math.min(
-      this.reconnectDelay * 2 ** this.reconnectAttempts,
-      this.maxReconnectDelay
-    );
+    const changeId = `${messageEvent.channel}-${messageEvent.ts}-${messageEvent.subtype}`;
+    if (!this._markAsProcessed(changeId)) {
+      return;
+    }
 
-    setTimeout(() => {
-      this.reconnect();
-    }, delay);
+    const changeEvent = await this._buildChangeEvent(messageEvent);
+    if (changeEvent) {
+      await this._emit(changeEvent);
+    }
   }
 
   /**
-   * Check if an error is an authentication error
+   * Build an edit or delete event from a change subtype event
    * @private
-   * @param {Error} error - The error to check
-   * @returns {boolean} True if the error is an authentication error
+   * @param {Object} messageEvent - The Slack message event with a change subtype
+   * @returns {Promise<Object|null>} Change event, or null if the change should not be reported
    */
-  _isAuthenticationError(error) {
-    if (!error) return false;
-
-    const errorMessage = error.message?.toLowerCase() || '';
-    const errorCode = error.code;
-
-    // Common authentication error patterns
-    const authErrorPatterns = [
-      'invalid_auth',
-      'token_revoked',
-      'account_inactive',
-      'invalid_token',
-      'not_authed',
-      'token_expired',
-      'unauthorized',
-      'authentication failed',
-      'invalid credentials',
-    ];
+  async _buildChangeEvent(messageEvent) {
+    const previousMessage = messageEvent.previous_message || {};
+    const isEdit = messageEvent.subtype === 'message_changed';
+    const sourceMessage = isEdit
+      ? messageEvent.message || {}
+      : { ...previousMessage, ts: messageEvent.deleted_ts || previousMessage.ts };
+
+    if (
+      sourceMessage.bot_id &&
+      !(await this._isShownBotMessage({ ...sourceMessage, channel: messageEvent.channel }))
+    ) {
+      return null;
+    }
 
-    // Check error message for auth patterns
-    const hasAuthPattern = authErrorPatterns.some((pattern) => errorMessage.includes(pattern));
+    // Slack also sends message_changed for link unfurls and thread metadata updates
+    if (isEdit && sourceMessage.text === previousMessage.text) {
+      return null;
+    }
 
-    // Check for specific error codes
-    const authErrorCodes = ['invalid_auth', 'token_revoked', 'account_inactive'];
-    const hasAuthCode = authErrorCodes.includes(errorCode);
+    if (this._isThreadReply(sourceMessage) && !this.shouldShowThreadReplies(messageEvent.channel)) {
+      return null;
+    }
 
-    // Check for HTTP 401 Unauthorized
-    const isUnauthorized = error.status === 401 || errorMessage.includes('401');
+    const message = await this._buildMessage({ ...sourceMessage, channel: messageEvent.channel });
 
-    return hasAuthPattern || hasAuthCode || isUnauthorized;
+    return {
+      ...message,
+      kind: isEdit ? 'edit' : 'delete',
+      text: isEdit ? message.text : '',
+      previousText: previousMessage.text || '',
+      eventTs: messageEvent.ts,
+      mentions: await this._resolveMentions(`${message.text} ${previousMessage.text || ''}`),
+    };
   }
 
   /**
-   * Invalidate the team due to authentication errors
+   * Get the history range to backfill for a channel
    * @private
-   * @param {Error} error - The authentication error
+   * @param {string} channelId - Channel ID
+   * @returns {{limit: number, latest: string|undefined, oldest: string|undefined}|null} Range
+   *   for _fetchHistoryRange, or null if the channel is not backfilled
    */
-  _invalidateTeam(error) {
-    this.isInvalidated = true;
-    this.isConnected = false;
-    this.isConnecting = false;
+  _getBackfillRange(channelId) {
+    const latest = this.connectionTime ? String(this.connectionTime) : undefined;
 
-    logger.error(`Team: ${this.teamName}, Error: Authentication failed - ${error.message}`);
-    logger.error(`Team: ${this.teamName} has been invalidated and will not attempt reconnection`);
+    // Channels without a stored position (such as new ones) use the backfill setting
+    const lastSeen = this.sinceLastRun && this.stateStore?.getLastSeen(this.teamName, channelId);
+    if (lastSeen) {
+      return { limit: MAX_BACKFILL_MESSAGES, latest, oldest: lastSeen };
+    }
 
-    // Clean up connections
-    if (this.socketModeClient) {
-      try {
-        // Don't await the disconnect to avoid blocking invalidation
-        this.socketModeClient.disconnect().catch(() => {
-          // Ignore disconnect errors during invalidation
-        });
-      } catch (disconnectError) {
-        // Ignore disconnect errors during invalidation
-      }
+    const setting = this.getBackfillSetting(channelId);
+    if (!setting) {
+      return null;
     }
 
-    this.socketModeClient = null;
-    this.webClient = null;
-    this.channelNames.clear();
+    const durationMs = parseDuration(setting);
+    if (durationMs === null) {
+      return { limit: Math.min(setting, MAX_BACKFILL_MESSAGES), latest, oldest: undefined };
+    }
+    return {
+      limit: MAX_BACKFILL_MESSAGES,
+      latest,
+      oldest: String((Date.now() - durationMs) / 1000),
+    };
   }
 
   /**
-   * Determine the reason for channel error from API response
+   * Fetch the messages sent while disconnected and replay them through the message callback,
+   * oldest first. Each channel is fetched from its newest seen message, or from the given time
+   * if none was seen. Channels that cannot be read are skipped with a warning.
    * @private
-   * @param {Object} result - The API response result
-   * @returns {string} Human-readable error reason
+   * @param {number} previousConnectionTime - Unix time of the previous connection, or of the
+   *   moment it was lost
+   * @returns {Promise<void>}
    */
-  _getChannelErrorReason(result) {
-    if (!result.ok) {
-      switch (result.error) {
-        case 'channel_not_found':
-          return 'channel not found';
-        case 'not_in_channel':
-          return 'bot not in channel';
-        case 'access_denied':
-          return 'access denied';
-        case 'invalid_channel':
-          return 'invalid channel ID';
-        default:
-          return `API error: ${result.error}`;
+  async _recoverMissedMessages(previousConnectionTime) {
+    const latest = String(this.connectionTime);
+    const messages = [];
+
+    for (const channelId of this.channelIds) {
+      const oldest = this.lastSeenTs.get(channelId) ?? String(previousConnectionTime);
+      try {
+        const { events, isTruncated } = await this._fetchHistoryRange(channelId, {
+          limit: MAX_RECOVERED_MESSAGES,
+          latest,
+          oldest,
+        });
+        if (isTruncated) {
+          logger.warn(
+            `Team: ${this.teamName}, Channel: ${channelId} missed more than ${MAX_RECOVERED_MESSAGES} messages; replaying the latest ${MAX_RECOVERED_MESSAGES}`
+          );
+        }
+        messages.push(
+          ...(await this._buildHistoryMessages(channelId, events, { recovered: true }))
+        );
+      } catch (error) {
+        logger.warn(
+          `Team: ${this.teamName}, Channel: ${channelId} could not recover missed messages - ${error.message}`
+        );
       }
     }
-    return 'unknown error';
+
+    if (messages.length === 0) {
+      return;
+    }
+
+    logger.info(
+      `Team: ${this.teamName}, Recovered ${messages.length} message(s) missed while disconnected`
+    );
+    messages.sort((a, b) => Number.parseFloat(a.timestamp) - Number.parseFloat(b.timestamp));
+    for (const message of messages) {
+      await this._invokeCallback(message);
+    }
   }
 
   /**
-   * Determine the reason for channel error from exception
+   * Fetch the messages of a channel in a time range, following pagination
+   * @private
+   * @param {string} channelId - Channel ID
+   * @param {Object} range - Range to fetch
+   * @param {number} range.limit - Maximum number of messages
+   * @param {string} [range.latest] - Only messages before this Slack timestamp
+   * @param {string} [range.oldest] - Only messages after this Slack timestamp
+   * @returns {Promise<{events: Object[], isTruncated: boolean}>} Message events, newest first,
+   *   and whether more messages were left out because of the limit
+   * @throws {Error} If a history request fails
+   */
+  async _fetchHistoryRange(channelId, { limit, latest, oldest }) {
+    const request = { channel: channelId, limit: Math.min(limit, HISTORY_PAGE_SIZE) };
+    if (latest) {
+      request.latest = latest;
+    }
+    if (oldest) {
+      request.oldest = oldest;
+    }
+
+    const events = [];
+    let cursor;
+    do {
+      // Rate-limited calls are retried by the Web API client, after the wait Slack asks for
+      const result = await this.webClient.conversations.history(
+        cursor ? { ...request, cursor } : request
+      );
+      if (!result.ok) {
+        throw new Error(`Failed to fetch history: ${result.error}`);
+      }
+      events.push(...(result.messages || []));
+      cursor = result.has_more ? result.response_metadata?.next_cursor : null;
+    } while (cursor && events.length < limit);
+
+    return {
+      events: events.slice(0, limit),
+      isTruncated: Boolean(cursor) || events.length > limit,
+    };
+  }
+
+  /**
+   * Turn history message events into message objects, skipping those that are not shown or
+   * were already processed
+   * @private
+   * @param {string} channelId - Channel ID
+   * @param {Object[]} events - Message events, newest first as returned by Slack
+   * @param {Object} flags - Properties added to every message, such as historical or recovered
+   * @returns {Promise<Object[]>} Message objects, oldest first
+   */
+  async _buildHistoryMessages(channelId, events, flags) {
+    const messages = [];
+    for (const event of [...events].reverse()) {
+      const messageEvent = { ...event, channel: channelId };
+      if (await this._isIgnoredMessage(messageEvent)) {
+        continue;
+      }
+      if (this._isThreadReply(messageEvent) && !this.shouldShowThreadReplies(channelId)) {
+        continue;
+      }
+      if (!this._markAsProcessed(this._getMessageId(messageEvent))) {
+        continue;
+      }
+      this._recordSeen(channelId, messageEvent.ts);
+      messages.push({ ...(await this._buildMessage(messageEvent)), ...flags });
+    }
+    return messages;
+  }
+
+  /**
+   * Remember the newest message timestamp seen in a channel, to recover from after an outage
+   * The state store only saves it once the message is delivered, see recordDelivered.
+   * @private
+   * @param {string} channelId - Channel ID
+   * @param {string} ts - Slack timestamp
+   */
+  _recordSeen(channelId, ts) {
+    const lastSeen = this.lastSeenTs.get(channelId);
+    if (!lastSeen || Number.parseFloat(ts) > Number.parseFloat(lastSeen)) {
+      this.lastSeenTs.set(channelId, ts);
+    }
+  }
+
+  /**
+   * Save the position of a message the handlers are done with, so the next run with
+   * sinceLastRun continues after it. Edits, deletions and system messages do not move it.
+   * @param {Object} message - Message object
+   */
+  recordDelivered(message) {
+    if (message.kind === 'message' && message.channelId && message.timestamp) {
+      this.stateStore?.setLastSeen(this.teamName, message.channelId, message.timestamp);
+    }
+  }
+
+  /**
+   * Remember a channel's name, in memory and in the state store
+   * @private
+   * @param {string} channelId - Channel ID
+   * @param {string} name - Channel name
+   */
+  _cacheChannelName(channelId, name) {
+    this.channelNames.set(channelId, name);
+    this.stateStore?.setChannelName(this.teamName, channelId, name);
+  }
+
+  /**
+   * Pass a live message to the message callback, or hold it while missed messages are recovered
+   * @private
+   * @param {Object} message - Message object
+   * @returns {Promise<void>}
+   */
+  async _emit(message) {
+    if (this.heldMessages) {
+      this.heldMessages.push(message);
+      return;
+    }
+    await this._invokeCallback(message);
+  }
+
+  /**
+   * Call the message callback, if set
+   * @private
+   * @param {Object} message - Message object
+   * @returns {Promise<void>}
+   */
+  async _invokeCallback(message) {
+    if (this.messageCallback) {
+      await this.messageCallback(message);
+    }
+  }
+
+  /**
+   * Fetch the messages missed while Socket Mode was reconnecting by itself, then pass on the
+   * live messages held in the meantime
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _recoverAfterReconnecting() {
+    const disconnectedAt = this.disconnectedAt;
+    this.disconnectedAt = null;
+    this.connectionTime = Date.now() / 1000;
+    logger.info(`Reconnected to team: ${this.teamName}`);
+
+    try {
+      await this._recoverMissedMessages(disconnectedAt);
+    } catch (error) {
+      logger.error(`Team: ${this.teamName}, Error recovering missed messages: ${error.message}`);
+    } finally {
+      await this._releaseHeldMessages();
+    }
+  }
+
+  /**
+   * Pass on the live messages held during recovery
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _releaseHeldMessages() {
+    const heldMessages = this.heldMessages || [];
+    this.heldMessages = null;
+    for (const message of heldMessages) {
+      await this._invokeCallback(message);
+    }
+  }
+
+  /**
+   * Create the ID used to recognize a message that was already processed
+   * @private
+   * @param {Object} messageEvent - The Slack message event
+   * @returns {string} Unique ID of the message
+   */
+  _getMessageId(messageEvent) {
+    return `${messageEvent.channel}-${messageEvent.ts}-${messageEvent.client_msg_id || ''}`;
+  }
+
+  /**
+   * Check whether a Slack timestamp predates the current connection
+   * @private
+   * @param {string} ts - Slack timestamp
+   * @returns {boolean} True if the timestamp is older than the connection time
+   */
+  _isBeforeConnection(ts) {
+    return Boolean(this.connectionTime) && Number.parseFloat(ts) < this.connectionTime;
+  }
+
+  /**
+   * Record an event ID as processed
+   * @private
+   * @param {string} messageId - Unique ID of the event
+   * @returns {boolean} False if the ID had already been processed
+   */
+  _markAsProcessed(messageId) {
+    if (this.processedMessages.has(messageId)) {
+      return false;
+    }
+
+    this.processedMessages.add(messageId);
+
+    // Clean up old message IDs to prevent memory leak (keep last 1000)
+    if (this.processedMessages.size > 1000) {
+      const messagesToDelete = Array.from(this.processedMessages).slice(0, 500);
+      for (const id of messagesToDelete) {
+        this.processedMessages.delete(id);
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Build a message object from a Slack message event
+   * @private
+   * @param {Object} messageEvent - The Slack message event
+   * @returns {Promise<Object>} Message object for the message processor
+   */
+  async _buildMessage(messageEvent) {
+    let userName = 'Unknown User';
+    if (messageEvent.bot_id) {
+      userName = await this._getBotName(messageEvent);
+    } else if (messageEvent.user) {
+      userName = await this._getUserLabel(messageEvent.user);
+    }
+
+    // Get channel name
+    const channelName =
+      this.channelNames.get(messageEvent.channel) ||
+      this.stateStore?.getChannelName(this.teamName, messageEvent.channel) ||
+      messageEvent.channel;
+
+    // Get thread context for replies
+    const isThreadReply = this._isThreadReply(messageEvent);
+    const parentSnippet = isThreadReply
+      ? await this._getThreadParentSnippet(messageEvent.channel, messageEvent.thread_ts)
+      : null;
+
+    return {
+      kind: 'message',
+      team: this.teamName,
+      teamId: messageEvent.team || this.teamId,
+      channel: channelName,
+      channelId: messageEvent.channel,
+      user: userName,
+      userId: messageEvent.user || null,
+      botId: messageEvent.bot_id || null,
+      text: messageEvent.text || '',
+      timestamp: messageEvent.ts,
+      formattedTime: new Date(Number.parseFloat(messageEvent.ts) * 1000),
+      threadTs: messageEvent.thread_ts || null,
+      isThreadReply,
+      parentSnippet,
+      mentions: await this._resolveMentions(messageEvent.text),
+      files: (messageEvent.files || []).map((file) => ({
+        id: file.id,
+        name: file.name || null,
+        mimetype: file.mimetype || null,
+        url: file.url_private || null,
+      })),
+    };
+  }
+
+  /**
+   * Check whether a message event is one we don't show: excluded bot messages and non-content
+   * subtypes
+   * @private
+   * @param {Object} messageEvent - The Slack message event
+   * @returns {Promise<boolean>} True if the message should be skipped
+   */
+  async _isIgnoredMessage(messageEvent) {
+    if (messageEvent.bot_id) {
+      if (!(await this._isShownBotMessage(messageEvent))) {
+        return true;
+      }
+      if (messageEvent.subtype === BOT_MESSAGE_SUBTYPE) {
+        return false;
+      }
+    }
+    return Boolean(messageEvent.subtype) && !CONTENT_SUBTYPES.includes(messageEvent.subtype);
+  }
+
+  /**
+   * Check whether a bot message is shown: bots are included for the channel, the bot is allowed
+   * and not denied, and it is not slagg's own bot
+   * @private
+   * @param {Object} messageEvent - The Slack message event with a bot_id
+   * @returns {Promise<boolean>} True if the message is shown
+   */
+  async _isShownBotMessage(messageEvent) {
+    const botId = messageEvent.bot_id;
+    if (!this.shouldShowBots(messageEvent.channel)) {
+      return false;
+    }
+    if (this.botIds.allow && !this.botIds.allow.includes(botId)) {
+      return false;
+    }
+    if (this.botIds.deny?.includes(botId)) {
+      return false;
+    }
+    return botId !== (await this._getOwnBotId());
+  }
+
+  /**
+   * Get the name of the bot or app that posted a message: the username it posted under, its
+   * profile name, or its name from bots.info, falling back to the bot ID
+   * @private
+   * @param {Object} messageEvent - The Slack message event with a bot_id
+   * @returns {Promise<string>} Bot name
+   */
+  async _getBotName(messageEvent) {
+    const nameFromEvent = messageEvent.username || messageEvent.bot_profile?.name;
+    if (nameFromEvent) {
+      return nameFromEvent;
+    }
+
+    const botId = messageEvent.bot_id;
+    if (!this.botNames.has(botId)) {
+      this.botNames.set(botId, this._lookUpBotName(botId));
+    }
+    return (await this.botNames.get(botId)) || botId;
+  }
+
+  /**
+   * Look up a bot's name with bots.info
+   * Failed lookups are forgotten so the bot is looked up again with its next message.
+   * @private
+   * @param {string} botId - Bot ID
+   * @returns {Promise<string|null>} Bot name, or null if it cannot be looked up
+   */
+  async _lookUpBotName(botId) {
+    try {
+      const result = await this.webClient.bots.info({ bot: botId });
+      if (result.ok && result.bot?.name) {
+        return result.bot.name;
+      }
+    } catch (error) {
+      // Fall through to forgetting the lookup
+    }
+    this.botNames.delete(botId);
+    return null;
+  }
+
+  /**
+   * Get a channel's name, memoized per channel
+   * @private
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<string|null>} Channel name, or null if it cannot be looked up
+   */
+  async _getChannelName(channelId) {
+    if (this.channelNames.has(channelId)) {
+      return this.channelNames.get(channelId);
+    }
+
+    try {
+      const result = await this.webClient.conversations.info({
+        channel: channelId,
+      });
+      if (result.ok && result.channel) {
+        const label = await this._getConversationLabel(channelId, result.channel);
+        this._cacheChannelName(channelId, label);
+        return label;
+      }
+    } catch (error) {
+      // Mentions of inaccessible channels fall back to a name remembered from an earlier run
+      // or the channel ID
+    }
+    return this.stateStore?.getChannelName(this.teamName, channelId) ?? null;
+  }
+
+  /**
+   * Check a configured conversation ID and follow the conversation if it is accessible
+   * @private
+   * @param {string} channelId - Conversation ID
+   * @returns {Promise<boolean>} True if the conversation is followed, false if it was skipped
+   */
+  async _subscribeToChannel(channelId) {
+    // First validate conversation ID format
+    if (!this.isValidChannelIdFormat(channelId)) {
+      const errorReason = 'invalid channel ID format';
+      logger.warn(`Channel: ${channelId} skipped due to ${errorReason}`);
+      this.skippedChannels.push({ channelId, reason: errorReason });
+      return false;
+    }
+
+    try {
+      const result = await this.webClient.conversations.info({
+        channel: channelId,
+      });
+
+      if (result.ok && result.channel) {
+        return await this._followConversation(channelId, result.channel);
+      }
+
+      const errorReason = this._getChannelErrorReason(result);
+      logger.warn(`Channel: ${channelId} skipped due to ${errorReason}`);
+      this.skippedChannels.push({ channelId, reason: errorReason });
+    } catch (error) {
+      const errorReason = this._getChannelErrorReasonFromException(error);
+      logger.warn(`Channel: ${channelId} skipped due to ${errorReason} - ${error.message}`);
+      this.skippedChannels.push({
+        channelId,
+        reason: errorReason,
+        error: error.message,
+      });
+    }
+    return false;
+  }
+
+  /**
+   * Follow the conversations the bot is a member of that match configured names or wildcards
+   * Names that match nothing are reported as skipped, telling apart channels the bot has not
+   * joined from channels that do not exist.
+   * @private
+   * @returns {Promise<string[]>} IDs of the followed conversations
+   */
+  async _subscribeToMatchingChannels() {
+    let conversations;
+    try {
+      conversations = await this._listMemberConversations();
+    } catch (error) {
+      for (const entry of this.channelSelector.getPatternEntries()) {
+        const errorReason = 'conversations could not be listed';
+        logger.warn(`Channel: ${entry} skipped due to ${errorReason} - ${error.message}`);
+        this.skippedChannels.push({ channelId: entry, reason: errorReason, error: error.message });
+      }
+      return [];
+    }
+
+    const channelIds = [];
+    for (const conversation of conversations) {
+      if (
+        this.channelSelector.matches(conversation) &&
+        (await this._followConversation(conversation.id, conversation))
+      ) {
+        channelIds.push(conversation.id);
+      }
+    }
+
+    const unmatchedNames = this.channelSelector.getUnmatchedNames(conversations);
+    if (unmatchedNames.length > 0) {
+      const publicChannels = await this._listPublicChannels();
+      for (const name of unmatchedNames) {
+        const channel = publicChannels.find((candidate) => candidate.name === name);
+        const errorReason = channel ? 'bot not in channel' : 'channel not found';
+        logger.warn(`Channel: #${name} skipped due to ${errorReason}`);
+        this.skippedChannels.push({ channelId: channel?.id ?? `#${name}`, reason: errorReason });
+      }
+    }
+
+    const patterns = this.channelSelector.getPatternEntries().join(', ');
+    if (channelIds.length > 0) {
+      const resolved = channelIds.map((channelId) => this._describeChannel(channelId)).join(', ');
+      logger.info(`Team: ${this.teamName}, Resolved ${patterns} to ${resolved}`);
+    } else {
+      logger.warn(`Team: ${this.teamName}, No conversations match ${patterns}`);
+    }
+    return channelIds;
+  }
+
+  /**
+   * Resolve channel names and wildcards again and update the followed conversations
+   * @private
+   * @returns {Promise<void>}
+   * @throws {Error} If the conversations cannot be listed
+   */
+  async _refreshMatchingChannels() {
+    const conversations = await this._listMemberConversations();
+    const explicitIds = this.channelSelector.getChannelIds();
+    const matchedIds = new Set();
+
+    for (const conversation of conversations) {
+      if (!this.channelSelector.matches(conversation)) {
+        continue;
+      }
+
+      if (this.channelIds.includes(conversation.id)) {
+        matchedIds.add(conversation.id);
+        // Renamed channels keep their ID; pick up the new name
+        if (conversation.name && !conversation.is_im && !conversation.is_mpim) {
+          this._cacheChannelName(conversation.id, conversation.name);
+        }
+      } else if (await this._followConversation(conversation.id, conversation)) {
+        matchedIds.add(conversation.id);
+        this.channelIds.push(conversation.id);
+        logger.info(
+          `Team: ${this.teamName}, Now following ${this._describeChannel(conversation.id)}`
+        );
+      }
+    }
+
+    for (const channelId of this.matchedChannelIds) {
+      if (!matchedIds.has(channelId) && !explicitIds.includes(channelId)) {
+        this.channelIds = this.channelIds.filter((id) => id !== channelId);
+        logger.info(
+          `Team: ${this.teamName}, No longer following ${this._describeChannel(channelId)}`
+        );
+      }
+    }
+    this.matchedChannelIds = matchedIds;
+  }
+
+  /**
+   * Follow a conversation unless its type-specific checks fail
+   * @private
+   * @param {string} channelId - Conversation ID
+   * @param {Object} conversation - Conversation record
+   * @returns {Promise<boolean>} True if the conversation is followed, false if it was skipped
+   */
+  async _followConversation(channelId, conversation) {
+    const problem = this._getConversationProblem(conversation);
+    if (problem) {
+      logger.warn(`Channel: ${channelId} skipped due to ${problem}`);
+      this.skippedChannels.push({ channelId, reason: problem });
+      return false;
+    }
+
+    this.channelTypes.set(channelId, SlackClient.getConversationType(conversation));
+    this._cacheChannelName(channelId, await this._getConversationLabel(channelId, conversation));
+    return true;
+  }
+
+  /**
+   * List the unarchived conversations the bot is a member of
+   * @private
+   * @returns {Promise<Object[]>} Conversation records
+   * @throws {Error} If a request fails
+   */
+  _listMemberConversations() {
+    return this._listConversations((cursor) =>
+      this.webClient.users.conversations({
+        types: MEMBER_CONVERSATION_TYPES,
+        exclude_archived: true,
+        limit: CONVERSATION_PAGE_SIZE,
+        ...(cursor ? { cursor } : {}),
+      })
+    );
+  }
+
+  /**
+   * List the unarchived public channels of the workspace
+   * @private
+   * @returns {Promise<Object[]>} Channel records, or an empty list if they cannot be listed
+   */
+  async _listPublicChannels() {
+    try {
+      return await this._listConversations((cursor) =>
+        this.webClient.conversations.list({
+          types: 'public_channel',
+          exclude_archived: true,
+          limit: CONVERSATION_PAGE_SIZE,
+          ...(cursor ? { cursor } : {}),
+        })
+      );
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Collect the conversations of every page of a listing
+   * @private
+   * @param {Function} requestPage - Called with the cursor (undefined for the first page)
+   * @returns {Promise<Object[]>} Conversation records
+   * @throws {Error} If a request fails
+   */
+  async _listConversations(requestPage) {
+    const conversations = [];
+    let cursor;
+    do {
+      const result = await requestPage(cursor);
+      if (!result.ok) {
+        throw new Error(`Failed to list conversations: ${result.error}`);
+      }
+      conversations.push(...(result.channels || []));
+      cursor = result.response_metadata?.next_cursor || null;
+    } while (cursor);
+    return conversations;
+  }
+
+  /**
+   * Follow a channel the bot was added to, if the configuration selects it
+   * @private
+   * @param {string} channelId - Conversation ID
+   * @param {string} change - What happened, such as "bot added to" or "unarchived"
+   * @param {Object} event - The channel event from Slack
+   * @returns {Promise<void>}
+   */
+  async _handleChannelAdded(channelId, change, event) {
+    if (this.channelIds.includes(channelId)) {
+      return;
+    }
+
+    if (this.channelSelector.getChannelIds().includes(channelId)) {
+      this.skippedChannels = this.skippedChannels.filter(
+        (skipped) => skipped.channelId !== channelId
+      );
+      if (await this._subscribeToChannel(channelId)) {
+        this.channelIds.push(channelId);
+        logger.info(`Team: ${this.teamName}, Now following ${this._describeChannel(channelId)}`);
+      }
+    } else {
+      // Names and wildcards may match it now
+      await this.refreshChannels();
+    }
+
+    if (this.channelIds.includes(channelId)) {
+      await this._emit(
+        this._buildSystemEvent(channelId, this._describeChange(channelId, change), event)
+      );
+    }
+  }
+
+  /**
+   * Stop following a channel the bot was removed from or that was archived
+   * @private
+   * @param {string} channelId - Conversation ID
+   * @param {string} change - What happened, such as "bot removed from" or "archived"
+   * @param {Object} event - The channel event from Slack
+   * @returns {Promise<void>}
+   */
+  async _handleChannelRemoved(channelId, change, event) {
+    if (!this.channelIds.includes(channelId)) {
+      return;
+    }
+
+    this.channelIds = this.channelIds.filter((id) => id !== channelId);
+    this.matchedChannelIds?.delete(channelId);
+    logger.warn(
+      `Team: ${this.teamName}, No longer following ${this._describeChannel(channelId)} (${change})`
+    );
+    await this._emit(
+      this._buildSystemEvent(channelId, this._describeChange(channelId, change), event)
+    );
+  }
+
+  /**
+   * Pick up the new name of a renamed channel, then resolve names and wildcards again
+   * @private
+   * @param {Object} event - The channel_rename or group_rename event
+   * @returns {Promise<void>}
+   */
+  async _handleChannelRenamed(event) {
+    const { id: channelId, name } = event.channel || {};
+    if (channelId && name && this.channelIds.includes(channelId)) {
+      const previousLabel = this._getChannelLabel(channelId);
+      this._cacheChannelName(channelId, name);
+      await this._emit(
+        this._buildSystemEvent(
+          channelId,
+          `${previousLabel} renamed to ${this._getChannelLabel(channelId)}`,
+          event
+        )
+      );
+    }
+
+    await this.refreshChannels();
+  }
+
+  /**
+   * Build a system event reporting a change to a followed channel
+   * @private
+   * @param {string} channelId - Conversation ID
+   * @param {string} text - Description of the change, such as "bot removed from #general"
+   * @param {Object} event - The channel event from Slack
+   * @returns {Object} Message object of kind 'system'
+   */
+  _buildSystemEvent(channelId, text, event) {
+    const ts = event?.event_ts || (Date.now() / 1000).toFixed(6);
+    return {
+      kind: 'system',
+      team: this.teamName,
+      teamId: this.teamId,
+      channel: this.channelNames.get(channelId) || channelId,
+      channelId,
+      user: null,
+      userId: null,
+      botId: null,
+      text,
+      timestamp: ts,
+      formattedTime: new Date(Number.parseFloat(ts) * 1000),
+      threadTs: null,
+      isThreadReply: false,
+      parentSnippet: null,
+      mentions: { users: {}, channels: {} },
+      files: [],
+    };
+  }
+
+  /**
+   * Word a change to a channel, such as "bot removed from #general" or "#general archived"
+   * @private
+   * @param {string} channelId - Conversation ID
+   * @param {string} change - "bot added to", "bot removed from", "archived" or "unarchived"
+   * @returns {string} Description of the change
+   */
+  _describeChange(channelId, change) {
+    const label = this._getChannelLabel(channelId);
+    return change.startsWith('bot ') ? `${change} ${label}` : `${label} ${change}`;
+  }
+
+  /**
+   * Get the label of a followed conversation: "#name" for channels, the @names of DMs and
+   * group DMs
+   * @private
+   * @param {string} channelId - Conversation ID
+   * @returns {string} Label
+   */
+  _getChannelLabel(channelId) {
+    const name = this.channelNames.get(channelId) ?? channelId;
+    return ['im', 'mpim'].includes(this.channelTypes.get(channelId)) ? name : `#${name}`;
+  }
+
+  /**
+   * Describe a followed conversation for log messages, such as "#general (C1234567890)"
+   * @private
+   * @param {string} channelId - Conversation ID
+   * @returns {string} Description
+   */
+  _describeChannel(channelId) {
+    return `${this._getChannelLabel(channelId)} (${channelId})`;
+  }
+
+  /**
+   * Check that a conversation can be followed, based on its type
+   * @private
+   * @param {Object} conversation - Conversation record from conversations.info
+   * @returns {string|null} Reason to skip the conversation, or null if it can be followed
+   */
+  _getConversationProblem(conversation) {
+    if (conversation.is_archived) {
+      return 'channel archived';
+    }
+
+    switch (SlackClient.getConversationType(conversation)) {
+      case 'im':
+        return conversation.is_user_deleted ? 'DM user deactivated' : null;
+      case 'mpim':
+        return null;
+      default:
+        // Channel messages are only delivered to members; the flag is absent for some tokens
+        return conversation.is_member === false ? 'bot not in channel' : null;
+    }
+  }
+
+  /**
+   * Get the label a conversation is shown with: the channel name, @user for DMs and the
+   * members for group DMs
+   * @private
+   * @param {string} channelId - Conversation ID
+   * @param {Object} conversation - Conversation record from conversations.info
+   * @returns {Promise<string>} Conversation label
+   */
+  async _getConversationLabel(channelId, conversation) {
+    switch (SlackClient.getConversationType(conversation)) {
+      case 'im':
+        return `@${await this._getUserLabel(conversation.user)}`;
+      case 'mpim':
+        return this._getGroupLabel(channelId, conversation);
+      default:
+        return conversation.name || channelId;
+    }
+  }
+
+  /**
+   * Label a group DM with its members other than the bot, such as "@alice, @bob"
+   * Falls back to the handles in the group's name (mpdm-alice--bob-1) when the members
+   * cannot be listed.
+   * @private
+   * @param {string} channelId - Conversation ID
+   * @param {Object} conversation - Conversation record from conversations.info
+   * @returns {Promise<string>} Group label
+   */
+  async _getGroupLabel(channelId, conversation) {
+    let handles = null;
+    try {
+      const result = await this.webClient.conversations.members({ channel: channelId });
+      const botUserId = await this._getBotUserId();
+      const memberIds = (result.members || []).filter((userId) => userId !== botUserId);
+      handles = [];
+      for (const userId of memberIds) {
+        handles.push(await this._getUserLabel(userId));
+      }
+    } catch (error) {
+      const match = /^mpdm-(.+)-\d+$/.exec(conversation.name || '');
+      handles = match ? match[1].split('--') : null;
+    }
+
+    return handles?.length > 0 ? handles.map((handle) => `@${handle}`).join(', ') : channelId;
+  }
+
+  /**
+   * Get a user's name for labels, falling back to the user ID
+   * @private
+   * @param {string} userId - User ID
+   * @returns {Promise<string>} User label
+   */
+  async _getUserLabel(userId) {
+    return (await this.userDirectory.getName(userId)) || userId;
+  }
+
+  /**
+   * Get the bot's own user ID, memoized once known
+   * @private
+   * @returns {Promise<string|null>} User ID, or null if it cannot be looked up
+   */
+  async _getBotUserId() {
+    if (!this.botIdentityLoaded) {
+      await this._loadBotIdentity();
+    }
+    return this.botUserId;
+  }
+
+  /**
+   * Get the bot's own bot ID, memoized once known
+   * @private
+   * @returns {Promise<string|null>} Bot ID, or null if it cannot be looked up
+   */
+  async _getOwnBotId() {
+    if (!this.botIdentityLoaded) {
+      await this._loadBotIdentity();
+    }
+    return this.botId;
+  }
+
+  /**
+   * Look up the bot's own user ID and bot ID with auth.test
+   * Without them the bot is listed among group DM members and its own messages are shown when
+   * bots are included. After a failure it is not tried again for a while, rather than for every
+   * message.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _loadBotIdentity() {
+    if (Date.now() < this.botIdentityRetryAt) {
+      return;
+    }
+
+    try {
+      const result = await this.webClient.auth.test();
+      this.botUserId = result.user_id || null;
+      this.botId = result.bot_id || null;
+      this.botIdentityLoaded = true;
+    } catch (error) {
+      this.botIdentityRetryAt = Date.now() + BOT_IDENTITY_RETRY_MS;
+      logger.warn(
+        `Team: ${this.teamName}, Could not look up the bot's own identity: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Resolve user and channel mentions in message text to names
+   * @private
+   * @param {string} text - Raw message text
+   * @returns {Promise<Object>} Object with users and channels maps of ID to name
+   */
+  async _resolveMentions(text) {
+    const mentions = { users: {}, channels: {} };
+    if (!text || !this.webClient) {
+      return mentions;
+    }
+
+    for (const [, userId] of text.matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g)) {
+      if (mentions.users[userId]) {
+        continue;
+      }
+      // Unresolved mentions fall back to the user ID
+      const userName = await this.userDirectory.getName(userId);
+      if (userName) {
+        mentions.users[userId] = userName;
+      }
+    }
+
+    // Channel mentions usually carry the name as a label; only look up those without one
+    for (const [, channelId] of text.matchAll(/<#([A-Z0-9]+)\|?>/g)) {
+      if (mentions.channels[channelId]) {
+        continue;
+      }
+      const channelName = await this._getChannelName(channelId);
+      if (channelName) {
+        mentions.channels[channelId] = channelName;
+      }
+    }
+
+    return mentions;
+  }
+
+  /**
+   * Check if a message event is a reply inside a thread
+   * A thread parent carries thread_ts equal to its own ts
+   * @private
+   * @param {Object} messageEvent - The Slack message event
+   * @returns {boolean} True if the message is a thread reply
+   */
+  _isThreadReply(messageEvent) {
+    return Boolean(messageEvent.thread_ts) && messageEvent.thread_ts !== messageEvent.ts;
+  }
+
+  /**
+   * Get a short snippet of a thread's parent message, memoized per thread
+   * @private
+   * @param {string} channelId - Channel ID
+   * @param {string} threadTs - Timestamp of the thread parent
+   * @returns {Promise<string|null>} Snippet of the parent text, or null if unavailable
+   */
+  async _getThreadParentSnippet(channelId, threadTs) {
+    const cacheKey = `${channelId}-${threadTs}`;
+    if (this.threadParents.has(cacheKey)) {
+      return this.threadParents.get(cacheKey);
+    }
+
+    if (!this.webClient) {
+      return null;
+    }
+
+    try {
+      const result = await this.webClient.conversations.replies({
+        channel: channelId,
+        ts: threadTs,
+        limit: 1,
+      });
+      const parent = result.ok && result.messages ? result.messages[0] : null;
+      if (!parent) {
+        return null;
+      }
+
+      const snippet = this._createSnippet(parent.text);
+      this.threadParents.set(cacheKey, snippet);
+
+      // Clean up old thread parents to prevent memory leak (keep last 500)
+      if (this.threadParents.size > 500) {
+        const oldestKey = this.threadParents.keys().next().value;
+        this.threadParents.delete(oldestKey);
+      }
+
+      return snippet;
+    } catch (error) {
+      logger.warn(
+        `Team: ${this.teamName}, Could not fetch thread parent ${threadTs}: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Shorten text to its first few words
+   * @private
+   * @param {string} text - Text to shorten
+   * @param {number} [maxWords=6] - Maximum number of words to keep
+   * @returns {string} Snippet, with an ellipsis when truncated
+   */
+  _createSnippet(text, maxWords = 6) {
+    const words = (text || '').split(/\s+/).filter((word) => word.length > 0);
+    const snippet = words.slice(0, maxWords).join(' ');
+    return words.length > maxWords ? `${snippet}…` : snippet;
+  }
+
+  /**
+   * Set up event listeners for the Socket Mode client
+   * @private
+   */
+  _setupEventListeners() {
+    if (!this.socketModeClient) {
+      return;
+    }
+
+    // Handle message events
+    this.socketModeClient.on('message', async (envelope) => {
+      // Socket Mode wraps events in an envelope
+      if (envelope.event && envelope.event.type === 'message') {
+        // Remember the workspace ID for events that do not carry their own
+        if (envelope.body?.team_id) {
+          this.teamId = envelope.body.team_id;
+        }
+        await this.handleMessage(envelope.event);
+      }
+    });
+
+    // Keep the followed channels up to date as channels change
+    for (const eventType of CHANNEL_EVENTS) {
+      this.socketModeClient.on(eventType, async (envelope) => {
+        await this.handleChannelEvent(envelope.event);
+      });
+    }
+
+    // Keep user names up to date as users change their profiles or join
+    for (const eventType of USER_EVENTS) {
+      this.socketModeClient.on(eventType, (envelope) => {
+        this.userDirectory.update(envelope.event?.user);
+      });
+    }
+
+    // Handle connection events. Socket Mode reconnects by itself after a dropped connection,
+    // emitting reconnecting and then connected again rather than disconnected
+    this.socketModeClient.on('reconnecting', () => {
+      this.isConnected = false;
+      if (this.connectionTime && this.disconnectedAt === null) {
+        logger.warn(`Team: ${this.teamName}, Connection lost, reconnecting`);
+        this.disconnectedAt = Date.now() / 1000;
+        this.heldMessages = this.heldMessages || [];
+      }
+    });
+
+    this.socketModeClient.on('connected', async () => {
+      this.isConnected = true;
+      this.reconnectAttempts = 0;
+      if (this.disconnectedAt !== null) {
+        await this._recoverAfterReconnecting();
+      }
+    });
+
+    this.socketModeClient.on('disconnected', () => {
+      this.isConnected = false;
+      if (!this.isConnecting) {
+        logger.warn(`Team: ${this.teamName}, Connection lost`);
+        this._scheduleReconnect();
+      }
+    });
+
+    // Handle errors
+    this.socketModeClient.on('error', (error) => {
+      logger.error(`Team: ${this.teamName}, Socket error: ${error.message}`);
+      this.isConnected = false;
+
+      // Check if this is an authentication error
+      if (this._isAuthenticationError(error)) {
+        this._invalidateTeam(error);
+        return;
+      }
+
+      if (!this.isConnecting) {
+        this._scheduleReconnect();
+      }
+    });
+  }
+
+  /**
+   * Schedule a reconnection attempt with exponential backoff
+   * @private
+   */
+  _scheduleReconnect() {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts || this.isInvalidated) {
+      if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+        logger.error(`Team: ${this.teamName}, Error: Max reconnection attempts reached`);
+      }
+      return;
+    }
+
+    const delay = Math.min(
+      this.reconnectDelay * 2 ** this.reconnectAttempts,
+      this.maxReconnectDelay
+    );
+
+    setTimeout(() => {
+      this.reconnect();
+    }, delay);
+  }
+
+  /**
+   * Check if an error is an authentication error
+   * @private
+   * @param {Error} error - The error to check
+   * @returns {boolean} True if the error is an authentication error
+   */
+  _isAuthenticationError(error) {
+    if (!error) return false;
+
+    const errorMessage = error.message?.toLowerCase() || '';
+    const errorCode = error.code;
+
+    // Common authentication error patterns
+    const authErrorPatterns = [
+      'invalid_auth',
+      'token_revoked',
+      'account_inactive',
+      'invalid_token',
+      'not_authed',
+      'token_expired',
+      'unauthorized',
+      'authentication failed',
+      'invalid credentials',
+    ];
+
+    // Check error message for auth patterns
+    const hasAuthPattern = authErrorPatterns.some((pattern) => errorMessage.includes(pattern));
+
+    // Check for specific error codes
+    const authErrorCodes = ['invalid_auth', 'token_revoked', 'account_inactive'];
+    const hasAuthCode = authErrorCodes.includes(errorCode);
+
+    // Check for HTTP 401 Unauthorized
+    const isUnauthorized = error.status === 401 || errorMessage.includes('401');
+
+    return hasAuthPattern || hasAuthCode || isUnauthorized;
+  }
+
+  /**
+   * Invalidate the team due to authentication errors
+   * @private
+   * @param {Error} error - The authentication error
+   */
+  _invalidateTeam(error) {
+    this.isInvalidated = true;
+    this.isConnected = false;
+    this.isConnecting = false;
+
+    logger.error(`Team: ${this.teamName}, Error: Authentication failed - ${error.message}`);
+    logger.error(`Team: ${this.teamName} has been invalidated and will not attempt reconnection`);
+
+    // Clean up connections
+    if (this.socketModeClient) {
+      try {
+        // Don't await the disconnect to avoid blocking invalidation
+        this.socketModeClient.disconnect().catch(() => {
+          // Ignore disconnect errors during invalidation
+        });
+      } catch (disconnectError) {
+        // Ignore disconnect errors during invalidation
+      }
+    }
+
+    this.socketModeClient = null;
+    this.webClient = null;
+    this.channelNames.clear();
+    this.channelTypes.clear();
+  }
+
+  /**
+   * Determine the reason for channel error from API response
+   * @private
+   * @param {Object} result - The API response result
+   * @returns {string} Human-readable error reason
+   */
+  _getChannelErrorReason(result) {
+    if (!result.ok) {
+      switch (result.error) {
+        case 'channel_not_found':
+          return 'channel not found';
+        case 'not_in_channel':
+          return 'bot not in channel';
+        case 'access_denied':
+          return 'access denied';
+        case 'invalid_channel':
+          return 'invalid channel ID';
+        case 'missing_scope':
+          return result.needed ? `missing scope ${result.needed}` : 'missing scope';
+        default:
+          return `API error: ${result.error}`;
+      }
+    }
+    return 'unknown error';
+  }
+
+  /**
+   * Determine the reason for channel error from exception
    * @private
    * @param {Error} error - The exception thrown
    * @returns {string} Human-readable error reason
@@ -557,8 +1958,25 @@ export class SlackClient {
     if (!channelId || typeof channelId !== 'string') {
       return false;
     }
-    // Slack channel ID format: C followed by 10 alphanumeric characters
-    return /^C[A-Z0-9]{10}$/.test(channelId);
+    return CONVERSATION_ID_PATTERN.test(channelId);
+  }
+
+  /**
+   * Get the type of a conversation from its conversations.info record
+   * @param {Object} conversation - Conversation record
+   * @returns {string} 'channel', 'private' (private channel), 'im' (DM) or 'mpim' (group DM)
+   */
+  static getConversationType(conversation) {
+    if (conversation.is_im) {
+      return 'im';
+    }
+    if (conversation.is_mpim) {
+      return 'mpim';
+    }
+    if (conversation.is_private || conversation.is_group) {
+      return 'private';
+    }
+    return 'channel';
   }
 
   /**
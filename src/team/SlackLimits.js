@@ -0,0 +1,7 @@
+// Values shared by SlackClient and the validation of its settings in ConfigurationManager
+
+// Bot IDs, as listed in the botIds setting
+export const BOT_ID_PATTERN = /^B[A-Z0-9]{8,}$/;
+
+// Most messages backfilled per channel
+export const MAX_BACKFILL_MESSAGES = 1000;
@@ -1,6 +1,11 @@
 import { logger } from '../utils/Logger.js';
 import { SlackClient } from './SlackClient.js';
 
+// Most live messages held back while the backfill is queued, and the longest time they are held;
+// beyond either they are passed on, ahead of any backfill not queued yet
+const MAX_HELD_LIVE_MESSAGES = 1000;
+const MAX_HOLD_MS = 30000;
+
 /**
  * TeamManager handles multiple Slack team connections and coordination
  * Manages initialization, connection lifecycle, and error handling for all teams
@@ -12,25 +17,35 @@ export class TeamManager {
     this.messageProcessor = null;
     this.isInitialized = false;
     this.isShuttingDown = false;
+    this.heldLiveMessages = null; // Live messages held back while the backfill is queued
+    this.holdTimer = null; // Passes held live messages on once MAX_HOLD_MS has passed
   }
 
   /**
    * Set the message processor for handling received messages
+   * Messages the handlers are done with are reported back to their team's client, which saves
+   * its position then.
    * @param {MessageProcessor} messageProcessor - The message processor instance
    */
   setMessageProcessor(messageProcessor) {
-    if (!messageProcessor || typeof messageProcessor.processMessage !== 'function') {
-      throw new Error('Message processor must implement processMessage method');
+    if (!messageProcessor || typeof messageProcessor.enqueueMessage !== 'function') {
+      throw new Error('Message processor must implement enqueueMessage method');
     }
     this.messageProcessor = messageProcessor;
+    messageProcessor.setCompletionCallback((message) => {
+      this.clients.get(message.team)?.recordDelivered(message);
+    });
   }
 
   /**
    * Initialize teams from configuration
    * @param {Object} teamsConfig - Configuration object with team settings
+   * @param {Object} [options] - Options shared by all teams
+   * @param {StateStore} [options.stateStore] - Store for positions and names kept between runs
+   * @param {boolean} [options.sinceLastRun=false] - Backfill from where the previous run stopped
    * @returns {Promise<void>}
    */
-  async initialize(teamsConfig) {
+  async initialize(teamsConfig, { stateStore = null, sinceLastRun = false } = {}) {
     if (this.isInitialized) {
       throw new Error('TeamManager is already initialized');
     }
@@ -63,6 +78,15 @@ export class TeamManager {
         appToken: config.appToken,
         botToken: config.botToken,
         channelIds: [...config.channels], // Create a copy
+        options: {
+          channelFilter: config.channelFilter,
+          threadReplies: config.threadReplies,
+          backfill: config.backfill,
+          bots: config.bots,
+          botIds: config.botIds,
+          stateStore,
+          sinceLastRun,
+        },
         client: null,
       });
     }
@@ -86,6 +110,20 @@ export class TeamManager {
 
     logger.info('Connecting to teams...');
 
+    // Hold live messages until the backfilled history has been queued
+    const hasBackfill = Array.from(this.teams.values()).some(
+      (team) => team.options.backfill || team.options.sinceLastRun
+    );
+    const shouldBackfill = hasBackfill && Boolean(this.messageProcessor);
+    if (shouldBackfill) {
+      this.heldLiveMessages = [];
+      this.holdTimer = setTimeout(() => {
+        logger.warn(`Backfill took longer than ${MAX_HOLD_MS}ms, passing on live messages`);
+        this._releaseHeldMessages();
+      }, MAX_HOLD_MS);
+      this.holdTimer.unref?.();
+    }
+
     const connectionPromises = [];
 
     for (const [teamName, teamConfig] of this.teams.entries()) {
@@ -111,11 +149,17 @@ export class TeamManager {
     });
 
     if (successfulConnections === 0) {
+      await this._releaseHeldMessages();
       throw new Error('Failed to connect to any teams');
     }
 
     logger.info(`Connected to ${successfulConnections} team(s), ${failedConnections} failed`);
 
+    // Live messages may have been passed on already, if connecting took long
+    if (shouldBackfill) {
+      await this._backfill();
+    }
+
     if (successfulConnections > 0) {
       logger.info('All teams connected. Monitoring started.');
     }
@@ -148,6 +192,7 @@ export class TeamManager {
 
     this.isShuttingDown = true;
     logger.info('Shutting down...');
+    clearTimeout(this.holdTimer);
 
     const disconnectionPromises = [];
 
@@ -249,14 +294,27 @@ export class TeamManager {
         teamConfig.appToken,
         teamConfig.botToken,
         teamName,
-        teamConfig.channelIds
+        teamConfig.channelIds,
+        teamConfig.options
       );
 
       // Set up message callback if message processor is available
       if (this.messageProcessor) {
         client.setMessageCallback(async (message) => {
+          if (this.heldLiveMessages) {
+            this.heldLiveMessages.push(message);
+            if (this.heldLiveMessages.length >= MAX_HELD_LIVE_MESSAGES) {
+              logger.warn(
+                `${MAX_HELD_LIVE_MESSAGES} live messages arrived during the backfill, passing them on`
+              );
+              await this._releaseHeldMessages();
+            }
+            return;
+          }
+
           try {
-            await this.messageProcessor.processMessage(message);
+            // Only queue the message, so slow handlers do not hold up the Socket Mode listener
+            await this.messageProcessor.enqueueMessage(message);
           } catch (error) {
             logger.error(`Team: ${teamName}, Error processing message: ${error.message}`);
           }
@@ -279,6 +337,60 @@ export class TeamManager {
     }
   }
 
+  /**
+   * Queue the backfilled history of every connected team as one chronological batch, then
+   * pass on the live messages that arrived in the meantime
+   * Only waits until the history is queued, so slow handlers do not hold up live messages.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _backfill() {
+    try {
+      const clients = Array.from(this.clients.entries()).filter(([, client]) =>
+        client?.isClientConnected()
+      );
+      const results = await Promise.allSettled(clients.map(([, client]) => client.fetchBackfill()));
+
+      const messages = [];
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled') {
+          messages.push(...result.value);
+        } else {
+          logger.warn(`Team: ${clients[index][0]}, Backfill failed - ${result.reason.message}`);
+        }
+      });
+
+      if (messages.length > 0) {
+        logger.info(`Backfilled ${messages.length} message(s)`);
+        await this.messageProcessor.enqueueMessages(messages);
+      }
+    } catch (error) {
+      logger.error(`Error processing backfill: ${error.message}`);
+    } finally {
+      await this._releaseHeldMessages();
+    }
+  }
+
+  /**
+   * Stop holding live messages and pass on those held so far
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _releaseHeldMessages() {
+    clearTimeout(this.holdTimer);
+    this.holdTimer = null;
+    const heldMessages = this.heldLiveMessages || [];
+    this.heldLiveMessages = null;
+
+    for (const message of heldMessages) {
+      try {
+        await this.messageProcessor?.enqueueMessage(message);
+      } catch (error) {
+        logger.error(`Team: ${message.team}, Error processing message: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Remove a team from active monitoring
    * @private
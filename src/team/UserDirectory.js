@@ -0,0 +1,199 @@
+import { logger } from '../utils/Logger.js';
+
+// How long a known name is used before the user is looked up again
+export const DEFAULT_USER_TTL_MS = 60 * 60 * 1000;
+
+// How long a failed lookup is not repeated, so unknown users do not cost a request per message
+const FAILED_LOOKUP_RETRY_MS = 60 * 1000;
+
+// users.list page size
+const USER_PAGE_SIZE = 200;
+
+/**
+ * UserDirectory maps the user IDs of one team to display names
+ *
+ * It is warmed with every user of the workspace from users.list when connecting, kept current
+ * by user_change and team_join events, and looks up users it does not know with users.info.
+ * Names expire after a while, concurrent lookups of the same user share one request, and when
+ * a lookup fails the last known name is used: from this run, or remembered in the state store.
+ */
+export class UserDirectory {
+  /**
+   * @param {string} teamName - Name of the team
+   * @param {Function} getWebClient - Returns the team's Web API client, or null if not connected
+   * @param {Object} [options] - Directory options
+   * @param {StateStore} [options.stateStore] - Store remembering names between runs
+   * @param {number} [options.ttlMs] - How long a known name is used before it is looked up again
+   */
+  constructor(teamName, getWebClient, { stateStore = null, ttlMs = DEFAULT_USER_TTL_MS } = {}) {
+    this.teamName = teamName;
+    this.getWebClient = getWebClient;
+    this.stateStore = stateStore;
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // User ID to { name, expiresAt }; name is null if unknown
+    this.pendingLookups = new Map(); // User ID to the promise of a running users.info lookup
+    this.warmedAt = null; // When users.list was last loaded
+    this.pendingWarm = null; // Promise of a running users.list load
+  }
+
+  /**
+   * Get the display name of a Slack user record
+   * @param {Object} user - User record from users.info, users.list or a user event
+   * @returns {string|null} Display name, falling back to the real name and the handle
+   */
+  static getDisplayName(user) {
+    return (
+      user?.display_name ||
+      user?.profile?.display_name ||
+      user?.real_name ||
+      user?.profile?.real_name ||
+      user?.name ||
+      null
+    );
+  }
+
+  /**
+   * Load every user of the workspace, unless that was done within the TTL
+   * Failures are logged, as users are then looked up one by one. A load that is already running
+   * is shared rather than started again.
+   * @returns {Promise<void>}
+   */
+  async warm() {
+    const webClient = this.getWebClient();
+    if (!webClient || (this.warmedAt && Date.now() - this.warmedAt < this.ttlMs)) {
+      return;
+    }
+
+    if (!this.pendingWarm) {
+      this.pendingWarm = this._loadUsers(webClient).finally(() => {
+        this.pendingWarm = null;
+      });
+    }
+    return this.pendingWarm;
+  }
+
+  /**
+   * Load every page of users.list into the directory
+   * @private
+   * @param {WebClient} webClient - Slack Web API client
+   * @returns {Promise<void>}
+   */
+  async _loadUsers(webClient) {
+    let count = 0;
+    let cursor;
+    try {
+      do {
+        const result = await webClient.users.list({ limit: USER_PAGE_SIZE, cursor });
+        if (!result.ok) {
+          throw new Error(`Failed to list users: ${result.error}`);
+        }
+        for (const user of result.members || []) {
+          if (this._setName(user.id, UserDirectory.getDisplayName(user))) {
+            count++;
+          }
+        }
+        cursor = result.response_metadata?.next_cursor || null;
+      } while (cursor);
+    } catch (error) {
+      logger.warn(
+        `Team: ${this.teamName}, Could not load users, looking them up one by one: ${error.message}`
+      );
+      return;
+    }
+
+    this.warmedAt = Date.now();
+    logger.info(`Team: ${this.teamName}, Loaded ${count} users`);
+  }
+
+  /**
+   * Get a user's display name
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} Display name, the last known name if the lookup failed, or
+   *   null if the user is unknown
+   */
+  async getName(userId) {
+    const entry = this.entries.get(userId);
+    if (entry && entry.expiresAt > Date.now()) {
+      if (entry.name) {
+        this.stateStore?.setUserName(this.teamName, userId, entry.name);
+      }
+      return entry.name ?? this._getStoredName(userId);
+    }
+
+    let lookup = this.pendingLookups.get(userId);
+    if (!lookup) {
+      lookup = this._lookUp(userId).finally(() => this.pendingLookups.delete(userId));
+      this.pendingLookups.set(userId, lookup);
+    }
+    return lookup;
+  }
+
+  /**
+   * Take in a user record from a user_change or team_join event
+   * @param {Object} user - User record
+   */
+  update(user) {
+    const name = UserDirectory.getDisplayName(user);
+    if (!user?.id || !this._setName(user.id, name)) {
+      return;
+    }
+    // Only users shown before are remembered between runs
+    if (this._getStoredName(user.id)) {
+      this.stateStore.setUserName(this.teamName, user.id, name);
+    }
+  }
+
+  /**
+   * Look up a user with users.info
+   * @private
+   * @param {string} userId - User ID
+   * @returns {Promise<string|null>} Display name, the last known name, or null
+   */
+  async _lookUp(userId) {
+    const webClient = this.getWebClient();
+    if (webClient) {
+      try {
+        const result = await webClient.users.info({ user: userId });
+        const name = result.ok ? UserDirectory.getDisplayName(result.user) : null;
+        if (name) {
+          this._setName(userId, name);
+          this.stateStore?.setUserName(this.teamName, userId, name);
+          return name;
+        }
+      } catch (error) {
+        // Fall back to the last known name below
+      }
+    }
+
+    const name = this.entries.get(userId)?.name ?? null;
+    if (webClient) {
+      this.entries.set(userId, { name, expiresAt: Date.now() + FAILED_LOOKUP_RETRY_MS });
+    }
+    return name ?? this._getStoredName(userId);
+  }
+
+  /**
+   * Remember a user's name until the TTL expires
+   * @private
+   * @param {string} userId - User ID
+   * @param {string|null} name - Display name
+   * @returns {boolean} True if there was a name to remember
+   */
+  _setName(userId, name) {
+    if (!userId || !name) {
+      return false;
+    }
+    this.entries.set(userId, { name, expiresAt: Date.now() + this.ttlMs });
+    return true;
+  }
+
+  /**
+   * Get the name remembered from an earlier run
+   * @private
+   * @param {string} userId - User ID
+   * @returns {string|null} User name, or null if unknown
+   */
+  _getStoredName(userId) {
+    return this.stateStore?.getUserName(this.teamName, userId) ?? null;
+  }
+}
@@ -0,0 +1,140 @@
+// Formatting tokens, longest first so that "YYYY" wins over "YY"
+const TOKEN_PATTERN = /\[([^\]]*)\]|YYYY|YY|MMM|MM|M|DD|D|ddd|HH|H|hh|h|mm|m|ss|s|SSS|A|a/g;
+
+const MONTH_NAMES = [
+  'Jan',
+  'Feb',
+  'Mar',
+  'Apr',
+  'May',
+  'Jun',
+  'Jul',
+  'Aug',
+  'Sep',
+  'Oct',
+  'Nov',
+  'Dec',
+];
+
+/**
+ * DateFormatter formats dates with tokens such as "YYYY-MM-DD HH:mm:ss"
+ * Supported tokens: YYYY YY MMM MM M DD D ddd HH H hh h mm m ss s SSS A a;
+ * text in [brackets] is copied literally
+ */
+export class DateFormatter {
+  /**
+   * @param {Object} [options] - Formatter options
+   * @param {string} [options.timeZone] - IANA time zone such as "Asia/Tokyo" (default: local time)
+   * @throws {RangeError} If the time zone is not supported
+   */
+  constructor({ timeZone } = {}) {
+    this.timeZone = timeZone;
+    this.intl = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23',
+    });
+  }
+
+  /**
+   * Format a date
+   * @param {Date} date - Date to format
+   * @param {string} pattern - Format pattern
+   * @returns {string} Formatted date, or empty string for invalid dates
+   */
+  format(date, pattern) {
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+      return '';
+    }
+
+    const parts = this.getParts(date);
+    return pattern.replace(TOKEN_PATTERN, (token, literal) => {
+      if (literal !== undefined) {
+        return literal;
+      }
+      return this._formatToken(token, parts);
+    });
+  }
+
+  /**
+   * Get the calendar fields of a date in the configured time zone
+   * @param {Date} date - Date to split
+   * @returns {Object} Fields year, month (1-12), day, weekday, hour (0-23), minute, second, millisecond
+   */
+  getParts(date) {
+    const parts = {};
+    for (const { type, value } of this.intl.formatToParts(date)) {
+      parts[type] = value;
+    }
+
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      weekday: parts.weekday,
+      hour: Number(parts.hour),
+      minute: Number(parts.minute),
+      second: Number(parts.second),
+      millisecond: date.getMilliseconds(),
+    };
+  }
+
+  /**
+   * Format a single token
+   * @private
+   * @param {string} token - Formatting token
+   * @param {Object} parts - Date fields from getParts
+   * @returns {string} Formatted token
+   */
+  _formatToken(token, parts) {
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hour12 = parts.hour % 12 || 12;
+
+    switch (token) {
+      case 'YYYY':
+        return String(parts.year);
+      case 'YY':
+        return pad(parts.year % 100);
+      case 'MMM':
+        return MONTH_NAMES[parts.month - 1];
+      case 'MM':
+        return pad(parts.month);
+      case 'M':
+        return String(parts.month);
+      case 'DD':
+        return pad(parts.day);
+      case 'D':
+        return String(parts.day);
+      case 'ddd':
+        return parts.weekday;
+      case 'HH':
+        return pad(parts.hour);
+      case 'H':
+        return String(parts.hour);
+      case 'hh':
+        return pad(hour12);
+      case 'h':
+        return String(hour12);
+      case 'mm':
+        return pad(parts.minute);
+      case 'm':
+        return String(parts.minute);
+      case 'ss':
+        return pad(parts.second);
+      case 's':
+        return String(parts.second);
+      case 'SSS':
+        return pad(parts.millisecond, 3);
+      case 'A':
+        return parts.hour < 12 ? 'AM' : 'PM';
+      default:
+        return parts.hour < 12 ? 'am' : 'pm';
+    }
+  }
+}
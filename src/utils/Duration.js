@@ -0,0 +1,21 @@
+const DURATION_PATTERN = /^(\d+)(s|m|h|d)$/;
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration such as "30s", "15m", "2h" or "1d"
+ * @param {string} value - Duration with a whole number and a unit (s, m, h or d)
+ * @returns {number|null} Duration in milliseconds, or null if the value is not a duration
+ */
+export function parseDuration(value) {
+  const match = typeof value === 'string' ? DURATION_PATTERN.exec(value.trim()) : null;
+  if (!match) {
+    return null;
+  }
+  return Number(match[1]) * UNIT_MS[match[2]];
+}
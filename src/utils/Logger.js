@@ -3,11 +3,27 @@
  * Outputs all logs to STDERR in standard text format
  */
 export class Logger {
+  constructor() {
+    this.quiet = false; // Suppress INFO messages when true
+  }
+
+  /**
+   * Enable or disable quiet mode
+   * In quiet mode only warnings and errors are written
+   * @param {boolean} quiet - Whether to suppress informational messages
+   */
+  setQuiet(quiet) {
+    this.quiet = Boolean(quiet);
+  }
+
   /**
    * Log an informational message
    * @param {string} message - The message to log
    */
   info(message) {
+    if (this.quiet) {
+      return;
+    }
     this._writeLog('INFO', message);
   }
 
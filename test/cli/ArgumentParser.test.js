@@ -0,0 +1,177 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { ArgumentParser, COMMANDS } from '../../src/cli/ArgumentParser.js';
+
+describe('ArgumentParser', () => {
+  let parser;
+
+  beforeEach(() => {
+    parser = new ArgumentParser();
+  });
+
+  describe('parse', () => {
+    it('should return null command and defaults for empty arguments', () => {
+      const result = parser.parse([]);
+
+      expect(result.command).toBeNull();
+      expect(result.options).toEqual({
+        configPath: undefined,
+        teams: [],
+        channels: [],
+        user: undefined,
+        thread: false,
+        limit: undefined,
+        format: undefined,
+        color: undefined,
+        sinceLastRun: false,
+        quiet: false,
+        help: false,
+        version: false,
+      });
+      expect(result.positionals).toEqual([]);
+    });
+
+    it('should parse subcommand and global flags', () => {
+      const result = parser.parse(['validate', '--config', '/etc/slagg.json', '--quiet']);
+
+      expect(result.command).toBe('validate');
+      expect(result.options.configPath).toBe('/etc/slagg.json');
+      expect(result.options.quiet).toBe(true);
+    });
+
+    it('should accept flags before the subcommand and inline values', () => {
+      const result = parser.parse(['-c', '/tmp/a.json', '--team=ops', 'channels']);
+
+      expect(result.command).toBe('channels');
+      expect(result.options.configPath).toBe('/tmp/a.json');
+      expect(result.options.teams).toEqual(['ops']);
+    });
+
+    it('should merge repeated and comma-separated team and channel values', () => {
+      const result = parser.parse([
+        '--team',
+        'ops,dev',
+        '-t',
+        'qa',
+        '--channel',
+        'C1234567890',
+        '--channel',
+        'C0987654321,',
+      ]);
+
+      expect(result.options.teams).toEqual(['ops', 'dev', 'qa']);
+      expect(result.options.channels).toEqual(['C1234567890', 'C0987654321']);
+    });
+
+    it('should keep message words for post', () => {
+      const result = parser.parse(['post', '--channel', 'C1234567890', 'hello', 'world']);
+
+      expect(result.command).toBe('post');
+      expect(result.positionals).toEqual(['hello', 'world']);
+    });
+
+    it('should parse the routes test action with sample message options', () => {
+      const result = parser.parse([
+        'routes',
+        'test',
+        '--team',
+        'ops',
+        '--channel',
+        '#alerts',
+        '--user',
+        '@alice',
+        '--thread',
+        'disk',
+        'full',
+      ]);
+
+      expect(result.command).toBe('routes');
+      expect(result.action).toBe('test');
+      expect(result.options.user).toBe('@alice');
+      expect(result.options.thread).toBe(true);
+      expect(result.positionals).toEqual(['disk', 'full']);
+    });
+
+    it('should throw error for a missing or unknown routes action', () => {
+      expect(() => parser.parse(['routes'])).toThrow(
+        'Missing action for routes. Expected one of: test'
+      );
+      expect(() => parser.parse(['routes', 'list'])).toThrow(
+        'Unknown action for routes: list. Expected one of: test'
+      );
+    });
+
+    it('should parse history limit', () => {
+      const result = parser.parse(['history', '--channel', 'C1234567890', '-n', '50']);
+
+      expect(result.options.limit).toBe(50);
+    });
+
+    it('should throw error for invalid limit', () => {
+      expect(() => parser.parse(['history', '--limit', '0'])).toThrow('Invalid --limit value: 0');
+      expect(() => parser.parse(['history', '--limit', 'ten'])).toThrow(
+        'Invalid --limit value: ten'
+      );
+    });
+
+    it('should parse output format', () => {
+      expect(parser.parse(['--format', 'jsonl']).options.format).toBe('jsonl');
+      expect(parser.parse(['history', '--format=text']).options.format).toBe('text');
+    });
+
+    it('should throw error for unknown output format', () => {
+      expect(() => parser.parse(['--format', 'xml'])).toThrow(
+        'Invalid --format value: xml. Expected one of: text, jsonl'
+      );
+    });
+
+    it('should parse color mode', () => {
+      expect(parser.parse(['--color=always']).options.color).toBe('always');
+      expect(parser.parse(['--color', 'never']).options.color).toBe('never');
+    });
+
+    it('should throw error for unknown color mode', () => {
+      expect(() => parser.parse(['--color=sometimes'])).toThrow(
+        'Invalid --color value: sometimes. Expected one of: auto, always, never'
+      );
+    });
+
+    it('should parse the since-last-run flag', () => {
+      expect(parser.parse(['run', '--since-last-run']).options.sinceLastRun).toBe(true);
+      expect(parser.parse(['run']).options.sinceLastRun).toBe(false);
+    });
+
+    it('should throw error for unknown command', () => {
+      expect(() => parser.parse(['stream'])).toThrow('Unknown command: stream');
+    });
+
+    it('should throw error for unknown option', () => {
+      expect(() => parser.parse(['--verbose'])).toThrow();
+    });
+
+    it('should throw error for extra arguments on commands other than post', () => {
+      expect(() => parser.parse(['validate', 'extra'])).toThrow(
+        'Unexpected argument for validate: extra'
+      );
+    });
+  });
+
+  describe('getHelpText', () => {
+    it('should list all commands, options and exit codes', () => {
+      const helpText = parser.getHelpText();
+
+      for (const command of Object.keys(COMMANDS)) {
+        expect(helpText).toContain(command);
+      }
+      expect(helpText).toContain('--config <path>');
+      expect(helpText).toContain('--quiet');
+      expect(helpText).toContain('Exit codes:');
+    });
+
+    it('should show command usage for a specific command', () => {
+      const helpText = parser.getHelpText('post');
+
+      expect(helpText).toContain(`Usage: ${COMMANDS.post.usage}`);
+      expect(helpText).not.toContain('Commands:');
+    });
+  });
+});
@@ -47,7 +47,7 @@ describe('main.js', () => {
       const mainContent = fs.readFileSync('src/main.js', 'utf8');
 
       expect(mainContent).toContain(
-        "import { ConfigurationManager } from './config/ConfigurationManager.js'"
+        "import { BUILTIN_HANDLERS, ConfigurationManager } from './config/ConfigurationManager.js'"
       );
       expect(mainContent).toContain(
         "import { MessageProcessor } from './message/MessageProcessor.js'"
@@ -64,7 +64,8 @@ describe('main.js', () => {
       const mainContent = fs.readFileSync('src/main.js', 'utf8');
 
       expect(mainContent).toContain('class SlaggApp');
-      expect(mainContent).toContain('constructor()');
+      expect(mainContent).toContain('constructor(options = {})');
+      expect(mainContent).toContain('loadConfiguration()');
       expect(mainContent).toContain('async initialize()');
       expect(mainContent).toContain('async start()');
       expect(mainContent).toContain('setupMessageHandlers(config)');
@@ -77,17 +78,38 @@ describe('main.js', () => {
       const mainContent = fs.readFileSync('src/main.js', 'utf8');
 
       expect(mainContent).toContain('async function main()');
-      expect(mainContent).toContain('const app = new SlaggApp()');
-      expect(mainContent).toContain('await app.start()');
+      expect(mainContent).toContain('new CommandLineInterface(');
+      expect(mainContent).toContain('createApp: (options) => new SlaggApp(options)');
+      expect(mainContent).toContain('await cli.run(process.argv.slice(2))');
     });
 
     it('should have conditional execution check', async () => {
       const fs = await import('node:fs');
       const mainContent = fs.readFileSync('src/main.js', 'utf8');
 
-      expect(mainContent).toContain('if (import.meta.url === `file://${process.argv[1]}`)');
+      expect(mainContent).toContain('if (isEntryPoint())');
       expect(mainContent).toContain('main().catch((error) => {');
     });
+
+    it('should run when started through a symlink, as the installed command is', async () => {
+      const { execFileSync } = await import('node:child_process');
+      const fs = await import('node:fs');
+      const { tmpdir } = await import('node:os');
+      const { join, resolve } = await import('node:path');
+      const binDir = fs.mkdtempSync(join(tmpdir(), 'slagg-bin-'));
+
+      try {
+        fs.symlinkSync(resolve('src/main.js'), join(binDir, 'slagg'));
+        const output = execFileSync(process.execPath, [join(binDir, 'slagg'), '--version'], {
+          encoding: 'utf8',
+          timeout: 10000,
+        });
+
+        expect(output.trim()).toMatch(/^\d+\.\d+\.\d+$/);
+      } finally {
+        fs.rmSync(binDir, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('Application lifecycle', () => {
@@ -100,16 +122,32 @@ describe('main.js', () => {
       expect(initializeMethodMatch).toBeTruthy();
 
       const initializeMethod = initializeMethodMatch[1];
-      expect(initializeMethod).toContain('this.configManager.loadConfig()');
-      expect(initializeMethod).toContain('this.configManager.getValidTeamConfigs()');
+      expect(initializeMethod).toContain('this.teamConfigs || this.loadConfiguration()');
       expect(initializeMethod).toContain('this.setupMessageHandlers(config)');
-      expect(initializeMethod).toContain('this.teamManager.initialize(teamConfigs)');
+      expect(initializeMethod).toContain(
+        'this.teamManager.initialize(teamConfigs, this.setupState(config))'
+      );
       expect(initializeMethod).toContain(
         'this.teamManager.setMessageProcessor(this.messageProcessor)'
       );
       expect(initializeMethod).toContain('this.displayStartupStatus(teamConfigs)');
     });
 
+    it('should load configuration from the selected path', async () => {
+      const fs = await import('node:fs');
+      const mainContent = fs.readFileSync('src/main.js', 'utf8');
+
+      const loadConfigurationMatch = mainContent.match(
+        /loadConfiguration\(\) \{([\s\S]*?)\n {2}\}/
+      );
+      expect(loadConfigurationMatch).toBeTruthy();
+
+      const loadConfiguration = loadConfigurationMatch[1];
+      expect(loadConfiguration).toContain('this.configManager.loadConfig()');
+      expect(loadConfiguration).toContain('this.configManager.getValidTeamConfigs()');
+      expect(loadConfiguration).toContain('this.configManager.filterTeamConfigs(');
+    });
+
     it('should handle start sequence', async () => {
       const fs = await import('node:fs');
       const mainContent = fs.readFileSync('src/main.js', 'utf8');
@@ -121,6 +159,9 @@ describe('main.js', () => {
       expect(startMethod).toContain('await this.initialize()');
       expect(startMethod).toContain('await this.teamManager.connectAllTeams()');
       expect(startMethod).toContain('this.setupShutdownHandlers()');
+      expect(startMethod.indexOf('this.setupShutdownHandlers()')).toBeLessThan(
+        startMethod.indexOf('await this.teamManager.connectAllTeams()')
+      );
     });
 
     it('should setup message handlers correctly', async () => {
@@ -130,10 +171,83 @@ describe('main.js', () => {
       expect(mainContent).toContain('setupMessageHandlers(config)');
       expect(mainContent).toContain('config.handlers || {}');
       expect(mainContent).toContain('handlerConfigs.console || { enabled: true }');
-      expect(mainContent).toContain('new ConsoleOutputHandler(consoleConfig.enabled)');
+      expect(mainContent).toContain('new ConsoleOutputHandler(consoleConfig.enabled, {');
+      expect(mainContent).toContain('format: this.options.format || consoleConfig.format');
+      expect(mainContent).toContain('template: consoleConfig.template');
+      expect(mainContent).toContain('color: this.options.color || consoleConfig.color');
+      expect(mainContent).toContain('timeZone: consoleConfig.timeZone');
       expect(mainContent).toContain('this.messageProcessor.registerHandler(consoleHandler)');
     });
 
+    it('should register the notification handler disabled by default', async () => {
+      const fs = await import('node:fs');
+      const mainContent = fs.readFileSync('src/main.js', 'utf8');
+
+      expect(mainContent).toContain('handlerConfigs.notification || { enabled: false }');
+      expect(mainContent).toContain('new NotificationHandler(');
+      expect(mainContent).toContain('this.messageProcessor.registerHandler(notificationHandler)');
+    });
+
+    it('should register the speech handler and stop it on shutdown', async () => {
+      const fs = await import('node:fs');
+      const mainContent = fs.readFileSync('src/main.js', 'utf8');
+
+      expect(mainContent).toContain('handlerConfigs.speech || { enabled: false }');
+      expect(mainContent).toContain('new SpeechHandler(');
+      expect(mainContent).toContain('this.messageProcessor.registerHandler(this.speechHandler)');
+    });
+
+    it('should set up global and per-handler filters', async () => {
+      const fs = await import('node:fs');
+      const mainContent = fs.readFileSync('src/main.js', 'utf8');
+
+      expect(mainContent).toContain(
+        'this.messageProcessor.setFilter(new MessageFilter(config.filters))'
+      );
+      expect(mainContent).toContain('this.messageProcessor.setHandlerFilter(');
+      expect(mainContent).toContain('new MessageFilter(handlerConfig.filter)');
+    });
+
+    it('should load handler plugins', async () => {
+      const fs = await import('node:fs');
+      const mainContent = fs.readFileSync('src/main.js', 'utf8');
+
+      expect(mainContent).toContain('async setupMessageHandlers(config)');
+      expect(mainContent).toContain('await this.setupMessageHandlers(config)');
+      expect(mainContent).toContain('await this.setupPluginHandler(loader, key, pluginConfig)');
+    });
+
+    it('should start handlers on initialize and drain them on shutdown', async () => {
+      const fs = await import('node:fs');
+      const mainContent = fs.readFileSync('src/main.js', 'utf8');
+
+      const initializeMethod = mainContent.match(/async initialize\(\) \{([\s\S]*?)\}/)[1];
+      expect(initializeMethod).toContain('await this.messageProcessor.startHandlers()');
+      expect(mainContent).toContain('await this.messageProcessor.stopHandlers({');
+      expect(mainContent).toContain('timeoutMs: this.config?.shutdown?.drainTimeoutMs');
+    });
+
+    it('should set up per-handler delivery policies', async () => {
+      const fs = await import('node:fs');
+      const mainContent = fs.readFileSync('src/main.js', 'utf8');
+
+      expect(mainContent).toContain('this.messageProcessor.setHandlerPolicy(handler.getName(), {');
+      expect(mainContent).toContain('timeoutMs: handlerConfig.timeoutMs');
+      expect(mainContent).toContain('queueOverflow: handlerConfig.queueOverflow');
+      expect(mainContent).toContain(
+        'this.messageProcessor.setReorderWindow(config.ordering.windowMs)'
+      );
+    });
+
+    it('should set up routing rules', async () => {
+      const fs = await import('node:fs');
+      const mainContent = fs.readFileSync('src/main.js', 'utf8');
+
+      expect(mainContent).toContain(
+        'this.messageProcessor.setRouter(new MessageRouter(config.routing, { aliases }))'
+      );
+    });
+
     it('should display startup status', async () => {
       const fs = await import('node:fs');
       const mainContent = fs.readFileSync('src/main.js', 'utf8');
@@ -220,6 +334,17 @@ describe('main.js', () => {
       expect(mainContent).toContain('process.exit(1)');
     });
 
+    it('should stop started handlers before exiting when start fails', async () => {
+      const fs = await import('node:fs');
+      const mainContent = fs.readFileSync('src/main.js', 'utf8');
+
+      const startCatch = mainContent.match(
+        /Failed to start application: \$\{error\.message\}`\);([\s\S]*?)process\.exit\(1\)/
+      );
+      expect(startCatch).toBeTruthy();
+      expect(startCatch[1]).toContain('await this.messageProcessor.stopHandlers(');
+    });
+
     it('should handle shutdown errors', async () => {
       const fs = await import('node:fs');
       const mainContent = fs.readFileSync('src/main.js', 'utf8');
@@ -250,11 +375,15 @@ describe('main.js', () => {
       const fs = await import('node:fs');
       const mainContent = fs.readFileSync('src/main.js', 'utf8');
 
-      const constructorMatch = mainContent.match(/constructor\(\) \{([\s\S]*?)\}/);
+      const constructorMatch = mainContent.match(
+        /constructor\(options = \{\}\) \{([\s\S]*?)\n {2}\}/
+      );
       expect(constructorMatch).toBeTruthy();
 
       const constructorContent = constructorMatch[1];
-      expect(constructorContent).toContain('this.configManager = new ConfigurationManager()');
+      expect(constructorContent).toContain(
+        'this.configManager = new ConfigurationManager(options.configPath)'
+      );
       expect(constructorContent).toContain('this.teamManager = new TeamManager()');
       expect(constructorContent).toContain('this.messageProcessor = new MessageProcessor()');
       expect(constructorContent).toContain('this.isShuttingDown = false');
@@ -0,0 +1,76 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { CIRCUIT_STATES, CircuitBreaker } from '../../src/message/CircuitBreaker.js';
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 0;
+    breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000, now: () => now });
+  });
+
+  it('should allow calls while closed', () => {
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(true);
+  });
+
+  it('should open after consecutive failures', () => {
+    expect(breaker.recordFailure()).toBe(false);
+    expect(breaker.recordFailure()).toBe(false);
+    expect(breaker.recordFailure()).toBe(true);
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.getRetryAt()).toBe(1000);
+  });
+
+  it('should reset the failure count on success', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.consecutiveFailures).toBe(1);
+  });
+
+  it('should allow a single trial once the reset timeout has passed', () => {
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure();
+    }
+
+    now = 999;
+    expect(breaker.tryAcquire()).toBe(false);
+
+    now = 1000;
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATES.HALF_OPEN);
+    expect(breaker.tryAcquire()).toBe(false);
+  });
+
+  it('should close when the trial succeeds', () => {
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure();
+    }
+    now = 1000;
+    breaker.tryAcquire();
+
+    expect(breaker.recordSuccess()).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.getRetryAt()).toBeNull();
+  });
+
+  it('should open again when the trial fails', () => {
+    for (let i = 0; i < 3; i++) {
+      breaker.recordFailure();
+    }
+    now = 1000;
+    breaker.tryAcquire();
+
+    expect(breaker.recordFailure()).toBe(true);
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.getRetryAt()).toBe(2000);
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, expect, it } from 'vitest';
+import { ColorScheme, PALETTE } from '../../src/message/ColorScheme.js';
+
+describe('ColorScheme', () => {
+  describe('isColorEnabled', () => {
+    const tty = { isTTY: true };
+    const pipe = { isTTY: false };
+
+    it('should follow explicit modes regardless of environment', () => {
+      expect(ColorScheme.isColorEnabled('always', { env: { NO_COLOR: '1' }, stream: pipe })).toBe(
+        true
+      );
+      expect(ColorScheme.isColorEnabled('never', { env: { FORCE_COLOR: '1' }, stream: tty })).toBe(
+        false
+      );
+    });
+
+    it('should use the terminal in auto mode', () => {
+      expect(ColorScheme.isColorEnabled('auto', { env: {}, stream: tty })).toBe(true);
+      expect(ColorScheme.isColorEnabled('auto', { env: {}, stream: pipe })).toBe(false);
+      expect(ColorScheme.isColorEnabled(undefined, { env: {}, stream: tty })).toBe(true);
+    });
+
+    it('should respect NO_COLOR in auto mode', () => {
+      expect(ColorScheme.isColorEnabled('auto', { env: { NO_COLOR: '1' }, stream: tty })).toBe(
+        false
+      );
+      expect(ColorScheme.isColorEnabled('auto', { env: { NO_COLOR: '' }, stream: tty })).toBe(true);
+    });
+
+    it('should respect FORCE_COLOR in auto mode', () => {
+      expect(ColorScheme.isColorEnabled('auto', { env: { FORCE_COLOR: '1' }, stream: pipe })).toBe(
+        true
+      );
+      expect(ColorScheme.isColorEnabled('auto', { env: { FORCE_COLOR: '' }, stream: pipe })).toBe(
+        true
+      );
+      expect(ColorScheme.isColorEnabled('auto', { env: { FORCE_COLOR: '0' }, stream: tty })).toBe(
+        false
+      );
+    });
+
+    it('should let NO_COLOR win over FORCE_COLOR', () => {
+      const env = { NO_COLOR: '1', FORCE_COLOR: '1' };
+      expect(ColorScheme.isColorEnabled('auto', { env, stream: tty })).toBe(false);
+    });
+  });
+
+  describe('isValidColor', () => {
+    it('should accept palette names, extra names and hex colors', () => {
+      expect(ColorScheme.isValidColor('cyan')).toBe(true);
+      expect(ColorScheme.isValidColor('gray')).toBe(true);
+      expect(ColorScheme.isValidColor('#FF8800')).toBe(true);
+    });
+
+    it('should reject unknown names and malformed hex colors', () => {
+      expect(ColorScheme.isValidColor('pink')).toBe(false);
+      expect(ColorScheme.isValidColor('#f80')).toBe(false);
+      expect(ColorScheme.isValidColor('bold')).toBe(false);
+      expect(ColorScheme.isValidColor(42)).toBe(false);
+    });
+  });
+
+  describe('coloring', () => {
+    it('should return names unchanged when disabled', () => {
+      const colors = new ColorScheme({ keywords: ['deploy'] });
+
+      expect(colors.team('mycompany')).toBe('mycompany');
+      expect(colors.channel('mycompany', 'general')).toBe('general');
+      expect(colors.user('alice')).toBe('alice');
+      expect(colors.highlight('deploy now')).toBe('deploy now');
+    });
+
+    it('should assign stable palette colors', () => {
+      const colors = new ColorScheme({ enabled: true });
+      const other = new ColorScheme({ enabled: true });
+
+      expect(colors.user('alice')).toBe(other.user('alice'));
+      expect(colors.user('alice')).not.toBe('alice');
+      expect(PALETTE).toContain(colors._hashColor('alice'));
+    });
+
+    it('should hash channels together with their team', () => {
+      const colors = new ColorScheme({ enabled: true });
+      const teamsWithDifferentColors = ['a', 'b', 'c', 'd', 'e'].map((team) =>
+        colors._hashColor(`${team}/general`)
+      );
+
+      expect(new Set(teamsWithDifferentColors).size).toBeGreaterThan(1);
+    });
+
+    it('should apply named and hex overrides', () => {
+      const colors = new ColorScheme({
+        enabled: true,
+        teams: { mycompany: 'red' },
+        channels: { general: 'blue' },
+        users: { alice: '#ff0000' },
+      });
+
+      expect(colors.team('mycompany')).toBe('\u001b[31mmycompany\u001b[39m');
+      expect(colors.channel('mycompany', 'general')).toBe('\u001b[34mgeneral\u001b[39m');
+      expect(colors.user('alice')).toBe('\u001b[91malice\u001b[39m');
+    });
+
+    it('should leave empty names alone', () => {
+      const colors = new ColorScheme({ enabled: true });
+      expect(colors.user('')).toBe('');
+    });
+  });
+
+  describe('highlight', () => {
+    const highlighted = (text) => `\u001b[43m\u001b[30m${text}\u001b[39m\u001b[49m`;
+
+    it('should highlight whole-word keywords case-insensitively', () => {
+      const colors = new ColorScheme({ enabled: true, keywords: ['deploy', 'on-call'] });
+
+      expect(colors.highlight('Deploy done, on-call notified')).toBe(
+        `${highlighted('Deploy')} done, ${highlighted('on-call')} notified`
+      );
+    });
+
+    it('should not highlight keywords inside other words', () => {
+      const colors = new ColorScheme({ enabled: true, keywords: ['deploy'] });
+
+      expect(colors.highlight('redeployment')).toBe('redeployment');
+    });
+
+    it('should treat keywords as literal text', () => {
+      const colors = new ColorScheme({ enabled: true, keywords: ['@alice', 'a.b'] });
+
+      expect(colors.highlight('cc @alice about a.b and axb')).toBe(
+        `cc ${highlighted('@alice')} about ${highlighted('a.b')} and axb`
+      );
+    });
+
+    it('should ignore empty keywords', () => {
+      const colors = new ColorScheme({ enabled: true, keywords: [''] });
+
+      expect(colors.highlight('anything')).toBe('anything');
+    });
+  });
+});
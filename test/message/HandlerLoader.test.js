@@ -0,0 +1,213 @@
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { HandlerLoader } from '../../src/message/HandlerLoader.js';
+import { MessageHandler } from '../../src/message/MessageHandler.js';
+
+class ArchiveHandler extends MessageHandler {
+  constructor(config) {
+    super();
+    this.config = config;
+  }
+
+  async handle() {}
+
+  getName() {
+    return 'ArchiveHandler';
+  }
+
+  isEnabled() {
+    return true;
+  }
+}
+
+describe('HandlerLoader', () => {
+  describe('load', () => {
+    it('should construct the default export with the configuration block', async () => {
+      const importModule = vi.fn().mockResolvedValue({ default: ArchiveHandler });
+      const loader = new HandlerLoader({ baseDir: '/etc/slagg', importModule });
+      const config = { module: './archive.js', path: 'archive.log' };
+
+      const handler = await loader.load('archive', config);
+
+      expect(importModule).toHaveBeenCalledWith(pathToFileURL('/etc/slagg/archive.js').href);
+      expect(handler).toBeInstanceOf(ArchiveHandler);
+      expect(handler.config).toBe(config);
+    });
+
+    it('should accept a named export', async () => {
+      const importModule = vi.fn().mockResolvedValue({ VERSION: 1, ArchiveHandler });
+      const loader = new HandlerLoader({ importModule });
+
+      const handler = await loader.load('archive', { module: 'slagg-archive' });
+
+      expect(importModule).toHaveBeenCalledWith('slagg-archive');
+      expect(handler).toBeInstanceOf(ArchiveHandler);
+    });
+
+    it('should accept classes implementing the handler methods without extending', async () => {
+      class PlainHandler {
+        async handle() {}
+        getName() {
+          return 'PlainHandler';
+        }
+        isEnabled() {
+          return true;
+        }
+      }
+      const importModule = vi.fn().mockResolvedValue({ default: PlainHandler });
+      const loader = new HandlerLoader({ importModule });
+
+      const handler = await loader.load('plain', { module: 'slagg-plain' });
+
+      expect(handler).toBeInstanceOf(PlainHandler);
+    });
+
+    it('should reject modules without a handler class', async () => {
+      class NotAHandler {
+        async handle() {}
+      }
+      const importModule = vi.fn().mockResolvedValue({ default: NotAHandler });
+      const loader = new HandlerLoader({ importModule });
+
+      await expect(loader.load('archive', { module: 'slagg-archive' })).rejects.toThrow(
+        'Handler "archive" module "slagg-archive" must export a class implementing handle, getName and isEnabled'
+      );
+    });
+
+    it('should report modules that cannot be imported', async () => {
+      const importModule = vi.fn().mockRejectedValue(new Error('Cannot find package'));
+      const loader = new HandlerLoader({ importModule });
+
+      await expect(loader.load('archive', { module: 'slagg-archive' })).rejects.toThrow(
+        'Handler "archive" could not load module "slagg-archive": Cannot find package'
+      );
+    });
+  });
+
+  describe('importing files', () => {
+    let tempDir;
+
+    beforeEach(() => {
+      tempDir = mkdtempSync(join(tmpdir(), 'slagg-plugin-'));
+    });
+
+    afterEach(() => {
+      rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should import a handler module relative to the base directory', async () => {
+      const baseUrl = pathToFileURL(resolve('src/message/MessageHandler.js')).href;
+      writeFileSync(
+        join(tempDir, 'echo.js'),
+        `import { MessageHandler } from '${baseUrl}';
+export default class EchoHandler extends MessageHandler {
+  constructor(config) { super(); this.prefix = config.prefix; }
+  async handle() {}
+  getName() { return 'EchoHandler'; }
+  isEnabled() { return true; }
+}
+`
+      );
+      const loader = new HandlerLoader({ baseDir: tempDir });
+
+      const handler = await loader.load('echo', { module: './echo.js', prefix: '>' });
+
+      expect(handler).toBeInstanceOf(MessageHandler);
+      expect(handler.getName()).toBe('EchoHandler');
+      expect(handler.prefix).toBe('>');
+    });
+
+    it('should import packages installed next to the configuration file', async () => {
+      const packageDir = join(tempDir, 'node_modules', 'slagg-echo');
+      mkdirSync(packageDir, { recursive: true });
+      writeFileSync(
+        join(packageDir, 'package.json'),
+        JSON.stringify({ name: 'slagg-echo', type: 'module', main: 'index.js' })
+      );
+      writeFileSync(
+        join(packageDir, 'index.js'),
+        `export class EchoHandler {
+  async handle() {}
+  getName() { return 'EchoHandler'; }
+  isEnabled() { return true; }
+}
+`
+      );
+      const loader = new HandlerLoader({ baseDir: tempDir });
+
+      expect(loader.resolveSpecifier('slagg-echo')).toBe(
+        pathToFileURL(join(packageDir, 'index.js')).href
+      );
+      const handler = await loader.load('echo', { module: 'slagg-echo' });
+      expect(handler.getName()).toBe('EchoHandler');
+    });
+
+    it('should import packages that only export an import entry', async () => {
+      const packageDir = join(tempDir, 'node_modules', '@acme', 'slagg-esm');
+      mkdirSync(join(packageDir, 'dist'), { recursive: true });
+      writeFileSync(
+        join(packageDir, 'package.json'),
+        JSON.stringify({
+          name: '@acme/slagg-esm',
+          type: 'module',
+          exports: { '.': { types: './dist/index.d.ts', import: './dist/index.js' } },
+        })
+      );
+      writeFileSync(
+        join(packageDir, 'dist', 'index.js'),
+        `export default class EsmHandler {
+  async handle() {}
+  getName() { return 'EsmHandler'; }
+  isEnabled() { return true; }
+}
+`
+      );
+      mkdirSync(join(tempDir, 'config'));
+      const loader = new HandlerLoader({ baseDir: join(tempDir, 'config') });
+
+      expect(loader.resolveSpecifier('@acme/slagg-esm')).toBe(
+        pathToFileURL(join(packageDir, 'dist', 'index.js')).href
+      );
+      const handler = await loader.load('esm', { module: '@acme/slagg-esm' });
+      expect(handler.getName()).toBe('EsmHandler');
+    });
+
+    it('should resolve exported subpaths and patterns with the import conditions', () => {
+      const packageDir = join(tempDir, 'node_modules', 'slagg-kit');
+      mkdirSync(packageDir, { recursive: true });
+      writeFileSync(
+        join(packageDir, 'package.json'),
+        JSON.stringify({
+          name: 'slagg-kit',
+          exports: {
+            '.': [{ require: './index.cjs', default: './index.mjs' }],
+            './archive': { node: { import: './archive.mjs' }, default: './archive.js' },
+            './handlers/*': { import: './handlers/*.mjs' },
+          },
+        })
+      );
+      const loader = new HandlerLoader({ baseDir: tempDir });
+      const url = (path) => pathToFileURL(join(packageDir, path)).href;
+
+      expect(loader.resolveSpecifier('slagg-kit')).toBe(url('index.mjs'));
+      expect(loader.resolveSpecifier('slagg-kit/archive')).toBe(url('archive.mjs'));
+      expect(loader.resolveSpecifier('slagg-kit/handlers/echo')).toBe(url('handlers/echo.mjs'));
+      expect(loader.resolveSpecifier('slagg-kit/private')).toBe('slagg-kit/private');
+    });
+  });
+
+  describe('resolveSpecifier', () => {
+    it('should resolve paths and keep package names', () => {
+      const loader = new HandlerLoader({ baseDir: '/etc/slagg' });
+
+      expect(loader.resolveSpecifier('../handlers/a.js')).toBe(
+        pathToFileURL('/etc/handlers/a.js').href
+      );
+      expect(loader.resolveSpecifier('/opt/b.js')).toBe(pathToFileURL('/opt/b.js').href);
+      expect(loader.resolveSpecifier('@acme/slagg-handler')).toBe('@acme/slagg-handler');
+    });
+  });
+});
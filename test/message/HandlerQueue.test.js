@@ -0,0 +1,187 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { HandlerQueue, OVERFLOW_POLICIES } from '../../src/message/HandlerQueue.js';
+import { logger } from '../../src/utils/Logger.js';
+
+vi.mock('../../src/utils/Logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('HandlerQueue', () => {
+  let delivered;
+  let pending;
+  let deliver;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    delivered = [];
+    pending = [];
+    deliver = vi.fn(
+      (message) =>
+        new Promise((resolve) => {
+          pending.push(() => {
+            delivered.push(message.text);
+            resolve();
+          });
+        })
+    );
+  });
+
+  const finishAll = async () => {
+    while (pending.length > 0) {
+      pending.shift()();
+      await tick();
+    }
+  };
+
+  it('should expose the overflow policies', () => {
+    expect(OVERFLOW_POLICIES).toEqual(['drop-oldest', 'drop-newest', 'block', 'summarize']);
+  });
+
+  it('should reject unknown overflow policies', () => {
+    expect(() => new HandlerQueue('handler', deliver, { overflow: 'spill' })).toThrow(
+      'Overflow policy "spill" is invalid. Expected one of: drop-oldest, drop-newest, block, summarize'
+    );
+  });
+
+  it('should deliver one message at a time in arrival order', async () => {
+    const queue = new HandlerQueue('handler', deliver);
+
+    await queue.push({ text: 'one' });
+    await queue.push({ text: 'two' });
+    await tick();
+
+    expect(deliver).toHaveBeenCalledTimes(1);
+    expect(queue.getDepth()).toBe(1);
+
+    await finishAll();
+
+    expect(delivered).toEqual(['one', 'two']);
+    expect(queue.getStats()).toEqual({
+      depth: 0,
+      maxDepth: 1,
+      capacity: 100,
+      overflow: 'drop-oldest',
+      enqueued: 2,
+      processed: 2,
+      dropped: 0,
+    });
+  });
+
+  it('should resolve done once the message is delivered', async () => {
+    const queue = new HandlerQueue('handler', deliver);
+
+    const entry = await queue.push({ text: 'one' });
+    await tick();
+    await finishAll();
+
+    await expect(entry.done).resolves.toBe(true);
+  });
+
+  it('should drop the oldest waiting message with drop-oldest', async () => {
+    const queue = new HandlerQueue('handler', deliver, { maxSize: 2 });
+
+    const entries = [];
+    for (const text of ['one', 'two', 'three', 'four']) {
+      entries.push(await queue.push({ text }));
+    }
+    await finishAll();
+
+    expect(delivered).toEqual(['one', 'three', 'four']);
+    await expect(entries[1].done).resolves.toBe(false);
+    expect(queue.getStats().dropped).toBe(1);
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Handler handler queue is full (2 messages); dropping oldest messages'
+    );
+  });
+
+  it('should drop the new message with drop-newest', async () => {
+    const queue = new HandlerQueue('handler', deliver, { maxSize: 1, overflow: 'drop-newest' });
+
+    for (const text of ['one', 'two', 'three']) {
+      await queue.push({ text });
+    }
+    await finishAll();
+
+    expect(delivered).toEqual(['one', 'two']);
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Handler handler queue is full (1 messages); dropping newest messages'
+    );
+  });
+
+  it('should warn once per overflow burst', async () => {
+    const queue = new HandlerQueue('handler', deliver, { maxSize: 1 });
+
+    for (const text of ['one', 'two', 'three', 'four']) {
+      await queue.push({ text });
+    }
+    await finishAll();
+
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should report skipped messages once caught up with summarize', async () => {
+    const queue = new HandlerQueue('handler', deliver, { maxSize: 1, overflow: 'summarize' });
+
+    for (const text of ['one', 'two', 'three', 'four']) {
+      await queue.push({ text });
+    }
+    expect(logger.warn).not.toHaveBeenCalled();
+
+    await finishAll();
+
+    expect(delivered).toEqual(['one', 'four']);
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Handler handler skipped 2 message(s) while its queue was full'
+    );
+  });
+
+  it('should hold producers back with block', async () => {
+    const queue = new HandlerQueue('handler', deliver, { maxSize: 1, overflow: 'block' });
+
+    await queue.push({ text: 'one' });
+    await queue.push({ text: 'two' });
+    const accepted = vi.fn();
+    queue.push({ text: 'three' }).then(accepted);
+    queue.push({ text: 'four' }).then(accepted);
+    await tick();
+
+    expect(accepted).not.toHaveBeenCalled();
+    expect(queue.getDepth()).toBe(3);
+
+    await finishAll();
+
+    expect(accepted).toHaveBeenCalledTimes(2);
+    expect(delivered).toEqual(['one', 'two', 'three', 'four']);
+    expect(queue.getStats().dropped).toBe(0);
+  });
+
+  it('should keep delivering after a delivery rejects', async () => {
+    const failing = vi.fn().mockRejectedValueOnce(new Error('boom')).mockResolvedValue();
+    const queue = new HandlerQueue('handler', failing);
+
+    const first = await queue.push({ text: 'one' });
+    const second = await queue.push({ text: 'two' });
+    await expect(first.done).resolves.toBe(true);
+    await expect(second.done).resolves.toBe(true);
+
+    expect(failing).toHaveBeenCalledTimes(2);
+    expect(logger.error).toHaveBeenCalledWith('Handler handler failed: boom');
+  });
+
+  it('should resolve onIdle once every message is delivered', async () => {
+    const queue = new HandlerQueue('handler', deliver);
+    await expect(queue.onIdle()).resolves.toBeUndefined();
+
+    await queue.push({ text: 'one' });
+    await queue.push({ text: 'two' });
+    const idle = vi.fn();
+    queue.onIdle().then(idle);
+    await tick();
+    expect(idle).not.toHaveBeenCalled();
+
+    await finishAll();
+    expect(idle).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { MessageFilter } from '../../src/message/MessageFilter.js';
+
+const createMessage = (overrides = {}) => ({
+  team: 'team1',
+  channel: 'incidents',
+  channelId: 'C1',
+  user: 'alice',
+  userId: 'U1',
+  text: 'Deploy finished',
+  isThreadReply: false,
+  ...overrides,
+});
+
+describe('MessageFilter', () => {
+  it('should pass messages matching every include criterion', () => {
+    const filter = new MessageFilter({ include: { teams: 'team1', channels: '#incidents' } });
+
+    expect(filter.matches(createMessage())).toBe(true);
+    expect(filter.matches(createMessage({ channel: 'random', channelId: 'C2' }))).toBe(false);
+  });
+
+  it('should reject messages matching any exclude criterion', () => {
+    const filter = new MessageFilter({ exclude: { users: '@deploy-bot', thread: 'replies' } });
+
+    expect(filter.matches(createMessage())).toBe(true);
+    expect(filter.matches(createMessage({ user: 'deploy-bot' }))).toBe(false);
+    expect(filter.matches(createMessage({ isThreadReply: true }))).toBe(false);
+  });
+
+  it('should combine include and exclude', () => {
+    const filter = new MessageFilter({
+      include: { channels: '#incidents' },
+      exclude: { text: '^deploy' },
+    });
+
+    expect(filter.matches(createMessage())).toBe(false);
+    expect(filter.matches(createMessage({ text: 'outage' }))).toBe(true);
+  });
+
+  it('should pass everything when empty', () => {
+    expect(new MessageFilter({}).matches(createMessage())).toBe(true);
+  });
+
+  it('should reject invalid configurations', () => {
+    expect(() => new MessageFilter(null)).toThrow('Filter must be an object');
+    expect(() => new MessageFilter({ only: {} })).toThrow('Unknown filter key "only"');
+    expect(() => new MessageFilter({ include: { text: '[' } })).toThrow(
+      'Invalid include filter: Criterion "text" has an invalid pattern'
+    );
+    expect(() => new MessageFilter({ exclude: { foo: 1 } })).toThrow(
+      'Invalid exclude filter: Unknown criterion "foo"'
+    );
+  });
+});
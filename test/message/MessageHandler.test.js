@@ -1,4 +1,4 @@
-import { describe, expect, it } from 'vitest';
+import { describe, expect, it, vi } from 'vitest';
 import { MessageHandler } from '../../src/message/MessageHandler.js';
 
 describe('MessageHandler', () => {
@@ -66,4 +66,28 @@ describe('MessageHandler', () => {
       expect(handler.isEnabled()).toBe(true);
     });
   });
+
+  describe('lifecycle hooks', () => {
+    it('should provide no-op start, flush and stop by default', async () => {
+      const handler = new MessageHandler();
+
+      await expect(handler.start()).resolves.toBeUndefined();
+      await expect(handler.flush()).resolves.toBeUndefined();
+      await expect(handler.stop()).resolves.toBeUndefined();
+    });
+
+    it('should call init and close defined by handler plugins', async () => {
+      class PluginHandler extends MessageHandler {
+        init = vi.fn();
+        close = vi.fn();
+      }
+      const handler = new PluginHandler();
+
+      await handler.start();
+      await handler.stop();
+
+      expect(handler.init).toHaveBeenCalledTimes(1);
+      expect(handler.close).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -0,0 +1,134 @@
+import { describe, expect, it } from 'vitest';
+import { MessagePredicate } from '../../src/message/MessagePredicate.js';
+
+const createMessage = (overrides = {}) => ({
+  kind: 'message',
+  team: 'team1',
+  teamId: 'T1',
+  channel: 'incidents',
+  channelId: 'C1',
+  user: 'alice',
+  userId: 'U1',
+  text: 'Database outage in progress',
+  timestamp: '1700000000.000100',
+  isThreadReply: false,
+  files: [],
+  ...overrides,
+});
+
+describe('MessagePredicate', () => {
+  describe('criteria', () => {
+    it('should match teams by name', () => {
+      const predicate = new MessagePredicate({ teams: ['team1', 'team2'] });
+
+      expect(predicate.matches(createMessage())).toBe(true);
+      expect(predicate.matches(createMessage({ team: 'team3' }))).toBe(false);
+    });
+
+    it('should match channels by name with or without "#", or by ID', () => {
+      expect(new MessagePredicate({ channels: '#incidents' }).matches(createMessage())).toBe(true);
+      expect(new MessagePredicate({ channels: 'incidents' }).matches(createMessage())).toBe(true);
+      expect(new MessagePredicate({ channels: 'C1' }).matches(createMessage())).toBe(true);
+      expect(new MessagePredicate({ channels: '#random' }).matches(createMessage())).toBe(false);
+    });
+
+    it('should match users by name with or without "@", or by ID', () => {
+      expect(new MessagePredicate({ users: '@alice' }).matches(createMessage())).toBe(true);
+      expect(new MessagePredicate({ users: ['bob', 'U1'] }).matches(createMessage())).toBe(true);
+      expect(new MessagePredicate({ users: 'bob' }).matches(createMessage())).toBe(false);
+    });
+
+    it('should match text case-insensitively against regular expressions', () => {
+      const predicate = new MessagePredicate({ text: 'incident|OUTAGE' });
+
+      expect(predicate.matches(createMessage())).toBe(true);
+      expect(predicate.matches(createMessage({ text: 'all good' }))).toBe(false);
+    });
+
+    it('should match deletions on the deleted text', () => {
+      const predicate = new MessagePredicate({ text: 'outage' });
+      const deletion = createMessage({ kind: 'delete', text: '', previousText: 'outage over' });
+
+      expect(predicate.matches(deletion)).toBe(true);
+    });
+
+    it('should match thread replies or top-level messages', () => {
+      const reply = createMessage({ isThreadReply: true });
+
+      expect(new MessagePredicate({ thread: 'replies' }).matches(reply)).toBe(true);
+      expect(new MessagePredicate({ thread: 'replies' }).matches(createMessage())).toBe(false);
+      expect(new MessagePredicate({ thread: 'top-level' }).matches(createMessage())).toBe(true);
+      expect(new MessagePredicate({ thread: 'top-level' }).matches(reply)).toBe(false);
+    });
+
+    it('should detect links in Slack and plain form', () => {
+      const predicate = new MessagePredicate({ hasLink: true });
+
+      expect(predicate.matches(createMessage({ text: 'see <https://example.com|docs>' }))).toBe(
+        true
+      );
+      expect(predicate.matches(createMessage({ text: 'see https://example.com' }))).toBe(true);
+      expect(predicate.matches(createMessage())).toBe(false);
+      expect(new MessagePredicate({ hasLink: false }).matches(createMessage())).toBe(true);
+    });
+
+    it('should detect attached files', () => {
+      const withFile = createMessage({ files: [{ id: 'F1', name: 'log.txt' }] });
+
+      expect(new MessagePredicate({ hasFile: true }).matches(withFile)).toBe(true);
+      expect(new MessagePredicate({ hasFile: true }).matches(createMessage())).toBe(false);
+      expect(new MessagePredicate({ hasFile: false }).matches({ text: 'no files field' })).toBe(
+        true
+      );
+    });
+  });
+
+  describe('modes', () => {
+    const criteria = { channels: '#random', users: '@alice' };
+
+    it('should require every criterion in all mode', () => {
+      expect(new MessagePredicate(criteria).matches(createMessage())).toBe(false);
+      expect(new MessagePredicate({}).matches(createMessage())).toBe(true);
+    });
+
+    it('should require one criterion in any mode', () => {
+      expect(new MessagePredicate(criteria, { mode: 'any' }).matches(createMessage())).toBe(true);
+      expect(new MessagePredicate({}, { mode: 'any' }).matches(createMessage())).toBe(false);
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject non-object criteria', () => {
+      expect(() => new MessagePredicate(null)).toThrow('Criteria must be an object');
+      expect(() => new MessagePredicate(['teams'])).toThrow('Criteria must be an object');
+    });
+
+    it('should reject unknown criteria', () => {
+      expect(() => new MessagePredicate({ channel: 'general' })).toThrow(
+        'Unknown criterion "channel"'
+      );
+    });
+
+    it('should reject empty or non-string lists', () => {
+      expect(() => new MessagePredicate({ teams: [] })).toThrow(
+        'Criterion "teams" must be a string or a non-empty array of strings'
+      );
+      expect(() => new MessagePredicate({ users: [1] })).toThrow('Criterion "users"');
+    });
+
+    it('should reject invalid patterns', () => {
+      expect(() => new MessagePredicate({ text: '(' })).toThrow(
+        'Criterion "text" has an invalid pattern'
+      );
+    });
+
+    it('should reject invalid thread and boolean values', () => {
+      expect(() => new MessagePredicate({ thread: 'all' })).toThrow(
+        'Criterion "thread" must be one of: replies, top-level'
+      );
+      expect(() => new MessagePredicate({ hasLink: 'yes' })).toThrow(
+        'Criterion "hasLink" must be true or false'
+      );
+    });
+  });
+});
@@ -1,6 +1,13 @@
-import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { MessageFilter } from '../../src/message/MessageFilter.js';
 import { MessageHandler } from '../../src/message/MessageHandler.js';
 import { MessageProcessor } from '../../src/message/MessageProcessor.js';
+import { MessageRouter } from '../../src/message/MessageRouter.js';
+import { logger } from '../../src/utils/Logger.js';
+
+vi.mock('../../src/utils/Logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
 
 // Mock handler classes for testing
 class MockHandler extends MessageHandler {
@@ -207,7 +214,6 @@ describe('MessageProcessor', () => {
     it('should handle errors in individual handlers gracefully', async () => {
       const goodHandler = new MockHandler('good-handler');
       const errorHandler = new ErrorHandler('error-handler');
-      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
 
       processor.registerHandler(goodHandler);
       processor.registerHandler(errorHandler);
@@ -224,12 +230,622 @@ describe('MessageProcessor', () => {
       await processor.processMessage(message);
 
       expect(goodHandler.handleSpy).toHaveBeenCalledWith(message);
-      expect(consoleErrorSpy).toHaveBeenCalledWith(
-        'Error in handler error-handler:',
-        expect.any(Error)
+      expect(logger.error).toHaveBeenCalledWith(
+        'Handler error-handler failed: error-handler error'
+      );
+    });
+  });
+
+  describe('timeouts and circuit breaking', () => {
+    const message = { team: 'team1', channel: 'general', user: 'alice', text: 'hello' };
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should stop waiting for a handler after its timeout', async () => {
+      const hungHandler = new MockHandler('hung');
+      hungHandler.handle = () => new Promise(() => {});
+      const goodHandler = new MockHandler('good');
+      processor.registerHandler(hungHandler);
+      processor.registerHandler(goodHandler);
+      processor.setHandlerPolicy('hung', { timeoutMs: 500 });
+
+      const processing = processor.processMessage(message);
+      await vi.advanceTimersByTimeAsync(500);
+      await processing;
+
+      expect(goodHandler.handleSpy).toHaveBeenCalledWith(message);
+      expect(logger.error).toHaveBeenCalledWith('Handler hung failed: Timed out after 500ms');
+      expect(processor.getHandlerStatus('hung')).toMatchObject({ failed: 1, timedOut: 1 });
+    });
+
+    it('should pause a handler after consecutive failures and retry it later', async () => {
+      const handler = new ErrorHandler('flaky');
+      const handleSpy = vi.spyOn(handler, 'handle');
+      processor.registerHandler(handler);
+      processor.setHandlerPolicy('flaky', { failureThreshold: 2, resetTimeoutMs: 1000 });
+
+      await processor.processMessage(message);
+      await processor.processMessage(message);
+      await processor.processMessage(message);
+
+      expect(handleSpy).toHaveBeenCalledTimes(2);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Handler flaky paused after 2 consecutive failure(s); retrying in 1s'
+      );
+      expect(processor.getHandlerStatus('flaky')).toMatchObject({ state: 'open', skipped: 1 });
+
+      // Half-open: one trial goes through and fails, which opens the circuit again
+      await vi.advanceTimersByTimeAsync(1000);
+      await processor.processMessage(message);
+      await processor.processMessage(message);
+
+      expect(handleSpy).toHaveBeenCalledTimes(3);
+      expect(processor.getHandlerStatus('flaky')).toMatchObject({ state: 'open', skipped: 2 });
+    });
+
+    it('should close the circuit when the trial delivery succeeds', async () => {
+      const handler = new MockHandler('flaky');
+      handler.handle = vi.fn().mockRejectedValueOnce(new Error('down')).mockResolvedValue();
+      processor.registerHandler(handler);
+      processor.setHandlerPolicy('flaky', { failureThreshold: 1, resetTimeoutMs: 1000 });
+
+      await processor.processMessage(message);
+      await vi.advanceTimersByTimeAsync(1000);
+      await processor.processMessage(message);
+
+      expect(logger.info).toHaveBeenCalledWith('Handler flaky recovered');
+      expect(processor.getHandlerStatus('flaky')).toMatchObject({
+        state: 'closed',
+        consecutiveFailures: 0,
+        delivered: 1,
+        failed: 1,
+        lastError: 'down',
+      });
+    });
+
+    it('should ignore undefined policy values', async () => {
+      const handler = new MockHandler('handler');
+      processor.registerHandler(handler);
+      processor.setHandlerPolicy('handler', { timeoutMs: undefined });
+
+      await processor.processMessage(message);
+
+      expect(processor.getHandlerStatus('handler')).toMatchObject({ delivered: 1, failed: 0 });
+    });
+  });
+
+  describe('queues', () => {
+    const createSlowHandler = (name) => {
+      const handler = new MockHandler(name);
+      const pending = [];
+      handler.handle = vi.fn(
+        () =>
+          new Promise((resolve) => {
+            pending.push(resolve);
+          })
+      );
+      const finishOne = async () => {
+        pending.shift()();
+        await new Promise((resolve) => setImmediate(resolve));
+      };
+      return { handler, finishOne };
+    };
+
+    it('should not wait for slow handlers when queueing', async () => {
+      const { handler: slowHandler } = createSlowHandler('slow');
+      const fastHandler = new MockHandler('fast');
+      processor.registerHandler(slowHandler);
+      processor.registerHandler(fastHandler);
+
+      await processor.enqueueMessage({ text: 'one' });
+      await processor.enqueueMessage({ text: 'two' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(fastHandler.handleSpy).toHaveBeenCalledTimes(2);
+      expect(slowHandler.handle).toHaveBeenCalledTimes(1);
+      expect(processor.getHandlerStatus('slow').queue.depth).toBe(1);
+    });
+
+    it('should deliver messages to each handler in arrival order', async () => {
+      const { handler, finishOne } = createSlowHandler('slow');
+      processor.registerHandler(handler);
+
+      for (const text of ['one', 'two', 'three']) {
+        await processor.enqueueMessage({ text });
+      }
+      await new Promise((resolve) => setImmediate(resolve));
+      await finishOne();
+      await finishOne();
+      await finishOne();
+
+      expect(handler.handle.mock.calls.map(([message]) => message.text)).toEqual([
+        'one',
+        'two',
+        'three',
+      ]);
+    });
+
+    it('should drop the oldest waiting message when the queue is full', async () => {
+      const { handler, finishOne } = createSlowHandler('slow');
+      processor.registerHandler(handler);
+      processor.setHandlerPolicy('slow', { queueSize: 1 });
+
+      for (const text of ['one', 'two', 'three']) {
+        await processor.enqueueMessage({ text });
+      }
+      await new Promise((resolve) => setImmediate(resolve));
+      await finishOne();
+      await finishOne();
+
+      expect(handler.handle.mock.calls.map(([message]) => message.text)).toEqual(['one', 'three']);
+      expect(processor.getHandlerStatus('slow').queue).toMatchObject({ dropped: 1, maxDepth: 1 });
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Handler slow queue is full (1 messages); dropping oldest messages'
+      );
+    });
+
+    it('should make producers wait with the block policy', async () => {
+      const { handler, finishOne } = createSlowHandler('slow');
+      processor.registerHandler(handler);
+      processor.setHandlerPolicy('slow', { queueSize: 1, queueOverflow: 'block' });
+
+      await processor.enqueueMessage({ text: 'one' });
+      await processor.enqueueMessage({ text: 'two' });
+      let isAccepted = false;
+      const third = processor.enqueueMessage({ text: 'three' }).then(() => {
+        isAccepted = true;
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(isAccepted).toBe(false);
+
+      await finishOne();
+      await third;
+      await finishOne();
+      await finishOne();
+
+      expect(handler.handle.mock.calls.map(([message]) => message.text)).toEqual([
+        'one',
+        'two',
+        'three',
+      ]);
+      expect(processor.getHandlerStatus('slow').queue.dropped).toBe(0);
+    });
+
+    it('should make producers wait for reordered messages with the block policy', async () => {
+      const { handler, finishOne } = createSlowHandler('slow');
+      processor.registerHandler(handler);
+      processor.setHandlerPolicy('slow', { queueSize: 1, queueOverflow: 'block' });
+      processor.setReorderWindow(10);
+      const waitForRelease = () => new Promise((resolve) => setTimeout(resolve, 30));
+
+      await processor.enqueueMessage({ timestamp: '100.000001', text: 'one' });
+      await processor.enqueueMessage({ timestamp: '100.000002', text: 'two' });
+      await processor.enqueueMessage({ timestamp: '100.000003', text: 'three' });
+      await waitForRelease();
+      let isAccepted = false;
+      const fourth = processor
+        .enqueueMessage({ timestamp: '100.000004', text: 'four' })
+        .then(() => {
+          isAccepted = true;
+        });
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(isAccepted).toBe(false);
+
+      await finishOne();
+      await fourth;
+      await waitForRelease();
+      await finishOne();
+      await finishOne();
+      await finishOne();
+
+      expect(handler.handle.mock.calls.map(([message]) => message.text)).toEqual([
+        'one',
+        'two',
+        'three',
+        'four',
+      ]);
+      expect(processor.getHandlerStatus('slow').queue.dropped).toBe(0);
+    });
+
+    it('should report messages once every handler is done with them', async () => {
+      const { handler, finishOne } = createSlowHandler('slow');
+      const fastHandler = new MockHandler('fast');
+      processor.registerHandler(handler);
+      processor.registerHandler(fastHandler);
+      const completionCallback = vi.fn();
+      processor.setCompletionCallback(completionCallback);
+      const message = { text: 'one' };
+
+      await processor.enqueueMessage(message);
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(fastHandler.handleSpy).toHaveBeenCalledWith(message);
+      expect(completionCallback).not.toHaveBeenCalled();
+
+      await finishOne();
+      expect(completionCallback).toHaveBeenCalledWith(message);
+    });
+
+    it('should report messages no handler receives right away', async () => {
+      processor.registerHandler(new MockHandler('handler'));
+      processor.setFilter(new MessageFilter({ exclude: { text: 'noise' } }));
+      const completionCallback = vi.fn();
+      processor.setCompletionCallback(completionCallback);
+
+      await processor.enqueueMessage({ text: 'noise' });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(completionCallback).toHaveBeenCalledWith({ text: 'noise' });
+    });
+
+    it('should wait for queued messages when draining', async () => {
+      const handler = new MockHandler('handler');
+      handler.handle = vi.fn(() => new Promise((resolve) => setTimeout(resolve, 10)));
+      processor.registerHandler(handler);
+      await processor.startHandlers();
+
+      await processor.enqueueMessage({ text: 'one' });
+      await processor.enqueueMessage({ text: 'two' });
+
+      await expect(processor.stopHandlers()).resolves.toBe(true);
+      expect(handler.handle).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('reordering', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should pass live messages on in timestamp order', async () => {
+      const handler = new MockHandler('handler');
+      processor.registerHandler(handler);
+      processor.setReorderWindow(500);
+
+      await processor.enqueueMessage({ team: 'b', timestamp: '100.000002', text: 'second' });
+      await processor.enqueueMessage({ team: 'a', timestamp: '100.000001', text: 'first' });
+      expect(handler.handleSpy).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(500);
+
+      expect(handler.handleSpy.mock.calls.map(([message]) => message.text)).toEqual([
+        'first',
+        'second',
+      ]);
+    });
+
+    it('should release held messages when draining', async () => {
+      const handler = new MockHandler('handler');
+      processor.registerHandler(handler);
+      await processor.startHandlers();
+      processor.setReorderWindow(2000);
+
+      await processor.enqueueMessage({ timestamp: '100.000001', text: 'held' });
+      await processor.stopHandlers();
+
+      expect(handler.handleSpy).toHaveBeenCalledWith(expect.objectContaining({ text: 'held' }));
+    });
+
+    it('should pass messages on immediately when the window is 0', async () => {
+      const handler = new MockHandler('handler');
+      processor.registerHandler(handler);
+      processor.setReorderWindow(1000);
+      await processor.enqueueMessage({ timestamp: '100.000001', text: 'held' });
+
+      processor.setReorderWindow(0);
+      await processor.processMessage({ timestamp: '100.000002', text: 'direct' });
+
+      expect(handler.handleSpy.mock.calls.map(([message]) => message.text)).toEqual([
+        'held',
+        'direct',
+      ]);
+    });
+  });
+
+  describe('status', () => {
+    it('should report counters for every registered handler', async () => {
+      processor.registerHandler(new MockHandler('good'));
+      processor.registerHandler(new MockHandler('off', false));
+
+      await processor.processMessage({ text: 'hello' });
+
+      expect(processor.getHandlerStatuses()).toEqual([
+        {
+          name: 'good',
+          enabled: true,
+          state: 'closed',
+          consecutiveFailures: 0,
+          retryAt: null,
+          delivered: 1,
+          failed: 0,
+          timedOut: 0,
+          skipped: 0,
+          lastError: null,
+          lastErrorAt: null,
+          queue: {
+            depth: 0,
+            maxDepth: 1,
+            capacity: 100,
+            overflow: 'drop-oldest',
+            enqueued: 1,
+            processed: 1,
+            dropped: 0,
+          },
+        },
+        expect.objectContaining({ name: 'off', enabled: false, delivered: 0 }),
+      ]);
+      expect(processor.getHandlerStatus('missing')).toBeUndefined();
+    });
+  });
+
+  describe('filtering', () => {
+    const incident = { team: 'team1', channel: 'ops', user: 'alice', text: 'Incident: db down' };
+    const chatter = { team: 'team1', channel: 'random', user: 'bob', text: 'lunch?' };
+
+    it('should skip all handlers for messages rejected by the global filter', async () => {
+      const handler = new MockHandler('handler');
+      processor.registerHandler(handler);
+      processor.setFilter(new MessageFilter({ exclude: { channels: '#random' } }));
+
+      await processor.processMessage(incident);
+      await processor.processMessage(chatter);
+
+      expect(handler.handleSpy).toHaveBeenCalledTimes(1);
+      expect(handler.handleSpy).toHaveBeenCalledWith(incident);
+    });
+
+    it('should apply handler filters only to their handler', async () => {
+      const consoleHandler = new MockHandler('console');
+      const speechHandler = new MockHandler('speech');
+      processor.registerHandler(consoleHandler);
+      processor.registerHandler(speechHandler);
+      processor.setHandlerFilter(
+        'speech',
+        new MessageFilter({ include: { text: 'incident|outage' } })
+      );
+
+      await processor.processMessage(incident);
+      await processor.processMessage(chatter);
+
+      expect(consoleHandler.handleSpy).toHaveBeenCalledTimes(2);
+      expect(speechHandler.handleSpy).toHaveBeenCalledTimes(1);
+      expect(speechHandler.handleSpy).toHaveBeenCalledWith(incident);
+    });
+
+    it('should apply the global filter before handler filters', async () => {
+      const handler = new MockHandler('handler');
+      processor.registerHandler(handler);
+      processor.setFilter(new MessageFilter({ include: { users: '@bob' } }));
+      processor.setHandlerFilter('handler', new MessageFilter({ include: { text: 'incident' } }));
+
+      await processor.processMessage(incident);
+      await processor.processMessage(chatter);
+
+      expect(handler.handleSpy).not.toHaveBeenCalled();
+    });
+
+    it('should remove a handler filter when set to null', async () => {
+      const handler = new MockHandler('handler');
+      processor.registerHandler(handler);
+      processor.setHandlerFilter('handler', new MessageFilter({ include: { text: 'incident' } }));
+      processor.setHandlerFilter('handler', null);
+
+      await processor.processMessage(chatter);
+
+      expect(handler.handleSpy).toHaveBeenCalledWith(chatter);
+    });
+  });
+
+  describe('routing', () => {
+    const alert = { team: 'ops', channel: 'alerts', user: 'pager', text: 'disk full' };
+    const chatter = { team: 'ops', channel: 'random', user: 'bob', text: 'lunch?' };
+
+    it('should deliver messages only to routed handlers', async () => {
+      const consoleHandler = new MockHandler('console');
+      const speechHandler = new MockHandler('speech');
+      processor.registerHandler(consoleHandler);
+      processor.registerHandler(speechHandler);
+      processor.setRouter(
+        new MessageRouter({
+          rules: [{ match: { channels: '#alerts' }, handlers: ['speech'] }],
+          default: ['console'],
+        })
+      );
+
+      await processor.processMessage(alert);
+      await processor.processMessage(chatter);
+
+      expect(speechHandler.handleSpy).toHaveBeenCalledTimes(1);
+      expect(speechHandler.handleSpy).toHaveBeenCalledWith(alert);
+      expect(consoleHandler.handleSpy).toHaveBeenCalledTimes(1);
+      expect(consoleHandler.handleSpy).toHaveBeenCalledWith(chatter);
+    });
+
+    it('should still apply handler filters to routed handlers', async () => {
+      const speechHandler = new MockHandler('speech');
+      processor.registerHandler(speechHandler);
+      processor.setRouter(new MessageRouter({ rules: [], default: ['speech'] }));
+      processor.setHandlerFilter('speech', new MessageFilter({ include: { text: 'outage' } }));
+
+      await processor.processMessage(alert);
+
+      expect(speechHandler.handleSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('lifecycle', () => {
+    class LifecycleHandler extends MockHandler {
+      constructor(name, enabled = true) {
+        super(name, enabled);
+        this.calls = [];
+        this.start = vi.fn(async () => this.calls.push('start'));
+        this.flush = vi.fn(async () => this.calls.push('flush'));
+        this.stop = vi.fn(async () => this.calls.push('stop'));
+      }
+    }
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('should start enabled handlers only, once', async () => {
+      const enabledHandler = new LifecycleHandler('enabled');
+      const disabledHandler = new LifecycleHandler('disabled', false);
+      processor.registerHandler(enabledHandler);
+      processor.registerHandler(disabledHandler);
+
+      await processor.startHandlers();
+      await processor.startHandlers();
+
+      expect(enabledHandler.start).toHaveBeenCalledTimes(1);
+      expect(disabledHandler.start).not.toHaveBeenCalled();
+    });
+
+    it('should report handlers that fail to start', async () => {
+      const handler = new LifecycleHandler('broken');
+      handler.start.mockRejectedValue(new Error('cannot open file'));
+      processor.registerHandler(handler);
+
+      await expect(processor.startHandlers()).rejects.toThrow(
+        'Handler broken failed to start: cannot open file'
+      );
+    });
+
+    it('should stop the handlers already started when one fails to start', async () => {
+      const startedHandler = new LifecycleHandler('started');
+      const brokenHandler = new LifecycleHandler('broken');
+      brokenHandler.start.mockRejectedValue(new Error('cannot open file'));
+      processor.registerHandler(startedHandler);
+      processor.registerHandler(brokenHandler);
+
+      await expect(processor.startHandlers()).rejects.toThrow('Handler broken failed to start');
+
+      expect(startedHandler.calls).toEqual(['start', 'flush', 'stop']);
+      expect(brokenHandler.stop).not.toHaveBeenCalled();
+    });
+
+    it('should flush then stop started handlers', async () => {
+      const handler = new LifecycleHandler('handler');
+      processor.registerHandler(handler);
+      await processor.startHandlers();
+
+      const drained = await processor.stopHandlers();
+
+      expect(drained).toBe(true);
+      expect(handler.calls).toEqual(['start', 'flush', 'stop']);
+    });
+
+    it('should wait for in-flight deliveries before flushing', async () => {
+      const handler = new LifecycleHandler('slow');
+      let finishDelivery;
+      handler.handle = vi.fn(
+        () =>
+          new Promise((resolve) => {
+            finishDelivery = () => {
+              handler.calls.push('delivered');
+              resolve();
+            };
+          })
       );
+      processor.registerHandler(handler);
+      await processor.startHandlers();
+
+      const processing = processor.processMessage({ text: 'hello' });
+      const stopping = processor.stopHandlers();
+      await Promise.resolve();
+      finishDelivery();
+      await Promise.all([processing, stopping]);
+
+      expect(handler.calls).toEqual(['start', 'delivered', 'flush', 'stop']);
+    });
+
+    it('should call init() and close() of handlers without start() and stop()', async () => {
+      const calls = [];
+      const handler = {
+        handle: vi.fn(),
+        getName: () => 'plugin',
+        isEnabled: () => true,
+        init: async () => calls.push('init'),
+        close: async () => calls.push('close'),
+      };
+      processor.registerHandler(handler);
+
+      await processor.startHandlers();
+      await processor.stopHandlers();
 
-      consoleErrorSpy.mockRestore();
+      expect(calls).toEqual(['init', 'close']);
+    });
+
+    it('should keep stopping other handlers when one fails', async () => {
+      const brokenHandler = new LifecycleHandler('broken');
+      const goodHandler = new LifecycleHandler('good');
+      brokenHandler.flush.mockRejectedValue(new Error('disk full'));
+      processor.registerHandler(brokenHandler);
+      processor.registerHandler(goodHandler);
+      await processor.startHandlers();
+
+      await processor.stopHandlers();
+
+      expect(logger.error).toHaveBeenCalledWith('Error flushing handler broken: disk full');
+      expect(brokenHandler.stop).toHaveBeenCalled();
+      expect(goodHandler.calls).toEqual(['start', 'flush', 'stop']);
+    });
+
+    it('should give up after the drain timeout', async () => {
+      vi.useFakeTimers();
+      const handler = new LifecycleHandler('stuck');
+      handler.flush.mockReturnValue(new Promise(() => {}));
+      processor.registerHandler(handler);
+      await processor.startHandlers();
+
+      const stopping = processor.stopHandlers({ timeoutMs: 1000 });
+      await vi.advanceTimersByTimeAsync(1000);
+
+      await expect(stopping).resolves.toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith('Handlers did not finish draining within 1000ms');
+      vi.useRealTimers();
+    });
+
+    it('should still stop handlers when draining times out', async () => {
+      vi.useFakeTimers();
+      const handler = new LifecycleHandler('stuck');
+      handler.handle = vi.fn(() => new Promise(() => {}));
+      processor.registerHandler(handler);
+      await processor.startHandlers();
+      await processor.enqueueMessage({ text: 'hello' });
+
+      const stopping = processor.stopHandlers({ timeoutMs: 1000 });
+      await vi.advanceTimersByTimeAsync(1000);
+
+      await expect(stopping).resolves.toBe(false);
+      expect(handler.calls).toEqual(['start', 'stop']);
+      vi.useRealTimers();
+    });
+
+    it('should not wait long for handlers that do not stop', async () => {
+      vi.useFakeTimers();
+      const handler = new LifecycleHandler('stuck');
+      handler.flush.mockReturnValue(new Promise(() => {}));
+      handler.stop.mockReturnValue(new Promise(() => {}));
+      processor.registerHandler(handler);
+      await processor.startHandlers();
+
+      const stopping = processor.stopHandlers({ timeoutMs: 1000 });
+      await vi.advanceTimersByTimeAsync(2000);
+
+      await expect(stopping).resolves.toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith('Handlers did not stop within 1000ms');
+      vi.useRealTimers();
     });
   });
 
@@ -269,6 +885,28 @@ describe('MessageProcessor', () => {
         'Messages must be an array'
       );
     });
+
+    it('should queue a batch in order without waiting for delivery', async () => {
+      const handler = new MockHandler('slow-handler');
+      const deliveries = [];
+      handler.handle = vi.fn(
+        () =>
+          new Promise((resolve) => {
+            deliveries.push(resolve);
+          })
+      );
+      processor.registerHandler(handler);
+      const later = { text: 'later', formattedTime: new Date('2023-01-01T10:01:00Z') };
+      const earlier = { text: 'earlier', formattedTime: new Date('2023-01-01T10:00:00Z') };
+
+      await processor.enqueueMessages([later, earlier]);
+
+      expect(handler.handle).toHaveBeenCalledTimes(1);
+      expect(handler.handle).toHaveBeenCalledWith(earlier);
+      deliveries[0]();
+      await vi.waitFor(() => expect(handler.handle).toHaveBeenCalledWith(later));
+      deliveries[1]();
+    });
   });
 
   describe('timestamp sorting', () => {
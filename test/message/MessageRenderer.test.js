@@ -0,0 +1,102 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { MessageRenderer } from '../../src/message/MessageRenderer.js';
+
+describe('MessageRenderer', () => {
+  let renderer;
+
+  const mentions = {
+    users: { U012ABCDEF: 'alice' },
+    channels: { C0123456789: 'general' },
+  };
+
+  beforeEach(() => {
+    renderer = new MessageRenderer();
+  });
+
+  describe('plain rendering', () => {
+    it('should return empty string for non-string input', () => {
+      expect(renderer.render(null)).toBe('');
+      expect(renderer.render(undefined)).toBe('');
+    });
+
+    it('should leave plain text unchanged', () => {
+      expect(renderer.render('Hello world')).toBe('Hello world');
+    });
+
+    it('should resolve user mentions', () => {
+      expect(renderer.render('Hi <@U012ABCDEF>!', mentions)).toBe('Hi @alice!');
+    });
+
+    it('should fall back to label or ID for unresolved user mentions', () => {
+      expect(renderer.render('<@U999|bob> <@U888>')).toBe('@bob @U888');
+    });
+
+    it('should resolve channel mentions', () => {
+      expect(renderer.render('See <#C0123456789>', mentions)).toBe('See #general');
+      expect(renderer.render('See <#C0999999999|random>')).toBe('See #random');
+      expect(renderer.render('See <#C0999999999|>')).toBe('See #C0999999999');
+    });
+
+    it('should render special mentions', () => {
+      expect(renderer.render('<!here> <!channel> <!everyone>')).toBe('@here @channel @everyone');
+      expect(renderer.render('<!subteam^S0123|@devs> please')).toBe('@devs please');
+      expect(renderer.render('<!date^1392734382^{date}|Feb 18, 2014>')).toBe('Feb 18, 2014');
+    });
+
+    it('should unwrap links', () => {
+      expect(renderer.render('<https://example.com>')).toBe('https://example.com');
+      expect(renderer.render('<https://x.example|label>')).toBe('label (https://x.example)');
+      expect(renderer.render('<https://example.com|https://example.com>')).toBe(
+        'https://example.com'
+      );
+      expect(renderer.render('<mailto:a@example.com|a@example.com>')).toBe('a@example.com');
+    });
+
+    it('should decode HTML entities', () => {
+      expect(renderer.render('a &amp; b &lt;tag&gt; &quot;q&quot; &#39;s&#x27;')).toBe(
+        'a & b <tag> "q" \'s\''
+      );
+      expect(renderer.render('&amp;lt;')).toBe('&lt;');
+      expect(renderer.render('&unknown;')).toBe('&unknown;');
+    });
+
+    it('should leave numeric entities that are not characters as they are', () => {
+      expect(renderer.render('x &#99999999; y')).toBe('x &#99999999; y');
+      expect(renderer.render('&#x110000; &#xD800; &#55296;')).toBe('&#x110000; &#xD800; &#55296;');
+      expect(renderer.render('&#x1F600;')).toBe('\u{1F600}');
+    });
+
+    it('should strip bold, italic and strike markers', () => {
+      expect(renderer.render('*bold* _italic_ ~strike~')).toBe('bold italic strike');
+    });
+
+    it('should not treat markers inside words or URLs as formatting', () => {
+      expect(renderer.render('snake_case_name 2*3*4')).toBe('snake_case_name 2*3*4');
+      expect(renderer.render('<https://example.com/a_b_c>')).toBe('https://example.com/a_b_c');
+    });
+
+    it('should render code spans and blocks without formatting inside', () => {
+      expect(renderer.render('run `npm *test*` now')).toBe('run npm *test* now');
+      expect(renderer.render('```const a = b &amp;&amp; c;```')).toBe('const a = b && c;');
+    });
+  });
+
+  describe('styled rendering', () => {
+    beforeEach(() => {
+      renderer = new MessageRenderer({ styled: true });
+    });
+
+    it('should apply terminal styling to formatting', () => {
+      const rendered = renderer.render('*bold* _italic_ ~strike~ `code`');
+
+      expect(rendered).toContain('\u001b[1mbold\u001b[22m');
+      expect(rendered).toContain('\u001b[3mitalic\u001b[23m');
+      expect(rendered).toContain('\u001b[9mstrike\u001b[29m');
+      expect(rendered).toContain('\u001b[36mcode\u001b[39m');
+    });
+
+    it('should still resolve entities', () => {
+      expect(renderer.render('<@U012ABCDEF> &amp;', mentions)).toBe('@alice &');
+    });
+  });
+});
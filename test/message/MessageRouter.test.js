@@ -0,0 +1,129 @@
+import { describe, expect, it } from 'vitest';
+import { MessageRouter } from '../../src/message/MessageRouter.js';
+
+const alert = { team: 'ops', channel: 'alerts', channelId: 'C1', user: 'pager', text: 'disk full' };
+const chatter = { team: 'ops', channel: 'random', channelId: 'C2', user: 'bob', text: 'lunch?' };
+const deploy = { team: 'dev', channel: 'alerts', channelId: 'C3', user: 'ci', text: 'deployed' };
+
+const rules = [
+  {
+    name: 'ops-alerts',
+    match: { teams: 'ops', channels: '#alerts' },
+    handlers: ['notification', 'speech'],
+  },
+  { name: 'alerts', match: { channels: '#alerts' }, handlers: ['console'] },
+];
+
+describe('MessageRouter', () => {
+  describe('first-match mode', () => {
+    const router = new MessageRouter({ rules, default: ['console', 'archive'] });
+
+    it('should route to the handlers of the first matching rule', () => {
+      expect(router.route(alert)).toEqual({
+        rules: ['ops-alerts'],
+        handlers: ['notification', 'speech'],
+        isDefault: false,
+      });
+      expect(router.route(deploy)).toEqual({
+        rules: ['alerts'],
+        handlers: ['console'],
+        isDefault: false,
+      });
+    });
+
+    it('should take the default route when no rule matches', () => {
+      expect(router.route(chatter)).toEqual({
+        rules: [],
+        handlers: ['console', 'archive'],
+        isDefault: true,
+      });
+    });
+  });
+
+  describe('all-match mode', () => {
+    it('should combine the handlers of every matching rule', () => {
+      const router = new MessageRouter({ mode: 'all', rules });
+
+      expect(router.route(alert)).toEqual({
+        rules: ['ops-alerts', 'alerts'],
+        handlers: ['notification', 'speech', 'console'],
+        isDefault: false,
+      });
+    });
+  });
+
+  describe('defaults', () => {
+    it('should route unmatched messages to all handlers without a default route', () => {
+      const router = new MessageRouter({ rules });
+
+      expect(router.route(chatter).handlers).toEqual(['*']);
+      expect(router.reaches(router.route(chatter), 'AnyHandler')).toBe(true);
+    });
+
+    it('should name unnamed rules by position', () => {
+      const router = new MessageRouter({ rules: [{ match: {}, handlers: ['console'] }] });
+
+      expect(router.route(chatter).rules).toEqual(['rule 1']);
+    });
+
+    it('should drop messages routed to no handlers', () => {
+      const router = new MessageRouter({ rules, default: [] });
+
+      expect(router.reaches(router.route(chatter), 'console')).toBe(false);
+    });
+  });
+
+  describe('reaches', () => {
+    it('should match handlers by configuration key or by registered name', () => {
+      const router = new MessageRouter(
+        { rules },
+        { aliases: { notification: 'NotificationHandler' } }
+      );
+      const route = router.route(alert);
+
+      expect(router.reaches(route, 'NotificationHandler')).toBe(true);
+      expect(router.reaches(route, 'speech')).toBe(true);
+      expect(router.reaches(route, 'ConsoleOutputHandler')).toBe(false);
+    });
+  });
+
+  describe('getTargets', () => {
+    it('should list every referenced handler once', () => {
+      const router = new MessageRouter({ rules, default: ['console'] });
+
+      expect(router.getTargets()).toEqual(['notification', 'speech', 'console']);
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject invalid configurations', () => {
+      expect(() => new MessageRouter([])).toThrow('Routing must be an object');
+      expect(() => new MessageRouter({ route: [] })).toThrow('Unknown routing key "route"');
+      expect(() => new MessageRouter({ mode: 'any' })).toThrow(
+        'Routing mode "any" is invalid. Expected one of: first, all'
+      );
+      expect(() => new MessageRouter({ rules: {} })).toThrow('Routing rules must be an array');
+      expect(() => new MessageRouter({ default: 'console' })).toThrow(
+        'Routing "default" must be an array of handler names'
+      );
+    });
+
+    it('should reject invalid rules', () => {
+      expect(() => new MessageRouter({ rules: ['console'] })).toThrow(
+        'Routing rule 1 must be an object'
+      );
+      expect(() => new MessageRouter({ rules: [{ match: {}, to: ['console'] }] })).toThrow(
+        'Routing rule 1 has unknown key "to"'
+      );
+      expect(() => new MessageRouter({ rules: [{ match: {} }] })).toThrow(
+        'Routing rule 1 "handlers" must be an array of handler names'
+      );
+      expect(
+        () => new MessageRouter({ rules: [{ match: { channel: 'x' }, handlers: ['console'] }] })
+      ).toThrow('Routing rule 1 has an invalid match: Unknown criterion "channel"');
+      expect(() => new MessageRouter({ rules: [{ name: '', handlers: [] }] })).toThrow(
+        'Routing rule 1 has an invalid name'
+      );
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, expect, it } from 'vitest';
+import { OutputTemplate } from '../../src/message/OutputTemplate.js';
+import { DateFormatter } from '../../src/utils/DateFormatter.js';
+
+describe('OutputTemplate', () => {
+  const dateFormatter = new DateFormatter({ timeZone: 'UTC' });
+  const values = {
+    kind: 'message',
+    team: 'mycompany',
+    channel: 'general',
+    channelId: 'C1234567890',
+    user: 'john.doe',
+    text: 'Hello everyone',
+    ts: '1709622489.000100',
+    time: new Date('2024-03-05T07:08:09Z'),
+    parent: '',
+    reply: false,
+    edited: false,
+    deleted: false,
+  };
+
+  const render = (template, overrides = {}) =>
+    new OutputTemplate(template, { dateFormatter }).render({ ...values, ...overrides });
+
+  describe('fields', () => {
+    it('should replace field placeholders', () => {
+      expect(render('[{team}] #{channel} <{user}> {text}')).toBe(
+        '[mycompany] #general <john.doe> Hello everyone'
+      );
+    });
+
+    it('should render missing values as empty strings', () => {
+      expect(render('{userId}|{teamId}')).toBe('|');
+    });
+
+    it('should format the time with date tokens', () => {
+      expect(render('{time:HH:mm} {text}')).toBe('07:08 Hello everyone');
+      expect(render('{time}')).toBe('2024-03-05 07:08:09');
+    });
+
+    it('should insert escaped braces literally', () => {
+      expect(render('\\{{user}\\}')).toBe('{john.doe}');
+    });
+  });
+
+  describe('modifiers', () => {
+    it('should pad on the right and left', () => {
+      expect(render('<{user|pad:10}>')).toBe('<john.doe  >');
+      expect(render('<{user|lpad:10}>')).toBe('<  john.doe>');
+      expect(render('<{user|pad:3}>')).toBe('<john.doe>');
+    });
+
+    it('should truncate with an ellipsis', () => {
+      expect(render('{text|trunc:8}')).toBe('Hello e…');
+      expect(render('{text|trunc:20}')).toBe('Hello everyone');
+    });
+
+    it('should chain modifiers', () => {
+      expect(render('<{text|trunc:5|pad:7}>')).toBe('<Hell…  >');
+    });
+
+    it('should ignore styling escapes when measuring', () => {
+      const styled = '\u001b[1mbold text\u001b[22m';
+
+      expect(render('{text|pad:11}', { text: styled })).toBe(`${styled}  `);
+      expect(render('{text|trunc:5}', { text: styled })).toBe('\u001b[1mbold…\u001b[0m');
+    });
+  });
+
+  describe('conditional segments', () => {
+    const template = '{user}{?reply: ↳{?parent: [re: {parent}]}} > {text}';
+
+    it('should skip segments for unset fields', () => {
+      expect(render(template)).toBe('john.doe > Hello everyone');
+    });
+
+    it('should render segments for set fields, including nested ones', () => {
+      expect(render(template, { reply: true })).toBe('john.doe ↳ > Hello everyone');
+      expect(render(template, { reply: true, parent: 'Deploy plan' })).toBe(
+        'john.doe ↳ [re: Deploy plan] > Hello everyone'
+      );
+    });
+
+    it('should render negated segments for unset fields', () => {
+      expect(render('{!reply:[top] }{text}')).toBe('[top] Hello everyone');
+      expect(render('{!reply:[top] }{text}', { reply: true })).toBe('Hello everyone');
+    });
+
+    it('should support change markers', () => {
+      expect(render('{text}{?edited: (edited)}{?deleted: (deleted)}', { edited: true })).toBe(
+        'Hello everyone (edited)'
+      );
+    });
+
+    it('should support system events', () => {
+      expect(render('{?system:[{text}]}{!system:{text}}', { system: true })).toBe(
+        '[Hello everyone]'
+      );
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject empty templates', () => {
+      expect(() => new OutputTemplate('')).toThrow('Template must be a non-empty string');
+      expect(() => new OutputTemplate(null)).toThrow('Template must be a non-empty string');
+    });
+
+    it('should reject unknown fields', () => {
+      expect(() => new OutputTemplate('{usr}')).toThrow('Unknown field "usr"');
+      expect(() => new OutputTemplate('{?thread:x}')).toThrow('Unknown field "thread"');
+    });
+
+    it('should reject boolean fields outside conditions', () => {
+      expect(() => new OutputTemplate('{reply}')).toThrow(
+        'Field "reply" can only be used in a condition such as {?reply:...}'
+      );
+    });
+
+    it('should reject formats on non-date fields', () => {
+      expect(() => new OutputTemplate('{user:upper}')).toThrow(
+        'Field "user" does not accept a format'
+      );
+    });
+
+    it('should reject unknown modifiers and invalid widths', () => {
+      expect(() => new OutputTemplate('{user|center:5}')).toThrow('Unknown modifier "center"');
+      expect(() => new OutputTemplate('{user|pad}')).toThrow('needs a positive width');
+      expect(() => new OutputTemplate('{user|trunc:0}')).toThrow('needs a positive width');
+    });
+
+    it('should reject unbalanced braces', () => {
+      expect(() => new OutputTemplate('{user')).toThrow('Unclosed placeholder at position 0');
+      expect(() => new OutputTemplate('user}')).toThrow('Unexpected "}" at position 4');
+      expect(() => new OutputTemplate('{?reply: ↳')).toThrow('Unclosed conditional segment');
+      expect(() => new OutputTemplate('{?reply}')).toThrow(
+        'Invalid conditional segment at position 0'
+      );
+    });
+  });
+});
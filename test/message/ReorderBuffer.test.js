@@ -0,0 +1,92 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { ReorderBuffer } from '../../src/message/ReorderBuffer.js';
+
+const message = (team, timestamp) => ({ team, timestamp, text: `${team} ${timestamp}` });
+
+describe('ReorderBuffer', () => {
+  let released;
+  let buffer;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    released = [];
+    buffer = new ReorderBuffer((msg) => released.push(msg.text), { windowMs: 1000 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should hold messages for the window', () => {
+    buffer.push(message('a', '100.000001'));
+
+    vi.advanceTimersByTime(999);
+    expect(released).toEqual([]);
+    expect(buffer.getSize()).toBe(1);
+
+    vi.advanceTimersByTime(1);
+    expect(released).toEqual(['a 100.000001']);
+    expect(buffer.getSize()).toBe(0);
+  });
+
+  it('should release messages from different teams in timestamp order', () => {
+    buffer.push(message('a', '100.000003'));
+    vi.advanceTimersByTime(200);
+    buffer.push(message('b', '100.000001'));
+    buffer.push(message('c', '100.000002'));
+
+    vi.advanceTimersByTime(800);
+
+    expect(released).toEqual(['b 100.000001', 'c 100.000002', 'a 100.000003']);
+  });
+
+  it('should keep newer messages until they are due', () => {
+    buffer.push(message('a', '100.000001'));
+    vi.advanceTimersByTime(500);
+    buffer.push(message('b', '100.000002'));
+
+    vi.advanceTimersByTime(500);
+    expect(released).toEqual(['a 100.000001']);
+
+    vi.advanceTimersByTime(500);
+    expect(released).toEqual(['a 100.000001', 'b 100.000002']);
+  });
+
+  it('should keep arrival order for equal timestamps', () => {
+    buffer.push({ timestamp: '100.000001', text: 'first' });
+    buffer.push({ timestamp: '100.000001', text: 'second' });
+
+    vi.advanceTimersByTime(1000);
+
+    expect(released).toEqual(['first', 'second']);
+  });
+
+  it('should release messages arriving too late right away', () => {
+    buffer.push(message('a', '100.000002'));
+    vi.advanceTimersByTime(1000);
+
+    buffer.push(message('b', '100.000001'));
+
+    expect(released).toEqual(['a 100.000002', 'b 100.000001']);
+    expect(buffer.lateCount).toBe(1);
+  });
+
+  it('should order edits and deletions by the time of the event', () => {
+    buffer.push({ kind: 'message', timestamp: '100.000003', text: 'new message' });
+    buffer.push({ kind: 'edit', timestamp: '100.000001', eventTs: '100.000002', text: 'edit' });
+
+    vi.advanceTimersByTime(1000);
+
+    expect(released).toEqual(['edit', 'new message']);
+  });
+
+  it('should release everything on flush', () => {
+    buffer.push(message('a', '100.000002'));
+    buffer.push(message('b', '100.000001'));
+
+    buffer.flush();
+
+    expect(released).toEqual(['b 100.000001', 'a 100.000002']);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+});
@@ -177,4 +177,495 @@ describe('ConsoleOutputHandler', () => {
       expect(consoleSpy).toHaveBeenCalledWith('test-team/general/testuser > ');
     });
   });
+  describe('thread replies', () => {
+    const reply = {
+      team: 'mycompany',
+      channel: 'general',
+      user: 'john.doe',
+      text: 'Sounds good',
+      isThreadReply: true,
+      parentSnippet: 'Lunch at noon?',
+    };
+
+    it('should show parent context for replies', () => {
+      expect(handler.formatForOutput(reply)).toBe(
+        'mycompany/general/john.doe ↳ [re: Lunch at noon?] > Sounds good'
+      );
+    });
+
+    it('should show reply marker when parent snippet is unavailable', () => {
+      expect(handler.formatForOutput({ ...reply, parentSnippet: null })).toBe(
+        'mycompany/general/john.doe ↳ > Sounds good'
+      );
+    });
+
+    it('should not mark thread parents', () => {
+      expect(
+        handler.formatForOutput({ ...reply, isThreadReply: false, threadTs: '1234567890.000100' })
+      ).toBe('mycompany/general/john.doe > Sounds good');
+    });
+
+    it('should keep parent snippet on a single line', () => {
+      expect(handler.formatThreadMarker({ ...reply, parentSnippet: 'Lunch\nat noon?' })).toBe(
+        ' ↳ [re: Lunch at noon?]'
+      );
+    });
+  });
+  describe('edits and deletions', () => {
+    const base = {
+      team: 'mycompany',
+      channel: 'general',
+      user: 'john.doe',
+    };
+
+    it('should mark edited messages and show the new text', () => {
+      const message = { ...base, kind: 'edit', text: 'Fixed typo', previousText: 'Fixd typo' };
+
+      expect(handler.formatForOutput(message)).toBe(
+        'mycompany/general/john.doe (edited) > Fixed typo'
+      );
+    });
+
+    it('should mark deleted messages and show the deleted text', () => {
+      const message = { ...base, kind: 'delete', text: '', previousText: 'Never mind' };
+
+      expect(handler.formatForOutput(message)).toBe(
+        'mycompany/general/john.doe (deleted) > Never mind'
+      );
+    });
+
+    it('should place change marker after thread marker', () => {
+      const message = {
+        ...base,
+        kind: 'edit',
+        text: 'Yes',
+        isThreadReply: true,
+        parentSnippet: 'Lunch?',
+      };
+
+      expect(handler.formatForOutput(message)).toBe(
+        'mycompany/general/john.doe ↳ [re: Lunch?] (edited) > Yes'
+      );
+    });
+
+    it('should not mark new messages', () => {
+      expect(handler.formatChangeMarker({ ...base, kind: 'message' })).toBe('');
+    });
+  });
+  describe('system events', () => {
+    const message = {
+      kind: 'system',
+      team: 'mycompany',
+      channel: 'alerts',
+      channelId: 'C1234567890',
+      user: null,
+      userId: null,
+      text: 'bot removed from #alerts',
+      timestamp: '1700000000.000100',
+    };
+
+    it('should show channel changes without a user', () => {
+      expect(handler.formatForOutput(message)).toBe('mycompany/alerts [bot removed from #alerts]');
+    });
+
+    it('should write system events as jsonl records', () => {
+      const jsonHandler = new ConsoleOutputHandler(true, { format: 'jsonl' });
+
+      expect(jsonHandler.toJsonRecord(message)).toMatchObject({
+        kind: 'system',
+        user: null,
+        userId: null,
+        text: 'bot removed from #alerts',
+      });
+    });
+
+    it('should expose system events to conditional segments', () => {
+      const templated = new ConsoleOutputHandler(true, {
+        styled: false,
+        template: '{channel}{?system: *}{!system: {user}:} {text}',
+      });
+
+      expect(templated.formatForOutput(message)).toBe('alerts * bot removed from #alerts');
+    });
+  });
+
+  describe('mrkdwn rendering', () => {
+    it('should render mentions, links and entities in plain mode', () => {
+      const plainHandler = new ConsoleOutputHandler(true, { styled: false });
+      const message = {
+        team: 'mycompany',
+        channel: 'general',
+        user: 'john.doe',
+        text: '<@U012ABCDEF> see <https://example.com|docs> &amp; *ship it*',
+        mentions: { users: { U012ABCDEF: 'alice' }, channels: {} },
+      };
+
+      expect(plainHandler.formatForOutput(message)).toBe(
+        'mycompany/general/john.doe > @alice see docs (https://example.com) & ship it'
+      );
+    });
+
+    it('should keep styling escapes when styled', () => {
+      const styledHandler = new ConsoleOutputHandler(true, { styled: true });
+      const message = { team: 't', channel: 'c', user: 'u', text: '*bold*' };
+
+      expect(styledHandler.formatForOutput(message)).toBe(
+        '\u001b[34mt\u001b[39m/\u001b[36mc\u001b[39m/\u001b[35mu\u001b[39m > \u001b[1mbold\u001b[22m'
+      );
+    });
+  });
+
+  describe('jsonl format', () => {
+    let jsonHandler;
+    const message = {
+      kind: 'message',
+      team: 'my/company',
+      teamId: 'T0123456789',
+      channel: 'general',
+      channelId: 'C1234567890',
+      user: 'john.doe',
+      userId: 'U012ABCDEF',
+      text: 'Hi <@U012ABCDEF>\nsee *this*',
+      timestamp: '1700000000.000100',
+      formattedTime: new Date(1700000000000.1),
+      threadTs: null,
+      isThreadReply: false,
+      parentSnippet: null,
+      mentions: { users: { U012ABCDEF: 'alice' }, channels: {} },
+    };
+
+    beforeEach(() => {
+      jsonHandler = new ConsoleOutputHandler(true, { format: 'jsonl', styled: true });
+    });
+
+    it('should reject unknown formats', () => {
+      expect(() => new ConsoleOutputHandler(true, { format: 'xml' })).toThrow(
+        'Unknown output format: xml'
+      );
+    });
+
+    it('should emit one JSON object per line with the documented schema', () => {
+      const output = jsonHandler.formatForOutput(message);
+
+      expect(output).not.toContain('\n');
+      expect(JSON.parse(output)).toEqual({
+        schema: 1,
+        kind: 'message',
+        team: 'my/company',
+        teamId: 'T0123456789',
+        channel: 'general',
+        channelId: 'C1234567890',
+        user: 'john.doe',
+        userId: 'U012ABCDEF',
+        botId: null,
+        ts: '1700000000.000100',
+        time: '2023-11-14T22:13:20.000Z',
+        threadTs: null,
+        isThreadReply: false,
+        parentSnippet: null,
+        text: 'Hi @alice\nsee this',
+        rawText: 'Hi <@U012ABCDEF>\nsee *this*',
+        previousText: null,
+        eventTs: null,
+        historical: false,
+        recovered: false,
+      });
+    });
+
+    it('should include thread information for replies', () => {
+      const record = jsonHandler.toJsonRecord({
+        ...message,
+        threadTs: '1699999999.000100',
+        isThreadReply: true,
+        parentSnippet: 'Deploy plan',
+      });
+
+      expect(record.threadTs).toBe('1699999999.000100');
+      expect(record.isThreadReply).toBe(true);
+      expect(record.parentSnippet).toBe('Deploy plan');
+    });
+
+    it('should include previous text for edits and deletions', () => {
+      const deleted = jsonHandler.toJsonRecord({
+        ...message,
+        kind: 'delete',
+        text: '',
+        previousText: 'old text',
+        eventTs: '1700000001.000200',
+      });
+
+      expect(deleted.kind).toBe('delete');
+      expect(deleted.text).toBe('');
+      expect(deleted.previousText).toBe('old text');
+      expect(deleted.eventTs).toBe('1700000001.000200');
+    });
+
+    it('should fill missing fields with null and derive time from ts', () => {
+      const record = jsonHandler.toJsonRecord({
+        team: 't',
+        channel: 'c',
+        user: 'u',
+        text: 'x',
+        timestamp: '1700000000.000100',
+      });
+
+      expect(record).toMatchObject({
+        kind: 'message',
+        teamId: null,
+        channelId: null,
+        userId: null,
+        time: '2023-11-14T22:13:20.000Z',
+        threadTs: null,
+        isThreadReply: false,
+      });
+    });
+
+    it('should write JSON lines to stdout when handling messages', async () => {
+      await jsonHandler.handle(message);
+
+      expect(JSON.parse(consoleSpy.mock.calls[0][0]).text).toBe('Hi @alice\nsee this');
+    });
+  });
+
+  describe('templates', () => {
+    const message = {
+      kind: 'message',
+      team: 'mycompany',
+      channel: 'general',
+      channelId: 'C1234567890',
+      user: 'john.doe',
+      text: 'Hello\neveryone',
+      timestamp: '1709622489.000100',
+      formattedTime: new Date('2024-03-05T07:08:09Z'),
+      isThreadReply: true,
+      parentSnippet: 'Deploy plan',
+    };
+
+    it('should render lines with the configured template', () => {
+      const templated = new ConsoleOutputHandler(true, {
+        styled: false,
+        template: '[{team}] #{channel} <{user}>{?reply: ↳ {parent}} {text}',
+      });
+
+      expect(templated.formatForOutput(message)).toBe(
+        '[mycompany] #general <john.doe> ↳ Deploy plan Hello everyone'
+      );
+    });
+
+    it('should expose change kinds to conditional segments', () => {
+      const templated = new ConsoleOutputHandler(true, {
+        styled: false,
+        template: '{user}{?deleted: deleted}: {text}',
+      });
+
+      expect(
+        templated.formatForOutput({ ...message, kind: 'delete', text: '', previousText: 'gone' })
+      ).toBe('john.doe deleted: gone');
+    });
+
+    it('should throw for invalid templates', () => {
+      expect(() => new ConsoleOutputHandler(true, { template: '{usr}' })).toThrow(
+        'Unknown field "usr"'
+      );
+    });
+
+    it('should ignore the template in jsonl format', () => {
+      const jsonHandler = new ConsoleOutputHandler(true, { format: 'jsonl', template: '{user}' });
+
+      expect(JSON.parse(jsonHandler.formatForOutput(message)).user).toBe('john.doe');
+    });
+  });
+
+  describe('colors', () => {
+    const message = {
+      team: 'mycompany',
+      channel: 'general',
+      user: 'john.doe',
+      text: 'Deploy is done, ping @oncall',
+    };
+    const ansi = (code, text, close = 39) => `\u001b[${code}m${text}\u001b[${close}m`;
+
+    it('should not color output when colors are disabled', () => {
+      const plainHandler = new ConsoleOutputHandler(true, {
+        color: 'never',
+        colors: { teams: { mycompany: 'red' } },
+        highlight: ['deploy'],
+      });
+
+      expect(plainHandler.formatForOutput(message)).toBe(
+        'mycompany/general/john.doe > Deploy is done, ping @oncall'
+      );
+    });
+
+    it('should color team, channel and user segments when forced', () => {
+      const colorHandler = new ConsoleOutputHandler(true, { color: 'always' });
+      const output = colorHandler.formatForOutput(message);
+
+      expect(output).toContain(colorHandler.colors.team('mycompany'));
+      expect(output).toContain(colorHandler.colors.channel('mycompany', 'general'));
+      expect(output).toContain(colorHandler.colors.user('john.doe'));
+      expect(output).toMatch(/ > Deploy is done, ping @oncall$/);
+    });
+
+    it('should apply configured overrides and keyword highlights', () => {
+      const colorHandler = new ConsoleOutputHandler(true, {
+        color: 'always',
+        colors: { teams: { mycompany: 'red' }, users: { 'john.doe': 'green' } },
+        highlight: ['deploy', '@oncall'],
+      });
+      const output = colorHandler.formatForOutput(message);
+
+      expect(output).toContain(`${ansi(31, 'mycompany')}/`);
+      expect(output).toContain(`/${ansi(32, 'john.doe')} > `);
+      expect(output).toContain('\u001b[43m\u001b[30mDeploy\u001b[39m\u001b[49m');
+      expect(output).toContain('\u001b[43m\u001b[30m@oncall\u001b[39m\u001b[49m');
+    });
+
+    it('should color template fields and keep padding aligned', () => {
+      const colorHandler = new ConsoleOutputHandler(true, {
+        color: 'always',
+        colors: { users: { 'john.doe': 'green' } },
+        template: '<{user|pad:10}>',
+      });
+
+      expect(colorHandler.formatForOutput(message)).toBe(`<${ansi(32, 'john.doe')}  >`);
+    });
+
+    it('should never color jsonl output', () => {
+      const jsonHandler = new ConsoleOutputHandler(true, { format: 'jsonl', color: 'always' });
+
+      expect(jsonHandler.formatForOutput(message)).not.toContain('\u001b');
+    });
+  });
+
+  describe('timestamps', () => {
+    const message = {
+      team: 'mycompany',
+      channel: 'general',
+      user: 'john.doe',
+      text: 'Hello',
+      timestamp: '1709622489.000100',
+      formattedTime: new Date('2024-03-05T07:08:09Z'),
+    };
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should not prefix lines by default', () => {
+      expect(handler.formatTimestamp(message)).toBe('');
+    });
+
+    it('should prefix lines with the default format', () => {
+      const timed = new ConsoleOutputHandler(true, {
+        styled: false,
+        timestamp: true,
+        timeZone: 'UTC',
+      });
+
+      expect(timed.formatForOutput(message)).toBe('[07:08:09] mycompany/general/john.doe > Hello');
+    });
+
+    it('should use the configured format and time zone', () => {
+      const timed = new ConsoleOutputHandler(true, {
+        styled: false,
+        timestamp: 'YYYY-MM-DD HH:mm',
+        timeZone: 'Asia/Tokyo',
+      });
+
+      expect(timed.formatTimestamp(message)).toBe('[2024-03-05 16:08] ');
+    });
+
+    it('should derive the time from the Slack timestamp when needed', () => {
+      const timed = new ConsoleOutputHandler(true, { timestamp: 'HH:mm', timeZone: 'UTC' });
+
+      expect(timed.formatTimestamp({ ...message, formattedTime: undefined })).toBe('[07:08] ');
+    });
+
+    it('should prefix template output and apply the time zone to {time}', () => {
+      const timed = new ConsoleOutputHandler(true, {
+        styled: false,
+        template: '{time:HH:mm} {user}: {text}',
+        timeZone: 'UTC',
+      });
+
+      expect(timed.formatForOutput(message)).toBe('07:08 john.doe: Hello');
+    });
+
+    it('should print relative times', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2024-03-05T07:10:09Z'));
+      const timed = new ConsoleOutputHandler(true, { styled: false, timestamp: 'relative' });
+
+      expect(timed.formatTimestamp(message)).toBe('[2m ago] ');
+    });
+
+    it('should describe relative times at every scale', () => {
+      const now = Date.parse('2024-03-05T12:00:00Z');
+      const ago = (seconds) => new Date(now - seconds * 1000);
+
+      expect(handler.formatRelativeTime(ago(2), now)).toBe('just now');
+      expect(handler.formatRelativeTime(ago(-30), now)).toBe('just now');
+      expect(handler.formatRelativeTime(ago(45), now)).toBe('45s ago');
+      expect(handler.formatRelativeTime(ago(150), now)).toBe('2m ago');
+      expect(handler.formatRelativeTime(ago(3 * 3600 + 5), now)).toBe('3h ago');
+      expect(handler.formatRelativeTime(ago(5 * 86400), now)).toBe('5d ago');
+      expect(handler.formatRelativeTime(new Date('invalid'), now)).toBe('');
+    });
+
+    it('should not add timestamps to jsonl output', () => {
+      const jsonHandler = new ConsoleOutputHandler(true, { format: 'jsonl', timestamp: true });
+
+      expect(jsonHandler.formatForOutput(message).startsWith('{')).toBe(true);
+    });
+  });
+
+  describe('day separators', () => {
+    const at = (iso) => ({
+      team: 't',
+      channel: 'c',
+      user: 'u',
+      text: iso,
+      formattedTime: new Date(iso),
+    });
+
+    it('should print a separator when the date changes', async () => {
+      const separated = new ConsoleOutputHandler(true, {
+        styled: false,
+        daySeparators: true,
+        timeZone: 'UTC',
+      });
+
+      await separated.handle(at('2024-03-04T23:59:00Z'));
+      await separated.handle(at('2024-03-04T23:59:30Z'));
+      await separated.handle(at('2024-03-05T00:01:00Z'));
+
+      expect(consoleSpy.mock.calls.map(([line]) => line)).toEqual([
+        't/c/u > 2024-03-04T23:59:00Z',
+        't/c/u > 2024-03-04T23:59:30Z',
+        '── Tue 2024-03-05 ──',
+        't/c/u > 2024-03-05T00:01:00Z',
+      ]);
+    });
+
+    it('should follow the configured time zone', () => {
+      const separated = new ConsoleOutputHandler(true, {
+        styled: false,
+        daySeparators: true,
+        timeZone: 'Asia/Tokyo',
+      });
+
+      expect(separated.formatDaySeparator(at('2024-03-04T14:00:00Z'))).toBeNull();
+      expect(separated.formatDaySeparator(at('2024-03-04T15:30:00Z'))).toBe('── Tue 2024-03-05 ──');
+    });
+
+    it('should be off by default and in jsonl format', () => {
+      const jsonHandler = new ConsoleOutputHandler(true, { format: 'jsonl', daySeparators: true });
+
+      for (const target of [handler, jsonHandler]) {
+        target.formatDaySeparator(at('2024-03-04T12:00:00Z'));
+        expect(target.formatDaySeparator(at('2024-03-06T12:00:00Z'))).toBeNull();
+      }
+    });
+  });
 });
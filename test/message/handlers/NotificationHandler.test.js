@@ -1,12 +1,27 @@
-import { beforeEach, describe, expect, it } from 'vitest';
+import { execFile } from 'node:child_process';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import { NotificationHandler } from '../../../src/message/handlers/NotificationHandler.js';
+import { logger } from '../../../src/utils/Logger.js';
+
+vi.mock('node:child_process', () => ({
+  execFile: vi.fn((_command, _args, _options, callback) => callback(null)),
+}));
+
+vi.mock('../../../src/utils/Logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
 
 describe('NotificationHandler', () => {
   let handler;
   let mockMessage;
 
   beforeEach(() => {
-    handler = new NotificationHandler();
+    vi.clearAllMocks();
+    handler = new NotificationHandler(false, { command: 'notify-send' });
     mockMessage = {
       team: 'test-team',
       channel: 'general',
@@ -94,13 +109,13 @@ describe('NotificationHandler', () => {
   describe('_formatNotification', () => {
     it('should format notification message correctly', () => {
       const formatted = handler._formatNotification(mockMessage);
-      expect(formatted).toBe('test-team/general: testuser - Hello world');
+      expect(formatted).toEqual({ title: 'test-team/general', body: 'testuser: Hello world' });
     });
 
     it('should handle empty text', () => {
       const messageWithEmptyText = { ...mockMessage, text: '' };
       const formatted = handler._formatNotification(messageWithEmptyText);
-      expect(formatted).toBe('test-team/general: testuser - ');
+      expect(formatted.body).toBe('testuser: ');
     });
 
     it('should handle special characters in text', () => {
@@ -109,7 +124,26 @@ describe('NotificationHandler', () => {
         text: 'Message with @mentions and #channels',
       };
       const formatted = handler._formatNotification(messageWithSpecialChars);
-      expect(formatted).toBe('test-team/general: testuser - Message with @mentions and #channels');
+      expect(formatted.body).toBe('testuser: Message with @mentions and #channels');
+    });
+
+    it('should render Slack mrkdwn as plain text', () => {
+      const formatted = handler._formatNotification({
+        ...mockMessage,
+        text: '<!here> *deploy* &amp; <#C0123456789|ops>',
+      });
+      expect(formatted.body).toBe('testuser: @here deploy & #ops');
+    });
+
+    it('should apply configured templates', () => {
+      const templated = new NotificationHandler(true, {
+        title: '[{team}] #{channel}',
+        body: '{text} ({user}) {unknown}',
+      });
+      expect(templated._formatNotification(mockMessage)).toEqual({
+        title: '[test-team] #general',
+        body: 'Hello world (testuser) {unknown}',
+      });
     });
   });
 
@@ -128,15 +162,155 @@ describe('NotificationHandler', () => {
     });
   });
 
-  describe('placeholder functionality', () => {
-    it('should have placeholder methods for future implementation', () => {
-      expect(typeof handler._sendNotification).toBe('function');
-      expect(typeof handler._formatNotification).toBe('function');
+  describe('sending notifications', () => {
+    beforeEach(() => {
+      vi.useFakeTimers();
+      handler.setEnabled(true);
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should run the command with title and body arguments', async () => {
+      await handler.handle(mockMessage);
+
+      expect(execFile).toHaveBeenCalledTimes(1);
+      expect(execFile).toHaveBeenCalledWith(
+        'notify-send',
+        ['test-team/general', 'testuser: Hello world'],
+        expect.any(Object),
+        expect.any(Function)
+      );
+    });
+
+    it('should substitute placeholders in configured arguments', async () => {
+      handler = new NotificationHandler(true, {
+        command: 'terminal-notifier',
+        args: ['-title', '{title}', '-message', '{body}'],
+      });
+
+      await handler.handle(mockMessage);
+
+      expect(execFile).toHaveBeenCalledWith(
+        'terminal-notifier',
+        ['-title', 'test-team/general', '-message', 'testuser: Hello world'],
+        expect.any(Object),
+        expect.any(Function)
+      );
+    });
+
+    it('should not notify for disabled handler, edits, deletions or history', async () => {
+      await handler.handle({ ...mockMessage, kind: 'edit' });
+      await handler.handle({ ...mockMessage, historical: true });
+      await handler.handle({ ...mockMessage, kind: 'delete' });
+      handler.setEnabled(false);
+      await handler.handle(mockMessage);
+
+      expect(execFile).not.toHaveBeenCalled();
+    });
+
+    it('should log a warning when the command fails', async () => {
+      execFile.mockImplementationOnce((_command, _args, _options, callback) =>
+        callback(new Error('spawn notify-send ENOENT'))
+      );
+
+      await expect(handler.handle(mockMessage)).resolves.toBeUndefined();
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Notification command "notify-send" failed: spawn notify-send ENOENT'
+      );
+    });
+
+    it('should warn once when no command is available', async () => {
+      handler.command = null;
+
+      await handler._notify('title', 'body');
+      await handler._notify('title', 'body');
+
+      expect(execFile).not.toHaveBeenCalled();
+      expect(logger.warn).toHaveBeenCalledTimes(1);
     });
 
-    it('should not throw errors when calling placeholder methods', async () => {
-      await expect(handler._sendNotification(mockMessage)).resolves.toBeUndefined();
-      expect(() => handler._formatNotification(mockMessage)).not.toThrow();
+    it('should send a held message when the throttle window ends', async () => {
+      await handler.handle(mockMessage);
+      await handler.handle({ ...mockMessage, text: 'Second' });
+
+      expect(execFile).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(execFile).toHaveBeenCalledTimes(2);
+      expect(execFile.mock.calls[1][1]).toEqual(['test-team/general', 'testuser: Second']);
+    });
+
+    it('should log failures of held notifications instead of rejecting', async () => {
+      await handler.handle(mockMessage);
+      await handler.handle({ ...mockMessage, text: 'Second' });
+      vi.spyOn(handler, '_formatNotification').mockImplementation(() => {
+        throw new Error('template failed');
+      });
+
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Held notifications for test-team/general failed: template failed'
+      );
+    });
+
+    it('should coalesce bursts into a summary notification', async () => {
+      await handler.handle(mockMessage);
+      for (let i = 0; i < 5; i++) {
+        await handler.handle({ ...mockMessage, text: `Message ${i}` });
+      }
+
+      expect(execFile).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(execFile).toHaveBeenCalledTimes(2);
+      expect(execFile.mock.calls[1][1]).toEqual([
+        'test-team/general',
+        '5 new messages in test-team/general',
+      ]);
+    });
+
+    it('should throttle each channel independently', async () => {
+      await handler.handle(mockMessage);
+      await handler.handle({ ...mockMessage, channel: 'random' });
+
+      expect(execFile).toHaveBeenCalledTimes(2);
+    });
+
+    it('should notify immediately again after the throttle window', async () => {
+      handler = new NotificationHandler(true, { command: 'notify-send', throttleMs: 1000 });
+
+      await handler.handle(mockMessage);
+      await vi.advanceTimersByTimeAsync(1000);
+      await handler.handle(mockMessage);
+
+      expect(execFile).toHaveBeenCalledTimes(2);
+    });
+
+    it('should send held notifications on flush', async () => {
+      await handler.handle(mockMessage);
+      await handler.handle({ ...mockMessage, text: 'held' });
+
+      await handler.flush();
+
+      expect(execFile).toHaveBeenCalledTimes(2);
+      expect(execFile.mock.calls[1][1]).toEqual(['test-team/general', 'testuser: held']);
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(execFile).toHaveBeenCalledTimes(2);
+    });
+
+    it('should drop held notifications on stop', async () => {
+      await handler.handle(mockMessage);
+      await handler.handle({ ...mockMessage, text: 'held' });
+
+      await handler.stop();
+      await vi.advanceTimersByTimeAsync(5000);
+
+      expect(execFile).toHaveBeenCalledTimes(1);
     });
   });
 });
@@ -1,12 +1,41 @@
-import { beforeEach, describe, expect, it } from 'vitest';
+import { spawn } from 'node:child_process';
+import { EventEmitter } from 'node:events';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
 import { SpeechHandler } from '../../../src/message/handlers/SpeechHandler.js';
+import { logger } from '../../../src/utils/Logger.js';
+
+vi.mock('node:child_process', () => ({
+  spawn: vi.fn(),
+}));
+
+vi.mock('../../../src/utils/Logger.js', () => ({
+  logger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+  },
+}));
+
+// Let the queue loop run until it waits on a speech process
+const flush = () => new Promise((resolve) => setImmediate(resolve));
 
 describe('SpeechHandler', () => {
   let handler;
   let mockMessage;
+  let children;
 
   beforeEach(() => {
-    handler = new SpeechHandler();
+    vi.clearAllMocks();
+    children = [];
+    spawn.mockImplementation(() => {
+      const child = new EventEmitter();
+      child.kill = vi.fn(() => child.emit('close', null, 'SIGTERM'));
+      children.push(child);
+      return child;
+    });
+
+    handler = new SpeechHandler(false, 'say');
+    handler.isAvailable = true;
     mockMessage = {
       team: 'test-team',
       channel: 'general',
@@ -19,10 +48,15 @@ describe('SpeechHandler', () => {
   });
 
   describe('constructor', () => {
-    it('should create handler with default disabled state and say command', () => {
+    it('should create handler with default disabled state and the platform command', () => {
       const defaultHandler = new SpeechHandler();
       expect(defaultHandler.isEnabled()).toBe(false);
-      expect(defaultHandler.getCommand()).toBe('say');
+      expect(defaultHandler.getCommand()).toBe(SpeechHandler.getDefaultCommand(process.platform));
+    });
+
+    it('should default to say on macOS and spd-say on Linux', () => {
+      expect(SpeechHandler.getDefaultCommand('darwin')).toBe('say');
+      expect(SpeechHandler.getDefaultCommand('linux')).toBe('spd-say');
     });
 
     it('should create handler with specified enabled state', () => {
@@ -130,6 +164,17 @@ describe('SpeechHandler', () => {
       const formatted = handler._formatForSpeech(messageWithNewlines);
       expect(formatted).toBe('Message from testuser in general: Line 1 Line 2 Line 3');
     });
+
+    it('should render mentions and links as plain text', () => {
+      const formatted = handler._formatForSpeech({
+        ...mockMessage,
+        text: '<@U012ABCDEF> read <https://example.com|the docs>',
+        mentions: { users: { U012ABCDEF: 'alice' }, channels: {} },
+      });
+      expect(formatted).toBe(
+        'Message from testuser in general: @alice read the docs (https://example.com)'
+      );
+    });
   });
 
   describe('_cleanTextForSpeech', () => {
@@ -158,11 +203,30 @@ describe('SpeechHandler', () => {
   });
 
   describe('_isSpeechAvailable', () => {
-    it('should return boolean indicating speech availability', async () => {
-      const available = await handler._isSpeechAvailable();
-      expect(typeof available).toBe('boolean');
-      // Currently returns false as placeholder
-      expect(available).toBe(false);
+    it('should return true for an executable command path', async () => {
+      const available = new SpeechHandler(true, process.execPath);
+      await expect(available._isSpeechAvailable()).resolves.toBe(true);
+    });
+
+    it('should return false for a missing command', async () => {
+      const missing = new SpeechHandler(true, '/nonexistent/slagg-tts');
+      await expect(missing._isSpeechAvailable()).resolves.toBe(false);
+
+      const notOnPath = new SpeechHandler(true, 'slagg-tts-does-not-exist');
+      await expect(notOnPath._isSpeechAvailable()).resolves.toBe(false);
+    });
+
+    it('should disable the handler when the command is missing', async () => {
+      handler = new SpeechHandler(true, '/nonexistent/slagg-tts');
+
+      await handler.handle(mockMessage);
+      await handler.processing;
+
+      expect(spawn).not.toHaveBeenCalled();
+      expect(handler.isEnabled()).toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Speech command "/nonexistent/slagg-tts" not found; speech output disabled'
+      );
     });
   });
 
@@ -181,19 +245,150 @@ describe('SpeechHandler', () => {
     });
   });
 
-  describe('placeholder functionality', () => {
-    it('should have placeholder methods for future implementation', () => {
-      expect(typeof handler._speakMessage).toBe('function');
-      expect(typeof handler._formatForSpeech).toBe('function');
-      expect(typeof handler._cleanTextForSpeech).toBe('function');
-      expect(typeof handler._isSpeechAvailable).toBe('function');
+  describe('speech queue', () => {
+    beforeEach(() => {
+      handler.setEnabled(true);
+    });
+
+    it('should spawn the command with the formatted text', async () => {
+      await handler.handle(mockMessage);
+      await flush();
+
+      expect(spawn).toHaveBeenCalledWith(
+        'say',
+        ['Message from testuser in general: Hello world'],
+        expect.objectContaining({ stdio: 'ignore' })
+      );
+    });
+
+    it('should skip edits, deletions and history', async () => {
+      await handler.handle({ ...mockMessage, kind: 'edit' });
+      await handler.handle({ ...mockMessage, historical: true });
+      await handler.handle({ ...mockMessage, kind: 'delete' });
+      await flush();
+
+      expect(spawn).not.toHaveBeenCalled();
+    });
+
+    it('should speak one message at a time in order', async () => {
+      await handler.handle({ ...mockMessage, text: 'First' });
+      await handler.handle({ ...mockMessage, text: 'Second' });
+      await flush();
+
+      expect(spawn).toHaveBeenCalledTimes(1);
+      expect(handler.getQueueSize()).toBe(1);
+
+      children[0].emit('close', 0, null);
+      await flush();
+
+      expect(spawn).toHaveBeenCalledTimes(2);
+      expect(spawn.mock.calls[1][1]).toEqual(['Message from testuser in general: Second']);
+    });
+
+    it('should drop the oldest backlog and announce skipped messages', async () => {
+      handler = new SpeechHandler(true, 'say', { maxQueueSize: 2 });
+      handler.isAvailable = true;
+
+      for (const text of ['Speaking', 'A', 'B', 'C', 'D']) {
+        await handler.handle({ ...mockMessage, text });
+        await flush();
+      }
+      expect(handler.getQueueSize()).toBe(2);
+
+      children[0].emit('close', 0, null);
+      await flush();
+      expect(spawn.mock.calls[1][1]).toEqual(['Skipped 2 messages.']);
+
+      children[1].emit('close', 0, null);
+      await flush();
+      expect(spawn.mock.calls[2][1]).toEqual(['Message from testuser in general: C']);
+    });
+
+    it('should drop backlog silently with the drop policy', async () => {
+      handler = new SpeechHandler(true, 'say', { maxQueueSize: 1, overflow: 'drop' });
+      handler.isAvailable = true;
+
+      for (const text of ['Speaking', 'A', 'B']) {
+        await handler.handle({ ...mockMessage, text });
+        await flush();
+      }
+
+      children[0].emit('close', 0, null);
+      await flush();
+      expect(spawn.mock.calls[1][1]).toEqual(['Message from testuser in general: B']);
+    });
+
+    it('should keep going when the command fails', async () => {
+      await handler.handle({ ...mockMessage, text: 'First' });
+      await handler.handle({ ...mockMessage, text: 'Second' });
+      await flush();
+
+      children[0].emit('error', new Error('spawn say ENOENT'));
+      await flush();
+
+      expect(logger.warn).toHaveBeenCalledWith('Speech command "say" failed: spawn say ENOENT');
+      expect(spawn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should kill in-flight speech and discard the queue on stop', async () => {
+      await handler.handle({ ...mockMessage, text: 'First' });
+      await handler.handle({ ...mockMessage, text: 'Second' });
+      await flush();
+
+      await handler.stop();
+
+      expect(children[0].kill).toHaveBeenCalled();
+      expect(spawn).toHaveBeenCalledTimes(1);
+      expect(handler.getQueueSize()).toBe(0);
+
+      await handler.handle(mockMessage);
+      await flush();
+      expect(spawn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('voices and arguments', () => {
+    it('should pick the channel voice, then the team voice, then the default', () => {
+      handler = new SpeechHandler(true, 'say', {
+        voice: 'Alex',
+        voices: { 'test-team': 'Samantha', 'test-team/general': 'Daniel', 'other/C999': 'Kyoko' },
+      });
+
+      expect(handler._getVoice(mockMessage)).toBe('Daniel');
+      expect(handler._getVoice({ ...mockMessage, channel: 'random' })).toBe('Samantha');
+      expect(handler._getVoice({ team: 'other', channel: 'dev', channelId: 'C999' })).toBe('Kyoko');
+      expect(handler._getVoice({ team: 'another', channel: 'dev' })).toBe('Alex');
+    });
+
+    it('should return null when no voice is configured', () => {
+      expect(handler._getVoice(mockMessage)).toBeNull();
+    });
+
+    it('should use the voice flag of known commands', () => {
+      expect(new SpeechHandler(true, 'say')._buildArgs('hi', 'Alex')).toEqual(['-v', 'Alex', 'hi']);
+      expect(new SpeechHandler(true, '/usr/bin/espeak')._buildArgs('hi', 'en')).toEqual([
+        '-v',
+        'en',
+        'hi',
+      ]);
+      expect(new SpeechHandler(true, 'spd-say')._buildArgs('hi', 'female1')).toEqual([
+        '--wait',
+        '-y',
+        'female1',
+        'hi',
+      ]);
+    });
+
+    it('should pass only the text to unknown commands', () => {
+      expect(new SpeechHandler(true, 'my-tts')._buildArgs('hi', 'Alex')).toEqual(['hi']);
     });
 
-    it('should not throw errors when calling placeholder methods', async () => {
-      await expect(handler._speakMessage(mockMessage)).resolves.toBeUndefined();
-      expect(() => handler._formatForSpeech(mockMessage)).not.toThrow();
-      expect(() => handler._cleanTextForSpeech('test')).not.toThrow();
-      await expect(handler._isSpeechAvailable()).resolves.toBeDefined();
+    it('should fill custom argument templates', () => {
+      handler = new SpeechHandler(true, 'festival', {
+        args: ['--voice={voice}', '--tts', '{text}'],
+      });
+      expect(handler._buildArgs('hi', 'kal')).toEqual(['--voice=kal', '--tts', 'hi']);
+      expect(handler._buildArgs('hi', null)).toEqual(['--voice=', '--tts', 'hi']);
     });
   });
 
@@ -101,6 +101,37 @@ describe('Graceful Shutdown Implementation', () => {
       expect(shutdownHandler).toContain('await this.teamManager.shutdown()');
     });
 
+    it('should drain handlers after closing team connections', async () => {
+      const fs = await import('node:fs');
+      const mainContent = fs.readFileSync('src/main.js', 'utf8');
+
+      const shutdownHandler = mainContent.match(
+        /const shutdownHandler = async \(signal\) => \{([\s\S]*?)\};/
+      )[1];
+      const teamShutdownIndex = shutdownHandler.indexOf('await this.teamManager.shutdown()');
+      const drainIndex = shutdownHandler.indexOf('await this.messageProcessor.stopHandlers(');
+      const exitIndex = shutdownHandler.indexOf('process.exit(0)');
+
+      expect(teamShutdownIndex).toBeGreaterThan(-1);
+      expect(drainIndex).toBeGreaterThan(teamShutdownIndex);
+      expect(exitIndex).toBeGreaterThan(drainIndex);
+    });
+
+    it('should save the state file before exiting', async () => {
+      const fs = await import('node:fs');
+      const mainContent = fs.readFileSync('src/main.js', 'utf8');
+
+      const shutdownHandler = mainContent.match(
+        /const shutdownHandler = async \(signal\) => \{([\s\S]*?)\};/
+      )[1];
+      const drainIndex = shutdownHandler.indexOf('await this.messageProcessor.stopHandlers(');
+      const flushIndex = shutdownHandler.indexOf('this.stateStore?.flush()');
+      const exitIndex = shutdownHandler.indexOf('process.exit(0)');
+
+      expect(flushIndex).toBeGreaterThan(drainIndex);
+      expect(exitIndex).toBeGreaterThan(flushIndex);
+    });
+
     it('should register signal handlers correctly', async () => {
       const fs = await import('node:fs');
       const mainContent = fs.readFileSync('src/main.js', 'utf8');
@@ -0,0 +1,171 @@
+import { existsSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { StateStore } from '../../src/state/StateStore.js';
+import { logger } from '../../src/utils/Logger.js';
+
+vi.mock('../../src/utils/Logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+describe('StateStore', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    tempDir = mkdtempSync(join(tmpdir(), 'slagg-state-'));
+    filePath = join(tempDir, 'state.json');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('load', () => {
+    it('should start empty when the file does not exist', () => {
+      const store = new StateStore(filePath).load();
+
+      expect(store.getLastSeen('team', 'C1')).toBeNull();
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    it('should start empty with a warning when the file is invalid', () => {
+      writeFileSync(filePath, '{ not json');
+
+      const store = new StateStore(filePath).load();
+
+      expect(store.getLastSeen('team', 'C1')).toBeNull();
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining(`Could not read state file ${filePath}, starting fresh`)
+      );
+    });
+
+    it('should start empty with a warning when the format is unknown', () => {
+      writeFileSync(filePath, JSON.stringify({ version: 99, teams: {} }));
+
+      new StateStore(filePath).load();
+
+      expect(logger.warn).toHaveBeenCalledWith(
+        `State file ${filePath} has an unknown format, starting fresh`
+      );
+    });
+  });
+
+  describe('last seen positions', () => {
+    it('should keep the newest timestamp per team and channel', () => {
+      const store = new StateStore(filePath);
+
+      store.setLastSeen('team', 'C1', '200.000001');
+      store.setLastSeen('team', 'C1', '100.000001');
+      store.setLastSeen('other', 'C1', '50.000001');
+
+      expect(store.getLastSeen('team', 'C1')).toBe('200.000001');
+      expect(store.getLastSeen('other', 'C1')).toBe('50.000001');
+      expect(store.getLastSeen('team', 'C2')).toBeNull();
+    });
+  });
+
+  describe('names', () => {
+    it('should cache channel and user names per team', () => {
+      const store = new StateStore(filePath);
+
+      store.setChannelName('team', 'C1', 'general');
+      store.setUserName('team', 'U1', 'alice');
+
+      expect(store.getChannelName('team', 'C1')).toBe('general');
+      expect(store.getUserName('team', 'U1')).toBe('alice');
+      expect(store.getUserName('other', 'U1')).toBeNull();
+    });
+  });
+
+  describe('saving', () => {
+    it('should write the state and read it back', () => {
+      const store = new StateStore(filePath);
+      store.setLastSeen('team', 'C1', '100.000001');
+      store.setChannelName('team', 'C1', 'general');
+      store.setUserName('team', 'U1', 'alice');
+
+      expect(store.save()).toBe(true);
+
+      const reloaded = new StateStore(filePath).load();
+      expect(reloaded.getLastSeen('team', 'C1')).toBe('100.000001');
+      expect(reloaded.getChannelName('team', 'C1')).toBe('general');
+      expect(reloaded.getUserName('team', 'U1')).toBe('alice');
+    });
+
+    it('should replace the file without leaving temporary files behind', () => {
+      writeFileSync(filePath, JSON.stringify({ version: 1, teams: {} }));
+      const store = new StateStore(filePath).load();
+      store.setLastSeen('team', 'C1', '100.000001');
+
+      store.save();
+
+      expect(readdirSync(tempDir)).toEqual(['state.json']);
+      expect(JSON.parse(readFileSync(filePath, 'utf8')).teams.team.channels.C1).toEqual({
+        lastSeenTs: '100.000001',
+      });
+    });
+
+    it('should create missing directories', () => {
+      const nestedPath = join(tempDir, 'nested', 'dir', 'state.json');
+      const store = new StateStore(nestedPath);
+      store.setLastSeen('team', 'C1', '100.000001');
+
+      expect(store.save()).toBe(true);
+      expect(existsSync(nestedPath)).toBe(true);
+    });
+
+    it('should warn and report failure when the file cannot be written', () => {
+      writeFileSync(join(tempDir, 'file'), '');
+      const store = new StateStore(join(tempDir, 'file', 'state.json'));
+
+      expect(store.save()).toBe(false);
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringContaining('Could not write state file')
+      );
+    });
+
+    it('should batch changes into one delayed write', () => {
+      vi.useFakeTimers();
+      const store = new StateStore(filePath, { saveDelayMs: 500 });
+      const saveSpy = vi.spyOn(store, 'save');
+
+      store.setLastSeen('team', 'C1', '100.000001');
+      store.setLastSeen('team', 'C1', '100.000002');
+      expect(existsSync(filePath)).toBe(false);
+
+      vi.advanceTimersByTime(500);
+
+      expect(saveSpy).toHaveBeenCalledTimes(1);
+      expect(new StateStore(filePath).load().getLastSeen('team', 'C1')).toBe('100.000002');
+    });
+
+    it('should not schedule a write when nothing changed', () => {
+      vi.useFakeTimers();
+      const store = new StateStore(filePath);
+      store.setChannelName('team', 'C1', 'general');
+      store.flush();
+
+      store.setChannelName('team', 'C1', 'general');
+
+      expect(store.isDirty).toBe(false);
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('should write pending changes on flush and skip clean stores', () => {
+      const store = new StateStore(filePath);
+      const saveSpy = vi.spyOn(store, 'save');
+
+      expect(store.flush()).toBe(true);
+      expect(saveSpy).not.toHaveBeenCalled();
+
+      store.setLastSeen('team', 'C1', '100.000001');
+      expect(store.flush()).toBe(true);
+      expect(saveSpy).toHaveBeenCalledTimes(1);
+      expect(existsSync(filePath)).toBe(true);
+    });
+  });
+});
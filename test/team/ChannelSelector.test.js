@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import { ChannelSelector } from '../../src/team/ChannelSelector.js';
+
+const channel = (id, name, extra = {}) => ({ id, name, ...extra });
+
+describe('ChannelSelector', () => {
+  describe('isValidEntry', () => {
+    it('should accept IDs, names, wildcards and exclusions', () => {
+      for (const entry of ['C1234567890', 'D1234567890', '#general', '#team-*', '*', '!#random']) {
+        expect(ChannelSelector.isValidEntry(entry)).toBe(true);
+      }
+      expect(ChannelSelector.isValidEntry('!C1234567890')).toBe(true);
+    });
+
+    it('should reject malformed entries', () => {
+      for (const entry of ['general', '#', '#two words', '!*', '!', 'C123', 42, null]) {
+        expect(ChannelSelector.isValidEntry(entry)).toBe(false);
+      }
+    });
+  });
+
+  it('should separate IDs from names and wildcards', () => {
+    const selector = new ChannelSelector(['C1234567890', '#incidents', '!#random']);
+
+    expect(selector.getChannelIds()).toEqual(['C1234567890']);
+    expect(selector.getPatternEntries()).toEqual(['#incidents']);
+    expect(selector.needsLookup()).toBe(true);
+    expect(new ChannelSelector(['C1234567890']).needsLookup()).toBe(false);
+  });
+
+  it('should match channel names and wildcards case-insensitively', () => {
+    const selector = new ChannelSelector(['#incidents', '#Team-*']);
+
+    expect(selector.matches(channel('C1', 'incidents'))).toBe(true);
+    expect(selector.matches(channel('C2', 'team-web'))).toBe(true);
+    expect(selector.matches(channel('C3', 'team'))).toBe(false);
+    expect(selector.matches(channel('C4', 'incidents-old'))).toBe(false);
+  });
+
+  it('should treat other characters in names literally', () => {
+    const selector = new ChannelSelector(['#ops.alerts']);
+
+    expect(selector.matches(channel('C1', 'ops.alerts'))).toBe(true);
+    expect(selector.matches(channel('C2', 'ops-alerts'))).toBe(false);
+  });
+
+  it('should match every conversation with "*" and apply exclusions', () => {
+    const selector = new ChannelSelector(['*', '!#random', '!#old-*', '!D1234567890']);
+
+    expect(selector.matches(channel('C1', 'general'))).toBe(true);
+    expect(selector.matches({ id: 'D0987654321', is_im: true })).toBe(true);
+    expect(selector.matches(channel('C2', 'random'))).toBe(false);
+    expect(selector.matches(channel('C3', 'old-stuff'))).toBe(false);
+    expect(selector.matches({ id: 'D1234567890', is_im: true })).toBe(false);
+  });
+
+  it('should not match DMs and group DMs by name', () => {
+    const selector = new ChannelSelector(['#mpdm-*']);
+
+    expect(selector.matches(channel('G1', 'mpdm-alice--bob-1', { is_mpim: true }))).toBe(false);
+  });
+
+  it('should report names without wildcards that matched nothing', () => {
+    const selector = new ChannelSelector(['#incidents', '#Deploys', '#team-*', 'C1234567890']);
+
+    expect(selector.getUnmatchedNames([channel('C1', 'incidents')])).toEqual(['deploys']);
+  });
+
+  describe('requested conversations', () => {
+    it('should tell which IDs and names the entries can select', () => {
+      const selector = new ChannelSelector(['C1234567890', '#team-*', '!#team-old']);
+
+      expect(selector.canSelect('C1234567890')).toBe(true);
+      expect(selector.canSelect('#Team-Web')).toBe(true);
+      expect(selector.canSelect('#team-old')).toBe(false);
+      expect(selector.canSelect('#random')).toBe(false);
+      // May turn out to be a team-* channel
+      expect(selector.canSelect('C0987654321')).toBe(true);
+      expect(new ChannelSelector(['C1234567890']).canSelect('C0987654321')).toBe(false);
+      expect(new ChannelSelector(['*', '!C0987654321']).canSelect('C0987654321')).toBe(false);
+    });
+
+    it('should keep only the listed IDs when no lookup is needed', () => {
+      const selector = new ChannelSelector(['C1234567890', 'C0987654321', '#team-*']);
+
+      expect(selector.narrow(['C0987654321'])).toEqual({ entries: ['C0987654321'], only: null });
+      expect(selector.narrow(['#random'])).toBeNull();
+    });
+
+    it('should keep names, wildcards and exclusions to find the others', () => {
+      const selector = new ChannelSelector(['C1234567890', '*', '!#random']);
+
+      expect(selector.narrow(['C1234567890', '#general', '#random'])).toEqual({
+        entries: ['C1234567890', '*', '!#random'],
+        only: ['C1234567890', '#general'],
+      });
+    });
+
+    it('should restrict IDs, matches and unmatched names to the requested ones', () => {
+      const selector = new ChannelSelector(['C1234567890', '#incidents', '#team-*'], {
+        only: ['#team-web', 'C3333333333'],
+      });
+
+      expect(selector.getChannelIds()).toEqual([]);
+      expect(selector.matches(channel('C1', 'team-web'))).toBe(true);
+      expect(selector.matches(channel('C3333333333', 'team-api'))).toBe(true);
+      expect(selector.matches(channel('C2', 'team-ops'))).toBe(false);
+      expect(selector.getUnmatchedNames([])).toEqual(['team-web']);
+    });
+  });
+});
@@ -44,9 +44,16 @@ describe('SlackClient', () => {
     mockWebClient = {
       conversations: {
         info: vi.fn(),
+        members: vi.fn(),
+        list: vi.fn(),
       },
       users: {
         info: vi.fn(),
+        list: vi.fn().mockResolvedValue({ ok: true, members: [] }),
+        conversations: vi.fn(),
+      },
+      auth: {
+        test: vi.fn(),
       },
     };
 
@@ -162,6 +169,29 @@ describe('SlackClient', () => {
       expect(slackClient.isConnecting).toBe(false);
     });
 
+    it('should load the users when connecting', async () => {
+      mockWebClient.users.list.mockResolvedValue({
+        ok: true,
+        members: [{ id: 'U1', name: 'alice' }],
+      });
+
+      await slackClient.connect();
+      await slackClient.userDirectory.warm();
+
+      expect(mockWebClient.users.list).toHaveBeenCalledOnce();
+      expect(mockWebClient.users.list).toHaveBeenCalledWith({ limit: 200, cursor: undefined });
+      expect(await slackClient.userDirectory.getName('U1')).toBe('alice');
+    });
+
+    it('should subscribe to channels without waiting for the users to load', async () => {
+      mockWebClient.users.list.mockReturnValue(new Promise(() => {}));
+
+      await slackClient.connect();
+
+      expect(mockWebClient.conversations.info).toHaveBeenCalled();
+      expect(slackClient.isConnected).toBe(true);
+    });
+
     it('should not connect if already connecting', async () => {
       slackClient.isConnecting = true;
       await slackClient.connect();
@@ -207,206 +237,1778 @@ describe('SlackClient', () => {
         expect(e).toBe(authError);
       }
 
-      expect(slackClient.isConnected).toBe(false);
-      expect(slackClient.isConnecting).toBe(false);
-      expect(slackClient.isInvalidated).toBe(true);
+      expect(slackClient.isConnected).toBe(false);
+      expect(slackClient.isConnecting).toBe(false);
+      expect(slackClient.isInvalidated).toBe(true);
+    });
+
+    it('should not connect if team is invalidated', async () => {
+      slackClient.isInvalidated = true;
+      await slackClient.connect();
+      expect(mockSocketModeClient.start).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('subscribeToChannels', () => {
+    it('should subscribe to valid channels', async () => {
+      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, [
+        ...testChannelIds,
+      ]);
+      testClient.webClient = mockWebClient;
+
+      mockWebClient.conversations.info
+        .mockResolvedValueOnce({ ok: true, channel: { name: 'general' } })
+        .mockResolvedValueOnce({ ok: true, channel: { name: 'random' } });
+
+      await testClient.subscribeToChannels();
+
+      expect(mockWebClient.conversations.info).toHaveBeenCalledTimes(2);
+      expect(testClient.channelNames.get('C1234567890')).toBe('general');
+      expect(testClient.channelNames.get('C0987654321')).toBe('random');
+    });
+
+    it('should skip invalid channels', async () => {
+      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, [
+        ...testChannelIds,
+      ]);
+      testClient.webClient = mockWebClient;
+
+      mockWebClient.conversations.info
+        .mockResolvedValueOnce({ ok: true, channel: { name: 'general' } })
+        .mockResolvedValueOnce({ ok: false });
+
+      await testClient.subscribeToChannels();
+
+      expect(testClient.channelIds).toEqual(['C1234567890']);
+      expect(testClient.channelNames.get('C1234567890')).toBe('general');
+    });
+
+    it('should handle channel access errors', async () => {
+      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, [
+        ...testChannelIds,
+      ]);
+      testClient.webClient = mockWebClient;
+
+      mockWebClient.conversations.info
+        .mockResolvedValueOnce({ ok: true, channel: { name: 'general' } })
+        .mockRejectedValueOnce(new Error('Access denied'));
+
+      await testClient.subscribeToChannels();
+
+      expect(testClient.channelIds).toEqual(['C1234567890']);
+    });
+
+    it('should throw error if no valid channels', async () => {
+      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, [
+        ...testChannelIds,
+      ]);
+      testClient.webClient = mockWebClient;
+
+      mockWebClient.conversations.info.mockResolvedValue({ ok: false });
+
+      await expect(testClient.subscribeToChannels()).rejects.toThrow(
+        'No valid channels available for subscription'
+      );
+    });
+
+    it('should throw error if web client not initialized', async () => {
+      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, [
+        ...testChannelIds,
+      ]);
+      testClient.webClient = null;
+
+      await expect(testClient.subscribeToChannels()).rejects.toThrow('Web client not initialized');
+    });
+  });
+
+  describe('channel names and wildcards', () => {
+    let logger;
+
+    const subscribe = async (channels) => {
+      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, channels);
+      testClient.webClient = mockWebClient;
+      await testClient.subscribeToChannels();
+      return testClient;
+    };
+
+    const memberConversations = (...channels) => ({ ok: true, channels });
+
+    beforeEach(async () => {
+      ({ logger } = await import('../../src/utils/Logger.js'));
+      mockWebClient.users.conversations.mockResolvedValue(
+        memberConversations(
+          { id: 'C1111111111', name: 'incidents' },
+          { id: 'C2222222222', name: 'team-web' },
+          { id: 'C3333333333', name: 'team-api' },
+          { id: 'C4444444444', name: 'random' }
+        )
+      );
+      mockWebClient.conversations.list.mockResolvedValue({ ok: true, channels: [] });
+      mockWebClient.auth.test.mockResolvedValue({ ok: true, user_id: 'UBOT' });
+    });
+
+    it('should resolve names and wildcards against the conversations the bot is in', async () => {
+      const testClient = await subscribe(['#incidents', '#team-*', '!#team-api']);
+
+      expect(mockWebClient.users.conversations).toHaveBeenCalledWith({
+        types: 'public_channel,private_channel,mpim,im',
+        exclude_archived: true,
+        limit: 200,
+      });
+      expect(mockWebClient.conversations.info).not.toHaveBeenCalled();
+      expect(testClient.getChannelIds()).toEqual(['C1111111111', 'C2222222222']);
+      expect(testClient.channelNames.get('C2222222222')).toBe('team-web');
+      expect(logger.info).toHaveBeenCalledWith(
+        'Team: test-team, Resolved #incidents, #team-* to #incidents (C1111111111), #team-web (C2222222222)'
+      );
+    });
+
+    it('should follow every conversation with "*" alongside listed IDs', async () => {
+      mockWebClient.conversations.info.mockResolvedValue({
+        ok: true,
+        channel: { name: 'general' },
+      });
+
+      const testClient = await subscribe(['C0000000000', '*', '!#random']);
+
+      expect(testClient.getChannelIds()).toEqual([
+        'C0000000000',
+        'C1111111111',
+        'C2222222222',
+        'C3333333333',
+      ]);
+    });
+
+    it('should follow every page of conversations', async () => {
+      mockWebClient.users.conversations
+        .mockResolvedValueOnce({
+          ok: true,
+          channels: [{ id: 'C1111111111', name: 'incidents' }],
+          response_metadata: { next_cursor: 'page2' },
+        })
+        .mockResolvedValueOnce(memberConversations({ id: 'C5555555555', name: 'team-ops' }));
+
+      const testClient = await subscribe(['#incidents', '#team-*']);
+
+      expect(mockWebClient.users.conversations).toHaveBeenLastCalledWith(
+        expect.objectContaining({ cursor: 'page2' })
+      );
+      expect(testClient.getChannelIds()).toEqual(['C1111111111', 'C5555555555']);
+    });
+
+    it('should report names the bot is not in or that do not exist', async () => {
+      mockWebClient.conversations.list.mockResolvedValue({
+        ok: true,
+        channels: [{ id: 'C9999999999', name: 'announcements' }],
+      });
+
+      const testClient = await subscribe(['#incidents', '#announcements', '#nope']);
+
+      expect(mockWebClient.conversations.list).toHaveBeenCalledTimes(1);
+      expect(testClient.getSkippedChannels()).toEqual([
+        { channelId: 'C9999999999', reason: 'bot not in channel' },
+        { channelId: '#nope', reason: 'channel not found' },
+      ]);
+    });
+
+    it('should skip the entries when conversations cannot be listed', async () => {
+      mockWebClient.users.conversations.mockResolvedValue({ ok: false, error: 'missing_scope' });
+
+      await expect(subscribe(['#incidents'])).rejects.toThrow(
+        'No valid channels available for subscription. Skipped 1 channels.'
+      );
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Channel: #incidents skipped due to conversations could not be listed - Failed to list conversations: missing_scope'
+      );
+    });
+
+    describe('refresh', () => {
+      let testClient;
+
+      beforeEach(async () => {
+        testClient = await subscribe(['#incidents', '#team-*']);
+      });
+
+      it('should follow a channel the bot was invited to', async () => {
+        mockWebClient.users.conversations.mockResolvedValue(
+          memberConversations(
+            { id: 'C1111111111', name: 'incidents' },
+            { id: 'C2222222222', name: 'team-web' },
+            { id: 'C3333333333', name: 'team-api' },
+            { id: 'C5555555555', name: 'team-new' }
+          )
+        );
+
+        await testClient.handleChannelEvent({
+          type: 'member_joined_channel',
+          user: 'UBOT',
+          channel: 'C5555555555',
+        });
+
+        expect(testClient.getChannelIds()).toContain('C5555555555');
+        expect(logger.info).toHaveBeenCalledWith(
+          'Team: test-team, Now following #team-new (C5555555555)'
+        );
+      });
+
+      it('should ignore other users joining channels', async () => {
+        mockWebClient.users.conversations.mockClear();
+
+        await testClient.handleChannelEvent({
+          type: 'member_joined_channel',
+          user: 'U1',
+          channel: 'C4444444444',
+        });
+
+        expect(mockWebClient.users.conversations).not.toHaveBeenCalled();
+      });
+
+      it('should follow renames in and out of a wildcard', async () => {
+        mockWebClient.users.conversations.mockResolvedValue(
+          memberConversations(
+            { id: 'C1111111111', name: 'incidents' },
+            { id: 'C2222222222', name: 'web' },
+            { id: 'C3333333333', name: 'team-api' },
+            { id: 'C4444444444', name: 'team-random' }
+          )
+        );
+
+        await testClient.handleChannelEvent({ type: 'channel_rename', channel: {} });
+
+        expect(testClient.getChannelIds()).toEqual(['C1111111111', 'C3333333333', 'C4444444444']);
+        expect(logger.info).toHaveBeenCalledWith(
+          'Team: test-team, No longer following #team-web (C2222222222)'
+        );
+      });
+
+      it('should combine refreshes requested while one is running', async () => {
+        mockWebClient.users.conversations.mockClear();
+
+        await Promise.all([
+          testClient.refreshChannels(),
+          testClient.refreshChannels(),
+          testClient.refreshChannels(),
+        ]);
+
+        expect(mockWebClient.users.conversations).toHaveBeenCalledTimes(2);
+      });
+
+      it('should not look up conversations for clients with only IDs', async () => {
+        mockWebClient.conversations.info.mockResolvedValue({
+          ok: true,
+          channel: { name: 'general' },
+        });
+        const idClient = await subscribe(['C1234567890']);
+        mockWebClient.users.conversations.mockClear();
+
+        await idClient.handleChannelEvent({ type: 'channel_created', channel: {} });
+
+        expect(mockWebClient.users.conversations).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('channel lifecycle events', () => {
+    let logger;
+    let testClient;
+    let callback;
+
+    beforeEach(async () => {
+      ({ logger } = await import('../../src/utils/Logger.js'));
+      mockWebClient.conversations.info.mockImplementation(async ({ channel }) => ({
+        ok: true,
+        channel: { id: channel, name: channel === 'C1234567890' ? 'general' : 'alerts' },
+      }));
+      mockWebClient.auth.test.mockResolvedValue({ ok: true, user_id: 'UBOT' });
+
+      testClient = new SlackClient(testAppToken, testBotToken, testTeamName, [...testChannelIds]);
+      testClient.webClient = mockWebClient;
+      await testClient.subscribeToChannels();
+      callback = vi.fn();
+      testClient.setMessageCallback(callback);
+    });
+
+    it('should stop following a channel the bot was removed from', async () => {
+      await testClient.handleChannelEvent({
+        type: 'channel_left',
+        channel: 'C1234567890',
+        event_ts: '1700000000.000100',
+      });
+
+      expect(testClient.getChannelIds()).toEqual(['C0987654321']);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Team: test-team, No longer following #general (C1234567890) (bot removed from)'
+      );
+      expect(callback).toHaveBeenCalledWith(
+        expect.objectContaining({
+          kind: 'system',
+          team: 'test-team',
+          channel: 'general',
+          channelId: 'C1234567890',
+          user: null,
+          text: 'bot removed from #general',
+          timestamp: '1700000000.000100',
+        })
+      );
+    });
+
+    it('should stop following archived channels', async () => {
+      await testClient.handleChannelEvent({ type: 'group_archive', channel: 'C0987654321' });
+
+      expect(testClient.getChannelIds()).toEqual(['C1234567890']);
+      expect(callback).toHaveBeenCalledWith(
+        expect.objectContaining({ kind: 'system', text: '#alerts archived' })
+      );
+    });
+
+    it('should ignore changes to channels it does not follow', async () => {
+      await testClient.handleChannelEvent({ type: 'channel_archive', channel: 'C5555555555' });
+      await testClient.handleChannelEvent({
+        type: 'channel_rename',
+        channel: { id: 'C5555555555', name: 'other' },
+      });
+
+      expect(testClient.getChannelIds()).toEqual(testChannelIds);
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('should follow a configured channel again once the bot is added back', async () => {
+      await testClient.handleChannelEvent({ type: 'channel_left', channel: 'C1234567890' });
+      callback.mockClear();
+
+      await testClient.handleChannelEvent({
+        type: 'member_joined_channel',
+        user: 'UBOT',
+        channel: 'C1234567890',
+      });
+
+      expect(testClient.getChannelIds()).toEqual(['C0987654321', 'C1234567890']);
+      expect(callback).toHaveBeenCalledWith(
+        expect.objectContaining({ kind: 'system', text: 'bot added to #general' })
+      );
+    });
+
+    it('should follow a skipped channel once it is unarchived', async () => {
+      mockWebClient.conversations.info.mockResolvedValueOnce({
+        ok: true,
+        channel: { name: 'old', is_archived: true },
+      });
+      const skippingClient = new SlackClient(testAppToken, testBotToken, testTeamName, [
+        'C5555555555',
+        'C1234567890',
+      ]);
+      skippingClient.webClient = mockWebClient;
+      await skippingClient.subscribeToChannels();
+      skippingClient.setMessageCallback(callback);
+      expect(skippingClient.getSkippedChannels()).toHaveLength(1);
+
+      mockWebClient.conversations.info.mockResolvedValueOnce({
+        ok: true,
+        channel: { name: 'old' },
+      });
+      await skippingClient.handleChannelEvent({
+        type: 'channel_unarchive',
+        channel: 'C5555555555',
+      });
+
+      expect(skippingClient.getChannelIds()).toContain('C5555555555');
+      expect(skippingClient.getSkippedChannels()).toEqual([]);
+      expect(callback).toHaveBeenCalledWith(
+        expect.objectContaining({ kind: 'system', text: '#old unarchived' })
+      );
+    });
+
+    it('should report renames and use the new name', async () => {
+      await testClient.handleChannelEvent({
+        type: 'channel_rename',
+        channel: { id: 'C1234567890', name: 'town-square' },
+      });
+
+      expect(testClient.channelNames.get('C1234567890')).toBe('town-square');
+      expect(callback).toHaveBeenCalledWith(
+        expect.objectContaining({
+          kind: 'system',
+          channel: 'town-square',
+          text: '#general renamed to #town-square',
+        })
+      );
+    });
+
+    it('should log errors instead of throwing them', async () => {
+      callback.mockRejectedValue(new Error('output failed'));
+
+      await testClient.handleChannelEvent({ type: 'channel_left', channel: 'C1234567890' });
+
+      expect(logger.error).toHaveBeenCalledWith(
+        'Team: test-team, Error processing channel_left event: output failed'
+      );
+    });
+  });
+
+  describe('conversation types', () => {
+    const subscribe = async (channelIds) => {
+      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, channelIds);
+      testClient.webClient = mockWebClient;
+      await testClient.subscribeToChannels();
+      return testClient;
+    };
+
+    beforeEach(() => {
+      mockWebClient.users.info.mockImplementation(async ({ user }) => ({
+        ok: true,
+        user: { name: { U1: 'alice', U2: 'bob', UBOT: 'slagg' }[user] },
+      }));
+      mockWebClient.auth.test.mockResolvedValue({ ok: true, user_id: 'UBOT' });
+    });
+
+    it('should detect the type of a conversation', () => {
+      expect(SlackClient.getConversationType({ is_channel: true })).toBe('channel');
+      expect(SlackClient.getConversationType({ is_channel: true, is_private: true })).toBe(
+        'private'
+      );
+      expect(SlackClient.getConversationType({ is_group: true })).toBe('private');
+      expect(SlackClient.getConversationType({ is_im: true })).toBe('im');
+      expect(SlackClient.getConversationType({ is_group: true, is_mpim: true })).toBe('mpim');
+    });
+
+    it('should label private channels by name and DMs by user', async () => {
+      mockWebClient.conversations.info
+        .mockResolvedValueOnce({
+          ok: true,
+          channel: { id: 'G1234567890', name: 'secret', is_group: true, is_private: true },
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          channel: { id: 'D1234567890', is_im: true, user: 'U1' },
+        });
+
+      const testClient = await subscribe(['G1234567890', 'D1234567890']);
+
+      expect(testClient.channelIds).toEqual(['G1234567890', 'D1234567890']);
+      expect(testClient.channelNames.get('G1234567890')).toBe('secret');
+      expect(testClient.channelNames.get('D1234567890')).toBe('@alice');
+      expect(testClient.channelTypes.get('G1234567890')).toBe('private');
+      expect(testClient.channelTypes.get('D1234567890')).toBe('im');
+    });
+
+    it('should label group DMs by their members other than the bot', async () => {
+      mockWebClient.conversations.info.mockResolvedValue({
+        ok: true,
+        channel: { id: 'G1234567890', name: 'mpdm-alice--bob--slagg-1', is_mpim: true },
+      });
+      mockWebClient.conversations.members.mockResolvedValue({
+        ok: true,
+        members: ['U1', 'UBOT', 'U2'],
+      });
+
+      const testClient = await subscribe(['G1234567890']);
+
+      expect(mockWebClient.conversations.members).toHaveBeenCalledWith({ channel: 'G1234567890' });
+      expect(testClient.channelNames.get('G1234567890')).toBe('@alice, @bob');
+      expect(testClient.channelTypes.get('G1234567890')).toBe('mpim');
+    });
+
+    it('should fall back to the group name when members cannot be listed', async () => {
+      mockWebClient.conversations.info.mockResolvedValue({
+        ok: true,
+        channel: { id: 'G1234567890', name: 'mpdm-alice--bob--slagg-1', is_mpim: true },
+      });
+      mockWebClient.conversations.members.mockRejectedValue(new Error('missing_scope'));
+
+      const testClient = await subscribe(['G1234567890']);
+
+      expect(testClient.channelNames.get('G1234567890')).toBe('@alice, @bob, @slagg');
+    });
+
+    it('should label DMs with the user ID when the user cannot be looked up', async () => {
+      mockWebClient.conversations.info.mockResolvedValue({
+        ok: true,
+        channel: { id: 'D1234567890', is_im: true, user: 'U9' },
+      });
+      mockWebClient.users.info.mockRejectedValue(new Error('user_not_found'));
+
+      const testClient = await subscribe(['D1234567890']);
+
+      expect(testClient.channelNames.get('D1234567890')).toBe('@U9');
+    });
+
+    it('should skip conversations that cannot be followed', async () => {
+      mockWebClient.conversations.info
+        .mockResolvedValueOnce({ ok: true, channel: { name: 'old', is_archived: true } })
+        .mockResolvedValueOnce({ ok: true, channel: { name: 'elsewhere', is_member: false } })
+        .mockResolvedValueOnce({ ok: true, channel: { is_im: true, is_user_deleted: true } })
+        .mockResolvedValueOnce({ ok: false, error: 'missing_scope', needed: 'groups:read' })
+        .mockResolvedValueOnce({ ok: true, channel: { name: 'general', is_member: true } });
+
+      const testClient = await subscribe([
+        'C1111111111',
+        'C2222222222',
+        'D3333333333',
+        'G4444444444',
+        'C5555555555',
+      ]);
+
+      expect(testClient.channelIds).toEqual(['C5555555555']);
+      expect(testClient.getSkippedChannels()).toEqual([
+        { channelId: 'C1111111111', reason: 'channel archived' },
+        { channelId: 'C2222222222', reason: 'bot not in channel' },
+        { channelId: 'D3333333333', reason: 'DM user deactivated' },
+        { channelId: 'G4444444444', reason: 'missing scope groups:read' },
+      ]);
+    });
+
+    it('should label messages from DMs with the user', async () => {
+      mockWebClient.conversations.info.mockResolvedValue({
+        ok: true,
+        channel: { id: 'D1234567890', is_im: true, user: 'U1' },
+      });
+      const testClient = await subscribe(['D1234567890']);
+      const callback = vi.fn();
+      testClient.setMessageCallback(callback);
+
+      await testClient.handleMessage({
+        type: 'message',
+        channel: 'D1234567890',
+        channel_type: 'im',
+        user: 'U1',
+        text: 'hi',
+        ts: String(Date.now() / 1000 + 60),
+      });
+
+      expect(callback).toHaveBeenCalledWith(
+        expect.objectContaining({ channel: '@alice', channelId: 'D1234567890', user: 'alice' })
+      );
+    });
+  });
+
+  describe('handleMessage', () => {
+    let testClient;
+
+    beforeEach(() => {
+      testClient = new SlackClient(testAppToken, testBotToken, testTeamName, ['C1234567890']);
+      testClient.webClient = mockWebClient;
+      testClient.channelNames.set('C1234567890', 'general');
+    });
+
+    it('should process valid message', async () => {
+      const mockCallback = vi.fn();
+      testClient.setMessageCallback(mockCallback);
+
+      mockWebClient.users.info.mockResolvedValue({
+        ok: true,
+        user: { display_name: 'Test User' },
+      });
+
+      const event = {
+        type: 'message',
+        channel: 'C1234567890',
+        user: 'U1234567890',
+        text: 'Hello world',
+        ts: '1234567890.123456',
+      };
+
+      await testClient.handleMessage(event);
+
+      expect(mockCallback).toHaveBeenCalledWith({
+        kind: 'message',
+        team: testTeamName,
+        teamId: null,
+        channel: 'general',
+        channelId: 'C1234567890',
+        user: 'Test User',
+        userId: 'U1234567890',
+        botId: null,
+        text: 'Hello world',
+        timestamp: '1234567890.123456',
+        formattedTime: expect.any(Date),
+        threadTs: null,
+        isThreadReply: false,
+        parentSnippet: null,
+        mentions: { users: {}, channels: {} },
+        files: [],
+      });
+    });
+
+    it('should skip messages from non-subscribed channels', async () => {
+      const mockCallback = vi.fn();
+      testClient.setMessageCallback(mockCallback);
+
+      const event = {
+        type: 'message',
+        channel: 'C9999999999',
+        user: 'U1234567890',
+        text: 'Hello world',
+        ts: '1234567890.123456',
+      };
+
+      await testClient.handleMessage(event);
+
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should skip bot messages by default', async () => {
+      const mockCallback = vi.fn();
+      testClient.setMessageCallback(mockCallback);
+
+      const event = {
+        type: 'message',
+        channel: 'C1234567890',
+        bot_id: 'B1234567890',
+        text: 'Bot message',
+        ts: '1234567890.123456',
+      };
+
+      await testClient.handleMessage(event);
+
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should skip messages with subtypes', async () => {
+      const mockCallback = vi.fn();
+      testClient.setMessageCallback(mockCallback);
+
+      const event = {
+        type: 'message',
+        channel: 'C1234567890',
+        user: 'U1234567890',
+        text: 'joined the channel',
+        subtype: 'channel_join',
+        ts: '1234567890.123456',
+      };
+
+      await testClient.handleMessage(event);
+
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should pass file shares through with their files', async () => {
+      const mockCallback = vi.fn();
+      testClient.setMessageCallback(mockCallback);
+
+      await testClient.handleMessage({
+        type: 'message',
+        channel: 'C1234567890',
+        user: 'U1234567890',
+        text: 'crash log attached',
+        subtype: 'file_share',
+        files: [
+          {
+            id: 'F1',
+            name: 'crash.log',
+            mimetype: 'text/plain',
+            url_private: 'https://files.slack.com/F1',
+          },
+        ],
+        ts: '1234567890.123456',
+      });
+
+      expect(mockCallback.mock.calls[0][0].files).toEqual([
+        { id: 'F1', name: 'crash.log', mimetype: 'text/plain', url: 'https://files.slack.com/F1' },
+      ]);
+    });
+
+    it('should handle user info fetch error', async () => {
+      const mockCallback = vi.fn();
+      testClient.setMessageCallback(mockCallback);
+
+      mockWebClient.users.info.mockRejectedValue(new Error('User not found'));
+
+      const event = {
+        type: 'message',
+        channel: 'C1234567890',
+        user: 'U1234567890',
+        text: 'Hello world',
+        ts: '1234567890.123456',
+      };
+
+      await testClient.handleMessage(event);
+
+      expect(mockCallback).toHaveBeenCalledWith({
+        kind: 'message',
+        team: testTeamName,
+        teamId: null,
+        channel: 'general',
+        channelId: 'C1234567890',
+        user: 'U1234567890',
+        userId: 'U1234567890',
+        botId: null,
+        text: 'Hello world',
+        timestamp: '1234567890.123456',
+        formattedTime: expect.any(Date),
+        threadTs: null,
+        isThreadReply: false,
+        parentSnippet: null,
+        mentions: { users: {}, channels: {} },
+        files: [],
+      });
+    });
+  });
+
+  describe('bot messages', () => {
+    let callback;
+
+    const createClient = (options) => {
+      const testClient = new SlackClient(
+        testAppToken,
+        testBotToken,
+        testTeamName,
+        ['C1234567890', 'C0987654321'],
+        options
+      );
+      testClient.webClient = mockWebClient;
+      testClient.channelNames.set('C1234567890', 'general');
+      testClient.setMessageCallback(callback);
+      return testClient;
+    };
+
+    const botMessage = (fields = {}) => ({
+      type: 'message',
+      channel: 'C1234567890',
+      bot_id: 'B0CI000001',
+      text: 'Build passed',
+      ts: '1234567890.123456',
+      ...fields,
+    });
+
+    beforeEach(() => {
+      callback = vi.fn();
+      mockWebClient.auth.test.mockResolvedValue({
+        ok: true,
+        user_id: 'UBOT',
+        bot_id: 'B0SLAGG001',
+      });
+      mockWebClient.bots = { info: vi.fn().mockResolvedValue({ ok: true, bot: { name: 'ci' } }) };
+    });
+
+    it('should show bot messages under the name from the bot profile', async () => {
+      const testClient = createClient({ bots: true });
+
+      await testClient.handleMessage(
+        botMessage({ user: 'U0CIUSER01', bot_profile: { name: 'GitHub' } })
+      );
+
+      expect(callback).toHaveBeenCalledWith(
+        expect.objectContaining({
+          user: 'GitHub',
+          userId: 'U0CIUSER01',
+          botId: 'B0CI000001',
+          text: 'Build passed',
+        })
+      );
+      expect(mockWebClient.users.info).not.toHaveBeenCalled();
+    });
+
+    it('should prefer the username webhooks post under', async () => {
+      const testClient = createClient({ bots: true });
+
+      await testClient.handleMessage(
+        botMessage({ subtype: 'bot_message', username: 'PagerDuty', bot_profile: { name: 'hook' } })
+      );
+
+      expect(callback).toHaveBeenCalledWith(expect.objectContaining({ user: 'PagerDuty' }));
+    });
+
+    it('should look up bot names once, falling back to the bot ID', async () => {
+      const testClient = createClient({ bots: true });
+
+      await testClient.handleMessage(botMessage());
+      await testClient.handleMessage(botMessage({ ts: '1234567890.123457' }));
+      mockWebClient.bots.info.mockRejectedValue(new Error('bot_not_found'));
+      await testClient.handleMessage(botMessage({ bot_id: 'B0GONE0001', ts: '1234567890.123458' }));
+
+      expect(mockWebClient.bots.info).toHaveBeenCalledWith({ bot: 'B0CI000001' });
+      expect(mockWebClient.bots.info).toHaveBeenCalledTimes(2);
+      expect(callback.mock.calls.map(([message]) => message.user)).toEqual([
+        'ci',
+        'ci',
+        'B0GONE0001',
+      ]);
+    });
+
+    it("should never show slagg's own messages", async () => {
+      const testClient = createClient({ bots: true });
+
+      await testClient.handleMessage(botMessage({ bot_id: 'B0SLAGG001', user: 'UBOT' }));
+
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('should not look up its own identity again for a while after auth.test failed', async () => {
+      const { logger } = await import('../../src/utils/Logger.js');
+      vi.useFakeTimers();
+      mockWebClient.auth.test.mockRejectedValueOnce(new Error('ratelimited'));
+      const testClient = createClient({ bots: true });
+
+      await testClient.handleMessage(botMessage({ bot_id: 'B0SLAGG001' }));
+      await testClient.handleMessage(botMessage({ bot_id: 'B0SLAGG001', ts: '1234567890.123457' }));
+      expect(mockWebClient.auth.test).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith(
+        "Team: test-team, Could not look up the bot's own identity: ratelimited"
+      );
+
+      vi.advanceTimersByTime(60 * 1000);
+      await testClient.handleMessage(botMessage({ bot_id: 'B0SLAGG001', ts: '1234567890.123458' }));
+      await testClient.handleMessage(botMessage({ bot_id: 'B0SLAGG001', ts: '1234567890.123459' }));
+      expect(mockWebClient.auth.test).toHaveBeenCalledTimes(2);
+      expect(callback).toHaveBeenCalledTimes(2);
+      vi.useRealTimers();
+    });
+
+    it('should include bots per channel', async () => {
+      const testClient = createClient({ bots: { default: false, C0987654321: true } });
+
+      await testClient.handleMessage(botMessage());
+      await testClient.handleMessage(botMessage({ channel: 'C0987654321' }));
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0].channelId).toBe('C0987654321');
+    });
+
+    it('should only show allowed bots and never denied ones', async () => {
+      const allowClient = createClient({ bots: true, botIds: { allow: ['B0CI000001'] } });
+      await allowClient.handleMessage(botMessage());
+      await allowClient.handleMessage(
+        botMessage({ bot_id: 'B0OTHER001', ts: '1234567890.123457' })
+      );
+
+      const denyClient = createClient({ bots: true, botIds: { deny: ['B0CI000001'] } });
+      await denyClient.handleMessage(botMessage());
+      await denyClient.handleMessage(botMessage({ bot_id: 'B0OTHER001', ts: '1234567890.123457' }));
+
+      expect(callback.mock.calls.map(([message]) => message.botId)).toEqual([
+        'B0CI000001',
+        'B0OTHER001',
+      ]);
+    });
+
+    it('should report edits of included bot messages', async () => {
+      const testClient = createClient({ bots: true });
+      testClient.connectionTime = 1234567000;
+
+      await testClient.handleMessage({
+        type: 'message',
+        subtype: 'message_changed',
+        channel: 'C1234567890',
+        ts: '1234567999.000500',
+        message: { bot_id: 'B0CI000001', text: 'Build failed', ts: '1234567890.123456' },
+        previous_message: { bot_id: 'B0CI000001', text: 'Build running', ts: '1234567890.123456' },
+      });
+
+      expect(callback).toHaveBeenCalledWith(
+        expect.objectContaining({ kind: 'edit', user: 'ci', text: 'Build failed' })
+      );
+    });
+
+    it('should include bot messages in fetched history', async () => {
+      const testClient = createClient({ bots: true });
+      mockWebClient.conversations.history = vi.fn().mockResolvedValue({
+        ok: true,
+        messages: [botMessage({ bot_profile: { name: 'GitHub' } })],
+      });
+
+      const messages = await testClient.fetchHistory('C1234567890');
+
+      expect(messages.map((message) => message.user)).toEqual(['GitHub']);
+    });
+  });
+
+  describe('team and user IDs', () => {
+    let testClient;
+    let mockCallback;
+
+    beforeEach(() => {
+      testClient = new SlackClient(testAppToken, testBotToken, testTeamName, testChannelIds);
+      testClient.webClient = mockWebClient;
+      testClient.channelNames.set('C1234567890', 'general');
+      mockCallback = vi.fn();
+      testClient.setMessageCallback(mockCallback);
+      mockWebClient.users.info.mockResolvedValue({ ok: true, user: { name: 'alice' } });
+    });
+
+    it('should use the team ID carried by the event', async () => {
+      testClient.teamId = 'T0ENVELOPE';
+
+      await testClient.handleMessage({
+        type: 'message',
+        channel: 'C1234567890',
+        user: 'U012ABCDEF',
+        team: 'T0EVENT001',
+        text: 'hi',
+        ts: '1234567890.123456',
+      });
+
+      expect(mockCallback.mock.calls[0][0]).toMatchObject({
+        teamId: 'T0EVENT001',
+        userId: 'U012ABCDEF',
+      });
+    });
+
+    it('should fall back to the team ID from the Socket Mode envelope', async () => {
+      testClient.teamId = 'T0ENVELOPE';
+
+      await testClient.handleMessage({
+        type: 'message',
+        channel: 'C1234567890',
+        user: 'U012ABCDEF',
+        text: 'hi',
+        ts: '1234567890.123456',
+      });
+
+      expect(mockCallback.mock.calls[0][0].teamId).toBe('T0ENVELOPE');
+    });
+
+    it('should look up the author of messages arriving together once', async () => {
+      await Promise.all(
+        ['1234567890.000001', '1234567890.000002'].map((ts) =>
+          testClient.handleMessage({
+            type: 'message',
+            channel: 'C1234567890',
+            user: 'U012ABCDEF',
+            text: 'hi',
+            ts,
+          })
+        )
+      );
+
+      expect(mockWebClient.users.info).toHaveBeenCalledTimes(1);
+      expect(mockCallback.mock.calls.map(([message]) => message.user)).toEqual(['alice', 'alice']);
+    });
+  });
+
+  describe('mention resolution', () => {
+    let testClient;
+    let mockCallback;
+
+    beforeEach(() => {
+      testClient = new SlackClient(testAppToken, testBotToken, testTeamName, ['C1234567890']);
+      testClient.webClient = mockWebClient;
+      testClient.channelNames.set('C1234567890', 'general');
+      mockCallback = vi.fn();
+      testClient.setMessageCallback(mockCallback);
+      mockWebClient.users.info.mockImplementation(async ({ user }) => ({
+        ok: true,
+        user: { name: user === 'U0AUTHOR01' ? 'author' : 'bob' },
+      }));
+      mockWebClient.conversations.info.mockResolvedValue({
+        ok: true,
+        channel: { name: 'random' },
+      });
+    });
+
+    const sendMessage = (text) =>
+      testClient.handleMessage({
+        type: 'message',
+        channel: 'C1234567890',
+        user: 'U0AUTHOR01',
+        text,
+        ts: '1234567890.123456',
+      });
+
+    it('should resolve user and unlabelled channel mentions', async () => {
+      await sendMessage('<@U0MENTION1> see <#C0987654321> and <#C1111111111|ops>');
+
+      expect(mockCallback.mock.calls[0][0].mentions).toEqual({
+        users: { U0MENTION1: 'bob' },
+        channels: { C0987654321: 'random' },
+      });
+      expect(mockWebClient.conversations.info).toHaveBeenCalledTimes(1);
+    });
+
+    it('should cache user lookups across messages', async () => {
+      await sendMessage('<@U0MENTION1> hi');
+      await testClient.handleMessage({
+        type: 'message',
+        channel: 'C1234567890',
+        user: 'U0AUTHOR01',
+        text: '<@U0MENTION1> again',
+        ts: '1234567891.123456',
+      });
+
+      // One lookup for the author and one for the mentioned user
+      expect(mockWebClient.users.info).toHaveBeenCalledTimes(2);
+    });
+
+    it('should leave mentions unresolved when lookups fail', async () => {
+      mockWebClient.users.info.mockRejectedValue(new Error('user_not_found'));
+      mockWebClient.conversations.info.mockRejectedValue(new Error('channel_not_found'));
+
+      await sendMessage('<@U0MENTION1> <#C0987654321>');
+
+      expect(mockCallback.mock.calls[0][0].mentions).toEqual({ users: {}, channels: {} });
+    });
+
+    it('should resolve mentions in the previous text of edits', async () => {
+      await testClient.handleMessage({
+        type: 'message',
+        subtype: 'message_changed',
+        channel: 'C1234567890',
+        ts: '1234567999.000500',
+        message: { user: 'U0AUTHOR01', text: 'ping', ts: '1234567890.123456' },
+        previous_message: { user: 'U0AUTHOR01', text: 'ping <@U0MENTION1>' },
+      });
+
+      expect(mockCallback.mock.calls[0][0].mentions.users).toEqual({ U0MENTION1: 'bob' });
+    });
+  });
+
+  describe('edits and deletions', () => {
+    let testClient;
+    let mockCallback;
+
+    const editEvent = {
+      type: 'message',
+      subtype: 'message_changed',
+      channel: 'C1234567890',
+      ts: '1234567999.000500',
+      message: {
+        user: 'U1234567890',
+        text: 'Hello world!',
+        ts: '1234567890.123456',
+        edited: { user: 'U1234567890', ts: '1234567999.000000' },
+      },
+      previous_message: {
+        user: 'U1234567890',
+        text: 'Hello wrold',
+        ts: '1234567890.123456',
+      },
+    };
+
+    const deleteEvent = {
+      type: 'message',
+      subtype: 'message_deleted',
+      channel: 'C1234567890',
+      ts: '1234567999.000600',
+      deleted_ts: '1234567890.123456',
+      previous_message: {
+        user: 'U1234567890',
+        text: 'Oops, wrong channel',
+        ts: '1234567890.123456',
+      },
+    };
+
+    beforeEach(() => {
+      testClient = new SlackClient(testAppToken, testBotToken, testTeamName, ['C1234567890']);
+      testClient.webClient = mockWebClient;
+      testClient.channelNames.set('C1234567890', 'general');
+      mockWebClient.users.info.mockResolvedValue({ ok: true, user: { name: 'alice' } });
+      mockCallback = vi.fn();
+      testClient.setMessageCallback(mockCallback);
+    });
+
+    it('should emit edit events with original timestamp and both texts', async () => {
+      await testClient.handleMessage(editEvent);
+
+      expect(mockCallback).toHaveBeenCalledWith(
+        expect.objectContaining({
+          kind: 'edit',
+          team: testTeamName,
+          channel: 'general',
+          user: 'alice',
+          text: 'Hello world!',
+          previousText: 'Hello wrold',
+          timestamp: '1234567890.123456',
+          eventTs: '1234567999.000500',
+        })
+      );
+    });
+
+    it('should emit delete events with the deleted text', async () => {
+      await testClient.handleMessage(deleteEvent);
+
+      expect(mockCallback).toHaveBeenCalledWith(
+        expect.objectContaining({
+          kind: 'delete',
+          user: 'alice',
+          text: '',
+          previousText: 'Oops, wrong channel',
+          timestamp: '1234567890.123456',
+          eventTs: '1234567999.000600',
+        })
+      );
+    });
+
+    it('should ignore message_changed events that do not change the text', async () => {
+      await testClient.handleMessage({
+        ...editEvent,
+        message: { ...editEvent.message, text: 'Hello wrold', attachments: [{}] },
+      });
+
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should ignore edits of bot messages', async () => {
+      await testClient.handleMessage({
+        ...editEvent,
+        message: { ...editEvent.message, bot_id: 'B1234567890' },
+      });
+
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should report edits of messages older than the connection', async () => {
+      testClient.connectionTime = 1234567900;
+
+      await testClient.handleMessage(editEvent);
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip change events from before the connection', async () => {
+      testClient.connectionTime = 1234568000;
+
+      await testClient.handleMessage(deleteEvent);
+
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should deliver each change event only once', async () => {
+      await testClient.handleMessage(editEvent);
+      await testClient.handleMessage(editEvent);
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip edits of thread replies in channels hiding replies', async () => {
+      testClient.threadReplies = false;
+
+      await testClient.handleMessage({
+        ...editEvent,
+        message: { ...editEvent.message, thread_ts: '1234567800.000000' },
+      });
+
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('thread replies', () => {
+    let testClient;
+    let mockCallback;
+
+    const replyEvent = {
+      type: 'message',
+      channel: 'C1234567890',
+      user: 'U1234567890',
+      text: 'Agreed',
+      ts: '1234567899.000200',
+      thread_ts: '1234567890.000100',
+    };
+
+    beforeEach(() => {
+      mockWebClient.conversations.replies = vi.fn().mockResolvedValue({
+        ok: true,
+        messages: [{ text: 'Should we ship the release today or wait until Monday?' }],
+      });
+      mockWebClient.users.info.mockResolvedValue({ ok: true, user: { name: 'alice' } });
+      mockCallback = vi.fn();
+    });
+
+    const createClient = (options) => {
+      const client = new SlackClient(
+        testAppToken,
+        testBotToken,
+        testTeamName,
+        ['C1234567890', 'C0987654321'],
+        options
+      );
+      client.webClient = mockWebClient;
+      client.setMessageCallback(mockCallback);
+      return client;
+    };
+
+    it('should carry thread context and parent snippet for replies', async () => {
+      testClient = createClient();
+
+      await testClient.handleMessage(replyEvent);
+
+      expect(mockWebClient.conversations.replies).toHaveBeenCalledWith({
+        channel: 'C1234567890',
+        ts: '1234567890.000100',
+        limit: 1,
+      });
+      expect(mockCallback).toHaveBeenCalledWith(
+        expect.objectContaining({
+          threadTs: '1234567890.000100',
+          isThreadReply: true,
+          parentSnippet: 'Should we ship the release today…',
+        })
+      );
+    });
+
+    it('should not treat thread parents as replies', async () => {
+      testClient = createClient();
+
+      await testClient.handleMessage({ ...replyEvent, ts: '1234567890.000100' });
+
+      expect(mockWebClient.conversations.replies).not.toHaveBeenCalled();
+      expect(mockCallback).toHaveBeenCalledWith(
+        expect.objectContaining({
+          threadTs: '1234567890.000100',
+          isThreadReply: false,
+          parentSnippet: null,
+        })
+      );
+    });
+
+    it('should memoize parent snippets per thread', async () => {
+      testClient = createClient();
+
+      await testClient.handleMessage(replyEvent);
+      await testClient.handleMessage({ ...replyEvent, ts: '1234567899.000300' });
+
+      expect(mockWebClient.conversations.replies).toHaveBeenCalledTimes(1);
+      expect(mockCallback).toHaveBeenCalledTimes(2);
+      expect(mockCallback.mock.calls[1][0].parentSnippet).toBe('Should we ship the release today…');
+    });
+
+    it('should deliver replies without snippet when parent lookup fails', async () => {
+      mockWebClient.conversations.replies.mockRejectedValue(new Error('thread_not_found'));
+      testClient = createClient();
+
+      await testClient.handleMessage(replyEvent);
+
+      expect(mockCallback).toHaveBeenCalledWith(
+        expect.objectContaining({ isThreadReply: true, parentSnippet: null })
+      );
+    });
+
+    it('should hide replies when disabled for all channels', async () => {
+      testClient = createClient({ threadReplies: false });
+
+      await testClient.handleMessage(replyEvent);
+
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should hide replies only in channels configured to hide them', async () => {
+      testClient = createClient({ threadReplies: { C1234567890: false } });
+
+      await testClient.handleMessage(replyEvent);
+      await testClient.handleMessage({ ...replyEvent, channel: 'C0987654321' });
+
+      expect(mockCallback).toHaveBeenCalledTimes(1);
+      expect(mockCallback.mock.calls[0][0].channelId).toBe('C0987654321');
+    });
+
+    it('should use the default key for channels not listed', () => {
+      testClient = createClient({ threadReplies: { default: false, C0987654321: true } });
+
+      expect(testClient.shouldShowThreadReplies('C1234567890')).toBe(false);
+      expect(testClient.shouldShowThreadReplies('C0987654321')).toBe(true);
+    });
+  });
+
+  describe('Web API commands', () => {
+    let testClient;
+
+    beforeEach(() => {
+      mockWebClient.chat = { postMessage: vi.fn() };
+      mockWebClient.conversations.history = vi.fn();
+      testClient = new SlackClient(testAppToken, testBotToken, testTeamName, ['C1234567890']);
+    });
+
+    it('should initialize web client without connecting socket', () => {
+      testClient.initializeWebClient();
+
+      expect(testClient.webClient).toBe(mockWebClient);
+      expect(SocketModeClient).not.toHaveBeenCalled();
+      expect(testClient.isClientConnected()).toBe(false);
+    });
+
+    it('should post message and return its timestamp', async () => {
+      testClient.initializeWebClient();
+      mockWebClient.chat.postMessage.mockResolvedValue({ ok: true, ts: '1234567890.000100' });
+
+      const ts = await testClient.postMessage('C1234567890', 'Hello');
+
+      expect(ts).toBe('1234567890.000100');
+      expect(mockWebClient.chat.postMessage).toHaveBeenCalledWith({
+        channel: 'C1234567890',
+        text: 'Hello',
+      });
+    });
+
+    it('should throw error when posting without web client', async () => {
+      await expect(testClient.postMessage('C1234567890', 'Hello')).rejects.toThrow(
+        'Web client not initialized'
+      );
+    });
+
+    it('should fetch history in chronological order without bot messages', async () => {
+      testClient.initializeWebClient();
+      testClient.channelNames.set('C1234567890', 'general');
+      mockWebClient.users.info.mockResolvedValue({ ok: true, user: { name: 'alice' } });
+      mockWebClient.conversations.history.mockResolvedValue({
+        ok: true,
+        messages: [
+          { user: 'U1', text: 'second', ts: '1234567892.000000' },
+          { bot_id: 'B1', text: 'bot', ts: '1234567891.500000' },
+          { user: 'U1', text: 'first', ts: '1234567891.000000' },
+        ],
+      });
+
+      const messages = await testClient.fetchHistory('C1234567890', 5);
+
+      expect(mockWebClient.conversations.history).toHaveBeenCalledWith({
+        channel: 'C1234567890',
+        limit: 5,
+      });
+      expect(messages.map((message) => message.text)).toEqual(['first', 'second']);
+      expect(messages[0]).toMatchObject({
+        team: testTeamName,
+        channel: 'general',
+        channelId: 'C1234567890',
+        user: 'alice',
+      });
     });
 
-    it('should not connect if team is invalidated', async () => {
-      slackClient.isInvalidated = true;
-      await slackClient.connect();
-      expect(mockSocketModeClient.start).not.toHaveBeenCalled();
+    it('should throw error when history request fails', async () => {
+      testClient.initializeWebClient();
+      mockWebClient.conversations.history.mockResolvedValue({
+        ok: false,
+        error: 'not_in_channel',
+      });
+
+      await expect(testClient.fetchHistory('C1234567890')).rejects.toThrow(
+        'Failed to fetch history: not_in_channel'
+      );
     });
   });
 
-  describe('subscribeToChannels', () => {
-    it('should subscribe to valid channels', async () => {
-      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, [
-        ...testChannelIds,
-      ]);
-      testClient.webClient = mockWebClient;
-
-      mockWebClient.conversations.info
-        .mockResolvedValueOnce({ ok: true, channel: { name: 'general' } })
-        .mockResolvedValueOnce({ ok: true, channel: { name: 'random' } });
+  describe('backfill', () => {
+    let backfillClient;
 
-      await testClient.subscribeToChannels();
+    const createClient = (backfill) => {
+      const client = new SlackClient(testAppToken, testBotToken, testTeamName, ['C1234567890'], {
+        backfill,
+      });
+      client.initializeWebClient();
+      client.channelNames.set('C1234567890', 'general');
+      client.connectionTime = 1700000000;
+      return client;
+    };
 
-      expect(mockWebClient.conversations.info).toHaveBeenCalledTimes(2);
-      expect(testClient.channelNames.get('C1234567890')).toBe('general');
-      expect(testClient.channelNames.get('C0987654321')).toBe('random');
+    beforeEach(() => {
+      mockWebClient.conversations.history = vi.fn();
+      mockWebClient.users.info.mockResolvedValue({ ok: true, user: { name: 'alice' } });
     });
 
-    it('should skip invalid channels', async () => {
-      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, [
-        ...testChannelIds,
-      ]);
-      testClient.webClient = mockWebClient;
+    it('should resolve the setting per channel', () => {
+      backfillClient = createClient({ default: 10, C0987654321: '1h' });
 
-      mockWebClient.conversations.info
-        .mockResolvedValueOnce({ ok: true, channel: { name: 'general' } })
-        .mockResolvedValueOnce({ ok: false });
+      expect(backfillClient.getBackfillSetting('C1234567890')).toBe(10);
+      expect(backfillClient.getBackfillSetting('C0987654321')).toBe('1h');
+      expect(createClient(5).getBackfillSetting('C1234567890')).toBe(5);
+      expect(createClient(undefined).getBackfillSetting('C1234567890')).toBeNull();
+    });
 
-      await testClient.subscribeToChannels();
+    it('should fetch a number of messages from before the connection', async () => {
+      backfillClient = createClient(2);
+      mockWebClient.conversations.history.mockResolvedValue({
+        ok: true,
+        messages: [
+          { user: 'U1', text: 'second', ts: '1699999992.000000' },
+          { user: 'U1', text: 'first', ts: '1699999991.000000' },
+        ],
+      });
 
-      expect(testClient.channelIds).toEqual(['C1234567890']);
-      expect(testClient.channelNames.get('C1234567890')).toBe('general');
+      const messages = await backfillClient.fetchBackfill();
+
+      expect(mockWebClient.conversations.history).toHaveBeenCalledWith({
+        channel: 'C1234567890',
+        limit: 2,
+        latest: '1700000000',
+      });
+      expect(messages.map((message) => message.text)).toEqual(['first', 'second']);
+      expect(messages[0]).toMatchObject({ channel: 'general', user: 'alice', historical: true });
     });
 
-    it('should handle channel access errors', async () => {
-      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, [
-        ...testChannelIds,
-      ]);
-      testClient.webClient = mockWebClient;
+    it('should page through a duration', async () => {
+      vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+      backfillClient = createClient('1h');
+      mockWebClient.conversations.history
+        .mockResolvedValueOnce({
+          ok: true,
+          messages: [{ user: 'U1', text: 'newer', ts: '1699999000.000000' }],
+          has_more: true,
+          response_metadata: { next_cursor: 'page2' },
+        })
+        .mockResolvedValueOnce({
+          ok: true,
+          messages: [{ user: 'U1', text: 'older', ts: '1699998000.000000' }],
+          has_more: false,
+        });
 
-      mockWebClient.conversations.info
-        .mockResolvedValueOnce({ ok: true, channel: { name: 'general' } })
-        .mockRejectedValueOnce(new Error('Access denied'));
+      const messages = await backfillClient.fetchBackfill();
 
-      await testClient.subscribeToChannels();
+      expect(mockWebClient.conversations.history).toHaveBeenNthCalledWith(1, {
+        channel: 'C1234567890',
+        limit: 200,
+        latest: '1700000000',
+        oldest: '1699996400',
+      });
+      expect(mockWebClient.conversations.history).toHaveBeenNthCalledWith(2, {
+        channel: 'C1234567890',
+        limit: 200,
+        latest: '1700000000',
+        oldest: '1699996400',
+        cursor: 'page2',
+      });
+      expect(messages.map((message) => message.text)).toEqual(['older', 'newer']);
+    });
 
-      expect(testClient.channelIds).toEqual(['C1234567890']);
+    it('should skip bot messages and messages already shown', async () => {
+      backfillClient = createClient(5);
+      backfillClient._markAsProcessed('C1234567890-1699999993.000000-');
+      mockWebClient.conversations.history.mockResolvedValue({
+        ok: true,
+        messages: [
+          { user: 'U1', text: 'seen', ts: '1699999993.000000' },
+          { bot_id: 'B1', text: 'bot', ts: '1699999992.000000' },
+          { user: 'U1', text: 'new', ts: '1699999991.000000' },
+        ],
+      });
+
+      const messages = await backfillClient.fetchBackfill();
+
+      expect(messages.map((message) => message.text)).toEqual(['new']);
     });
 
-    it('should throw error if no valid channels', async () => {
-      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, [
-        ...testChannelIds,
-      ]);
-      testClient.webClient = mockWebClient;
+    it('should not show backfilled messages again when they arrive live', async () => {
+      backfillClient = createClient(5);
+      backfillClient.connectionTime = null;
+      const callback = vi.fn();
+      backfillClient.setMessageCallback(callback);
+      mockWebClient.conversations.history.mockResolvedValue({
+        ok: true,
+        messages: [{ user: 'U1', text: 'hello', ts: '1699999991.000000' }],
+      });
 
-      mockWebClient.conversations.info.mockResolvedValue({ ok: false });
+      await backfillClient.fetchBackfill();
+      await backfillClient.handleMessage({
+        type: 'message',
+        channel: 'C1234567890',
+        user: 'U1',
+        text: 'hello',
+        ts: '1699999991.000000',
+      });
 
-      await expect(testClient.subscribeToChannels()).rejects.toThrow(
-        'No valid channels available for subscription'
-      );
+      expect(callback).not.toHaveBeenCalled();
     });
 
-    it('should throw error if web client not initialized', async () => {
-      const testClient = new SlackClient(testAppToken, testBotToken, testTeamName, [
-        ...testChannelIds,
-      ]);
-      testClient.webClient = null;
+    it('should skip channels without backfill or whose history cannot be read', async () => {
+      const { logger } = await import('../../src/utils/Logger.js');
+      backfillClient = createClient({ C1234567890: 5 });
+      backfillClient.channelIds = ['C1234567890', 'C0987654321'];
+      mockWebClient.conversations.history.mockResolvedValue({ ok: false, error: 'not_in_channel' });
 
-      await expect(testClient.subscribeToChannels()).rejects.toThrow('Web client not initialized');
+      await expect(backfillClient.fetchBackfill()).resolves.toEqual([]);
+
+      expect(mockWebClient.conversations.history).toHaveBeenCalledTimes(1);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Team: test-team, Channel: C1234567890 backfill skipped - Failed to fetch history: not_in_channel'
+      );
     });
   });
 
-  describe('handleMessage', () => {
-    let testClient;
+  describe('state store', () => {
+    let stateStore;
+    let stateClient;
+
+    const createClient = (options) => {
+      const client = new SlackClient(testAppToken, testBotToken, testTeamName, ['C1234567890'], {
+        stateStore,
+        ...options,
+      });
+      client.initializeWebClient();
+      client.connectionTime = 1700000000;
+      return client;
+    };
 
     beforeEach(() => {
-      testClient = new SlackClient(testAppToken, testBotToken, testTeamName, ['C1234567890']);
-      testClient.webClient = mockWebClient;
-      testClient.channelNames.set('C1234567890', 'general');
+      stateStore = {
+        getLastSeen: vi.fn().mockReturnValue(null),
+        setLastSeen: vi.fn(),
+        getChannelName: vi.fn().mockReturnValue(null),
+        setChannelName: vi.fn(),
+        getUserName: vi.fn().mockReturnValue(null),
+        setUserName: vi.fn(),
+      };
+      mockWebClient.conversations.history = vi.fn().mockResolvedValue({ ok: true, messages: [] });
+      mockWebClient.users.info.mockResolvedValue({ ok: true, user: { name: 'alice' } });
     });
 
-    it('should process valid message', async () => {
-      const mockCallback = vi.fn();
-      testClient.setMessageCallback(mockCallback);
-
-      mockWebClient.users.info.mockResolvedValue({
+    it('should backfill from the stored position with sinceLastRun', async () => {
+      stateStore.getLastSeen.mockReturnValue('1699990000.000100');
+      stateClient = createClient({ sinceLastRun: true, backfill: 5 });
+      stateClient.channelNames.set('C1234567890', 'general');
+      mockWebClient.conversations.history.mockResolvedValue({
         ok: true,
-        user: { display_name: 'Test User' },
+        messages: [{ user: 'U1', text: 'missed', ts: '1699995000.000000' }],
       });
 
-      const event = {
-        type: 'message',
+      const messages = await stateClient.fetchBackfill();
+
+      expect(stateStore.getLastSeen).toHaveBeenCalledWith('test-team', 'C1234567890');
+      expect(mockWebClient.conversations.history).toHaveBeenCalledWith({
         channel: 'C1234567890',
-        user: 'U1234567890',
-        text: 'Hello world',
-        ts: '1234567890.123456',
-      };
+        limit: 200,
+        latest: '1700000000',
+        oldest: '1699990000.000100',
+      });
+      expect(messages.map((message) => message.text)).toEqual(['missed']);
+      expect(messages[0].historical).toBe(true);
+    });
 
-      await testClient.handleMessage(event);
+    it('should use the backfill setting for channels without a stored position', async () => {
+      stateClient = createClient({ sinceLastRun: true, backfill: 5 });
 
-      expect(mockCallback).toHaveBeenCalledWith({
-        team: testTeamName,
-        channel: 'general',
-        channelId: 'C1234567890',
-        user: 'Test User',
-        text: 'Hello world',
-        timestamp: '1234567890.123456',
-        formattedTime: expect.any(Date),
+      await stateClient.fetchBackfill();
+
+      expect(mockWebClient.conversations.history).toHaveBeenCalledWith({
+        channel: 'C1234567890',
+        limit: 5,
+        latest: '1700000000',
       });
     });
 
-    it('should skip messages from non-subscribed channels', async () => {
-      const mockCallback = vi.fn();
-      testClient.setMessageCallback(mockCallback);
+    it('should ignore the stored position without sinceLastRun', async () => {
+      stateStore.getLastSeen.mockReturnValue('1699990000.000100');
+      stateClient = createClient({});
 
-      const event = {
+      await expect(stateClient.fetchBackfill()).resolves.toEqual([]);
+      expect(mockWebClient.conversations.history).not.toHaveBeenCalled();
+    });
+
+    it('should save the position of messages once they are delivered', async () => {
+      stateClient = createClient({});
+      const callback = vi.fn();
+      stateClient.setMessageCallback(callback);
+
+      await stateClient.handleMessage({
         type: 'message',
-        channel: 'C9999999999',
-        user: 'U1234567890',
-        text: 'Hello world',
-        ts: '1234567890.123456',
-      };
+        channel: 'C1234567890',
+        user: 'U1',
+        text: 'hello',
+        ts: '1700000001.000000',
+      });
+      expect(stateStore.setLastSeen).not.toHaveBeenCalled();
 
-      await testClient.handleMessage(event);
+      const [message] = callback.mock.calls[0];
+      stateClient.recordDelivered(message);
+      stateClient.recordDelivered({ ...message, kind: 'edit', timestamp: '1700000002.000000' });
 
-      expect(mockCallback).not.toHaveBeenCalled();
+      expect(stateStore.setLastSeen).toHaveBeenCalledTimes(1);
+      expect(stateStore.setLastSeen).toHaveBeenCalledWith(
+        'test-team',
+        'C1234567890',
+        '1700000001.000000'
+      );
     });
 
-    it('should skip bot messages', async () => {
-      const mockCallback = vi.fn();
-      testClient.setMessageCallback(mockCallback);
+    it('should record looked-up names', async () => {
+      stateClient = createClient({});
+      stateClient.setMessageCallback(vi.fn());
+      mockWebClient.conversations.info.mockResolvedValue({
+        ok: true,
+        channel: { name: 'random' },
+      });
 
-      const event = {
+      await stateClient.handleMessage({
         type: 'message',
         channel: 'C1234567890',
-        bot_id: 'B1234567890',
-        text: 'Bot message',
-        ts: '1234567890.123456',
-      };
-
-      await testClient.handleMessage(event);
+        user: 'U1',
+        text: 'see <#C0987654321>',
+        ts: '1700000001.000000',
+      });
 
-      expect(mockCallback).not.toHaveBeenCalled();
+      expect(stateStore.setUserName).toHaveBeenCalledWith('test-team', 'U1', 'alice');
+      expect(stateStore.setChannelName).toHaveBeenCalledWith('test-team', 'C0987654321', 'random');
     });
 
-    it('should skip messages with subtypes', async () => {
-      const mockCallback = vi.fn();
-      testClient.setMessageCallback(mockCallback);
+    it('should fall back to stored names when lookups fail', async () => {
+      stateStore.getUserName.mockReturnValue('alice');
+      stateStore.getChannelName.mockReturnValue('general');
+      stateClient = createClient({});
+      const callback = vi.fn();
+      stateClient.setMessageCallback(callback);
+      mockWebClient.users.info.mockRejectedValue(new Error('ratelimited'));
+      mockWebClient.conversations.info.mockRejectedValue(new Error('ratelimited'));
 
-      const event = {
+      await stateClient.handleMessage({
         type: 'message',
         channel: 'C1234567890',
-        user: 'U1234567890',
-        text: 'Message edited',
-        subtype: 'message_changed',
-        ts: '1234567890.123456',
-      };
+        user: 'U1',
+        text: 'hello',
+        ts: '1700000001.000000',
+      });
 
-      await testClient.handleMessage(event);
+      expect(callback).toHaveBeenCalledWith(
+        expect.objectContaining({ user: 'alice', channel: 'general' })
+      );
+    });
+  });
 
-      expect(mockCallback).not.toHaveBeenCalled();
+  describe('recovery after reconnect', () => {
+    let callback;
+
+    const liveEvent = (text, ts, channel = 'C1234567890') => ({
+      type: 'message',
+      channel,
+      user: 'U1',
+      text,
+      ts,
     });
 
-    it('should handle user info fetch error', async () => {
-      const mockCallback = vi.fn();
-      testClient.setMessageCallback(mockCallback);
+    beforeEach(async () => {
+      mockWebClient.conversations.info.mockResolvedValue({
+        ok: true,
+        channel: { name: 'general' },
+      });
+      mockWebClient.conversations.history = vi.fn().mockResolvedValue({ ok: true, messages: [] });
+      mockWebClient.users.info.mockResolvedValue({ ok: true, user: { name: 'alice' } });
+      callback = vi.fn();
+      slackClient.setMessageCallback(callback);
 
-      mockWebClient.users.info.mockRejectedValue(new Error('User not found'));
+      vi.spyOn(Date, 'now').mockReturnValue(1700000000000);
+      await slackClient.connect();
+    });
 
-      const event = {
-        type: 'message',
+    const simulateReconnect = async () => {
+      slackClient.isConnected = false;
+      Date.now.mockReturnValue(1700000600000);
+      await slackClient.connect();
+    };
+
+    it('should not fetch history on the first connection', () => {
+      expect(mockWebClient.conversations.history).not.toHaveBeenCalled();
+    });
+
+    it('should remember the newest message seen per channel', async () => {
+      await slackClient.handleMessage(liveEvent('second', '1700000002.000000'));
+      await slackClient.handleMessage(liveEvent('first', '1700000001.000000'));
+
+      expect(slackClient.lastSeenTs.get('C1234567890')).toBe('1700000002.000000');
+    });
+
+    it('should replay missed messages in order, flagged as recovered', async () => {
+      await slackClient.handleMessage(liveEvent('before', '1700000002.000000'));
+      callback.mockClear();
+      mockWebClient.conversations.history.mockImplementation(async ({ channel }) => ({
+        ok: true,
+        messages:
+          channel === 'C1234567890'
+            ? [
+                { user: 'U1', text: 'missed 3', ts: '1700000300.000000' },
+                { user: 'U1', text: 'missed 1', ts: '1700000100.000000' },
+              ]
+            : [{ user: 'U1', text: 'missed 2', ts: '1700000200.000000' }],
+      }));
+
+      await simulateReconnect();
+
+      expect(mockWebClient.conversations.history).toHaveBeenCalledWith({
         channel: 'C1234567890',
-        user: 'U1234567890',
-        text: 'Hello world',
-        ts: '1234567890.123456',
-      };
+        limit: 200,
+        latest: '1700000600',
+        oldest: '1700000002.000000',
+      });
+      expect(mockWebClient.conversations.history).toHaveBeenCalledWith({
+        channel: 'C0987654321',
+        limit: 200,
+        latest: '1700000600',
+        oldest: '1700000000',
+      });
+      expect(callback.mock.calls.map(([message]) => message.text)).toEqual([
+        'missed 1',
+        'missed 2',
+        'missed 3',
+      ]);
+      expect(callback.mock.calls[0][0]).toMatchObject({ recovered: true, channel: 'general' });
+    });
 
-      await testClient.handleMessage(event);
+    it('should pass on live messages after the recovered ones', async () => {
+      mockWebClient.conversations.history.mockImplementation(async ({ channel }) => {
+        if (channel === 'C1234567890') {
+          await slackClient.handleMessage(liveEvent('live', '1700000601.000000'));
+        }
+        return {
+          ok: true,
+          messages:
+            channel === 'C1234567890'
+              ? [{ user: 'U1', text: 'missed', ts: '1700000100.000000' }]
+              : [],
+        };
+      });
+      await simulateReconnect();
 
-      expect(mockCallback).toHaveBeenCalledWith({
-        team: testTeamName,
-        channel: 'general',
-        channelId: 'C1234567890',
-        user: 'U1234567890',
-        text: 'Hello world',
-        timestamp: '1234567890.123456',
-        formattedTime: expect.any(Date),
+      expect(callback.mock.calls.map(([message]) => message.text)).toEqual(['missed', 'live']);
+      expect(slackClient.heldMessages).toBeNull();
+    });
+
+    it('should recover when Socket Mode reconnects by itself', async () => {
+      const socketHandler = (eventType) =>
+        mockSocketModeClient.on.mock.calls.find((call) => call[0] === eventType)[1];
+      await slackClient.handleMessage(liveEvent('before', '1700000002.000000'));
+      callback.mockClear();
+      mockWebClient.conversations.history.mockImplementation(async ({ channel }) => {
+        if (channel === 'C1234567890') {
+          await slackClient.handleMessage(liveEvent('live', '1700000601.000000'));
+        }
+        return {
+          ok: true,
+          messages:
+            channel === 'C1234567890'
+              ? [{ user: 'U1', text: 'missed', ts: '1700000100.000000' }]
+              : [],
+        };
+      });
+
+      Date.now.mockReturnValue(1700000300000);
+      socketHandler('reconnecting')();
+      expect(slackClient.isConnected).toBe(false);
+      Date.now.mockReturnValue(1700000600000);
+      await socketHandler('connected')();
+
+      expect(mockSocketModeClient.start).toHaveBeenCalledTimes(1);
+      expect(mockWebClient.conversations.history).toHaveBeenCalledWith({
+        channel: 'C1234567890',
+        limit: 200,
+        latest: '1700000600',
+        oldest: '1700000002.000000',
       });
+      expect(mockWebClient.conversations.history).toHaveBeenCalledWith({
+        channel: 'C0987654321',
+        limit: 200,
+        latest: '1700000600',
+        oldest: '1700000300',
+      });
+      expect(callback.mock.calls.map(([message]) => message.text)).toEqual(['missed', 'live']);
+      expect(callback.mock.calls[0][0].recovered).toBe(true);
+      expect(slackClient.isConnected).toBe(true);
+      expect(slackClient.heldMessages).toBeNull();
+    });
+
+    it('should not fetch history on connected events without a lost connection', async () => {
+      const connectedHandler = mockSocketModeClient.on.mock.calls.find(
+        (call) => call[0] === 'connected'
+      )[1];
+
+      await connectedHandler();
+
+      expect(mockWebClient.conversations.history).not.toHaveBeenCalled();
+    });
+
+    it('should skip channels whose history cannot be read', async () => {
+      mockWebClient.conversations.history.mockResolvedValue({ ok: false, error: 'not_in_channel' });
+      slackClient.channelIds = ['C1234567890'];
+
+      await simulateReconnect();
+
+      const { logger } = await import('../../src/utils/Logger.js');
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Team: test-team, Channel: C1234567890 could not recover missed messages - Failed to fetch history: not_in_channel'
+      );
+      expect(slackClient.isConnected).toBe(true);
     });
   });
 
@@ -565,6 +2167,30 @@ describe('SlackClient', () => {
       expect(mockSocketModeClient.on).toHaveBeenCalledWith('error', expect.any(Function));
     });
 
+    it('should pass channel events on to handleChannelEvent', async () => {
+      const handleChannelEventSpy = vi.spyOn(testClient, 'handleChannelEvent');
+      const event = { type: 'channel_created', channel: { id: 'C5555555555', name: 'new' } };
+
+      for (const eventType of ['channel_created', 'channel_rename', 'member_joined_channel']) {
+        const handler = mockSocketModeClient.on.mock.calls.find((call) => call[0] === eventType)[1];
+        await handler({ event });
+      }
+
+      expect(handleChannelEventSpy).toHaveBeenCalledTimes(3);
+      expect(handleChannelEventSpy).toHaveBeenCalledWith(event);
+    });
+
+    it('should pass user events on to the user directory', async () => {
+      for (const eventType of ['user_change', 'team_join']) {
+        const handler = mockSocketModeClient.on.mock.calls.find((call) => call[0] === eventType)[1];
+        handler({ event: { type: eventType, user: { id: `U-${eventType}`, name: eventType } } });
+      }
+
+      expect(await testClient.userDirectory.getName('U-user_change')).toBe('user_change');
+      expect(await testClient.userDirectory.getName('U-team_join')).toBe('team_join');
+      expect(mockWebClient.users.info).not.toHaveBeenCalled();
+    });
+
     it('should handle connected event', () => {
       // Get the connected event handler
       const connectedHandler = mockSocketModeClient.on.mock.calls.find(
@@ -877,7 +2503,15 @@ describe('SlackClient', () => {
       });
 
       it('should validate correct channel ID formats', () => {
-        const validChannelIds = ['C1234567890', 'CABCDEFGHIJ', 'C0123456789'];
+        const validChannelIds = [
+          'C1234567890',
+          'CABCDEFGHIJ',
+          'C0123456789',
+          'C024BE91L', // older, shorter ID
+          'C0123456789AB', // newer, longer ID
+          'G1234567890', // private channel or group DM
+          'D1234567890', // DM
+        ];
 
         for (const channelId of validChannelIds) {
           expect(testClient.isValidChannelIdFormat(channelId)).toBe(true);
@@ -886,9 +2520,8 @@ describe('SlackClient', () => {
 
       it('should reject invalid channel ID formats', () => {
         const invalidChannelIds = [
-          'C123456789', // too short
-          'C12345678901', // too long
-          'D1234567890', // wrong prefix
+          'C1234567', // too short
+          'U1234567890', // user ID
           'c1234567890', // lowercase
           '1234567890', // no prefix
           '', // empty
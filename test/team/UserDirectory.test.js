@@ -0,0 +1,202 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { UserDirectory } from '../../src/team/UserDirectory.js';
+import { logger } from '../../src/utils/Logger.js';
+
+vi.mock('../../src/utils/Logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+describe('UserDirectory', () => {
+  let webClient;
+  let stateStore;
+  let directory;
+
+  const createDirectory = (options = {}) =>
+    new UserDirectory('test-team', () => webClient, { stateStore, ...options });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    webClient = {
+      users: {
+        info: vi.fn().mockResolvedValue({ ok: true, user: { id: 'U1', name: 'alice' } }),
+        list: vi.fn().mockResolvedValue({ ok: true, members: [] }),
+      },
+    };
+    stateStore = { getUserName: vi.fn().mockReturnValue(null), setUserName: vi.fn() };
+    directory = createDirectory();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('getDisplayName', () => {
+    it('should prefer the display name, then the real name, then the handle', () => {
+      expect(UserDirectory.getDisplayName({ name: 'al', profile: { display_name: 'Al' } })).toBe(
+        'Al'
+      );
+      expect(
+        UserDirectory.getDisplayName({
+          name: 'al',
+          real_name: 'Alice',
+          profile: { display_name: '' },
+        })
+      ).toBe('Alice');
+      expect(UserDirectory.getDisplayName({ name: 'al' })).toBe('al');
+      expect(UserDirectory.getDisplayName({})).toBeNull();
+    });
+  });
+
+  describe('warm', () => {
+    it('should load every page of users', async () => {
+      webClient.users.list
+        .mockResolvedValueOnce({
+          ok: true,
+          members: [{ id: 'U1', name: 'alice' }],
+          response_metadata: { next_cursor: 'page2' },
+        })
+        .mockResolvedValueOnce({ ok: true, members: [{ id: 'U2', real_name: 'Bob' }] });
+
+      await directory.warm();
+
+      expect(webClient.users.list).toHaveBeenLastCalledWith({ limit: 200, cursor: 'page2' });
+      expect(await directory.getName('U1')).toBe('alice');
+      expect(await directory.getName('U2')).toBe('Bob');
+      expect(webClient.users.info).not.toHaveBeenCalled();
+      expect(logger.info).toHaveBeenCalledWith('Team: test-team, Loaded 2 users');
+    });
+
+    it('should not load the users again within the TTL', async () => {
+      vi.useFakeTimers();
+      directory = createDirectory({ ttlMs: 1000 });
+
+      await directory.warm();
+      await directory.warm();
+      expect(webClient.users.list).toHaveBeenCalledTimes(1);
+
+      vi.advanceTimersByTime(1000);
+      await directory.warm();
+      expect(webClient.users.list).toHaveBeenCalledTimes(2);
+    });
+
+    it('should share a load that is already running', async () => {
+      await Promise.all([directory.warm(), directory.warm()]);
+
+      expect(webClient.users.list).toHaveBeenCalledTimes(1);
+    });
+
+    it('should warn and carry on when users cannot be listed', async () => {
+      webClient.users.list.mockResolvedValue({ ok: false, error: 'missing_scope' });
+
+      await directory.warm();
+
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Team: test-team, Could not load users, looking them up one by one: Failed to list users: missing_scope'
+      );
+      expect(await directory.getName('U1')).toBe('alice');
+    });
+  });
+
+  describe('getName', () => {
+    it('should look up unknown users once and remember them', async () => {
+      expect(await directory.getName('U1')).toBe('alice');
+      expect(await directory.getName('U1')).toBe('alice');
+
+      expect(webClient.users.info).toHaveBeenCalledTimes(1);
+      expect(webClient.users.info).toHaveBeenCalledWith({ user: 'U1' });
+      expect(stateStore.setUserName).toHaveBeenCalledWith('test-team', 'U1', 'alice');
+    });
+
+    it('should share one request between concurrent lookups of a user', async () => {
+      const names = await Promise.all([
+        directory.getName('U1'),
+        directory.getName('U1'),
+        directory.getName('U1'),
+      ]);
+
+      expect(names).toEqual(['alice', 'alice', 'alice']);
+      expect(webClient.users.info).toHaveBeenCalledTimes(1);
+    });
+
+    it('should look users up again once the TTL has expired', async () => {
+      vi.useFakeTimers();
+      directory = createDirectory({ ttlMs: 1000 });
+      await directory.getName('U1');
+      webClient.users.info.mockResolvedValue({ ok: true, user: { id: 'U1', name: 'alice2' } });
+
+      vi.advanceTimersByTime(1000);
+
+      expect(await directory.getName('U1')).toBe('alice2');
+      expect(webClient.users.info).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep the last known name when a lookup fails', async () => {
+      vi.useFakeTimers();
+      directory = createDirectory({ ttlMs: 1000 });
+      await directory.getName('U1');
+      webClient.users.info.mockRejectedValue(new Error('ratelimited'));
+
+      vi.advanceTimersByTime(1000);
+
+      expect(await directory.getName('U1')).toBe('alice');
+    });
+
+    it('should fall back to the stored name, then null', async () => {
+      webClient.users.info.mockRejectedValue(new Error('user_not_found'));
+      stateStore.getUserName.mockImplementation((team, userId) => (userId === 'U1' ? 'al' : null));
+
+      expect(await directory.getName('U1')).toBe('al');
+      expect(await directory.getName('U2')).toBeNull();
+    });
+
+    it('should not repeat failed lookups right away', async () => {
+      vi.useFakeTimers();
+      webClient.users.info.mockResolvedValue({ ok: false, error: 'user_not_found' });
+
+      await directory.getName('U9');
+      await directory.getName('U9');
+      expect(webClient.users.info).toHaveBeenCalledTimes(1);
+
+      vi.advanceTimersByTime(60 * 1000);
+      await directory.getName('U9');
+      expect(webClient.users.info).toHaveBeenCalledTimes(2);
+    });
+
+    it('should use stored names without a web client', async () => {
+      webClient = null;
+      stateStore.getUserName.mockReturnValue('al');
+
+      expect(await directory.getName('U1')).toBe('al');
+    });
+  });
+
+  describe('update', () => {
+    it('should take in changed and new users', async () => {
+      directory.update({ id: 'U1', profile: { display_name: 'Alice B.' } });
+      directory.update({ id: 'U2', name: 'newbie' });
+
+      expect(await directory.getName('U1')).toBe('Alice B.');
+      expect(await directory.getName('U2')).toBe('newbie');
+      expect(webClient.users.info).not.toHaveBeenCalled();
+    });
+
+    it('should only persist changes to users remembered before', () => {
+      stateStore.getUserName.mockImplementation((team, userId) =>
+        userId === 'U1' ? 'alice' : null
+      );
+
+      directory.update({ id: 'U1', name: 'alice2' });
+      directory.update({ id: 'U2', name: 'bob' });
+
+      expect(stateStore.setUserName).toHaveBeenCalledTimes(1);
+      expect(stateStore.setUserName).toHaveBeenCalledWith('test-team', 'U1', 'alice2');
+    });
+
+    it('should ignore records without an ID or name', () => {
+      directory.update(undefined);
+      directory.update({ id: 'U1' });
+
+      expect(directory.entries.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { DateFormatter } from '../../src/utils/DateFormatter.js';
+
+describe('DateFormatter', () => {
+  const date = new Date('2024-03-05T07:08:09.045Z');
+  const formatter = new DateFormatter({ timeZone: 'UTC' });
+
+  describe('format', () => {
+    it('should format numeric tokens', () => {
+      expect(formatter.format(date, 'YYYY-MM-DD HH:mm:ss.SSS')).toBe('2024-03-05 07:08:09.045');
+      expect(formatter.format(date, 'YY/M/D H:m:s')).toBe('24/3/5 7:8:9');
+    });
+
+    it('should format names and 12-hour clock tokens', () => {
+      expect(formatter.format(date, 'ddd D MMM')).toBe('Tue 5 Mar');
+      expect(formatter.format(date, 'hh:mm A')).toBe('07:08 AM');
+      expect(formatter.format(new Date('2024-03-05T00:30:00Z'), 'h:mm a')).toBe('12:30 am');
+      expect(formatter.format(new Date('2024-03-05T13:30:00Z'), 'h:mm A')).toBe('1:30 PM');
+    });
+
+    it('should copy bracketed text literally', () => {
+      expect(formatter.format(date, '[at] HH:mm [Day]')).toBe('at 07:08 Day');
+    });
+
+    it('should return empty string for invalid dates', () => {
+      expect(formatter.format(new Date('invalid'), 'HH:mm')).toBe('');
+      expect(formatter.format(null, 'HH:mm')).toBe('');
+    });
+  });
+
+  describe('time zones', () => {
+    it('should format in the configured time zone', () => {
+      const tokyo = new DateFormatter({ timeZone: 'Asia/Tokyo' });
+      expect(tokyo.format(date, 'YYYY-MM-DD HH:mm')).toBe('2024-03-05 16:08');
+    });
+
+    it('should roll over the date across time zones', () => {
+      const newYork = new DateFormatter({ timeZone: 'America/New_York' });
+      expect(newYork.format(new Date('2024-03-05T02:00:00Z'), 'YYYY-MM-DD HH:mm')).toBe(
+        '2024-03-04 21:00'
+      );
+    });
+
+    it('should throw for unknown time zones', () => {
+      expect(() => new DateFormatter({ timeZone: 'Mars/Olympus' })).toThrow(RangeError);
+    });
+  });
+
+  describe('getParts', () => {
+    it('should split a date into calendar fields', () => {
+      expect(formatter.getParts(date)).toEqual({
+        year: 2024,
+        month: 3,
+        day: 5,
+        weekday: 'Tue',
+        hour: 7,
+        minute: 8,
+        second: 9,
+        millisecond: 45,
+      });
+    });
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, expect, it } from 'vitest';
+import { parseDuration } from '../../src/utils/Duration.js';
+
+describe('parseDuration', () => {
+  it('should parse seconds, minutes, hours and days', () => {
+    expect(parseDuration('30s')).toBe(30000);
+    expect(parseDuration('15m')).toBe(900000);
+    expect(parseDuration('2h')).toBe(7200000);
+    expect(parseDuration('1d')).toBe(86400000);
+  });
+
+  it('should ignore surrounding whitespace', () => {
+    expect(parseDuration(' 5m ')).toBe(300000);
+  });
+
+  it('should return null for anything else', () => {
+    expect(parseDuration('5')).toBeNull();
+    expect(parseDuration('1.5h')).toBeNull();
+    expect(parseDuration('2w')).toBeNull();
+    expect(parseDuration('')).toBeNull();
+    expect(parseDuration(300)).toBeNull();
+    expect(parseDuration(undefined)).toBeNull();
+  });
+});
@@ -90,6 +90,27 @@ describe('Logger', () => {
       expect(mockStderr.mock.calls[1][0]).toMatch(/^\[WARN\] Second message\n$/);
       expect(mockStderr.mock.calls[2][0]).toMatch(/^\[ERROR\] Third message\n$/);
     });
+
+    it('should suppress info messages in quiet mode', () => {
+      loggerInstance.setQuiet(true);
+
+      loggerInstance.info('Hidden message');
+      loggerInstance.warn('Visible warning');
+      loggerInstance.error('Visible error');
+
+      expect(mockStderr).toHaveBeenCalledTimes(2);
+      expect(mockStderr.mock.calls[0][0]).toMatch(/^\[WARN\] Visible warning\n$/);
+      expect(mockStderr.mock.calls[1][0]).toMatch(/^\[ERROR\] Visible error\n$/);
+    });
+
+    it('should resume info messages when quiet mode is disabled', () => {
+      loggerInstance.setQuiet(true);
+      loggerInstance.setQuiet(false);
+
+      loggerInstance.info('Visible again');
+
+      expect(mockStderr).toHaveBeenCalledOnce();
+    });
   });
 
   describe('logger singleton', () => {